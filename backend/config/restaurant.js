@@ -0,0 +1,97 @@
+/**
+ * Restaurant operating settings
+ * Values come from environment variables with sensible defaults
+ */
+
+// Service periods per weekday (24-hour times). An empty list means closed all day.
+// Override with OPENING_HOURS='{"monday":[],"tuesday":[{"open":"12:00","close":"23:00"}],...}'
+const defaultOpeningHours = {
+  sunday: [{ open: '12:00', close: '22:00' }],
+  monday: [],
+  tuesday: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:00' }],
+  wednesday: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:00' }],
+  thursday: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:00' }],
+  friday: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:30' }],
+  saturday: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:30' }]
+};
+
+const parseOpeningHours = () => {
+  if (!process.env.OPENING_HOURS) return defaultOpeningHours;
+
+  try {
+    return { ...defaultOpeningHours, ...JSON.parse(process.env.OPENING_HOURS) };
+  } catch (error) {
+    console.warn('⚠️  Invalid OPENING_HOURS, using defaults:', error.message);
+    return defaultOpeningHours;
+  }
+};
+
+// IANA timezone the restaurant operates in. "Today", day boundaries and
+// weekdays are computed here, not in the server's own timezone.
+const parseTimeZone = () => {
+  const serverZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!process.env.RESTAURANT_TIMEZONE) return serverZone;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: process.env.RESTAURANT_TIMEZONE });
+    return process.env.RESTAURANT_TIMEZONE;
+  } catch (error) {
+    console.warn(`⚠️  Invalid RESTAURANT_TIMEZONE "${process.env.RESTAURANT_TIMEZONE}", using ${serverZone}`);
+    return serverZone;
+  }
+};
+
+const restaurantConfig = {
+  // Bookings made without choosing a venue belong to no Restaurant document;
+  // venues in the Restaurant collection override the settings below
+  restaurantId: null,
+
+  // Details the agent shares when callers ask about the restaurant
+  name: process.env.RESTAURANT_NAME || 'our restaurant',
+  address: process.env.RESTAURANT_ADDRESS || '',
+  phoneNumber: process.env.RESTAURANT_PHONE || '',
+  // Organizer of the calendar invites guests get by email
+  email: process.env.RESTAURANT_EMAIL || '',
+  menuSummary: process.env.MENU_SUMMARY ||
+    'Italian, Chinese, Indian, Mexican, Japanese and Continental dishes, with vegetarian and gluten-free options',
+  cuisines: ['Italian', 'Chinese', 'Indian', 'Mexican', 'Japanese', 'Continental'],
+
+  // City for the weather forecast
+  city: process.env.DEFAULT_LOCATION,
+
+  // How the agent introduces itself
+  persona: {
+    name: 'RestauBot',
+    description: 'a friendly restaurant booking assistant'
+  },
+
+  // e.g. "Asia/Kolkata" (defaults to the server's timezone)
+  timeZone: parseTimeZone(),
+
+  // How long a party keeps its table (minutes)
+  diningDurationMinutes: Number(process.env.DINING_DURATION_MINUTES) || 90,
+
+  // Weekly service periods
+  openingHours: parseOpeningHours(),
+
+  // Last seating is this many minutes before a period closes
+  // (a period may set its own "lastSeating" time instead)
+  lastSeatingMinutesBeforeClose: Number(process.env.LAST_SEATING_MINUTES_BEFORE_CLOSE) || 60,
+
+  // Granularity of bookable times and alternative suggestions (minutes)
+  slotIntervalMinutes: Number(process.env.SLOT_INTERVAL_MINUTES) || 15,
+
+  // How far before/after the requested time we look for alternatives (minutes)
+  alternativeWindowMinutes: Number(process.env.ALTERNATIVE_WINDOW_MINUTES) || 120,
+
+  // Maximum number of tables pushed together for one party
+  maxCombinedTables: Number(process.env.MAX_COMBINED_TABLES) || 3,
+
+  // How long a waitlisted guest has to accept a freed-up table (minutes)
+  waitlistOfferMinutes: Number(process.env.WAITLIST_OFFER_MINUTES) || 30,
+
+  // Length of the calendar event guests get (minutes); unset, it's the booking's dining duration
+  calendarEventMinutes: Number(process.env.CALENDAR_EVENT_MINUTES) || null
+};
+
+module.exports = restaurantConfig;
@@ -0,0 +1,82 @@
+const { startOfZonedDay, toZonedISODate } = require('../utils/timezone');
+
+/**
+ * Availability Controller
+ * Answers "when can we seat this party?" from req.venue's existing bookings
+ */
+
+/**
+ * GET /api/availability
+ * Get open time slots for a date
+ * Query params: date (YYYY-MM-DD), guests, seating (indoor/outdoor/any)
+ */
+const getAvailability = async (req, res) => {
+  try {
+    const { date, guests, seating } = req.query;
+
+    if (!date || !guests) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required query parameters: date, guests'
+      });
+    }
+
+    const { config, availabilityService } = req.venue;
+
+    const bookingDate = startOfZonedDay(date, config.timeZone);
+    if (!bookingDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date. Use YYYY-MM-DD'
+      });
+    }
+
+    const numberOfGuests = Number(guests);
+    if (!Number.isInteger(numberOfGuests) || numberOfGuests < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'guests must be a positive whole number'
+      });
+    }
+
+    const seatingPreference = seating || 'any';
+    if (!['indoor', 'outdoor', 'any'].includes(seatingPreference)) {
+      return res.status(400).json({
+        success: false,
+        message: 'seating must be one of: indoor, outdoor, any'
+      });
+    }
+
+    const slots = await availabilityService.getOpenSlots({
+      bookingDate,
+      numberOfGuests,
+      seatingPreference
+    });
+
+    console.log(`🗓️  ${slots.length} open slots on ${toZonedISODate(bookingDate, config.timeZone)} for ${numberOfGuests}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date: bookingDate,
+        guests: numberOfGuests,
+        seating: seatingPreference,
+        count: slots.length,
+        slots
+      }
+    });
+
+  } catch (error) {
+    console.error('Availability Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check availability',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAvailability
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAvailability } = require('./availabilityController');
+
+// Just enough of Express's res to read back what the controller sent
+const response = () => ({
+  statusCode: null,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const venue = (getOpenSlots) => ({
+  config: { timeZone: 'Asia/Kolkata' },
+  availabilityService: { getOpenSlots }
+});
+
+const request = async (query, getOpenSlots = async () => []) => {
+  const res = response();
+  await getAvailability({ query, venue: venue(getOpenSlots) }, res);
+  return res;
+};
+
+test('the open slots for a day come back with the query they answer', async () => {
+  const queries = [];
+  const res = await request({ date: '2026-10-23', guests: '4', seating: 'outdoor' }, async (query) => {
+    queries.push(query);
+    return ['19:00', '19:15'];
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data, {
+    date: new Date('2026-10-22T18:30:00Z'),
+    guests: 4,
+    seating: 'outdoor',
+    count: 2,
+    slots: ['19:00', '19:15']
+  });
+  assert.deepEqual(queries, [{ bookingDate: new Date('2026-10-22T18:30:00Z'), numberOfGuests: 4, seatingPreference: 'outdoor' }]);
+});
+
+test('seating defaults to any', async () => {
+  const res = await request({ date: '2026-10-23', guests: '2' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.seating, 'any');
+});
+
+test('a missing or malformed query is a 400', async () => {
+  const cases = [
+    [{ guests: '2' }, /Missing required/],
+    [{ date: '2026-10-23' }, /Missing required/],
+    [{ date: 'next week', guests: '2' }, /Invalid date/],
+    [{ date: '2026-10-23', guests: '0' }, /positive whole number/],
+    [{ date: '2026-10-23', guests: '2.5' }, /positive whole number/],
+    [{ date: '2026-10-23', guests: 'two' }, /positive whole number/],
+    [{ date: '2026-10-23', guests: '2', seating: 'rooftop' }, /seating must be/]
+  ];
+
+  for (const [query, message] of cases) {
+    const res = await request(query, async () => assert.fail('should not look up slots'));
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+    assert.match(res.body.message, message);
+  }
+});
+
+test('a failed lookup is a 500', async () => {
+  const res = await request({ date: '2026-10-23', guests: '2' }, async () => { throw new Error('connection lost'); });
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.error, 'connection lost');
+});
@@ -1,12 +1,54 @@
-const Booking = require('../models/Booking');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const geminiService = require('../services/geminiService');
 const weatherService = require('../services/weatherService');
+const { getSessionStore } = require('../services/sessionStores');
+const { bookingCalendar, calendarFilename } = require('../services/bookingCalendar');
+const { startOfZonedDay, formatZonedDate } = require('../utils/timezone');
 
 /**
  * Booking Controller
  * Handles all booking-related operations
+ * Every handler works on req.venue (see middleware/venue.js): the restaurant
+ * in /api/restaurants/:restaurantId/bookings, or the configured one in /api/bookings
  */
 
+/**
+ * Send a booking service error with the right HTTP status
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  // Slot is full - tell the client which times are still open
+  if (error.code === 'SLOT_FULL') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      alternatives: error.alternatives
+    });
+  }
+
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
 /**
  * POST /api/bookings
  * Create a new restaurant booking
@@ -17,12 +59,7 @@ const createBooking = async (req, res) => {
       customerName,
       numberOfGuests,
       bookingDate,
-      bookingTime,
-      cuisinePreference,
-      specialRequests,
-      seatingPreference,
-      phoneNumber,
-      email
+      bookingTime
     } = req.body;
 
     // Validate required fields
@@ -33,41 +70,7 @@ const createBooking = async (req, res) => {
       });
     }
 
-    // Fetch weather information for the booking date
-    let weatherInfo = null;
-    try {
-      const weather = await weatherService.getWeatherForDate(new Date(bookingDate));
-      weatherInfo = {
-        condition: weather.condition,
-        temperature: weather.temperature,
-        description: weather.description,
-        icon: weather.icon,
-        humidity: weather.humidity,
-        windSpeed: weather.windSpeed
-      };
-    } catch (error) {
-      console.warn('Could not fetch weather, continuing without it:', error.message);
-    }
-
-    // Create new booking
-    const booking = new Booking({
-      customerName,
-      numberOfGuests,
-      bookingDate: new Date(bookingDate),
-      bookingTime,
-      cuisinePreference: cuisinePreference || 'Any',
-      specialRequests: specialRequests || '',
-      seatingPreference: seatingPreference || 'any',
-      weatherInfo,
-      phoneNumber,
-      email,
-      status: 'confirmed'
-    });
-
-    // Save to database
-    await booking.save();
-
-    console.log(`✅ Booking created: ${booking.bookingId} for ${customerName}`);
+    const booking = await req.venue.bookingService.createBooking(req.body);
 
     res.status(201).json({
       success: true,
@@ -77,21 +80,7 @@ const createBooking = async (req, res) => {
 
   } catch (error) {
     console.error('Create Booking Error:', error.message);
-    
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: Object.values(error.errors).map(err => err.message)
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create booking',
-      error: error.message
-    });
+    sendServiceError(res, error, 'Failed to create booking');
   }
 };
 
@@ -103,32 +92,7 @@ const getAllBookings = async (req, res) => {
   try {
     const { status, date, customerName } = req.query;
 
-    // Build filter object
-    const filter = {};
-    
-    if (status) {
-      filter.status = status;
-    }
-    
-    if (date) {
-      const queryDate = new Date(date);
-      const nextDay = new Date(queryDate);
-      nextDay.setDate(nextDay.getDate() + 1);
-      
-      filter.bookingDate = {
-        $gte: queryDate,
-        $lt: nextDay
-      };
-    }
-    
-    if (customerName) {
-      filter.customerName = { $regex: customerName, $options: 'i' }; // Case-insensitive search
-    }
-
-    // Fetch bookings with filter
-    const bookings = await Booking.find(filter)
-      .sort({ bookingDate: 1, bookingTime: 1 }) // Sort by date and time
-      .lean(); // Convert to plain JavaScript objects
+    const bookings = await req.venue.bookingService.listBookings({ status, date, customerName });
 
     console.log(`📋 Retrieved ${bookings.length} bookings`);
 
@@ -157,20 +121,8 @@ const getBookingById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Try to find by MongoDB _id or custom bookingId
-    const booking = await Booking.findOne({
-      $or: [
-        { _id: id },
-        { bookingId: id }
-      ]
-    });
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
+    // Find by MongoDB _id or custom bookingId, within this venue
+    const booking = await req.venue.bookingService.findBooking(id);
 
     console.log(`📖 Retrieved booking: ${booking.bookingId}`);
 
@@ -181,12 +133,27 @@ const getBookingById = async (req, res) => {
 
   } catch (error) {
     console.error('Get Booking Error:', error.message);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch booking',
-      error: error.message
-    });
+    sendServiceError(res, error, 'Failed to fetch booking');
+  }
+};
+
+/**
+ * GET /api/bookings/:id/calendar.ics
+ * The booking as an iCalendar event (cancelled bookings as METHOD:CANCEL)
+ */
+const getBookingCalendar = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await req.venue.bookingService.findBooking(id);
+
+    res.status(200)
+      .attachment(calendarFilename(booking))
+      .send(bookingCalendar(booking, req.venue.config));
+
+  } catch (error) {
+    console.error('Booking Calendar Error:', error.message);
+    sendServiceError(res, error, 'Failed to create calendar event');
   }
 };
 
@@ -198,26 +165,7 @@ const cancelBooking = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Find and update booking status
-    const booking = await Booking.findOneAndUpdate(
-      {
-        $or: [
-          { _id: id },
-          { bookingId: id }
-        ]
-      },
-      { status: 'cancelled' },
-      { new: true } // Return updated document
-    );
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
-
-    console.log(`❌ Booking cancelled: ${booking.bookingId}`);
+    const booking = await req.venue.bookingService.cancelBooking(id);
 
     res.status(200).json({
       success: true,
@@ -227,12 +175,7 @@ const cancelBooking = async (req, res) => {
 
   } catch (error) {
     console.error('Cancel Booking Error:', error.message);
-    
-    res.status(500).json({
-      success: false,
-      message: 'Failed to cancel booking',
-      error: error.message
-    });
+    sendServiceError(res, error, 'Failed to cancel booking');
   }
 };
 
@@ -243,35 +186,8 @@ const cancelBooking = async (req, res) => {
 const updateBooking = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-
-    // Don't allow updating bookingId or timestamps
-    delete updates.bookingId;
-    delete updates.createdAt;
-    delete updates.updatedAt;
-
-    const booking = await Booking.findOneAndUpdate(
-      {
-        $or: [
-          { _id: id },
-          { bookingId: id }
-        ]
-      },
-      updates,
-      { 
-        new: true,
-        runValidators: true // Run schema validation
-      }
-    );
 
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
-
-    console.log(`✏️  Booking updated: ${booking.bookingId}`);
+    const booking = await req.venue.bookingService.updateBooking(id, req.body);
 
     res.status(200).json({
       success: true,
@@ -281,30 +197,87 @@ const updateBooking = async (req, res) => {
 
   } catch (error) {
     console.error('Update Booking Error:', error.message);
-    
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: Object.values(error.errors).map(err => err.message)
-      });
+    sendServiceError(res, error, 'Failed to update booking');
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * A small page for guests who followed a reminder link
+ * @param {String} form - Optional HTML form (already escaped)
+ */
+const sendGuestPage = (res, status, title, message, form = '') => {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem;">
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${form}
+</body>
+</html>`);
+};
+
+/**
+ * GET  /api/bookings/:id/respond?answer=confirm|cancel&token=...
+ * POST /api/bookings/:id/respond  (form fields: answer, token)
+ * A guest answering a reminder. Confirming works straight from the link;
+ * cancelling asks for a button press first, so link scanners in mail
+ * clients can't cancel bookings by opening the link.
+ */
+const respondToReminder = async (req, res) => {
+  const { answer, token } = req.method === 'POST' ? (req.body || {}) : req.query;
+  const { id } = req.params;
+
+  if (!['confirm', 'cancel'].includes(answer) || !token) {
+    return sendGuestPage(res, 400, 'Link not recognised', 'This link is incomplete. Please use the link from your reminder, or call us.');
+  }
+
+  if (answer === 'cancel' && req.method !== 'POST') {
+    return sendGuestPage(res, 200, 'Cancel your booking?', `Booking ${id} will be cancelled and the table given to someone else.`, `<form method="POST">
+<input type="hidden" name="answer" value="cancel">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<button type="submit">Yes, cancel my booking</button>
+</form>`);
+  }
+
+  try {
+    const booking = await req.venue.bookingService.respondToReminder(id, token, answer);
+    const { name, timeZone } = req.venue.config;
+
+    if (answer === 'cancel') {
+      return sendGuestPage(res, 200, 'Booking cancelled', `Your booking ${booking.bookingId} has been cancelled. We hope to see you another time at ${name}.`);
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update booking',
-      error: error.message
-    });
+    const date = formatZonedDate(booking.bookingDate, undefined, timeZone);
+    sendGuestPage(res, 200, 'See you soon!', `Thanks, ${booking.customerName} - we've noted that you're coming on ${date} at ${booking.bookingTime}.`);
+
+  } catch (error) {
+    console.error('Reminder Response Error:', error.message);
+    sendGuestPage(res, error.status || 500, 'Something went wrong', error.status ? error.message : 'We could not record your answer. Please call us instead.');
   }
 };
 
+// Chat histories live in the session store under this prefix, so they expire like WebSocket sessions
+const chatSessionKey = (sessionId) => `chat:${sessionId}`;
+
 /**
  * POST /api/bookings/chat
  * Handle conversational booking with Gemini AI
+ * The first message starts a session; pass back the sessionId it returns to
+ * continue it. Unknown or expired sessionIds get 404.
  */
 const chatBooking = async (req, res) => {
+  // Loaded into geminiService for this request only
+  const conversationId = uuidv4();
+
   try {
-    const { message, conversationState } = req.body;
+    const { message, conversationState = {} } = req.body;
 
     if (!message) {
       return res.status(400).json({
@@ -313,8 +286,27 @@ const chatBooking = async (req, res) => {
       });
     }
 
+    const { venue } = req;
+    const store = getSessionStore();
+
+    let sessionId = req.body.sessionId;
+    let session = null;
+    if (sessionId) {
+      session = await store.get(chatSessionKey(sessionId));
+      if (!session || session.channel !== 'chat' || String(session.restaurantId || '') !== String(venue.restaurantId || '')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat session not found or expired. Send the message without a sessionId to start a new one.'
+        });
+      }
+    } else {
+      sessionId = crypto.randomBytes(24).toString('hex');
+    }
+
+    geminiService.restoreConversation(conversationId, session ? session.history : []);
+
     // Extract information from user message
-    const extractedInfo = await geminiService.extractBookingInfo(message);
+    const { info: extractedInfo, corrections, rejected } = await geminiService.extractBookingInfo(message, conversationState, venue);
     
     // Merge with existing conversation state
     const updatedState = {
@@ -322,11 +314,17 @@ const chatBooking = async (req, res) => {
       ...extractedInfo
     };
 
+    // A corrected date needs a fresh forecast
+    if (corrections.some(correction => correction.field === 'bookingDate')) {
+      delete updatedState.weatherInfo;
+    }
+
     // If we have a date and no weather info yet, fetch weather
     if (updatedState.bookingDate && !updatedState.weatherInfo) {
       try {
         const weather = await weatherService.getWeatherForDate(
-          new Date(updatedState.bookingDate)
+          startOfZonedDay(updatedState.bookingDate, venue.config.timeZone),
+          venue.config.city
         );
         updatedState.weatherInfo = weather;
       } catch (error) {
@@ -335,7 +333,13 @@ const chatBooking = async (req, res) => {
     }
 
     // Generate AI response
-    const aiResponse = await geminiService.generateResponse(message, updatedState);
+    const aiResponse = await geminiService.generateResponse(conversationId, message, updatedState, { venue, corrections, rejected });
+
+    await store.set(chatSessionKey(sessionId), {
+      channel: 'chat',
+      restaurantId: venue.restaurantId ? String(venue.restaurantId) : null,
+      history: geminiService.getConversation(conversationId).history
+    });
 
     // Determine next step
     const nextStep = geminiService.determineNextStep(updatedState);
@@ -343,9 +347,12 @@ const chatBooking = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        sessionId,
         response: aiResponse,
         conversationState: updatedState,
         nextStep: nextStep,
+        corrections,
+        rejected,
         isComplete: nextStep === 'confirm'
       }
     });
@@ -358,6 +365,8 @@ const chatBooking = async (req, res) => {
       message: 'Failed to process chat message',
       error: error.message
     });
+  } finally {
+    geminiService.clearConversation(conversationId);
   }
 };
 
@@ -365,7 +374,9 @@ module.exports = {
   createBooking,
   getAllBookings,
   getBookingById,
+  getBookingCalendar,
   cancelBooking,
   updateBooking,
+  respondToReminder,
   chatBooking
 };
\ No newline at end of file
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chatBooking } = require('./bookingController');
+const geminiService = require('../services/geminiService');
+const restaurantService = require('../services/restaurantService');
+const LocalProvider = require('../services/llm/localProvider');
+const { setProvider } = require('../services/llm');
+const { createSessionStore, setSessionStore } = require('../services/sessionStores');
+
+setProvider(new LocalProvider());
+
+// Just enough of Express's res to read back what the controller sent
+const response = () => ({
+  statusCode: null,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const chat = async (body, venue = restaurantService.defaultVenue) => {
+  const res = response();
+  await chatBooking({ body, venue }, res);
+  return res;
+};
+
+test.beforeEach((t) => {
+  setSessionStore(createSessionStore('memory', 30));
+  t.mock.method(restaurantService.defaultVenue.openingHoursService, 'getUpcomingClosures', async () => []);
+});
+
+test('a chat session is started by the server and keeps its history between requests', async () => {
+  const first = await chat({ message: "I'd like to book a table for 2", sessionId: undefined });
+  const { sessionId } = first.body.data;
+
+  assert.equal(first.statusCode, 200);
+  assert.match(sessionId, /^[0-9a-f]{48}$/);
+
+  const second = await chat({ message: 'Priya', sessionId, conversationState: first.body.data.conversationState });
+  assert.equal(second.statusCode, 200);
+  assert.equal(second.body.data.sessionId, sessionId);
+  assert.equal(second.body.data.conversationState.customerName, 'Priya');
+
+  // Nothing stays in memory between requests
+  assert.equal(geminiService.conversations.size, 0);
+});
+
+test('a chat can only continue a session the server started for that venue', async () => {
+  const unknown = await chat({ message: 'Table for 2', sessionId: 'made-up' });
+  assert.equal(unknown.statusCode, 404);
+
+  const { sessionId } = (await chat({ message: 'Table for 2' })).body.data;
+  const otherVenue = await chat({ message: 'Table for 2', sessionId }, { ...restaurantService.defaultVenue, restaurantId: 'R2' });
+  assert.equal(otherVenue.statusCode, 404);
+
+  assert.equal((await chat({ sessionId })).statusCode, 400);
+  assert.equal(geminiService.conversations.size, 0);
+});
@@ -0,0 +1,47 @@
+const { bookingFeed } = require('../services/bookingCalendar');
+const { addZonedDays, startOfZonedDay } = require('../utils/timezone');
+
+/**
+ * Feed Controller
+ * Calendar subscriptions for staff, on req.venue (see middleware/venue.js)
+ */
+
+// Without ?date=, the feed starts this many days back so last week's covers stay visible
+const FEED_PAST_DAYS = 7;
+
+/**
+ * GET /api/feeds/:token/bookings.ics
+ * Confirmed bookings as an iCalendar feed (filters: ?date=2024-12-10&customerName=...)
+ */
+const getBookingsFeed = async (req, res) => {
+  try {
+    const { date, customerName } = req.query;
+    const { config, bookingService } = req.venue;
+
+    const bookings = await bookingService.listBookings({
+      status: 'confirmed',
+      date,
+      customerName,
+      from: addZonedDays(startOfZonedDay(new Date(), config.timeZone), -FEED_PAST_DAYS, config.timeZone)
+    });
+
+    console.log(`📅 Calendar feed: ${bookings.length} bookings`);
+
+    res.status(200)
+      .type('text/calendar; charset=utf-8')
+      .send(bookingFeed(bookings, config));
+
+  } catch (error) {
+    console.error('Bookings Feed Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBookingsFeed
+};
@@ -0,0 +1,182 @@
+const Closure = require('../models/Closure');
+const { startOfZonedDay, toZonedISODate } = require('../utils/timezone');
+
+/**
+ * Hours Controller
+ * Exposes opening hours and manages the closure calendar of req.venue
+ */
+
+/**
+ * GET /api/hours
+ * Weekly opening hours plus closures in the next 30 days
+ */
+const getOpeningHours = async (req, res) => {
+  try {
+    const { config, openingHoursService } = req.venue;
+    const closures = await openingHoursService.getUpcomingClosures();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        openingHours: config.openingHours,
+        lastSeatingMinutesBeforeClose: config.lastSeatingMinutesBeforeClose,
+        timeZone: config.timeZone,
+        summary: openingHoursService.describeWeeklyHours(),
+        upcomingClosures: closures
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Hours Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch opening hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /api/hours/closures
+ * List closures (optional filters: ?from=2024-12-01&to=2024-12-31)
+ */
+const getClosures = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const { restaurantId, config } = req.venue;
+
+    const filter = { restaurantId };
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = startOfZonedDay(from, config.timeZone);
+      if (to) filter.date.$lte = startOfZonedDay(to, config.timeZone);
+    }
+
+    const closures = await Closure.find(filter)
+      .sort({ date: 1, startTime: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: closures.length,
+      data: closures
+    });
+
+  } catch (error) {
+    console.error('Get Closures Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch closures',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/hours/closures
+ * Add a holiday or private-event closure
+ */
+const createClosure = async (req, res) => {
+  try {
+    const { date, startTime, endTime, type, reason } = req.body;
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: date'
+      });
+    }
+
+    // Closures are whole restaurant days: midnight in the restaurant's timezone
+    const { restaurantId, config } = req.venue;
+    const closureDate = startOfZonedDay(date, config.timeZone);
+    if (!closureDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date. Use YYYY-MM-DD'
+      });
+    }
+
+    const closure = new Closure({
+      restaurantId,
+      date: closureDate,
+      startTime,
+      endTime,
+      type,
+      reason
+    });
+
+    await closure.save();
+
+    console.log(`🚧 Closure added: ${toZonedISODate(closureDate, config.timeZone)} ${startTime ? `${startTime}-${endTime}` : '(all day)'}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Closure created successfully',
+      data: closure
+    });
+
+  } catch (error) {
+    console.error('Create Closure Error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create closure',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/hours/closures/:id
+ * Remove a closure
+ */
+const deleteClosure = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const closure = await Closure.findOneAndDelete({ _id: id, restaurantId: req.venue.restaurantId });
+
+    if (!closure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closure not found'
+      });
+    }
+
+    console.log(`🗑️  Closure removed: ${toZonedISODate(closure.date, req.venue.config.timeZone)}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Closure removed successfully',
+      data: closure
+    });
+
+  } catch (error) {
+    console.error('Delete Closure Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove closure',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getOpeningHours,
+  getClosures,
+  createClosure,
+  deleteClosure
+};
@@ -0,0 +1,62 @@
+const messagingService = require('../services/messagingService');
+const { twimlResponse } = require('../utils/twiml');
+
+/**
+ * Messaging Controller
+ * Inbound text messages (SMS/WhatsApp). Accepts a carrier's form fields
+ * (From, Body; WhatsApp senders look like "whatsapp:+91...") or JSON
+ * { channel, from, text }. The agent's reply is sent through the outbound
+ * transport, not in the response.
+ */
+
+/**
+ * Sender and channel from either payload shape
+ */
+const readInbound = (body = {}) => {
+  const from = String(body.From || body.from || '');
+  const whatsapp = from.startsWith('whatsapp:');
+
+  return {
+    channel: whatsapp ? 'whatsapp' : (body.channel || 'sms'),
+    from: whatsapp ? from.slice('whatsapp:'.length) : from,
+    text: body.Body !== undefined ? body.Body : body.text
+  };
+};
+
+/**
+ * POST /api/messaging/inbound?restaurant=<id or slug>
+ * A guest texted us
+ */
+const receiveMessage = async (req, res) => {
+  try {
+    const inbound = readInbound(req.body);
+
+    const reply = await messagingService.handleInbound({
+      ...inbound,
+      restaurantId: req.query.restaurant
+    });
+
+    // Carriers want TwiML back; an empty response means "nothing more to send"
+    if (req.body.Body !== undefined) {
+      return res.type('text/xml').send(twimlResponse([]));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: reply
+    });
+
+  } catch (error) {
+    console.error('Inbound Message Error:', error.message);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to handle message',
+      code: error.code
+    });
+  }
+};
+
+module.exports = {
+  receiveMessage
+};
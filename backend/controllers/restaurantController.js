@@ -0,0 +1,159 @@
+const restaurantService = require('../services/restaurantService');
+
+/**
+ * Restaurant Controller
+ * Manages the venues in the group
+ */
+
+/**
+ * Send a restaurant service error with its HTTP status (or 500)
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A restaurant with this slug already exists'
+    });
+  }
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/restaurants
+ * List venues (optional filter: ?active=true)
+ */
+const getAllRestaurants = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const restaurants = await restaurantService.listRestaurants({
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      count: restaurants.length,
+      data: restaurants
+    });
+
+  } catch (error) {
+    console.error('Get Restaurants Error:', error.message);
+    sendServiceError(res, error, 'Failed to fetch restaurants');
+  }
+};
+
+/**
+ * GET /api/restaurants/:restaurantId
+ * Get a venue by _id or slug
+ */
+const getRestaurantById = async (req, res) => {
+  try {
+    const restaurant = await restaurantService.findRestaurant(req.params.restaurantId);
+
+    res.status(200).json({
+      success: true,
+      data: restaurant
+    });
+
+  } catch (error) {
+    console.error('Get Restaurant Error:', error.message);
+    sendServiceError(res, error, 'Failed to fetch restaurant');
+  }
+};
+
+/**
+ * POST /api/restaurants
+ * Add a venue
+ */
+const createRestaurant = async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+
+    if (!name || !slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: name, slug'
+      });
+    }
+
+    const restaurant = await restaurantService.createRestaurant(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Restaurant created successfully',
+      data: restaurant
+    });
+
+  } catch (error) {
+    console.error('Create Restaurant Error:', error.message);
+    sendServiceError(res, error, 'Failed to create restaurant');
+  }
+};
+
+/**
+ * PUT /api/restaurants/:restaurantId
+ * Update a venue's details, hours, cuisines or persona
+ */
+const updateRestaurant = async (req, res) => {
+  try {
+    const restaurant = await restaurantService.updateRestaurant(req.params.restaurantId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Restaurant updated successfully',
+      data: restaurant
+    });
+
+  } catch (error) {
+    console.error('Update Restaurant Error:', error.message);
+    sendServiceError(res, error, 'Failed to update restaurant');
+  }
+};
+
+/**
+ * DELETE /api/restaurants/:restaurantId
+ * Stop taking bookings for a venue (soft delete by deactivating)
+ */
+const deactivateRestaurant = async (req, res) => {
+  try {
+    const restaurant = await restaurantService.deactivateRestaurant(req.params.restaurantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Restaurant deactivated successfully',
+      data: restaurant
+    });
+
+  } catch (error) {
+    console.error('Deactivate Restaurant Error:', error.message);
+    sendServiceError(res, error, 'Failed to deactivate restaurant');
+  }
+};
+
+module.exports = {
+  getAllRestaurants,
+  getRestaurantById,
+  createRestaurant,
+  updateRestaurant,
+  deactivateRestaurant
+};
@@ -0,0 +1,201 @@
+const Table = require('../models/Table');
+
+/**
+ * Table Controller
+ * Manages req.venue's floor plan used for availability checks
+ */
+
+/**
+ * GET /api/tables
+ * List all tables (optional filters: ?zone=outdoor&active=true)
+ */
+const getAllTables = async (req, res) => {
+  try {
+    const { zone, active } = req.query;
+
+    const filter = { restaurantId: req.venue.restaurantId };
+
+    if (zone) {
+      filter.zone = zone;
+    }
+
+    if (active !== undefined) {
+      filter.isActive = active === 'true';
+    }
+
+    const tables = await Table.find(filter)
+      .sort({ zone: 1, tableNumber: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: tables.length,
+      data: tables
+    });
+
+  } catch (error) {
+    console.error('Get Tables Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tables',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/tables
+ * Add a table to the floor plan
+ */
+const createTable = async (req, res) => {
+  try {
+    const { tableNumber, capacity, zone, combinable, isActive } = req.body;
+
+    const table = new Table({
+      restaurantId: req.venue.restaurantId,
+      tableNumber,
+      capacity,
+      zone,
+      combinable,
+      isActive
+    });
+
+    await table.save();
+
+    console.log(`🪑 Table created: ${table.tableNumber} (${table.capacity} seats, ${table.zone})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Table created successfully',
+      data: table
+    });
+
+  } catch (error) {
+    console.error('Create Table Error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A table with this number already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create table',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * PUT /api/tables/:tableNumber
+ * Update a table
+ */
+const updateTable = async (req, res) => {
+  try {
+    const { tableNumber } = req.params;
+    const updates = req.body;
+
+    delete updates.createdAt;
+    delete updates.updatedAt;
+    delete updates.restaurantId;
+
+    const table = await Table.findOneAndUpdate(
+      { restaurantId: req.venue.restaurantId, tableNumber },
+      updates,
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table not found'
+      });
+    }
+
+    console.log(`✏️  Table updated: ${table.tableNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Table updated successfully',
+      data: table
+    });
+
+  } catch (error) {
+    console.error('Update Table Error:', error.message);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update table',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/tables/:tableNumber
+ * Remove a table from service (soft delete by deactivating)
+ */
+const deactivateTable = async (req, res) => {
+  try {
+    const { tableNumber } = req.params;
+
+    const table = await Table.findOneAndUpdate(
+      { restaurantId: req.venue.restaurantId, tableNumber },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!table) {
+      return res.status(404).json({
+        success: false,
+        message: 'Table not found'
+      });
+    }
+
+    console.log(`🚫 Table deactivated: ${table.tableNumber}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Table deactivated successfully',
+      data: table
+    });
+
+  } catch (error) {
+    console.error('Deactivate Table Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate table',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllTables,
+  createTable,
+  updateTable,
+  deactivateTable
+};
@@ -0,0 +1,117 @@
+const telephonyService = require('../services/telephonyService');
+const { say, gather, dial, redirect, hangup, twimlResponse } = require('../utils/twiml');
+
+/**
+ * Telephony Controller
+ * TwiML webhooks for phone calls: the carrier POSTs call events as form
+ * fields (CallSid, From, SpeechResult, CallStatus) and speaks our answer.
+ */
+
+const LANGUAGE = process.env.TELEPHONY_LANGUAGE || 'en-US';
+const VOICE = process.env.TELEPHONY_VOICE || null;
+
+const speak = (text) => say(text, { voice: VOICE, language: LANGUAGE });
+
+/**
+ * A turn as TwiML: say the replies, then listen for the answer, transfer or hang up
+ */
+const turnToTwiml = (req, turn) => {
+  const replies = turn.texts.map(speak);
+
+  if (turn.transferTo) {
+    return twimlResponse([...replies, dial(turn.transferTo)]);
+  }
+
+  if (turn.endsCall) {
+    return twimlResponse([...replies, hangup()]);
+  }
+
+  // No speech before the timeout falls through to the redirect, which counts as silence
+  const action = `${req.baseUrl}/gather`;
+  return twimlResponse([gather({ action, language: LANGUAGE }, replies), redirect(action)]);
+};
+
+/**
+ * Apologize and hang up (carriers need TwiML back even when we fail)
+ */
+const sendGoodbye = (res, text = 'Sorry, something went wrong on our side. Please call back in a little while.') => {
+  res.type('text/xml').send(twimlResponse([speak(text), hangup()]));
+};
+
+/**
+ * POST /api/telephony/voice?restaurant=<id or slug>
+ * A call came in - greet the caller
+ */
+const startCall = async (req, res) => {
+  try {
+    const { CallSid, From } = req.body || {};
+
+    if (!CallSid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: CallSid'
+      });
+    }
+
+    const turn = await telephonyService.startCall({
+      callSid: CallSid,
+      from: From,
+      restaurantId: req.query.restaurant
+    });
+
+    res.type('text/xml').send(turnToTwiml(req, turn));
+
+  } catch (error) {
+    console.error('Start Call Error:', error.message);
+
+    if (error.code === 'RESTAURANT_NOT_FOUND') {
+      return sendGoodbye(res, "Sorry, we couldn't find the restaurant you're calling. Goodbye.");
+    }
+    if (error.code === 'RESTAURANT_INACTIVE') {
+      return sendGoodbye(res, `Sorry, ${error.message} at the moment. Goodbye.`);
+    }
+    sendGoodbye(res);
+  }
+};
+
+/**
+ * POST /api/telephony/gather
+ * The caller said something (SpeechResult is empty when they didn't)
+ */
+const gatherSpeech = async (req, res) => {
+  try {
+    const { CallSid, SpeechResult } = req.body || {};
+
+    const turn = await telephonyService.handleSpeech(CallSid, SpeechResult);
+
+    res.type('text/xml').send(turnToTwiml(req, turn));
+
+  } catch (error) {
+    console.error('Gather Speech Error:', error.message);
+
+    if (error.code === 'CALL_NOT_FOUND') {
+      return sendGoodbye(res, 'Sorry, this call has timed out. Please call back to make your booking.');
+    }
+    sendGoodbye(res);
+  }
+};
+
+/**
+ * POST /api/telephony/status
+ * Call status callback - forget the call once it's over
+ */
+const callStatus = (req, res) => {
+  const { CallSid, CallStatus } = req.body || {};
+
+  if (CallSid && ['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(CallStatus)) {
+    telephonyService.endCall(CallSid);
+  }
+
+  res.status(204).end();
+};
+
+module.exports = {
+  startCall,
+  gatherSpeech,
+  callStatus
+};
@@ -0,0 +1,191 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getZonedDayRange } = require('../utils/timezone');
+
+/**
+ * Waitlist Controller
+ * Handles joining, leaving and answering waitlist offers for req.venue
+ */
+
+/**
+ * Send a service error with its HTTP status (or 500)
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist for a full day
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { customerName, numberOfGuests, bookingDate, preferredTime } = req.body;
+
+    if (!customerName || !numberOfGuests || !bookingDate || !preferredTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: customerName, numberOfGuests, bookingDate, preferredTime'
+      });
+    }
+
+    const entry = await req.venue.waitlistService.addToWaitlist(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: entry.status === 'offered'
+        ? 'A table is already available - please accept the offer'
+        : 'Added to the waitlist',
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Join Waitlist Error:', error.message);
+    sendServiceError(res, error, 'Failed to join waitlist');
+  }
+};
+
+/**
+ * GET /api/waitlist
+ * List waitlist entries (optional filters: ?status=waiting&date=2024-12-10)
+ */
+const getWaitlist = async (req, res) => {
+  try {
+    const { status, date } = req.query;
+
+    const filter = { restaurantId: req.venue.restaurantId };
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (date) {
+      const { start, end } = getZonedDayRange(date, req.venue.config.timeZone);
+
+      filter.bookingDate = {
+        $gte: start,
+        $lt: end
+      };
+    }
+
+    const entries = await WaitlistEntry.find(filter)
+      .sort({ bookingDate: 1, createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+
+  } catch (error) {
+    console.error('Get Waitlist Error:', error.message);
+    sendServiceError(res, error, 'Failed to fetch waitlist');
+  }
+};
+
+/**
+ * GET /api/waitlist/:id
+ * Get a waitlist entry by ID or entryId
+ */
+const getWaitlistEntry = async (req, res) => {
+  try {
+    const entry = await req.venue.waitlistService.findEntry(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Get Waitlist Entry Error:', error.message);
+    sendServiceError(res, error, 'Failed to fetch waitlist entry');
+  }
+};
+
+/**
+ * POST /api/waitlist/:id/accept
+ * Accept an offered table (pending booking becomes confirmed)
+ */
+const acceptOffer = async (req, res) => {
+  try {
+    const booking = await req.venue.waitlistService.acceptOffer(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking confirmed from waitlist',
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Accept Offer Error:', error.message);
+    sendServiceError(res, error, 'Failed to accept offer');
+  }
+};
+
+/**
+ * POST /api/waitlist/:id/decline
+ * Decline an offered table (it goes to the next party)
+ */
+const declineOffer = async (req, res) => {
+  try {
+    const entry = await req.venue.waitlistService.declineOffer(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined',
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Decline Offer Error:', error.message);
+    sendServiceError(res, error, 'Failed to decline offer');
+  }
+};
+
+/**
+ * DELETE /api/waitlist/:id
+ * Leave the waitlist
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await req.venue.waitlistService.cancelEntry(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist',
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Leave Waitlist Error:', error.message);
+    sendServiceError(res, error, 'Failed to leave waitlist');
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getWaitlist,
+  getWaitlistEntry,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+};
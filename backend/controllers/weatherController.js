@@ -1,4 +1,5 @@
 const weatherService = require('../services/weatherService');
+const { startOfZonedDay } = require('../utils/timezone');
 
 /**
  * Weather Controller
@@ -23,17 +24,16 @@ const getWeatherForecast = async (req, res) => {
     }
 
     // Parse and validate date
-    const bookingDate = new Date(date);
-    if (isNaN(bookingDate.getTime())) {
+    const bookingDate = startOfZonedDay(date, req.venue.config.timeZone);
+    if (!bookingDate) {
       return res.status(400).json({
         success: false,
         message: 'Invalid date format. Use YYYY-MM-DD'
       });
     }
 
-    // Check if date is not in the past
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Check if date is not in the past (restaurant time)
+    const today = startOfZonedDay(new Date(), req.venue.config.timeZone);
     
     if (bookingDate < today) {
       return res.status(400).json({
@@ -47,7 +47,7 @@ const getWeatherForecast = async (req, res) => {
     // Fetch weather data from service
     const weatherData = await weatherService.getWeatherForDate(
       bookingDate,
-      location
+      location || req.venue.config.city
     );
 
     // Return weather data with recommendation
@@ -55,7 +55,7 @@ const getWeatherForecast = async (req, res) => {
       success: true,
       data: {
         date: date,
-        location: location || process.env.DEFAULT_LOCATION,
+        location: location || req.venue.config.city,
         weather: weatherData,
         // This is what the AI will use to suggest seating
         suggestion: weatherData.recommendation
@@ -84,13 +84,13 @@ const getCurrentWeather = async (req, res) => {
     console.log(`🌤️  Fetching current weather for ${location || 'default location'}...`);
 
     const weatherData = await weatherService.getCurrentWeather(
-      location || process.env.DEFAULT_LOCATION
+      location || req.venue.config.city
     );
 
     res.status(200).json({
       success: true,
       data: {
-        location: location || process.env.DEFAULT_LOCATION,
+        location: location || req.venue.config.city,
         weather: weatherData
       }
     });
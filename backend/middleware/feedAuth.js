@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+/**
+ * Calendar feed authentication
+ * Calendar apps can't send headers, so subscription feeds carry a secret in
+ * the URL: /api/feeds/<CALENDAR_FEED_TOKEN>/bookings.ics. Without
+ * CALENDAR_FEED_TOKEN the feeds are switched off.
+ */
+
+/**
+ * Only serve the feed to URLs with the configured token
+ */
+const verifyFeedToken = (req, res, next) => {
+  const feedToken = process.env.CALENDAR_FEED_TOKEN;
+
+  if (!feedToken) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calendar feeds are not enabled (set CALENDAR_FEED_TOKEN)'
+    });
+  }
+
+  const expected = Buffer.from(feedToken);
+  const token = Buffer.from(req.params.token || '');
+
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    console.warn('Rejected calendar feed request with a wrong token');
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid feed token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyFeedToken
+};
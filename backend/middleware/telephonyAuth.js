@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+/**
+ * Telephony and messaging webhook authentication
+ * Carriers sign each webhook with the account's auth token (Twilio's
+ * X-Twilio-Signature scheme): base64 HMAC-SHA1 of the full URL followed by
+ * every POST parameter, name then value, sorted by name.
+ * Without TELEPHONY_AUTH_TOKEN the webhooks are open (local development).
+ */
+
+/**
+ * The signature a carrier sends for a request
+ */
+const computeSignature = (authToken, url, params = {}) => {
+  const payload = Object.keys(params)
+    .sort()
+    .reduce((text, key) => text + key + params[key], url);
+
+  return crypto.createHmac('sha1', authToken).update(payload).digest('base64');
+};
+
+/**
+ * Reject webhooks that weren't signed with TELEPHONY_AUTH_TOKEN
+ * Behind a proxy, set TELEPHONY_PUBLIC_URL to the origin the carrier calls.
+ */
+const verifyTelephonySignature = (req, res, next) => {
+  const authToken = process.env.TELEPHONY_AUTH_TOKEN;
+  if (!authToken) return next();
+
+  const origin = process.env.TELEPHONY_PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  const expected = Buffer.from(computeSignature(authToken, origin.replace(/\/$/, '') + req.originalUrl, req.body));
+  const signature = Buffer.from(req.get('X-Twilio-Signature') || '');
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    console.warn(`Rejected unsigned carrier webhook: ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  computeSignature,
+  verifyTelephonySignature
+};
@@ -0,0 +1,38 @@
+const restaurantService = require('../services/restaurantService');
+
+/**
+ * Venue middleware
+ * Puts the venue a request is for on req.venue so controllers work on
+ * that restaurant's bookings, tables, hours and waitlist
+ */
+
+/**
+ * /api/restaurants/:restaurantId/... - the restaurant named in the path (_id or slug)
+ */
+const loadVenue = async (req, res, next) => {
+  try {
+    req.venue = await restaurantService.getVenue(req.params.restaurantId);
+    next();
+  } catch (error) {
+    console.error('Load Restaurant Error:', error.message);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to load restaurant',
+      code: error.code
+    });
+  }
+};
+
+/**
+ * /api/bookings, /api/tables, ... - the restaurant configured in config/restaurant.js
+ */
+const useDefaultVenue = (req, res, next) => {
+  req.venue = restaurantService.defaultVenue;
+  next();
+};
+
+module.exports = {
+  loadVenue,
+  useDefaultVenue
+};
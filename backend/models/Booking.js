@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { formatZonedDate } = require('../utils/timezone');
 
 /**
  * Booking Schema for Restaurant Reservations
@@ -11,7 +13,14 @@ const bookingSchema = new mongoose.Schema({
     unique: true,
     default: () => `BK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
   },
-  
+
+  // Venue the booking belongs to (null for the single configured restaurant)
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    default: null
+  },
+
   customerName: {
     type: String,
     required: [true, 'Customer name is required'],
@@ -26,17 +35,11 @@ const bookingSchema = new mongoose.Schema({
   },
   
 // In your Booking schema
+// The booking's day: midnight in the restaurant's timezone
+// (bookingService keeps it out of the past and inside opening hours)
 bookingDate: {
   type: Date,
-  required: true,
-  validate: {
-    validator: function(value) {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      return value >= today; // Allows today and future
-    },
-    message: 'Booking date cannot be in the past. Please choose today or a future date.'
-  }
+  required: true
 },
   
   bookingTime: {
@@ -44,6 +47,12 @@ bookingDate: {
     required: [true, 'Booking time is required'],
     match: [/^\d{1,2}:\d{2}\s*(AM|PM)?$/i, 'Please provide a valid time (e.g., 8:00 PM or 20:00)']
   },
+
+  // The moment the booking starts (UTC), derived from bookingDate + bookingTime
+  // in the venue's timezone by the service that saves it
+  startsAt: {
+    type: Date
+  },
   
   cuisinePreference: {
     type: String,
@@ -73,9 +82,22 @@ bookingDate: {
     default: 'any'
   },
   
+  // Tables assigned by the availability service (by table number)
+  assignedTables: {
+    type: [String],
+    default: []
+  },
+  
+  // How long the party holds its tables (minutes)
+  durationMinutes: {
+    type: Number,
+    min: [15, 'Dining duration must be at least 15 minutes']
+  },
+  
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    // completed: the party came; no_show: they didn't (both set by staff, and counted on the customer)
+    enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no_show'],
     default: 'confirmed'
   },
   
@@ -89,24 +111,64 @@ bookingDate: {
     type: String,
     trim: true,
     lowercase: true
+  },
+
+  // The guest's profile, found by phone number or email
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
+  // Secret in the confirm/cancel links of reminders (never listed)
+  responseToken: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex'),
+    select: false
+  },
+
+  // Reminders sent ahead of the booking
+  remindersSent: [{
+    _id: false,
+    hoursBefore: Number,
+    sentAt: Date
+  }],
+
+  // The guest's answer to a reminder
+  guestResponse: {
+    type: new mongoose.Schema({
+      status: { type: String, enum: ['confirmed', 'cancelled'] },
+      respondedAt: Date
+    }, { _id: false }),
+    default: null
+  },
+
+  // Revision of the guest's calendar event (iCalendar SEQUENCE), bumped when they're told of a change
+  calendarSequence: {
+    type: Number,
+    default: 0
   }
   
 }, {
-  timestamps: true  // Automatically adds createdAt and updatedAt
+  timestamps: true,  // Automatically adds createdAt and updatedAt
+  // The response token only ever leaves the server inside a reminder link
+  toJSON: { transform: (doc, ret) => { delete ret.responseToken; return ret; } },
+  toObject: { transform: (doc, ret) => { delete ret.responseToken; return ret; } }
 });
 
 // Index for faster queries
-bookingSchema.index({ bookingDate: 1, bookingTime: 1 });
+bookingSchema.index({ restaurantId: 1, bookingDate: 1, bookingTime: 1 });
 bookingSchema.index({ customerName: 1 });
 bookingSchema.index({ status: 1 });
+bookingSchema.index({ startsAt: 1 });
 
-// Method to format booking for display
-bookingSchema.methods.formatBooking = function() {
+// Method to format booking for display (dates in the given venue timezone)
+bookingSchema.methods.formatBooking = function(timeZone) {
   return {
     id: this.bookingId,
     customer: this.customerName,
     guests: this.numberOfGuests,
-    date: this.bookingDate.toLocaleDateString(),
+    date: formatZonedDate(this.bookingDate, { year: 'numeric', month: 'numeric', day: 'numeric' }, timeZone),
     time: this.bookingTime,
     cuisine: this.cuisinePreference,
     seating: this.seatingPreference,
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Closure Schema for the restaurant calendar
+ * A closure blocks bookings for a whole day (holidays) or for a window
+ * of that day (private events) when startTime/endTime are given
+ */
+const closureSchema = new mongoose.Schema({
+  // Venue the closure belongs to (null for the single configured restaurant)
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    default: null
+  },
+
+  date: {
+    type: Date,
+    required: [true, 'Closure date is required']
+  },
+
+  // Optional window - leave both empty to close the whole day
+  startTime: {
+    type: String,
+    match: [/^\d{2}:\d{2}$/, 'Start time must be HH:MM (24-hour)']
+  },
+
+  endTime: {
+    type: String,
+    match: [/^\d{2}:\d{2}$/, 'End time must be HH:MM (24-hour)']
+  },
+
+  type: {
+    type: String,
+    enum: ['holiday', 'private_event', 'maintenance', 'other'],
+    default: 'holiday'
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+
+}, {
+  timestamps: true
+});
+
+closureSchema.index({ restaurantId: 1, date: 1 });
+
+// A window needs both ends, in the right order
+closureSchema.pre('validate', function() {
+  if (!!this.startTime !== !!this.endTime) {
+    this.invalidate('endTime', 'Provide both startTime and endTime, or neither for a full-day closure');
+  } else if (this.startTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+});
+
+const Closure = mongoose.model('Closure', closureSchema);
+
+module.exports = Closure;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// The most-chosen key of a count map, ignoring "no preference" answers
+const favourite = (counts, ignore) => {
+  let best = null;
+  for (const [key, count] of counts || []) {
+    if (key === ignore) continue;
+    if (!best || count > best.count) best = { key, count };
+  }
+  return best ? best.key : null;
+};
+
+/**
+ * Customer Schema for guests who book with us
+ * A customer is recognised by phone number or email (normalized as in
+ * bookings) across every venue. Bookings link to their customer; visits and
+ * no-shows are counted when staff mark a booking completed or no_show, and
+ * the cuisine and seating a guest asks for are tallied to remember favourites.
+ */
+const customerSchema = new mongoose.Schema({
+  // The name they first booked under (staff only; the agent never says it)
+  name: {
+    type: String,
+    trim: true
+  },
+
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  bookingCount: {
+    type: Number,
+    default: 0
+  },
+
+  visitCount: {
+    type: Number,
+    default: 0
+  },
+
+  noShowCount: {
+    type: Number,
+    default: 0
+  },
+
+  // How often each cuisine and seating was asked for
+  cuisineCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  seatingCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+
+  lastBookingAt: Date,
+  lastVisitAt: Date
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+customerSchema.virtual('favouriteCuisine').get(function() {
+  return favourite(this.cuisineCounts, 'Any');
+});
+
+customerSchema.virtual('favouriteSeating').get(function() {
+  return favourite(this.seatingCounts, 'any');
+});
+
+// One customer per phone number and per email (either may be missing)
+customerSchema.index({ phoneNumber: 1 }, { unique: true, partialFilterExpression: { phoneNumber: { $type: 'string' } } });
+customerSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+
+const Customer = mongoose.model('Customer', customerSchema);
+
+module.exports = Customer;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Schema for scheduled work (guest reminders, ...)
+ * Jobs live in MongoDB so they survive restarts; the scheduler claims due
+ * jobs by flipping them to "running", so two servers never run the same one.
+ */
+const jobSchema = new mongoose.Schema({
+  // Handler that runs the job ("booking_reminder")
+  type: {
+    type: String,
+    required: true
+  },
+
+  // Identifies the job so scheduling it again replaces it ("reminder:BK-...:24h")
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Jobs cancelled together ("booking:BK-...")
+  group: {
+    type: String,
+    default: null
+  },
+
+  runAt: {
+    type: Date,
+    required: true
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // When a running job was claimed (stale claims are retried)
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ group: 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Booking = require('./Booking');
+const restaurantConfig = require('../config/restaurant');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CUISINES = Booking.schema.path('cuisinePreference').enumValues.filter(cuisine => cuisine !== 'Any');
+
+const isTime = (value) => /^\d{2}:\d{2}$/.test(value);
+
+/**
+ * Restaurant Schema for the venues in the group
+ * Each venue has its own hours, floor plan, timezone and agent persona.
+ * Anything left unset falls back to config/restaurant.js.
+ */
+const restaurantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Restaurant name is required'],
+    trim: true
+  },
+
+  // URL- and caller-friendly identifier ("jubilee-hills")
+  slug: {
+    type: String,
+    required: [true, 'Restaurant slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Used for the weather forecast
+  city: {
+    type: String,
+    trim: true
+  },
+
+  phoneNumber: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Organizer of the calendar invites guests get by email
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+
+  // IANA timezone the venue operates in
+  timeZone: {
+    type: String,
+    default: () => restaurantConfig.timeZone,
+    validate: {
+      validator: function(value) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: props => `"${props.value}" is not a valid IANA timezone (e.g. Asia/Kolkata)`
+    }
+  },
+
+  // Weekly service periods, same shape as OPENING_HOURS:
+  // { monday: [], tuesday: [{ open: '12:00', close: '23:00', lastSeating: '22:00' }], ... }
+  openingHours: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => restaurantConfig.openingHours,
+    validate: {
+      validator: function(value) {
+        return Object.entries(value || {}).every(([weekday, periods]) =>
+          WEEKDAYS.includes(weekday) &&
+          Array.isArray(periods) &&
+          periods.every(period => isTime(period.open) && isTime(period.close) &&
+            (!period.lastSeating || isTime(period.lastSeating)))
+        );
+      },
+      message: 'Opening hours must map weekday names to [{ open: "HH:MM", close: "HH:MM" }]'
+    }
+  },
+
+  // Cuisines this venue serves
+  cuisines: {
+    type: [{ type: String, enum: CUISINES }],
+    default: () => [...CUISINES]
+  },
+
+  menuSummary: {
+    type: String,
+    trim: true
+  },
+
+  // How the agent introduces itself and speaks for this venue
+  persona: {
+    name: {
+      type: String,
+      trim: true,
+      default: () => restaurantConfig.persona.name
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: () => restaurantConfig.persona.description
+    }
+  },
+
+  // Inactive venues keep their history but take no new bookings
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+const Restaurant = mongoose.model('Restaurant', restaurantSchema);
+
+module.exports = Restaurant;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema for agent conversations
+ * Everything needed to pick a conversation back up after the socket drops or
+ * the next text message arrives: the agent's history, the booking collected so
+ * far and any flow in progress.
+ * MongoDB removes a session once expiresAt passes (TTL index).
+ */
+const sessionSchema = new mongoose.Schema({
+  // Resumable token handed to the client
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Where the conversation happens; a session only resumes on its own channel
+  channel: {
+    type: String,
+    enum: ['web', 'phone', 'sms', 'whatsapp'],
+    default: 'web'
+  },
+
+  // Venue the conversation is with (null for the single configured restaurant)
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    default: null
+  },
+
+  // Recent turns as the agent sees them
+  history: [{
+    _id: false,
+    role: { type: String, enum: ['user', 'assistant', 'system'] },
+    message: String,
+    timestamp: Date
+  }],
+
+  conversationState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Booking draft awaiting the caller's confirmation
+  draftId: {
+    type: String,
+    default: null
+  },
+
+  // Find/modify/cancel flow in progress
+  manageFlow: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Waitlist draft offered when the requested time was full
+  waitlistOffer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Intent we asked the caller to confirm
+  pendingClarification: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true,
+  // Keep empty conversation states instead of dropping them
+  minimize: false
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
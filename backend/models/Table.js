@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Table Schema for the restaurant floor plan
+ * Each document is one physical table the availability service can assign
+ */
+const tableSchema = new mongoose.Schema({
+  // Venue the table belongs to (null for the single configured restaurant)
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    default: null
+  },
+
+  // Unique within a venue
+  tableNumber: {
+    type: String,
+    required: [true, 'Table number is required'],
+    trim: true
+  },
+
+  capacity: {
+    type: Number,
+    required: [true, 'Table capacity is required'],
+    min: [1, 'A table must seat at least 1 guest'],
+    max: [20, 'Maximum 20 seats per table']
+  },
+
+  zone: {
+    type: String,
+    enum: ['indoor', 'outdoor'],
+    default: 'indoor'
+  },
+
+  // Whether this table can be pushed together with others in the same zone
+  combinable: {
+    type: Boolean,
+    default: false
+  },
+
+  // Inactive tables stay in the floor plan but are never assigned
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+tableSchema.index({ restaurantId: 1, tableNumber: 1 }, { unique: true });
+tableSchema.index({ restaurantId: 1, zone: 1, isActive: 1 });
+
+const Table = mongoose.model('Table', tableSchema);
+
+module.exports = Table;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Table Hold Schema for reservations in progress
+ * While a booking is being saved, each of its tables is held for every
+ * slot (slotIntervalMinutes) its stay touches. The unique index lets only
+ * one request hold a table at a time, so two guests can't be given the same
+ * table by requests racing between the availability check and the save.
+ * Holds are released as soon as the booking is saved; MongoDB removes any a
+ * crashed server left behind once expiresAt passes (TTL index).
+ */
+const tableHoldSchema = new mongoose.Schema({
+  // Groups the holds taken by one reservation attempt
+  holdId: {
+    type: String,
+    required: true
+  },
+
+  // Venue the table belongs to (null for the single configured restaurant)
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    default: null
+  },
+
+  // As in Table and Booking.assignedTables, e.g. "T1"
+  tableNumber: {
+    type: String,
+    required: true
+  },
+
+  // Start of the restaurant's calendar day
+  bookingDate: {
+    type: Date,
+    required: true
+  },
+
+  // Start of the held slot, in minutes since midnight
+  slotMinutes: {
+    type: Number,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+
+}, {
+  timestamps: true
+});
+
+tableHoldSchema.index({ restaurantId: 1, tableNumber: 1, bookingDate: 1, slotMinutes: 1 }, { unique: true });
+tableHoldSchema.index({ holdId: 1 });
+tableHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TableHold = mongoose.model('TableHold', tableHoldSchema);
+
+module.exports = TableHold;
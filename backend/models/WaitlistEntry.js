@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * Waitlist Entry Schema
+ * A party waiting for a table on a day that was full when they asked.
+ * When capacity frees up the entry is offered a pending booking,
+ * which becomes confirmed once the guest accepts.
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `WL-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+  },
+
+  // Venue the entry belongs to (null for the single configured restaurant)
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    default: null
+  },
+
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true
+  },
+
+  numberOfGuests: {
+    type: Number,
+    required: [true, 'Number of guests is required'],
+    min: [1, 'At least 1 guest is required'],
+    max: [20, 'Maximum 20 guests allowed']
+  },
+
+  bookingDate: {
+    type: Date,
+    required: [true, 'Booking date is required']
+  },
+
+  // The time the guest originally wanted
+  preferredTime: {
+    type: String,
+    required: [true, 'Preferred time is required'],
+    match: [/^\d{1,2}:\d{2}\s*(AM|PM)?$/i, 'Please provide a valid time (e.g., 8:00 PM or 20:00)']
+  },
+
+  // How far from the preferred time the guest is happy to be seated (minutes)
+  flexibilityMinutes: {
+    type: Number,
+    min: 0,
+    max: 240,
+    default: 60
+  },
+
+  cuisinePreference: {
+    type: String,
+    enum: ['Italian', 'Chinese', 'Indian', 'Mexican', 'Japanese', 'Continental', 'Any'],
+    default: 'Any'
+  },
+
+  seatingPreference: {
+    type: String,
+    enum: ['indoor', 'outdoor', 'any'],
+    default: 'any'
+  },
+
+  specialRequests: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // Pending booking created when a table opened up
+  offeredBookingId: {
+    type: String,
+    default: null
+  },
+
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ restaurantId: 1, bookingDate: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getAvailability } = require('../controllers/availabilityController');
+
+/**
+ * Availability Routes
+ * Base path: /api/availability
+ */
+
+// GET /api/availability?date=2024-12-25&guests=4&seating=outdoor
+// Get open time slots for a party
+router.get('/', getAvailability);
+
+module.exports = router;
@@ -4,8 +4,10 @@ const {
   createBooking,
   getAllBookings,
   getBookingById,
+  getBookingCalendar,
   cancelBooking,
   updateBooking,
+  respondToReminder,
   chatBooking
 } = require('../controllers/bookingController');
 
@@ -30,10 +32,19 @@ router.get('/', getAllBookings);
 // Get a specific booking by ID
 router.get('/:id', getBookingById);
 
+// GET /api/bookings/:id/calendar.ics
+// The booking as an iCalendar event, for the guest's calendar
+router.get('/:id/calendar.ics', getBookingCalendar);
+
 // PUT /api/bookings/:id
 // Update a booking
 router.put('/:id', updateBooking);
 
+// GET/POST /api/bookings/:id/respond
+// A guest confirming or cancelling from a reminder link (?answer=confirm|cancel&token=...)
+router.get('/:id/respond', respondToReminder);
+router.post('/:id/respond', respondToReminder);
+
 // DELETE /api/bookings/:id
 // Cancel a booking
 router.delete('/:id', cancelBooking);
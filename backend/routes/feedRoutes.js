@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { getBookingsFeed } = require('../controllers/feedController');
+const { verifyFeedToken } = require('../middleware/feedAuth');
+
+/**
+ * Calendar Feed Routes
+ * Base path: /api/feeds
+ * :token is CALENDAR_FEED_TOKEN
+ */
+
+// GET /api/feeds/:token/bookings.ics
+// Subscribe to confirmed bookings (optional filters: ?date=2024-12-10&customerName=...)
+router.get('/:token/bookings.ics', verifyFeedToken, getBookingsFeed);
+
+module.exports = router;
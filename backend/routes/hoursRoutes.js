@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getOpeningHours,
+  getClosures,
+  createClosure,
+  deleteClosure
+} = require('../controllers/hoursController');
+
+/**
+ * Opening Hours Routes
+ * Base path: /api/hours
+ */
+
+// GET /api/hours
+// Weekly opening hours and upcoming closures
+router.get('/', getOpeningHours);
+
+// GET /api/hours/closures?from=2024-12-01&to=2024-12-31
+// List closures
+router.get('/closures', getClosures);
+
+// POST /api/hours/closures
+// Add a holiday or private-event closure
+router.post('/closures', createClosure);
+
+// DELETE /api/hours/closures/:id
+// Remove a closure
+router.delete('/closures/:id', deleteClosure);
+
+module.exports = router;
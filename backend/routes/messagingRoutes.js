@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { receiveMessage } = require('../controllers/messagingController');
+const { verifyTelephonySignature } = require('../middleware/telephonyAuth');
+
+/**
+ * Messaging Routes (SMS/WhatsApp webhooks)
+ * Base path: /api/messaging
+ */
+
+router.use(verifyTelephonySignature);
+
+// POST /api/messaging/inbound
+// A guest texted us (optional: ?restaurant=<id or slug>)
+router.post('/inbound', receiveMessage);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllRestaurants,
+  getRestaurantById,
+  createRestaurant,
+  updateRestaurant,
+  deactivateRestaurant
+} = require('../controllers/restaurantController');
+const { loadVenue } = require('../middleware/venue');
+const bookingRoutes = require('./bookingRoutes');
+const tableRoutes = require('./tableRoutes');
+const availabilityRoutes = require('./availabilityRoutes');
+const hoursRoutes = require('./hoursRoutes');
+const waitlistRoutes = require('./waitlistRoutes');
+const weatherRoutes = require('./weatherRoutes');
+const feedRoutes = require('./feedRoutes');
+
+/**
+ * Restaurant Routes
+ * Base path: /api/restaurants
+ * :restaurantId is the restaurant's _id or slug
+ */
+
+// GET /api/restaurants
+// List venues (optional filter: ?active=true)
+router.get('/', getAllRestaurants);
+
+// POST /api/restaurants
+// Add a venue
+router.post('/', createRestaurant);
+
+// GET /api/restaurants/:restaurantId
+// Get a venue
+router.get('/:restaurantId', getRestaurantById);
+
+// PUT /api/restaurants/:restaurantId
+// Update a venue
+router.put('/:restaurantId', updateRestaurant);
+
+// DELETE /api/restaurants/:restaurantId
+// Stop taking bookings for a venue
+router.delete('/:restaurantId', deactivateRestaurant);
+
+// Everything else, scoped to one venue:
+// /api/restaurants/:restaurantId/bookings, /tables, /availability, /hours, /waitlist, /weather, /feeds
+router.use('/:restaurantId/bookings', loadVenue, bookingRoutes);
+router.use('/:restaurantId/tables', loadVenue, tableRoutes);
+router.use('/:restaurantId/availability', loadVenue, availabilityRoutes);
+router.use('/:restaurantId/hours', loadVenue, hoursRoutes);
+router.use('/:restaurantId/waitlist', loadVenue, waitlistRoutes);
+router.use('/:restaurantId/weather', loadVenue, weatherRoutes);
+router.use('/:restaurantId/feeds', loadVenue, feedRoutes);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllTables,
+  createTable,
+  updateTable,
+  deactivateTable
+} = require('../controllers/tableController');
+
+/**
+ * Table Routes
+ * Base path: /api/tables
+ */
+
+// GET /api/tables
+// List tables (optional filters: ?zone=outdoor&active=true)
+router.get('/', getAllTables);
+
+// POST /api/tables
+// Add a table to the floor plan
+router.post('/', createTable);
+
+// PUT /api/tables/:tableNumber
+// Update a table
+router.put('/:tableNumber', updateTable);
+
+// DELETE /api/tables/:tableNumber
+// Take a table out of service
+router.delete('/:tableNumber', deactivateTable);
+
+module.exports = router;
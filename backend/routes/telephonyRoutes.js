@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  startCall,
+  gatherSpeech,
+  callStatus
+} = require('../controllers/telephonyController');
+const { verifyTelephonySignature } = require('../middleware/telephonyAuth');
+
+/**
+ * Telephony Routes (TwiML webhooks for the phone carrier)
+ * Base path: /api/telephony
+ */
+
+router.use(verifyTelephonySignature);
+
+// POST /api/telephony/voice
+// Incoming call (optional: ?restaurant=<id or slug>)
+router.post('/voice', startCall);
+
+// POST /api/telephony/gather
+// What the caller said
+router.post('/gather', gatherSpeech);
+
+// POST /api/telephony/status
+// Call status callback (hangup)
+router.post('/status', callStatus);
+
+module.exports = router;
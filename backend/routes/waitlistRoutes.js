@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const {
+  joinWaitlist,
+  getWaitlist,
+  getWaitlistEntry,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+
+/**
+ * Waitlist Routes
+ * Base path: /api/waitlist
+ */
+
+// POST /api/waitlist
+// Join the waitlist
+router.post('/', joinWaitlist);
+
+// GET /api/waitlist
+// List entries (optional filters: ?status=waiting&date=2024-12-10)
+router.get('/', getWaitlist);
+
+// GET /api/waitlist/:id
+// Get a specific entry
+router.get('/:id', getWaitlistEntry);
+
+// POST /api/waitlist/:id/accept
+// Accept an offered table
+router.post('/:id/accept', acceptOffer);
+
+// POST /api/waitlist/:id/decline
+// Decline an offered table
+router.post('/:id/decline', declineOffer);
+
+// DELETE /api/waitlist/:id
+// Leave the waitlist
+router.delete('/:id', leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// backend/scripts/simulateCall.js
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseTwiml } = require('../utils/twiml');
+const { computeSignature } = require('../middleware/telephonyAuth');
+
+/**
+ * Local call simulator
+ * Plays a scripted phone call against the telephony webhooks of a running
+ * server, the way a carrier would: it POSTs the call, reads the TwiML back,
+ * and answers each <Gather> with the next line of the script.
+ *
+ * Usage: npm run simulate-call -- [script.txt] [--url http://localhost:5000] [--restaurant slug] [--from +919800000000]
+ * Scripts have one caller line per line; "..." is silence and # starts a comment.
+ */
+
+const DEFAULT_SCRIPT = path.join(__dirname, 'calls', 'book-a-table.txt');
+const SILENCE = '...';
+
+const parseArgs = (argv) => {
+  const options = {
+    script: DEFAULT_SCRIPT,
+    url: `http://localhost:${process.env.PORT || 5000}`,
+    restaurant: null,
+    from: '+919800000000'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.script = arg;
+    }
+  }
+
+  return options;
+};
+
+const readScript = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'));
+
+/**
+ * POST form fields to a webhook like the carrier does, signed when TELEPHONY_AUTH_TOKEN is set
+ * @returns {Promise<String>} The TwiML answer
+ */
+const postWebhook = async (url, params) => {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (process.env.TELEPHONY_AUTH_TOKEN) {
+    headers['X-Twilio-Signature'] = computeSignature(process.env.TELEPHONY_AUTH_TOKEN, url, params);
+  }
+
+  const response = await fetch(url, { method: 'POST', headers, body: new URLSearchParams(params) });
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}: ${await response.text()}`);
+  }
+
+  return response.text();
+};
+
+async function simulateCall(options) {
+  const lines = readScript(options.script);
+  const callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+  const call = { CallSid: callSid, From: options.from, To: '+910000000000' };
+
+  const voiceUrl = new URL('/api/telephony/voice', options.url);
+  if (options.restaurant) voiceUrl.searchParams.set('restaurant', options.restaurant);
+
+  console.log(`📞 Calling ${voiceUrl.href} (${path.basename(options.script)}, ${callSid})\n`);
+
+  let next = { url: voiceUrl.href, params: { ...call, CallStatus: 'ringing' } };
+  let outcome = 'caller hung up (end of script)';
+
+  while (next) {
+    const verbs = parseTwiml(await postWebhook(next.url, next.params));
+    next = null;
+
+    for (const { verb, attributes, text, children } of verbs) {
+      if (verb === 'Say') {
+        console.log(`🤖 Agent:  ${text}`);
+      } else if (verb === 'Gather') {
+        children.filter(child => child.verb === 'Say').forEach(child => console.log(`🤖 Agent:  ${child.text}`));
+
+        if (lines.length === 0) break;
+        const line = lines.shift();
+
+        // Silence: nothing is gathered and the call moves on to the next verb
+        if (line === SILENCE) {
+          console.log('📞 Caller: (silence)');
+          continue;
+        }
+
+        console.log(`📞 Caller: ${line}`);
+        next = { url: new URL(attributes.action, options.url).href, params: { ...call, SpeechResult: line, Confidence: '0.9' } };
+        break;
+      } else if (verb === 'Redirect') {
+        next = { url: new URL(text, options.url).href, params: { ...call } };
+        break;
+      } else if (verb === 'Dial') {
+        outcome = `transferred to ${text}`;
+        break;
+      } else if (verb === 'Hangup') {
+        outcome = 'agent hung up';
+        break;
+      }
+    }
+  }
+
+  await postWebhook(new URL('/api/telephony/status', options.url).href, { ...call, CallStatus: 'completed' });
+  console.log(`\n📴 Call over: ${outcome}`);
+}
+
+simulateCall(parseArgs(process.argv.slice(2))).catch(error => {
+  console.error('❌ Call failed:', error.message);
+  process.exit(1);
+});
@@ -4,10 +4,24 @@ const http = require('http');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const WebSocketServer = require('./websocket');
+const restaurantService = require('./services/restaurantService');
+const telephonyService = require('./services/telephonyService');
+const messagingService = require('./services/messagingService');
+const jobScheduler = require('./services/jobScheduler');
+require('./services/reminderService'); // registers the booking_reminder job
+const { useDefaultVenue } = require('./middleware/venue');
 
 // Import routes
 const bookingRoutes = require('./routes/bookingRoutes');
 const weatherRoutes = require('./routes/weatherRoutes');
+const tableRoutes = require('./routes/tableRoutes');
+const availabilityRoutes = require('./routes/availabilityRoutes');
+const hoursRoutes = require('./routes/hoursRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const restaurantRoutes = require('./routes/restaurantRoutes');
+const telephonyRoutes = require('./routes/telephonyRoutes');
+const messagingRoutes = require('./routes/messagingRoutes');
+const feedRoutes = require('./routes/feedRoutes');
 
 // Initialize Express app
 const app = express();      
@@ -22,7 +36,9 @@ app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Request logging middleware
 app.use((req, res, next) => {
-  console.log(`${req.method} ${req.path} - ${new Date().toISOString()}`);
+  // Feed URLs carry a secret token; keep it out of the log
+  const path = req.path.replace(/\/feeds\/[^/]+\//, '/feeds/***/');
+  console.log(`${req.method} ${path} - ${new Date().toISOString()}`);
   next();
 });
 
@@ -34,6 +50,14 @@ app.get('/', (req, res) => {
     endpoints: {
       bookings: '/api/bookings',
       weather: '/api/weather',
+      tables: '/api/tables',
+      availability: '/api/availability',
+      hours: '/api/hours',
+      waitlist: '/api/waitlist',
+      restaurants: '/api/restaurants',
+      telephony: '/api/telephony/voice',
+      messaging: '/api/messaging/inbound',
+      feeds: '/api/feeds/:token/bookings.ics',
       health: '/api/health',
       websocket: 'ws://localhost:5000/ws'
     }
@@ -52,8 +76,21 @@ app.get('/api/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/bookings', bookingRoutes);
-app.use('/api/weather', weatherRoutes);
+// Venue-scoped: /api/restaurants/:restaurantId/bookings etc.
+app.use('/api/restaurants', restaurantRoutes);
+
+// Un-prefixed routes serve the restaurant configured in config/restaurant.js
+app.use('/api/bookings', useDefaultVenue, bookingRoutes);
+app.use('/api/weather', useDefaultVenue, weatherRoutes);
+app.use('/api/tables', useDefaultVenue, tableRoutes);
+app.use('/api/availability', useDefaultVenue, availabilityRoutes);
+app.use('/api/hours', useDefaultVenue, hoursRoutes);
+app.use('/api/waitlist', useDefaultVenue, waitlistRoutes);
+app.use('/api/feeds', useDefaultVenue, feedRoutes);
+
+// Phone calls (TwiML webhooks), driven by the same conversation engine as /ws
+app.use('/api/telephony', telephonyRoutes);
+app.use('/api/messaging', messagingRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -80,6 +117,23 @@ const server = http.createServer(app);
 
 // Initialize WebSocket server
 const wsServer = new WebSocketServer(server);
+telephonyService.attach(wsServer);
+messagingService.attach(wsServer);
+
+// Release waitlist offers nobody accepted in time, at every venue
+setInterval(async () => {
+  try {
+    const venues = await restaurantService.getAllVenues();
+    for (const venue of venues) {
+      await venue.waitlistService.expireOffers();
+    }
+  } catch (error) {
+    console.error('Waitlist expiry error:', error.message);
+  }
+}, 60 * 1000).unref();
+
+// Send guest reminders (and any other scheduled jobs) as they fall due
+jobScheduler.start();
 
 // Start server
 const PORT = process.env.PORT || 5000;
@@ -98,7 +152,15 @@ server.listen(PORT, () => {
   console.log(`   GET  http://localhost:${PORT}/api/bookings`);
   console.log(`   POST http://localhost:${PORT}/api/bookings/chat`);
   console.log(`   GET  http://localhost:${PORT}/api/weather`);
-  console.log(`   WS   ws://localhost:${PORT}/ws`);
+  console.log(`   GET  http://localhost:${PORT}/api/tables`);
+  console.log(`   GET  http://localhost:${PORT}/api/availability`);
+  console.log(`   GET  http://localhost:${PORT}/api/hours`);
+  console.log(`   POST http://localhost:${PORT}/api/waitlist`);
+  console.log(`   GET  http://localhost:${PORT}/api/restaurants`);
+  console.log(`   GET  http://localhost:${PORT}/api/restaurants/:id/bookings`);
+  console.log(`   POST http://localhost:${PORT}/api/telephony/voice`);
+  console.log(`   POST http://localhost:${PORT}/api/messaging/inbound`);
+  console.log(`   WS   ws://localhost:${PORT}/ws?restaurant=<id or slug>`);
   console.log('\n💡 Press Ctrl+C to stop the server\n');
 });
 
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Table = require('../models/Table');
+const TableHold = require('../models/TableHold');
+const openingHoursService = require('./openingHoursService');
+const restaurantConfig = require('../config/restaurant');
+const { toMinutes, formatMinutes } = require('../utils/timeParser');
+const { getZonedDayRange } = require('../utils/timezone');
+
+// How many times a reservation looks for other tables after losing a race for its first choice
+const MAX_RESERVE_ATTEMPTS = 3;
+
+// Holds outlive a crashed request by this long at most
+const HOLD_SECONDS = 60;
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+/**
+ * Availability Service
+ * Decides whether a party fits into the floor plan at a given time
+ * and which table (or combination of tables) it should get
+ */
+class AvailabilityService {
+  constructor(config = restaurantConfig, { openingHours = openingHoursService } = {}) {
+    this.config = config;
+    this.openingHours = openingHours;
+  }
+
+  /**
+   * The same service for another venue's settings and opening hours
+   */
+  forRestaurant(config, services) {
+    return new AvailabilityService(config, services);
+  }
+
+  /**
+   * Start and end of the restaurant's calendar day containing `date`
+   */
+  getDayRange(date) {
+    return getZonedDayRange(date, this.config.timeZone);
+  }
+
+  /**
+   * All tables that can currently be assigned
+   */
+  async getActiveTables() {
+    return Table.find({ restaurantId: this.config.restaurantId, isActive: true }).lean();
+  }
+
+  /**
+   * Bookings on the same day that still hold tables
+   */
+  async getBookingsForDay(date, excludeBookingId = null) {
+    const { start, end } = this.getDayRange(date);
+
+    const filter = {
+      restaurantId: this.config.restaurantId,
+      bookingDate: { $gte: start, $lt: end },
+      status: { $in: ['pending', 'confirmed'] }
+    };
+
+    if (excludeBookingId) {
+      filter.bookingId = { $ne: excludeBookingId };
+    }
+
+    return Booking.find(filter).lean();
+  }
+
+  /**
+   * Table numbers occupied by bookings overlapping [startMinutes, startMinutes + duration)
+   */
+  getBusyTables(bookings, startMinutes, durationMinutes) {
+    const busy = new Set();
+
+    for (const booking of bookings) {
+      const bookingStart = toMinutes(booking.bookingTime);
+      if (bookingStart === null) continue;
+
+      const bookingEnd = bookingStart + (booking.durationMinutes || this.config.diningDurationMinutes);
+      const overlaps = bookingStart < startMinutes + durationMinutes && startMinutes < bookingEnd;
+
+      if (overlaps) {
+        (booking.assignedTables || []).forEach(tableNumber => busy.add(tableNumber));
+      }
+    }
+
+    return busy;
+  }
+
+  /**
+   * Pick the tables that seat the party with the fewest empty chairs
+   * Prefers a single table; falls back to combinable tables in the same zone
+   * @param {Array} freeTables - Tables not occupied at the requested time
+   * @param {Number} guests - Party size
+   * @param {String} seatingPreference - 'indoor', 'outdoor' or 'any'
+   * @returns {Array|null} Tables to assign, or null if the party doesn't fit
+   */
+  findTableAssignment(freeTables, guests, seatingPreference = 'any') {
+    const zones = seatingPreference === 'indoor' || seatingPreference === 'outdoor'
+      ? [seatingPreference]
+      : ['indoor', 'outdoor'];
+
+    let best = null;
+    const isBetter = (candidate) => {
+      if (!best) return true;
+      const seats = candidate.reduce((sum, t) => sum + t.capacity, 0);
+      const bestSeats = best.reduce((sum, t) => sum + t.capacity, 0);
+      if (seats !== bestSeats) return seats < bestSeats;
+      return candidate.length < best.length;
+    };
+
+    for (const zone of zones) {
+      const zoneTables = freeTables
+        .filter(table => (table.zone || 'indoor') === zone)
+        .sort((a, b) => a.capacity - b.capacity);
+
+      // Single table that fits
+      const single = zoneTables.find(table => table.capacity >= guests);
+      if (single && isBetter([single])) {
+        best = [single];
+      }
+
+      // Combinations of combinable tables
+      const combinable = zoneTables.filter(table => table.combinable);
+      const search = (startIndex, chosen, seats) => {
+        if (chosen.length >= 2 && seats >= guests) {
+          if (isBetter(chosen)) best = [...chosen];
+          return;
+        }
+        if (chosen.length >= this.config.maxCombinedTables) return;
+
+        for (let i = startIndex; i < combinable.length; i++) {
+          chosen.push(combinable[i]);
+          search(i + 1, chosen, seats + combinable[i].capacity);
+          chosen.pop();
+        }
+      };
+      search(0, [], 0);
+    }
+
+    return best;
+  }
+
+  /**
+   * Build a function that returns the table assignment for a start time (or null)
+   * Tables and bookings are loaded once so many slots can be checked cheaply
+   */
+  createSlotChecker(tables, bookings, numberOfGuests, seatingPreference = 'any') {
+    const durationMinutes = this.config.diningDurationMinutes;
+    const guests = Number(numberOfGuests);
+
+    return (minutes) => {
+      const busy = this.getBusyTables(bookings, minutes, durationMinutes);
+      const freeTables = tables.filter(table => !busy.has(table.tableNumber));
+      return this.findTableAssignment(freeTables, guests, seatingPreference);
+    };
+  }
+
+  /**
+   * All start times on a day where the party can still be seated
+   * @param {Object} query - { bookingDate, numberOfGuests, seatingPreference }
+   * @returns {Array<String>} Open times as "HH:MM"
+   */
+  async getOpenSlots({ bookingDate, numberOfGuests, seatingPreference = 'any' }) {
+    const slots = await this.openingHours.getBookableSlots(bookingDate);
+    const tables = await this.getActiveTables();
+
+    if (tables.length === 0) {
+      return slots.map(minutes => formatMinutes(minutes));
+    }
+
+    const bookings = await this.getBookingsForDay(bookingDate);
+    const assignmentAt = this.createSlotChecker(tables, bookings, numberOfGuests, seatingPreference);
+
+    return slots
+      .filter(minutes => assignmentAt(minutes))
+      .map(minutes => formatMinutes(minutes));
+  }
+
+  /**
+   * Open slots closest to a requested time (used for suggestions)
+   */
+  nearestSlots(openSlots, requestedTime, count = 3) {
+    const requested = toMinutes(requestedTime);
+    if (requested === null) return openSlots.slice(0, count);
+
+    return [...openSlots]
+      .sort((a, b) => Math.abs(toMinutes(a) - requested) - Math.abs(toMinutes(b) - requested))
+      .slice(0, count)
+      .sort((a, b) => toMinutes(a) - toMinutes(b));
+  }
+
+  /**
+   * Check whether a party can be seated and suggest alternatives if not
+   * @param {Object} request - { bookingDate, bookingTime, numberOfGuests, seatingPreference, excludeBookingId,
+   *   excludeTables: table numbers not to offer }
+   * @returns {Object} { available, tables, durationMinutes, alternatives }
+   */
+  async checkAvailability({
+    bookingDate,
+    bookingTime,
+    numberOfGuests,
+    seatingPreference = 'any',
+    excludeBookingId = null,
+    excludeTables = []
+  }) {
+    const durationMinutes = this.config.diningDurationMinutes;
+    const startMinutes = toMinutes(bookingTime);
+
+    if (startMinutes === null) {
+      const error = new Error(`Invalid booking time: "${bookingTime}"`);
+      error.status = 400;
+      throw error;
+    }
+
+    const activeTables = await this.getActiveTables();
+
+    // No floor plan configured yet - nothing to enforce
+    if (activeTables.length === 0) {
+      console.warn('⚠️  No tables configured, skipping capacity check');
+      return { available: true, tables: [], durationMinutes, alternatives: [] };
+    }
+
+    const tables = activeTables.filter(table => !excludeTables.includes(table.tableNumber));
+
+    const bookings = await this.getBookingsForDay(bookingDate, excludeBookingId);
+    const assignmentAt = this.createSlotChecker(tables, bookings, numberOfGuests, seatingPreference);
+
+    const assignment = assignmentAt(startMinutes);
+    if (assignment) {
+      return {
+        available: true,
+        tables: assignment.map(table => table.tableNumber),
+        durationMinutes,
+        alternatives: []
+      };
+    }
+
+    // Look for the nearest open times on the same day, within opening hours
+    const bookableSlots = await this.openingHours.getBookableSlots(bookingDate);
+    const alternatives = bookableSlots
+      .filter(minutes => minutes !== startMinutes)
+      .filter(minutes => Math.abs(minutes - startMinutes) <= this.config.alternativeWindowMinutes)
+      .sort((a, b) => Math.abs(a - startMinutes) - Math.abs(b - startMinutes))
+      .filter(minutes => assignmentAt(minutes))
+      .slice(0, 3)
+      .sort((a, b) => a - b)
+      .map(minutes => formatMinutes(minutes));
+
+    return {
+      available: false,
+      tables: [],
+      durationMinutes,
+      alternatives
+    };
+  }
+
+  /**
+   * Start minutes of every slot a stay of [startMinutes, startMinutes + duration) touches
+   * Two overlapping stays always share at least one of these slots.
+   */
+  slotsCovered(startMinutes, durationMinutes) {
+    const interval = this.config.slotIntervalMinutes;
+    const slots = [];
+
+    for (let minutes = Math.floor(startMinutes / interval) * interval; minutes < startMinutes + durationMinutes; minutes += interval) {
+      slots.push(minutes);
+    }
+
+    return slots;
+  }
+
+  /**
+   * Hold tables for a stay so no other reservation can take them meanwhile
+   * @returns {Object} { holdId } or, when another reservation holds some of them, { conflicts: table numbers }
+   */
+  async holdTables({ bookingDate, bookingTime, tables, durationMinutes }) {
+    const holdId = crypto.randomUUID();
+    const { start } = this.getDayRange(bookingDate);
+    const expiresAt = new Date(Date.now() + HOLD_SECONDS * 1000);
+
+    const holds = tables.flatMap(tableNumber => this.slotsCovered(toMinutes(bookingTime), durationMinutes)
+      .map(slotMinutes => ({
+        holdId,
+        restaurantId: this.config.restaurantId,
+        tableNumber,
+        bookingDate: start,
+        slotMinutes,
+        expiresAt
+      })));
+
+    if (holds.length === 0) return { holdId };
+
+    try {
+      await TableHold.insertMany(holds, { ordered: true });
+      return { holdId };
+    } catch (error) {
+      await this.releaseHold(holdId);
+      if (!isDuplicateKey(error)) throw error;
+
+      const held = await TableHold.find({
+        restaurantId: this.config.restaurantId,
+        bookingDate: start,
+        tableNumber: { $in: tables },
+        slotMinutes: { $in: holds.map(hold => hold.slotMinutes) }
+      }).lean();
+
+      const conflicts = [...new Set(held.map(hold => hold.tableNumber))];
+      // The other hold may be gone already; treat all our tables as taken for this attempt
+      return { conflicts: conflicts.length > 0 ? conflicts : tables };
+    }
+  }
+
+  /**
+   * Let go of the tables held by holdTables
+   */
+  async releaseHold(holdId) {
+    await TableHold.deleteMany({ holdId });
+  }
+
+  /**
+   * The 409 for a party that doesn't fit, with the nearest open times
+   */
+  slotFullError(request, alternatives) {
+    const suggestion = alternatives.length > 0
+      ? ` Available times: ${alternatives.join(', ')}.`
+      : ' There are no nearby times available that day.';
+
+    const error = new Error(
+      `Sorry, we don't have a table for ${request.numberOfGuests} at ${request.bookingTime}.${suggestion}`
+    );
+    error.status = 409;
+    error.code = 'SLOT_FULL';
+    error.alternatives = alternatives;
+    return error;
+  }
+
+  /**
+   * Assign tables to a party and save its booking while they're held
+   * The tables are held, re-checked against bookings saved since the check, and
+   * only then handed to `save`; tables another request got first are skipped
+   * and the next best assignment is tried.
+   * @param {Object} request - As for checkAvailability
+   * @param {Function} save - async ({ tables, durationMinutes }) => saved booking
+   * @returns {*} Whatever save returns
+   * @throws 409 SLOT_FULL (with alternatives) when the party doesn't fit
+   */
+  async reserveTables(request, save) {
+    const taken = [];
+
+    for (let attempt = 1; attempt <= MAX_RESERVE_ATTEMPTS; attempt++) {
+      const result = await this.checkAvailability({ ...request, excludeTables: taken });
+
+      if (!result.available) {
+        throw this.slotFullError(request, result.alternatives);
+      }
+
+      const { tables, durationMinutes } = result;
+      const hold = await this.holdTables({ ...request, tables, durationMinutes });
+
+      if (hold.conflicts) {
+        taken.push(...hold.conflicts);
+        continue;
+      }
+
+      try {
+        // A booking saved between our check and our hold has already released its own hold
+        const bookings = await this.getBookingsForDay(request.bookingDate, request.excludeBookingId);
+        const busy = this.getBusyTables(bookings, toMinutes(request.bookingTime), durationMinutes);
+        const clashes = tables.filter(tableNumber => busy.has(tableNumber));
+
+        if (clashes.length > 0) {
+          taken.push(...clashes);
+          continue;
+        }
+
+        return await save({ tables, durationMinutes });
+      } finally {
+        await this.releaseHold(hold.holdId);
+      }
+    }
+
+    throw this.slotFullError(request, []);
+  }
+}
+
+module.exports = new AvailabilityService();
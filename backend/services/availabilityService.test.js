@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const availabilityService = require('./availabilityService');
+const openingHoursService = require('./openingHoursService');
+const TableHold = require('../models/TableHold');
+const restaurantConfig = require('../config/restaurant');
+
+const config = {
+  ...restaurantConfig,
+  restaurantId: null,
+  timeZone: 'Asia/Kolkata',
+  diningDurationMinutes: 90,
+  slotIntervalMinutes: 15,
+  alternativeWindowMinutes: 120,
+  maxCombinedTables: 3
+};
+
+const table = (tableNumber, capacity, zone = 'indoor', combinable = false) => ({ tableNumber, capacity, zone, combinable });
+
+// 18:00-21:00 every 15 minutes
+const eveningSlots = Array.from({ length: 13 }, (_, i) => 18 * 60 + i * 15);
+
+/**
+ * A venue on an in-memory floor plan: bookings and holds live in arrays,
+ * and holds are unique per table and slot like the TableHold index
+ */
+function venue(t, tables) {
+  const availability = availabilityService.forRestaurant(config, {
+    openingHours: { getBookableSlots: async () => eveningSlots }
+  });
+  const bookings = [];
+  const holds = [];
+
+  t.mock.method(availability, 'getActiveTables', async () => tables);
+  t.mock.method(availability, 'getBookingsForDay', async (date, excludeBookingId) =>
+    bookings.filter(booking => booking.bookingId !== excludeBookingId));
+
+  const sameSlot = (a, b) => a.tableNumber === b.tableNumber && a.slotMinutes === b.slotMinutes;
+  t.mock.method(TableHold, 'insertMany', async (docs) => {
+    for (const doc of docs) {
+      await null;
+      // Cast like the real insert, so a hold reads back the way MongoDB stores it
+      const hold = new TableHold(doc);
+      const invalid = hold.validateSync();
+      if (invalid) throw invalid;
+      if (holds.some(existing => sameSlot(existing, hold))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      holds.push(hold.toObject());
+    }
+  });
+  t.mock.method(TableHold, 'find', (filter) => {
+    // Query values are cast to the schema's types too
+    const tableNumbers = filter.tableNumber.$in.map(tableNumber => new TableHold({ tableNumber }).tableNumber);
+    return {
+      lean: async () => holds.filter(hold => tableNumbers.includes(hold.tableNumber) && filter.slotMinutes.$in.includes(hold.slotMinutes))
+    };
+  });
+  t.mock.method(TableHold, 'deleteMany', async ({ holdId }) => {
+    holds.splice(0, holds.length, ...holds.filter(hold => hold.holdId !== holdId));
+  });
+
+  // Saving takes a moment, like a round trip to the database
+  const save = (bookingTime) => async ({ tables: assignedTables, durationMinutes }) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const booking = { bookingId: `BK-${bookings.length + 1}`, bookingTime, assignedTables, durationMinutes, status: 'confirmed' };
+    bookings.push(booking);
+    return booking;
+  };
+
+  return { availability, bookings, holds, save };
+}
+
+const request = (bookingTime, numberOfGuests = 4, extra = {}) => ({
+  bookingDate: new Date('2026-10-23T00:00:00+05:30'),
+  bookingTime,
+  numberOfGuests,
+  seatingPreference: 'any',
+  ...extra
+});
+
+test('the smallest table that fits wins, then the fewest tables', () => {
+  const tables = [table('T1', 2), table('T2', 4), table('T3', 6), table('T4', 2, 'indoor', true), table('T5', 2, 'indoor', true), table('T6', 4, 'outdoor')];
+  const numbers = (assignment) => assignment && assignment.map(t => t.tableNumber);
+
+  assert.deepEqual(numbers(availabilityService.findTableAssignment(tables, 3)), ['T2']);
+  assert.deepEqual(numbers(availabilityService.findTableAssignment(tables, 5)), ['T3']);
+  assert.deepEqual(numbers(availabilityService.findTableAssignment(tables, 4, 'outdoor')), ['T6']);
+  assert.equal(availabilityService.findTableAssignment(tables, 5, 'outdoor'), null);
+
+  // Two combinable 2-tops beat a 6-top for four
+  assert.deepEqual(numbers(availabilityService.findTableAssignment(tables.filter(t => t.tableNumber !== 'T2'), 4, 'indoor')), ['T4', 'T5']);
+
+  // Tables are only combined within a zone
+  const split = [table('T1', 4, 'indoor', true), table('T2', 4, 'outdoor', true)];
+  assert.equal(availabilityService.findTableAssignment(split, 8), null);
+});
+
+test('a table is busy while an earlier booking is still dining and free once it leaves', () => {
+  const bookings = [
+    { bookingTime: '18:00', assignedTables: ['T1'], durationMinutes: 90 },
+    { bookingTime: '20:00', assignedTables: ['T2', 'T3'] },
+    { bookingTime: 'whenever', assignedTables: ['T4'] }
+  ];
+  const busyAt = (time, duration = 90) => [...availabilityService.getBusyTables(bookings, time, duration)].sort();
+
+  assert.deepEqual(busyAt(17 * 60), ['T1']);
+  assert.deepEqual(busyAt(19 * 60 + 15), ['T1', 'T2', 'T3']);
+  assert.deepEqual(busyAt(19 * 60 + 30), ['T2', 'T3']);
+  assert.deepEqual(busyAt(18 * 60 + 30, 30), ['T1']);
+  assert.deepEqual(busyAt(16 * 60 + 30), []);
+  assert.deepEqual(busyAt(21 * 60 + 30), []);
+});
+
+test('a stay holds every slot it touches', () => {
+  assert.deepEqual(availabilityService.slotsCovered(19 * 60, 45), [1140, 1155, 1170]);
+  assert.deepEqual(availabilityService.slotsCovered(19 * 60 + 10, 20), [1140, 1155]);
+});
+
+test('two guests booking the same table at once get different tables', async (t) => {
+  const { availability, bookings, holds, save } = venue(t, [table('T1', 4), table('T2', 4)]);
+
+  const [first, second] = await Promise.all([
+    availability.reserveTables(request('19:00'), save('19:00')),
+    availability.reserveTables(request('19:15'), save('19:15'))
+  ]);
+
+  assert.notDeepEqual(first.assignedTables, second.assignedTables);
+  assert.deepEqual([...first.assignedTables, ...second.assignedTables].sort(), ['T1', 'T2']);
+  assert.equal(bookings.length, 2);
+  assert.equal(holds.length, 0);
+});
+
+test('when two guests race for the last table only one gets it', async (t) => {
+  const { availability, bookings, holds, save } = venue(t, [table('T1', 4)]);
+
+  const results = await Promise.allSettled([
+    availability.reserveTables(request('19:00'), save('19:00')),
+    availability.reserveTables(request('19:00'), save('19:00'))
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  const { reason } = results.find(result => result.status === 'rejected');
+  assert.equal(reason.status, 409);
+  assert.equal(reason.code, 'SLOT_FULL');
+  assert.equal(bookings.length, 1);
+  assert.equal(holds.length, 0);
+});
+
+test('tables another reservation holds are skipped for the next best ones', async (t) => {
+  for (const [held, free] of [['Patio-3', 'T7'], ['1', '2']]) {
+    await t.test(`${held} held`, async (t) => {
+      const { availability, holds, save } = venue(t, [table(held, 4), table(free, 6)]);
+      const other = await availability.holdTables({ ...request('19:00'), tables: [held], durationMinutes: 90 });
+      assert.ok(other.holdId);
+
+      const booking = await availability.reserveTables(request('19:00'), save('19:00'));
+
+      assert.deepEqual(booking.assignedTables, [free]);
+      assert.ok(holds.every(hold => hold.holdId === other.holdId));
+    });
+  }
+});
+
+test('a full slot is refused with the nearest open times', async (t) => {
+  const { availability, bookings, save } = venue(t, [table('T1', 4)]);
+  bookings.push({ bookingId: 'BK-0', bookingTime: '19:00', assignedTables: ['T1'], durationMinutes: 90, status: 'confirmed' });
+
+  await assert.rejects(availability.reserveTables(request('19:30'), save('19:30')), (error) => {
+    assert.equal(error.code, 'SLOT_FULL');
+    assert.deepEqual(error.alternatives, ['20:30', '20:45', '21:00']);
+    return true;
+  });
+
+  // Moving a booking doesn't clash with itself
+  const moved = await availability.reserveTables(request('19:30', 4, { excludeBookingId: 'BK-0' }), save('19:30'));
+  assert.deepEqual(moved.assignedTables, ['T1']);
+});
+
+test('a failed save releases the held tables', async (t) => {
+  const { availability, holds } = venue(t, [table('T1', 4)]);
+
+  await assert.rejects(
+    availability.reserveTables(request('19:00'), async () => { throw new Error('validation failed'); }),
+    /validation failed/
+  );
+  assert.equal(holds.length, 0);
+});
+
+test('open slots are the bookable times of the day where the party still fits', async (t) => {
+  const openingHours = openingHoursService.forRestaurant({
+    ...config,
+    lastSeatingMinutesBeforeClose: 60,
+    openingHours: { friday: [{ open: '12:00', close: '14:00' }, { open: '18:00', close: '21:00' }] }
+  });
+  const closures = [];
+  t.mock.method(openingHours, 'getClosuresForDay', async () => closures);
+
+  const availability = availabilityService.forRestaurant(config, { openingHours });
+  const tables = [];
+  const bookings = [];
+  t.mock.method(availability, 'getActiveTables', async () => tables);
+  t.mock.method(availability, 'getBookingsForDay', async () => bookings);
+
+  const friday = new Date('2026-10-23T00:00:00+05:30');
+  const slots = (numberOfGuests, seatingPreference) => availability.getOpenSlots({ bookingDate: friday, numberOfGuests, seatingPreference });
+
+  // Without a floor plan every time within the service periods, up to last seating
+  assert.deepEqual(await slots(2), ['12:00', '12:15', '12:30', '12:45', '13:00', '18:00', '18:15', '18:30', '18:45', '19:00', '19:15', '19:30', '19:45', '20:00']);
+
+  tables.push(table('T1', 2), table('T2', 4, 'outdoor'));
+  bookings.push({ bookingId: 'BK-1', bookingTime: '18:30', assignedTables: ['T2'], durationMinutes: 90 });
+
+  // The outdoor 4-top is taken from 18:30 to 20:00, so anything overlapping that is out
+  assert.deepEqual(await slots(4), ['12:00', '12:15', '12:30', '12:45', '13:00', '20:00']);
+  assert.deepEqual(await slots(2, 'indoor'), await slots(2));
+  assert.deepEqual(await slots(7), []);
+
+  // A private event blocks every start whose meal would run into it
+  closures.push({ startTime: '12:30', endTime: '13:30', reason: 'Private lunch' });
+  assert.deepEqual(await slots(4), ['20:00']);
+  assert.deepEqual((await slots(2)).slice(0, 2), ['18:00', '18:15']);
+});
+
+test('a closed day has no open slots', async (t) => {
+  const openingHours = openingHoursService.forRestaurant({ ...config, openingHours: { monday: [] } });
+  t.mock.method(openingHours, 'getClosuresForDay', async () => []);
+  const availability = availabilityService.forRestaurant(config, { openingHours });
+  t.mock.method(availability, 'getActiveTables', async () => [table('T1', 4)]);
+  t.mock.method(availability, 'getBookingsForDay', async () => []);
+
+  assert.deepEqual(await availability.getOpenSlots({ bookingDate: new Date('2026-10-19T00:00:00+05:30'), numberOfGuests: 2 }), []);
+});
@@ -0,0 +1,136 @@
+const { serializeCalendar } = require('../utils/ics');
+const { zonedDateTime } = require('../utils/timezone');
+const { bookingUrl } = require('../utils/publicUrl');
+
+/**
+ * Booking calendar events
+ * A booking is one iCalendar event, identified by its bookingId. Its SEQUENCE
+ * (the booking's calendarSequence) goes up whenever the guest-facing details
+ * change, so calendar apps replace the old entry instead of adding a second one.
+ * Guests get their own booking; staff subscribe to a feed of the reservation book.
+ */
+
+const SEATING_LABELS = {
+  indoor: 'Indoor',
+  outdoor: 'Outdoor',
+  any: 'No preference'
+};
+
+// How often subscribed calendar apps should re-fetch the staff feed
+const FEED_REFRESH_MINUTES = 15;
+
+const guests = (count) => `${count} guest${count === 1 ? '' : 's'}`;
+
+/**
+ * When the booking starts and ends
+ * The event lasts CALENDAR_EVENT_MINUTES, or else as long as the party holds its table.
+ */
+function bookingTimes(booking, config) {
+  const start = booking.startsAt || zonedDateTime(booking.bookingDate, booking.bookingTime, config.timeZone);
+  const minutes = config.calendarEventMinutes || booking.durationMinutes || config.diningDurationMinutes;
+
+  return {
+    start: new Date(start),
+    end: new Date(new Date(start).getTime() + minutes * 60 * 1000)
+  };
+}
+
+/**
+ * The iTIP method a booking's event can go out with
+ * REQUEST and CANCEL need an organizer (the venue's email) and an attendee (the
+ * guest's email); without both, the event is published as a plain copy instead.
+ */
+function calendarMethod(booking, config, method) {
+  return method !== 'PUBLISH' && config.email && booking.email ? method : 'PUBLISH';
+}
+
+/**
+ * The guest's calendar event for a booking
+ * Sent as an invite (REQUEST or CANCEL), it names the venue as organizer and the
+ * guest as an attendee who has already accepted - replies aren't read.
+ */
+function bookingEvent(booking, config, method = 'PUBLISH') {
+  return {
+    uid: `${booking.bookingId}@restaubot`,
+    sequence: booking.calendarSequence || 0,
+    stamp: booking.updatedAt || new Date(),
+    ...bookingTimes(booking, config),
+    summary: `Table for ${booking.numberOfGuests} at ${config.name}`,
+    description: [
+      `Booking reference: ${booking.bookingId}`,
+      `Name: ${booking.customerName}`,
+      `Guests: ${guests(booking.numberOfGuests)}`,
+      ...(booking.specialRequests ? [`Special requests: ${booking.specialRequests}`] : []),
+      ...(config.phoneNumber ? [`Questions or changes: call ${config.phoneNumber} and quote your booking reference.`] : [])
+    ].join('\n'),
+    location: [config.name, config.address].filter(Boolean).join(', '),
+    url: bookingUrl(booking, 'calendar.ics'),
+    status: booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    ...(config.email ? { organizer: { name: config.name, email: config.email } } : {}),
+    ...(method !== 'PUBLISH' ? { attendees: [{ name: booking.customerName, email: booking.email, partstat: 'ACCEPTED', rsvp: false }] } : {})
+  };
+}
+
+/**
+ * The reservation book's view of a booking: who, how many, where they sit and what they asked for
+ * Its UID is not the guest's, so a manager who booked for themselves sees both events.
+ */
+function staffEvent(booking, config) {
+  const seating = SEATING_LABELS[booking.seatingPreference] || booking.seatingPreference;
+  const tables = booking.assignedTables && booking.assignedTables.length > 0 ? booking.assignedTables.join(', ') : null;
+
+  return {
+    uid: `${booking.bookingId}-staff@restaubot`,
+    sequence: booking.calendarSequence || 0,
+    stamp: booking.updatedAt || new Date(),
+    ...bookingTimes(booking, config),
+    summary: `${booking.customerName} - ${guests(booking.numberOfGuests)}${booking.seatingPreference && booking.seatingPreference !== 'any' ? `, ${seating.toLowerCase()}` : ''}`,
+    description: [
+      `Party size: ${booking.numberOfGuests}`,
+      `Seating: ${seating}`,
+      ...(tables ? [`Tables: ${tables}`] : []),
+      ...(booking.cuisinePreference && booking.cuisinePreference !== 'Any' ? [`Cuisine: ${booking.cuisinePreference}`] : []),
+      `Special requests: ${booking.specialRequests || 'None'}`,
+      ...(booking.phoneNumber ? [`Phone: ${booking.phoneNumber}`] : []),
+      `Booking reference: ${booking.bookingId}`
+    ].join('\n'),
+    location: tables ? `${seating} - ${tables}` : (booking.seatingPreference !== 'any' ? seating : null),
+    status: 'CONFIRMED'
+  };
+}
+
+/**
+ * A subscription feed of bookings for staff calendars
+ * @param {Array} bookings - Confirmed bookings
+ */
+function bookingFeed(bookings, config) {
+  return serializeCalendar({
+    method: 'PUBLISH',
+    name: `${config.name} reservations`,
+    refreshMinutes: FEED_REFRESH_MINUTES,
+    events: bookings.map(booking => staffEvent(booking, config))
+  });
+}
+
+/**
+ * A booking as an .ics document
+ * @param {String} method - PUBLISH (a download), REQUEST (add or update it) or CANCEL;
+ *   defaults to CANCEL for cancelled bookings and PUBLISH otherwise. See calendarMethod
+ *   for when it falls back to PUBLISH.
+ */
+function bookingCalendar(booking, config, method = booking.status === 'cancelled' ? 'CANCEL' : 'PUBLISH') {
+  const sentWith = calendarMethod(booking, config, method);
+  return serializeCalendar({ method: sentWith, events: [bookingEvent(booking, config, sentWith)] });
+}
+
+const calendarFilename = (booking) => `${booking.bookingId}.ics`;
+
+module.exports = {
+  bookingTimes,
+  calendarMethod,
+  bookingEvent,
+  bookingCalendar,
+  staffEvent,
+  bookingFeed,
+  calendarFilename
+};
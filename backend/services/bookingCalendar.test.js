@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bookingFeed, bookingEvent, staffEvent } = require('./bookingCalendar');
+
+const config = {
+  name: 'RestauBot Bistro',
+  timeZone: 'Asia/Kolkata',
+  diningDurationMinutes: 90,
+  calendarEventMinutes: null
+};
+
+// Long lines are folded; undo it to match whole values
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+test('the staff feed has one event per booking with party size, seating and requests', () => {
+  const ics = unfold(bookingFeed([
+    {
+      bookingId: 'BK-1',
+      customerName: 'Priya',
+      numberOfGuests: 4,
+      bookingDate: new Date('2026-10-22T18:30:00Z'),
+      bookingTime: '20:00',
+      seatingPreference: 'outdoor',
+      assignedTables: ['T4', 'T5'],
+      specialRequests: 'Birthday cake',
+      phoneNumber: '+919800000000',
+      calendarSequence: 1
+    },
+    {
+      bookingId: 'BK-2',
+      customerName: 'Arjun',
+      numberOfGuests: 2,
+      bookingDate: new Date('2026-10-22T18:30:00Z'),
+      bookingTime: '21:15',
+      durationMinutes: 60,
+      seatingPreference: 'any',
+      specialRequests: ''
+    }
+  ], config));
+
+  assert.match(ics, /\r\nX-WR-CALNAME:RestauBot Bistro reservations\r\n/);
+  assert.match(ics, /\r\nREFRESH-INTERVAL;VALUE=DURATION:PT15M\r\n/);
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+
+  assert.match(ics, /UID:BK-1-staff@restaubot\r\nSEQUENCE:1\r\n/);
+  assert.match(ics, /DTSTART:20261023T143000Z\r\nDTEND:20261023T160000Z\r\nSUMMARY:Priya - 4 guests\\, outdoor\r\n/);
+  assert.match(ics, /DESCRIPTION:Party size: 4\\nSeating: Outdoor\\nTables: T4\\, T5\\nSpecial requests: /);
+  assert.match(ics, /LOCATION:Outdoor - T4\\, T5\r\n/);
+
+  assert.match(ics, /DTSTART:20261023T154500Z\r\nDTEND:20261023T164500Z\r\nSUMMARY:Arjun - 2 guests\r\n/);
+  assert.match(ics, /Special requests: None\\nBooking reference: BK-2\r\nSTATUS:CONFIRMED\r\n/);
+});
+
+test('a booking\'s staff event is separate from the guest\'s invite', () => {
+  const booking = { bookingId: 'BK-1', customerName: 'Priya', numberOfGuests: 2, startsAt: new Date('2026-10-23T14:30:00Z') };
+
+  assert.equal(bookingEvent(booking, config).uid, 'BK-1@restaubot');
+  assert.equal(staffEvent(booking, config).uid, 'BK-1-staff@restaubot');
+});
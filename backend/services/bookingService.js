@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const weatherService = require('./weatherService');
+const availabilityService = require('./availabilityService');
+const openingHoursService = require('./openingHoursService');
+const waitlistService = require('./waitlistService');
+const notificationService = require('./notificationService');
+const { describeChanges } = require('./notificationTemplates');
+const reminderService = require('./reminderService');
+const customerService = require('./customerService');
+const jobScheduler = require('./jobScheduler');
+const { parseNaturalTime } = require('../utils/timeParser');
+const restaurantConfig = require('../config/restaurant');
+const { startOfZonedDay, getZonedDayRange, zonedDateTime } = require('../utils/timezone');
+
+/**
+ * Booking Service
+ * Booking rules shared by the REST controller and the voice agent:
+ * opening hours, table assignment, weather, waitlist promotion, guest
+ * notifications and reminders
+ * One instance per venue; bookings are only ever found within that venue
+ */
+class BookingService {
+  constructor(config = restaurantConfig, {
+    availability = availabilityService,
+    openingHours = openingHoursService,
+    waitlist = waitlistService
+  } = {}) {
+    this.config = config;
+    this.availability = availability;
+    this.openingHours = openingHours;
+    this.waitlist = waitlist;
+  }
+
+  /**
+   * The same service for another venue (see restaurantService)
+   */
+  forRestaurant(config, services) {
+    return new BookingService(config, services);
+  }
+
+  /**
+   * Mongo filter for one of this venue's bookings, referenced by _id or public bookingId
+   */
+  idFilter(id) {
+    const filter = mongoose.isValidObjectId(id) ? { _id: id } : { bookingId: id };
+    return { ...filter, restaurantId: this.config.restaurantId };
+  }
+
+  /**
+   * Find a booking by _id or bookingId
+   * @throws 404 when it does not exist
+   */
+  async findBooking(id) {
+    const booking = await Booking.findOne(this.idFilter(id));
+
+    if (!booking) {
+      const error = new Error('Booking not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return booking;
+  }
+
+  /**
+   * Upcoming active bookings matching what a caller told us about them
+   * @param {Object} criteria - { bookingId, customerName, phoneNumber, bookingDate }
+   * @returns {Array} Matching bookings, soonest first
+   */
+  async findUpcomingBookings({ bookingId, customerName, phoneNumber, bookingDate } = {}) {
+    const filter = { restaurantId: this.config.restaurantId, status: { $in: ['pending', 'confirmed'] } };
+
+    if (bookingId) {
+      Object.assign(filter, this.idFilter(bookingId));
+    } else {
+      if (customerName) {
+        const escaped = customerName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.customerName = { $regex: `^${escaped}$`, $options: 'i' };
+      }
+      if (phoneNumber) {
+        filter.phoneNumber = phoneNumber;
+      }
+    }
+
+    if (bookingDate) {
+      const { start, end } = this.availability.getDayRange(bookingDate);
+      filter.bookingDate = { $gte: start, $lt: end };
+    } else {
+      filter.bookingDate = { $gte: startOfZonedDay(new Date(), this.config.timeZone) };
+    }
+
+    return Booking.find(filter).sort({ bookingDate: 1, bookingTime: 1 }).limit(10);
+  }
+
+  /**
+   * This venue's bookings, by date and time (the filters of GET /api/bookings)
+   * @param {Object} filters - { status, date: one day ("YYYY-MM-DD"), customerName: partial match,
+   *   from: bookings on or after this instant (ignored with date) }
+   * @returns {Array} Plain booking objects
+   */
+  async listBookings({ status, date, customerName, from } = {}) {
+    const filter = { restaurantId: this.config.restaurantId };
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (date) {
+      // The restaurant's calendar day, whatever timezone the server runs in
+      const { start, end } = getZonedDayRange(date, this.config.timeZone);
+      filter.bookingDate = { $gte: start, $lt: end };
+    } else if (from) {
+      filter.bookingDate = { $gte: from };
+    }
+
+    if (customerName) {
+      filter.customerName = { $regex: customerName, $options: 'i' }; // Case-insensitive search
+    }
+
+    return Booking.find(filter)
+      .sort({ bookingDate: 1, bookingTime: 1 })
+      .lean();
+  }
+
+  /**
+   * Normalize a booking time to 24-hour "HH:MM" so every booking is stored
+   * the same way (and sorts correctly)
+   * @throws 400 INVALID_TIME, or AMBIGUOUS_TIME for "evening", "11" etc.
+   */
+  normalizeBookingTime(bookingTime) {
+    const parsed = parseNaturalTime(bookingTime);
+
+    if (!parsed) {
+      const error = new Error(`Invalid booking time: "${bookingTime}". Use a time like 19:30 or 7:30 PM`);
+      error.status = 400;
+      error.code = 'INVALID_TIME';
+      throw error;
+    }
+
+    if (parsed.ambiguous) {
+      const error = new Error(`"${bookingTime}" is not an exact time. ${parsed.question}`);
+      error.status = 400;
+      error.code = 'AMBIGUOUS_TIME';
+      error.candidates = parsed.candidates || [];
+      throw error;
+    }
+
+    return parsed.time;
+  }
+
+  /**
+   * A booking day as midnight in the restaurant's timezone
+   * ("2026-10-16" is that day in restaurant time, not UTC)
+   * @throws 400 INVALID_DATE, also for a day already past in the restaurant
+   */
+  normalizeBookingDate(bookingDate) {
+    const day = startOfZonedDay(bookingDate, this.config.timeZone);
+
+    if (!day) {
+      const error = new Error(`Invalid booking date: "${bookingDate}". Use a date like 2026-12-25`);
+      error.status = 400;
+      error.code = 'INVALID_DATE';
+      throw error;
+    }
+
+    if (day < startOfZonedDay(new Date(), this.config.timeZone)) {
+      const error = new Error('Booking date cannot be in the past. Please choose today or a future date.');
+      error.status = 400;
+      error.code = 'INVALID_DATE';
+      throw error;
+    }
+
+    return day;
+  }
+
+  /**
+   * Throw a 400 when the restaurant is closed at the requested time
+   */
+  async assertOpen(bookingDate, bookingTime) {
+    const hours = await this.openingHours.checkBookingTime(bookingDate, bookingTime);
+
+    if (!hours.open) {
+      const error = new Error(hours.reason);
+      error.status = 400;
+      error.code = 'OUTSIDE_HOURS';
+      throw error;
+    }
+  }
+
+  /**
+   * Create and save a confirmed booking, and send the guest a confirmation
+   * @param {Object} data - Booking fields; bookingDate must be a Date or "YYYY-MM-DD"
+   * @returns {Object} Saved Booking
+   * @throws 400 (INVALID_DATE, INVALID_TIME, AMBIGUOUS_TIME, OUTSIDE_HOURS) or 409 (SLOT_FULL, with alternatives)
+   */
+  async createBooking(data) {
+    const bookingDate = this.normalizeBookingDate(data.bookingDate);
+    const bookingTime = this.normalizeBookingTime(data.bookingTime);
+    const seatingPreference = (data.seatingPreference || 'any').toLowerCase();
+
+    // Reject times outside service hours or on closed days
+    await this.assertOpen(bookingDate, bookingTime);
+
+    // Fetch weather information for the booking date
+    let weatherInfo = data.weatherInfo || null;
+    if (!weatherInfo) {
+      try {
+        const weather = await weatherService.getWeatherForDate(bookingDate, this.config.city);
+        weatherInfo = {
+          condition: weather.condition,
+          temperature: weather.temperature,
+          description: weather.description,
+          icon: weather.icon,
+          humidity: weather.humidity,
+          windSpeed: weather.windSpeed
+        };
+      } catch (error) {
+        console.warn('Could not fetch weather, continuing without it:', error.message);
+      }
+    }
+
+    // Make sure the restaurant actually has room (throws 409 when full)
+    const booking = await this.availability.reserveTables({
+      bookingDate,
+      bookingTime,
+      numberOfGuests: data.numberOfGuests,
+      seatingPreference
+    }, ({ tables, durationMinutes }) => new Booking({
+      restaurantId: this.config.restaurantId,
+      customerName: data.customerName,
+      numberOfGuests: data.numberOfGuests,
+      bookingDate,
+      bookingTime,
+      startsAt: zonedDateTime(bookingDate, bookingTime, this.config.timeZone),
+      cuisinePreference: data.cuisinePreference || 'Any',
+      specialRequests: data.specialRequests || '',
+      seatingPreference,
+      assignedTables: tables,
+      durationMinutes,
+      weatherInfo,
+      phoneNumber: data.phoneNumber,
+      email: data.email,
+      status: 'confirmed'
+    }).save());
+
+    console.log(`✅ Booking created: ${booking.bookingId} for ${booking.customerName}`);
+
+    await this.announceConfirmed(booking);
+
+    return booking;
+  }
+
+  /**
+   * Confirm a pending booking (a waitlist offer the guest accepted)
+   * @returns {Object} Confirmed Booking
+   * @throws 410 when the booking is no longer pending
+   */
+  async confirmBooking(id) {
+    const booking = await Booking.findOneAndUpdate(
+      { ...this.idFilter(id), status: 'pending' },
+      { status: 'confirmed' },
+      { new: true }
+    );
+
+    if (!booking) {
+      const error = new Error('This booking is no longer available to confirm');
+      error.status = 410;
+      throw error;
+    }
+
+    console.log(`✅ Booking confirmed: ${booking.bookingId} for ${booking.customerName}`);
+
+    await this.announceConfirmed(booking);
+
+    return booking;
+  }
+
+  /**
+   * What follows every confirmed booking: the guest's customer profile,
+   * their confirmation (with the calendar invite) and their reminders
+   */
+  async announceConfirmed(booking) {
+    await this.linkCustomer(booking);
+
+    await notificationService.notifyGuest('booking_confirmed', booking, { config: this.config });
+    await this.scheduleReminders(booking);
+  }
+
+  /**
+   * Update a booking, re-checking hours and tables when it moves or grows
+   * The guest hears about changes to anything they booked (not staff-only fields)
+   * @returns {Object} Updated Booking
+   * @throws 404, 400 (INVALID_DATE, INVALID_TIME, AMBIGUOUS_TIME, OUTSIDE_HOURS) or 409 (SLOT_FULL)
+   */
+  async updateBooking(id, changes) {
+    const updates = { ...changes };
+
+    // Don't allow updating bookingId, timestamps or table assignments directly
+    delete updates.bookingId;
+    delete updates.createdAt;
+    delete updates.updatedAt;
+    delete updates.assignedTables;
+    delete updates.restaurantId;
+    delete updates.responseToken;
+    delete updates.remindersSent;
+    delete updates.guestResponse;
+    delete updates.calendarSequence;
+    delete updates.customerId;
+
+    if (updates.bookingDate !== undefined) {
+      updates.bookingDate = this.normalizeBookingDate(updates.bookingDate);
+    }
+    if (updates.bookingTime !== undefined) {
+      updates.bookingTime = this.normalizeBookingTime(updates.bookingTime);
+    }
+    delete updates.startsAt;
+
+    const existing = await this.findBooking(id);
+
+    // Its tables may have gone to someone else since - a cancelled booking is rebooked, not restored
+    if (existing.status === 'cancelled' && updates.status !== undefined && updates.status !== 'cancelled') {
+      const error = new Error('This booking has been cancelled; make a new booking instead');
+      error.status = 409;
+      error.code = 'BOOKING_CANCELLED';
+      throw error;
+    }
+
+    // Cancelling frees the tables and stops the reminders like any other cancellation;
+    // details sent along with it are kept, but a cancelled booking isn't re-seated
+    if (updates.status === 'cancelled' && existing.status !== 'cancelled') {
+      delete updates.status;
+
+      if (Object.keys(updates).length > 0) {
+        if (updates.bookingDate || updates.bookingTime) {
+          updates.startsAt = zonedDateTime(updates.bookingDate || existing.bookingDate, updates.bookingTime || existing.bookingTime, this.config.timeZone);
+        }
+        await Booking.updateOne({ _id: existing._id, restaurantId: this.config.restaurantId }, updates, { runValidators: true });
+      }
+
+      return this.cancelBooking(existing._id);
+    }
+
+    // Moving or resizing a booking needs a fresh table assignment
+    const affectsSeating = ['bookingDate', 'bookingTime', 'numberOfGuests', 'seatingPreference']
+      .some(field => updates[field] !== undefined);
+
+    const saveUpdates = () => {
+      // Changes the guest will hear about revise their calendar event
+      const revised = { ...existing.toObject(), ...updates };
+      if (describeChanges(existing, revised, this.config).length > 0) {
+        updates.$inc = { calendarSequence: 1 };
+      }
+
+      return Booking.findOneAndUpdate(
+        { _id: existing._id, restaurantId: this.config.restaurantId },
+        updates,
+        {
+          new: true,
+          runValidators: true // Run schema validation
+        }
+      );
+    };
+
+    let booking;
+    if (affectsSeating) {
+      const bookingDate = updates.bookingDate || existing.bookingDate;
+      const bookingTime = updates.bookingTime || existing.bookingTime;
+
+      // Move the start instant with the day and time, in the venue's timezone
+      updates.startsAt = zonedDateTime(bookingDate, bookingTime, this.config.timeZone);
+
+      await this.assertOpen(bookingDate, bookingTime);
+
+      booking = await this.availability.reserveTables({
+        bookingDate,
+        bookingTime,
+        numberOfGuests: updates.numberOfGuests || existing.numberOfGuests,
+        seatingPreference: updates.seatingPreference || existing.seatingPreference,
+        excludeBookingId: existing.bookingId
+      }, ({ tables, durationMinutes }) => {
+        updates.assignedTables = tables;
+        updates.durationMinutes = durationMinutes;
+        return saveUpdates();
+      });
+    } else {
+      booking = await saveUpdates();
+    }
+
+    console.log(`✏️  Booking updated: ${booking.bookingId}`);
+
+    await notificationService.notifyGuest('booking_updated', booking, {
+      config: this.config,
+      previous: existing
+    });
+
+    if (affectsSeating || booking.status !== existing.status) {
+      await this.scheduleReminders(booking);
+    }
+
+    // Staff marking the party as seated (completed) or a no-show
+    if (booking.status !== existing.status) {
+      await this.recordCustomerVisit(booking, existing.status);
+    }
+
+    // Moving a booking may free its old slot for someone waiting
+    if (affectsSeating) {
+      await this.promoteWaitlist(existing.bookingDate);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Cancel a booking (soft delete), tell the guest and offer the freed tables to the waitlist
+   * Cancelling an already cancelled booking changes nothing and tells nobody.
+   * @returns {Object} Cancelled Booking
+   * @throws 404
+   */
+  async cancelBooking(id) {
+    const booking = await Booking.findOneAndUpdate(
+      { ...this.idFilter(id), status: { $ne: 'cancelled' } },
+      { status: 'cancelled', $inc: { calendarSequence: 1 } },
+      { new: true } // Return updated document
+    );
+
+    if (!booking) {
+      return this.findBooking(id);
+    }
+
+    console.log(`❌ Booking cancelled: ${booking.bookingId}`);
+
+    await notificationService.notifyGuest('booking_cancelled', booking, { config: this.config });
+    await this.scheduleReminders(booking);
+
+    await this.promoteWaitlist(booking.bookingDate);
+
+    return booking;
+  }
+
+  /**
+   * Record a guest's answer from a reminder's confirm/cancel link
+   * Cancelling releases the table like any other cancellation.
+   * @param {String} answer - confirm | cancel
+   * @returns {Object} The booking
+   * @throws 404, 403 (INVALID_TOKEN), 409 (BOOKING_CANCELLED) when confirming a cancelled booking
+   */
+  async respondToReminder(id, token, answer) {
+    const booking = await Booking.findOne(this.idFilter(id)).select('+responseToken');
+
+    if (!booking) {
+      const error = new Error('Booking not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const expected = Buffer.from(booking.responseToken || '');
+    const given = Buffer.from(String(token || ''));
+    if (expected.length === 0 || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      const error = new Error('This link is not valid for this booking');
+      error.status = 403;
+      error.code = 'INVALID_TOKEN';
+      throw error;
+    }
+
+    if (booking.status === 'cancelled') {
+      if (answer === 'cancel') return booking;
+
+      const error = new Error('This booking has already been cancelled');
+      error.status = 409;
+      error.code = 'BOOKING_CANCELLED';
+      throw error;
+    }
+
+    if (answer === 'cancel') {
+      await this.cancelBooking(booking._id);
+    }
+
+    const guestResponse = {
+      status: answer === 'cancel' ? 'cancelled' : 'confirmed',
+      respondedAt: jobScheduler.clock.now()
+    };
+
+    console.log(`📬 ${booking.customerName} ${guestResponse.status} ${booking.bookingId} from a reminder`);
+
+    return Booking.findOneAndUpdate({ _id: booking._id }, { guestResponse }, { new: true });
+  }
+
+  /**
+   * Link a new booking to the guest's customer profile
+   * Failures are logged - the booking itself already succeeded
+   */
+  async linkCustomer(booking) {
+    try {
+      await customerService.linkBooking(booking);
+    } catch (error) {
+      console.error(`Could not link ${booking.bookingId} to a customer:`, error.message);
+    }
+  }
+
+  /**
+   * Count a visit or no-show on the guest's profile
+   * Failures are logged - the booking change itself already succeeded
+   */
+  async recordCustomerVisit(booking, previousStatus) {
+    try {
+      await customerService.recordStatusChange(booking, previousStatus);
+    } catch (error) {
+      console.error(`Could not update the customer for ${booking.bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Keep the guest's reminders in step with the booking
+   * Failures are logged - the booking change itself already succeeded
+   */
+  async scheduleReminders(booking) {
+    try {
+      await reminderService.scheduleForBooking(booking);
+    } catch (error) {
+      console.error(`Could not schedule reminders for ${booking.bookingId}:`, error.message);
+    }
+  }
+
+  /**
+   * Freed tables go to the first waiting parties that fit
+   * Failures are logged - the booking change itself already succeeded
+   */
+  async promoteWaitlist(bookingDate) {
+    try {
+      const offered = await this.waitlist.promoteWaitlist(bookingDate);
+      if (offered.length > 0) {
+        console.log(`⏫ Offered freed capacity to ${offered.length} waitlisted part${offered.length === 1 ? 'y' : 'ies'}`);
+      }
+    } catch (error) {
+      console.error('Waitlist promotion failed:', error.message);
+    }
+  }
+}
+
+module.exports = new BookingService();
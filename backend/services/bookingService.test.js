@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bookingService = require('./bookingService');
+const availabilityService = require('./availabilityService');
+const notificationService = require('./notificationService');
+const reminderService = require('./reminderService');
+const customerService = require('./customerService');
+const restaurantService = require('./restaurantService');
+const Booking = require('../models/Booking');
+const restaurantConfig = require('../config/restaurant');
+const { addZonedDays, toZonedISODate } = require('../utils/timezone');
+
+const config = { ...restaurantConfig, restaurantId: null, timeZone: 'Asia/Kolkata' };
+
+const booking = (fields = {}) => new Booking({
+  bookingId: 'BK-1',
+  customerName: 'Priya',
+  numberOfGuests: 2,
+  bookingDate: new Date('2026-10-22T18:30:00Z'),
+  bookingTime: '19:00',
+  status: 'confirmed',
+  ...fields
+});
+
+/**
+ * A booking service whose side effects are recorded instead of sent
+ */
+function service(t, venueConfig = config) {
+  const effects = [];
+  const waitlist = { promoteWaitlist: async (date) => { effects.push(['waitlist', date]); return []; } };
+
+  t.mock.method(notificationService, 'notifyGuest', async (event, { bookingId }) => { effects.push([event, bookingId]); });
+  t.mock.method(reminderService, 'scheduleForBooking', async ({ bookingId, status }) => { effects.push(['reminders', bookingId, status]); });
+  t.mock.method(customerService, 'linkBooking', async ({ bookingId }) => { effects.push(['customer', bookingId]); });
+
+  return {
+    bookings: bookingService.forRestaurant(venueConfig, { waitlist, availability: availabilityService.forRestaurant(venueConfig) }),
+    effects
+  };
+}
+
+// A day a month from now, as the caller would say it
+const nextMonth = () => toZonedISODate(addZonedDays(new Date(), 30, config.timeZone), config.timeZone);
+
+test('a booking starts in the venue\'s timezone, with no venue lookup on save', async (t) => {
+  const { bookings } = service(t, { ...config, restaurantId: new mongoose.Types.ObjectId() });
+  // Saving must not depend on the venue still taking bookings
+  const lookups = t.mock.method(restaurantService, 'getVenue', async () => { throw Object.assign(new Error('Closed for good'), { status: 410 }); });
+  t.mock.method(bookings, 'assertOpen', async () => {});
+  t.mock.method(bookings.availability, 'reserveTables', async (request, save) => save({ tables: ['T1'], durationMinutes: 90 }));
+  t.mock.method(Booking.prototype, 'save', async function() {
+    await this.validate();
+    return this;
+  });
+
+  const saved = await bookings.createBooking({ customerName: 'Priya', numberOfGuests: 2, bookingDate: nextMonth(), bookingTime: '7:30 PM', weatherInfo: {} });
+
+  // bookingDate is midnight in Kolkata, so the start is 19:30 after it
+  assert.equal(saved.startsAt - saved.bookingDate, 19.5 * 60 * 60 * 1000);
+  assert.equal(lookups.mock.callCount(), 0);
+});
+
+test('a day already past in the restaurant cannot be booked', async (t) => {
+  const { bookings, effects } = service(t);
+
+  await assert.rejects(bookings.createBooking({ customerName: 'Priya', numberOfGuests: 2, bookingDate: '2020-01-01', bookingTime: '19:00' }), {
+    status: 400,
+    code: 'INVALID_DATE',
+    message: /cannot be in the past/
+  });
+  assert.deepEqual(effects, []);
+});
+
+test('cancelling tells the guest, stops the reminders and offers the table to the waitlist', async (t) => {
+  const { bookings, effects } = service(t);
+  const filters = [];
+  t.mock.method(Booking, 'findOneAndUpdate', async (filter, update) => {
+    filters.push([filter, update]);
+    return booking({ status: 'cancelled', calendarSequence: 1 });
+  });
+
+  const cancelled = await bookings.cancelBooking('BK-1');
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.deepEqual(filters, [[
+    { bookingId: 'BK-1', restaurantId: null, status: { $ne: 'cancelled' } },
+    { status: 'cancelled', $inc: { calendarSequence: 1 } }
+  ]]);
+  assert.deepEqual(effects, [
+    ['booking_cancelled', 'BK-1'],
+    ['reminders', 'BK-1', 'cancelled'],
+    ['waitlist', cancelled.bookingDate]
+  ]);
+});
+
+test('cancelling a cancelled booking again changes nothing', async (t) => {
+  const { bookings, effects } = service(t);
+  t.mock.method(Booking, 'findOneAndUpdate', async () => null);
+  t.mock.method(Booking, 'findOne', async () => booking({ status: 'cancelled', calendarSequence: 1 }));
+
+  const cancelled = await bookings.cancelBooking('BK-1');
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.calendarSequence, 1);
+  assert.deepEqual(effects, []);
+});
+
+test('cancelling an unknown booking is a 404', async (t) => {
+  const { bookings, effects } = service(t);
+  t.mock.method(Booking, 'findOneAndUpdate', async () => null);
+  t.mock.method(Booking, 'findOne', async () => null);
+
+  await assert.rejects(bookings.cancelBooking('BK-404'), { status: 404 });
+  assert.deepEqual(effects, []);
+});
+
+test('an update to status cancelled is a cancellation', async (t) => {
+  const { bookings, effects } = service(t);
+  const saved = [];
+  const existing = booking();
+  t.mock.method(Booking, 'findOne', async () => existing);
+  t.mock.method(Booking, 'updateOne', async (filter, update) => { saved.push([filter, update]); });
+  t.mock.method(Booking, 'findOneAndUpdate', async () => booking({ status: 'cancelled', specialRequests: 'Called to cancel', calendarSequence: 1 }));
+
+  const cancelled = await bookings.updateBooking('BK-1', { status: 'cancelled', specialRequests: 'Called to cancel', calendarSequence: 7 });
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.deepEqual(saved, [[{ _id: existing._id, restaurantId: null }, { specialRequests: 'Called to cancel' }]]);
+  assert.deepEqual(effects.map(([effect]) => effect), ['booking_cancelled', 'reminders', 'waitlist']);
+});
+
+test('a cancelled booking cannot be brought back by an update', async (t) => {
+  const { bookings, effects } = service(t);
+  const cancelled = booking({ status: 'cancelled' });
+  t.mock.method(Booking, 'findOne', async () => cancelled);
+  const saves = t.mock.method(Booking, 'findOneAndUpdate', async () => cancelled);
+
+  await assert.rejects(bookings.updateBooking('BK-1', { status: 'confirmed' }), { status: 409, code: 'BOOKING_CANCELLED' });
+  await assert.rejects(bookings.updateBooking('BK-1', { status: 'pending', numberOfGuests: 4 }), { status: 409 });
+
+  assert.equal(saves.mock.callCount(), 0);
+  assert.deepEqual(effects, []);
+});
+
+test('confirming a pending booking follows through like a new booking', async (t) => {
+  const { bookings, effects } = service(t);
+  const filters = [];
+  t.mock.method(Booking, 'findOneAndUpdate', async (filter, update) => {
+    filters.push([filter, update]);
+    return booking();
+  });
+
+  const confirmed = await bookings.confirmBooking('BK-1');
+
+  assert.equal(confirmed.status, 'confirmed');
+  assert.deepEqual(filters, [[{ bookingId: 'BK-1', restaurantId: null, status: 'pending' }, { status: 'confirmed' }]]);
+  assert.deepEqual(effects, [
+    ['customer', 'BK-1'],
+    ['booking_confirmed', 'BK-1'],
+    ['reminders', 'BK-1', 'confirmed']
+  ]);
+});
+
+test('a booking that is no longer pending cannot be confirmed', async (t) => {
+  const { bookings, effects } = service(t);
+  t.mock.method(Booking, 'findOneAndUpdate', async () => null);
+
+  await assert.rejects(bookings.confirmBooking('BK-1'), { status: 410 });
+  assert.deepEqual(effects, []);
+});
+
+test('a caller\'s upcoming bookings are found by reference, or by name and phone on a day', async (t) => {
+  const { bookings } = service(t);
+  const filters = [];
+  t.mock.method(Booking, 'find', (filter) => {
+    filters.push(filter);
+    return { sort: () => ({ limit: async () => [] }) };
+  });
+
+  await bookings.findUpcomingBookings({ bookingId: 'BK-1', customerName: 'Ignored' });
+  await bookings.findUpcomingBookings({ customerName: 'Priya (Mrs.)', phoneNumber: '+919800000000', bookingDate: '2026-10-23' });
+
+  const active = { $in: ['pending', 'confirmed'] };
+  assert.equal(filters[0].bookingId, 'BK-1');
+  assert.equal(filters[0].customerName, undefined);
+  assert.deepEqual(filters[0].status, active);
+  assert.ok(filters[0].bookingDate.$gte instanceof Date);
+
+  assert.deepEqual(filters[1], {
+    restaurantId: null,
+    status: active,
+    customerName: { $regex: '^Priya \\(Mrs\\.\\)$', $options: 'i' },
+    phoneNumber: '+919800000000',
+    bookingDate: { $gte: new Date('2026-10-22T18:30:00Z'), $lt: new Date('2026-10-23T18:30:00Z') }
+  });
+});
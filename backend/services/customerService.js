@@ -0,0 +1,136 @@
+const Booking = require('../models/Booking');
+const Customer = require('../models/Customer');
+const { normalizeBookingFields } = require('../utils/bookingNormalizer');
+const { formatZonedDate } = require('../utils/timezone');
+
+/**
+ * Customer Service
+ * Remembers regulars: every booking with a phone number or email is linked
+ * to a customer profile, which keeps their visit history and favourite
+ * cuisine and seating so the agent can offer them their usual.
+ */
+class CustomerService {
+  /**
+   * The phone number and email we'd recognise someone by, normalized as in bookings
+   * @returns {Object} { phoneNumber, email } - only the valid ones
+   */
+  contactOf({ phoneNumber, email } = {}) {
+    return normalizeBookingFields({ phoneNumber, email }).fields;
+  }
+
+  /**
+   * Find a customer by phone number, or else by email
+   * @returns {Object|null} Customer
+   */
+  async findByContact(details) {
+    const { phoneNumber, email } = this.contactOf(details);
+
+    if (phoneNumber) {
+      const customer = await Customer.findOne({ phoneNumber });
+      if (customer) return customer;
+    }
+    if (email) {
+      return Customer.findOne({ email });
+    }
+
+    return null;
+  }
+
+  /**
+   * Link a new booking to its customer, creating the profile for a first booking
+   * Counts the booking and the cuisine and seating they asked for, in one
+   * upsert so two first bookings from the same number both land on one profile.
+   * @returns {Object|null} Customer (null when the booking has no contact details)
+   */
+  async linkBooking(booking) {
+    const contact = this.contactOf(booking);
+    if (!contact.phoneNumber && !contact.email) return null;
+
+    const known = await this.findByContact(contact);
+    const filter = known
+      ? { _id: known._id }
+      : contact.phoneNumber ? { phoneNumber: contact.phoneNumber } : { email: contact.email };
+
+    const $set = { lastBookingAt: booking.startsAt || new Date() };
+
+    // Fill in whichever contact detail they hadn't given us before
+    for (const field of ['phoneNumber', 'email']) {
+      if (contact[field] && !filter[field] && !(known && known[field])) $set[field] = contact[field];
+    }
+
+    const $inc = { bookingCount: 1 };
+    if (booking.cuisinePreference) $inc[`cuisineCounts.${booking.cuisinePreference}`] = 1;
+    if (booking.seatingPreference) $inc[`seatingCounts.${booking.seatingPreference}`] = 1;
+
+    // The name they first booked under, never a later one
+    const update = { $set, $inc };
+    if (!known) update.$setOnInsert = { name: booking.customerName };
+    else if (!known.name) $set.name = booking.customerName;
+
+    const customer = await Customer.findOneAndUpdate(filter, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+
+    await Booking.updateOne({ _id: booking._id }, { customerId: customer._id });
+    booking.customerId = customer._id;
+
+    return customer;
+  }
+
+  /**
+   * Count a visit or no-show when staff change a booking's status (and undo it when they change it back)
+   */
+  async recordStatusChange(booking, previousStatus) {
+    if (!booking.customerId || booking.status === previousStatus) return;
+
+    const counts = { completed: 'visitCount', no_show: 'noShowCount' };
+    const $inc = {};
+
+    if (counts[booking.status]) $inc[counts[booking.status]] = 1;
+    if (counts[previousStatus]) $inc[counts[previousStatus]] = ($inc[counts[previousStatus]] || 0) - 1;
+    if (Object.keys($inc).length === 0) return;
+
+    await Customer.updateOne(
+      { _id: booking.customerId },
+      {
+        $inc,
+        ...(booking.status === 'completed' ? { $max: { lastVisitAt: booking.startsAt || new Date() } } : {})
+      }
+    );
+  }
+
+  /**
+   * Booking fields we already know for this customer, where the conversation has none yet:
+   * their usual cuisine (if the venue serves it) and seating. Their name and contact
+   * details are never filled in - the guest gives those themselves.
+   * @param {Object} venueConfig - { cuisines } of the venue being booked
+   */
+  prefillFields(customer, state = {}, { cuisines = [] } = {}) {
+    const fields = {};
+    if (!state.cuisinePreference && cuisines.includes(customer.favouriteCuisine)) fields.cuisinePreference = customer.favouriteCuisine;
+    if (!state.seatingPreference && customer.favouriteSeating) fields.seatingPreference = customer.favouriteSeating;
+    return fields;
+  }
+
+  /**
+   * A line or two about the guest for the agent, without their name or contact details
+   * e.g. "They have visited 5 times (last on October 3). Usually sits outdoor and orders Italian."
+   */
+  describe(customer, timeZone) {
+    const history = customer.visitCount > 0
+      ? `They have visited ${customer.visitCount} time${customer.visitCount === 1 ? '' : 's'}` +
+        (customer.lastVisitAt ? ` (last on ${formatZonedDate(customer.lastVisitAt, { month: 'long', day: 'numeric' }, timeZone)})` : '')
+      : `They have booked with us ${customer.bookingCount} time${customer.bookingCount === 1 ? '' : 's'} before`;
+
+    const usually = [
+      ...(customer.favouriteSeating ? [`sits ${customer.favouriteSeating}`] : []),
+      ...(customer.favouriteCuisine ? [`orders ${customer.favouriteCuisine}`] : [])
+    ];
+
+    return [
+      `${history}.`,
+      ...(usually.length > 0 ? [`Usually ${usually.join(' and ')}.`] : []),
+      ...(customer.noShowCount > 0 ? [`Missed ${customer.noShowCount} booking${customer.noShowCount === 1 ? '' : 's'} without cancelling.`] : [])
+    ].join(' ');
+  }
+}
+
+module.exports = new CustomerService();
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const customerService = require('./customerService');
+const Customer = require('../models/Customer');
+const Booking = require('../models/Booking');
+
+const regular = () => new Customer({
+  name: 'Priya Sharma',
+  phoneNumber: '+919800000000',
+  bookingCount: 6,
+  visitCount: 5,
+  noShowCount: 1,
+  cuisineCounts: { Italian: 3, Any: 4, Indian: 1 },
+  seatingCounts: { outdoor: 4, indoor: 1 },
+  lastVisitAt: new Date('2026-10-03T14:30:00Z')
+});
+
+test('a regular is summed up with their history and favourites', () => {
+  const customer = regular();
+
+  assert.equal(customer.favouriteCuisine, 'Italian');
+  assert.equal(customer.favouriteSeating, 'outdoor');
+  assert.equal(
+    customerService.describe(customer, 'Asia/Kolkata'),
+    'They have visited 5 times (last on October 3). Usually sits outdoor and orders Italian. Missed 1 booking without cancelling.'
+  );
+  assert.equal(
+    customerService.describe(new Customer({ name: 'Arjun', bookingCount: 1 }), 'Asia/Kolkata'),
+    'They have booked with us 1 time before.'
+  );
+});
+
+test('only the usual cuisine and seating fill the gaps in a conversation', () => {
+  const customer = regular();
+  customer.email = 'priya@example.com';
+
+  assert.deepEqual(
+    customerService.prefillFields(customer, { numberOfGuests: 2 }, { cuisines: ['Italian', 'Indian'] }),
+    { cuisinePreference: 'Italian', seatingPreference: 'outdoor' }
+  );
+
+  // Said otherwise, or not served at this venue
+  assert.deepEqual(
+    customerService.prefillFields(customer, { customerName: 'Priya', seatingPreference: 'indoor' }, { cuisines: ['Japanese'] }),
+    {}
+  );
+});
+
+test('a booking counts on its customer without renaming them', async (t) => {
+  const customer = regular();
+  const updates = [];
+  t.mock.method(Customer, 'findOne', async () => customer);
+  t.mock.method(Customer, 'findOneAndUpdate', async (filter, update, options) => {
+    updates.push([filter, update, options]);
+    return customer;
+  });
+  t.mock.method(Booking, 'updateOne', async () => {});
+
+  const startsAt = new Date('2026-10-23T14:30:00Z');
+  const booking = { customerName: 'Someone Else', phoneNumber: '+91 98000 00000', email: 'other@example.com', seatingPreference: 'indoor', startsAt };
+  await customerService.linkBooking(booking);
+
+  assert.deepEqual(updates, [[
+    { _id: customer._id },
+    { $set: { lastBookingAt: startsAt, email: 'other@example.com' }, $inc: { bookingCount: 1, 'seatingCounts.indoor': 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ]]);
+  assert.equal(booking.customerId, customer._id);
+});
+
+test('a first booking creates the customer under the name it was booked with', async (t) => {
+  const updates = [];
+  t.mock.method(Customer, 'findOne', async () => null);
+  t.mock.method(Customer, 'findOneAndUpdate', async (filter, update) => {
+    updates.push([filter, update]);
+    return new Customer({ name: 'Arjun', email: 'arjun@example.com' });
+  });
+  t.mock.method(Booking, 'updateOne', async () => {});
+
+  const created = await customerService.linkBooking({ customerName: 'Arjun', email: 'Arjun@Example.com', cuisinePreference: 'Indian' });
+
+  assert.equal(created.name, 'Arjun');
+  assert.deepEqual(updates[0][0], { email: 'arjun@example.com' });
+  assert.deepEqual(updates[0][1].$setOnInsert, { name: 'Arjun' });
+  assert.deepEqual(updates[0][1].$inc, { bookingCount: 1, 'cuisineCounts.Indian': 1 });
+});
+
+test('two first bookings from one number at once are both linked to one customer', async (t) => {
+  // The database's upsert: the second finds the first one's profile
+  const profiles = new Map();
+  t.mock.method(Customer, 'findOne', async () => null);
+  t.mock.method(Customer, 'findOneAndUpdate', async ({ phoneNumber }, { $inc, $setOnInsert }) => {
+    const customer = profiles.get(phoneNumber) || new Customer({ phoneNumber, ...$setOnInsert });
+    customer.bookingCount += $inc.bookingCount;
+    profiles.set(phoneNumber, customer);
+    return customer;
+  });
+  const links = [];
+  t.mock.method(Booking, 'updateOne', async ({ _id }, { customerId }) => { links.push([_id, customerId]); });
+
+  await Promise.all([
+    customerService.linkBooking({ _id: 'B1', customerName: 'Priya', phoneNumber: '+919800000000' }),
+    customerService.linkBooking({ _id: 'B2', customerName: 'Priya S', phoneNumber: '+919800000000' })
+  ]);
+
+  const [customer] = profiles.values();
+  assert.equal(profiles.size, 1);
+  assert.equal(customer.name, 'Priya');
+  assert.equal(customer.bookingCount, 2);
+  assert.deepEqual(links, [['B1', customer._id], ['B2', customer._id]]);
+});
+
+test('marking a booking completed or a no-show counts on the customer, and changing it back undoes that', async (t) => {
+  const updates = [];
+  t.mock.method(Customer, 'updateOne', async (filter, update) => { updates.push(update); });
+
+  const booking = { customerId: 'C1', startsAt: new Date('2026-10-23T14:30:00Z') };
+  await customerService.recordStatusChange({ ...booking, status: 'completed' }, 'confirmed');
+  await customerService.recordStatusChange({ ...booking, status: 'no_show' }, 'completed');
+  await customerService.recordStatusChange({ ...booking, status: 'cancelled' }, 'confirmed');
+  await customerService.recordStatusChange({ ...booking, customerId: null, status: 'completed' }, 'confirmed');
+
+  assert.deepEqual(updates, [
+    { $inc: { visitCount: 1 }, $max: { lastVisitAt: booking.startsAt } },
+    { $inc: { noShowCount: 1, visitCount: -1 } }
+  ]);
+});
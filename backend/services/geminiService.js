@@ -1,13 +1,48 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getProvider } = require('./llm');
+const restaurantService = require('./restaurantService');
+const customerService = require('./customerService');
+const { normalizeBookingFields } = require('../utils/bookingNormalizer');
+
+// What a caller can want from a single turn, with how we read it back to them
+// when we're not sure (intents without a description get a generic "say again")
+const INTENTS = {
+  new_booking: 'make a new reservation',
+  provide_details: null,
+  find_booking: 'check on an existing reservation',
+  modify_booking: 'change an existing reservation',
+  cancel_booking: 'cancel a reservation',
+  join_waitlist: 'join the waitlist',
+  ask_menu: 'hear about our menu',
+  ask_hours: 'know our opening hours',
+  ask_location: 'know where to find us',
+  talk_to_human: 'speak with a member of our team',
+  small_talk: null,
+  confirm: null,
+  deny: null
+};
+
+// How booking fields are named when we talk about them
+const FIELD_LABELS = {
+  customerName: 'name',
+  numberOfGuests: 'guests',
+  bookingDate: 'date',
+  bookingTime: 'time',
+  cuisinePreference: 'cuisine',
+  seatingPreference: 'seating',
+  specialRequests: 'special requests',
+  phoneNumber: 'phone number',
+  email: 'email'
+};
 
 /**
  * Gemini AI Service for Restaurant Booking Conversations
  * Handles natural language understanding and response generation
+ * The model behind it comes from the LLM provider (LLM_PROVIDER=gemini|local)
  */
 class GeminiService {
   constructor() {
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+    // Below this the agent asks a clarifying question instead of acting
+    this.intentConfidenceThreshold = Number(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6;
     
     // Conversation history per client (store in memory)
     this.conversations = new Map();
@@ -33,6 +68,16 @@ class GeminiService {
     return this.conversations.get(clientId);
   }
 
+  /**
+   * Put back a client's history from a saved session
+   */
+  restoreConversation(clientId, history = []) {
+    this.conversations.set(clientId, {
+      history: history.slice(-20).map(({ role, message, timestamp }) => ({ role, message, timestamp: new Date(timestamp) })),
+      state: {}
+    });
+  }
+
   /**
    * Add message to conversation history
    */
@@ -51,16 +96,35 @@ class GeminiService {
    * @param {String} clientId - Unique client identifier
    * @param {String} userMessage - What the user just said
    * @param {Object} conversationState - Current state of booking
-   * @returns {String} AI agent's response
+   * @param {Object} context - { venue, availability, intent, corrections, rejected, customer } - the
+   *   restaurant being booked (default: the configured one), open slots for the requested
+   *   date, the classified intent of this turn, values the caller corrected, extracted
+   *   values that failed validation and the caller's customer profile if we know them
+   *   (all optional), and onChunk - called with each piece of the reply as the model
+   *   produces it, to stream it to the caller
+   * @returns {String} AI agent's response (the full text, also when streamed)
    */
-  async generateResponse(clientId, userMessage, conversationState = {}) {
+  async generateResponse(clientId, userMessage, conversationState = {}, { venue = restaurantService.defaultVenue, availability = null, intent = null, corrections = [], rejected = [], customer = null, onChunk = null } = {}) {
     try {
       // Add user message to history
       this.addToHistory(clientId, 'user', userMessage);
 
+      // Keep a record of what the caller changed
+      for (const correction of corrections) {
+        this.addToHistory(clientId, 'system', `Caller changed ${this.describeCorrection(correction)}`);
+      }
+
       // Build context-aware prompt with history
-      const systemPrompt = this.buildSystemPrompt(conversationState);
-      const conversationHistory = this.buildConversationHistory(clientId);
+      let upcomingClosures = [];
+      try {
+        upcomingClosures = await venue.openingHoursService.getUpcomingClosures();
+      } catch (error) {
+        console.warn('Could not load closures:', error.message);
+      }
+
+      const agentName = venue.config.persona.name;
+      const systemPrompt = this.buildSystemPrompt(conversationState, { venue, availability, upcomingClosures, intent, corrections, rejected, customer });
+      const conversationHistory = this.buildConversationHistory(clientId, agentName);
       
       const fullPrompt = `${systemPrompt}
 
@@ -77,12 +141,49 @@ CRITICAL RULES:
 - Move to the NEXT missing piece of information
 - Be brief (1-2 sentences max)
 
-RestauBot:`;
-
-      // Generate response from Gemini
-      const result = await this.model.generateContent(fullPrompt);
-      const response = result.response;
-      const text = response.text().trim();
+${agentName}:`;
+
+      const request = {
+        task: 'generate_response',
+        prompt: fullPrompt,
+        input: {
+          userMessage,
+          state: conversationState,
+          availability,
+          intent,
+          corrections,
+          rejected,
+          customer: customer ? {
+            visitCount: customer.visitCount,
+            favouriteCuisine: customer.favouriteCuisine,
+            favouriteSeating: customer.favouriteSeating
+          } : null,
+          restaurant: {
+            name: venue.config.name,
+            address: venue.config.address,
+            phoneNumber: venue.config.phoneNumber,
+            menuSummary: venue.config.menuSummary,
+            cuisines: venue.config.cuisines,
+            timeZone: venue.config.timeZone,
+            weeklyHours: venue.openingHoursService.describeWeeklyHours()
+          }
+        }
+      };
+
+      // Generate response from the LLM provider, piece by piece when streaming
+      const provider = getProvider();
+      let text;
+      if (onChunk && provider.streamText) {
+        text = '';
+        for await (const chunk of provider.streamText(request)) {
+          text += chunk;
+          onChunk(chunk);
+        }
+        text = text.trim();
+      } else {
+        text = await provider.generateText(request);
+        if (onChunk) onChunk(text);
+      }
 
       // Add bot response to history
       this.addToHistory(clientId, 'assistant', text);
@@ -97,8 +198,12 @@ RestauBot:`;
 
   /**
    * Build system prompt with current state
+   * @param {Object} state - Current state of booking
+   * @param {Object} context - { venue, availability, upcomingClosures, intent, corrections, rejected, customer }
    */
-  buildSystemPrompt(state) {
+  buildSystemPrompt(state, { venue = restaurantService.defaultVenue, availability = null, upcomingClosures = [], intent = null, corrections = [], rejected = [], customer = null } = {}) {
+    const { config, openingHoursService } = venue;
+
     const {
       customerName = null,
       numberOfGuests = null,
@@ -136,29 +241,99 @@ RestauBot:`;
 SEATING RECOMMENDATION: ${weatherInfo.recommendation.message}`;
     }
 
-    return `You are RestauBot, a friendly restaurant booking assistant.
+    // Opening hours context
+    let hoursContext = `\nOPENING HOURS:\n${openingHoursService.describeWeeklyHours()}`;
+    if (upcomingClosures.length > 0) {
+      hoursContext += `\nSPECIAL CLOSURES:\n${openingHoursService.describeClosures(upcomingClosures)}`;
+    }
+
+    // Availability context
+    let availabilityContext = '';
+    if (availability && availability.closed) {
+      availabilityContext = `\nCLOSED on ${availability.date}: ${availability.closedReason}. Tell the caller and ask for another date.`;
+    } else if (availability) {
+      if (availability.openSlots.length === 0) {
+        availabilityContext = `\nAVAILABILITY on ${availability.date}: FULLY BOOKED for this party size. Ask the caller for another date.`;
+      } else {
+        availabilityContext = `\nAVAILABILITY on ${availability.date}: open times are ${availability.openSlots.join(', ')}`;
+
+        if (availability.requestedTimeAvailable === false) {
+          availabilityContext += `\nREQUESTED TIME ${availability.requestedTime} IS NOT AVAILABLE (${availability.requestedTimeReason}). Tell the caller and offer these instead: ${availability.suggestions.join(', ')}`;
+
+          if (availability.waitlistOffered) {
+            availabilityContext += `\nAlso offer to put them on the WAITLIST for ${availability.requestedTime} in case a table opens up.`;
+          }
+        } else if (!availability.requestedTime) {
+          availabilityContext += `\nWhen asking for the time, you may suggest: ${availability.suggestions.join(', ')}`;
+        }
+      }
+    }
+
+    // Restaurant details for menu/location questions
+    const restaurantInfo = [`\nRESTAURANT INFO:\nName: ${config.name}`];
+    if (config.address) restaurantInfo.push(`Address: ${config.address}`);
+    if (config.phoneNumber) restaurantInfo.push(`Phone: ${config.phoneNumber}`);
+    restaurantInfo.push(`Cuisines: ${config.cuisines.join(', ')}`);
+    restaurantInfo.push(`Menu: ${config.menuSummary}`);
+
+    // The caller asked something other than booking details this turn
+    const questions = {
+      ask_menu: 'is asking about the MENU - answer from RESTAURANT INFO',
+      ask_hours: 'is asking about OPENING HOURS - answer from the list above',
+      ask_location: 'is asking WHERE we are - answer from RESTAURANT INFO',
+      small_talk: 'is making small talk - reply warmly in a few words'
+    };
+    let questionContext = '';
+    if (questions[intent]) {
+      questionContext = `\nTHE CALLER ${questions[intent]}, then ${collected.length > 0 ? 'continue with the booking' : 'offer to help them book a table'}.`;
+    }
+
+    // Values the caller just changed
+    let correctionsContext = '';
+    if (corrections.length > 0) {
+      correctionsContext = `\nCALLER JUST CORRECTED (acknowledge briefly; the collected info above already has the new values):\n${corrections.map(correction => `- ${this.describeCorrection(correction)}`).join('\n')}`;
+    }
+
+    // A regular, recognised by the number they're calling or texting from
+    let customerContext = '';
+    if (customer) {
+      customerContext = `\nRETURNING GUEST: ${customerService.describe(customer, config.timeZone)}
+Welcome them back (once), using only the name they give you in this conversation. Their usual cuisine and seating are already filled in above: mention them when you confirm ("outdoor again, as usual?") so they can change them.`;
+    }
+
+    // Values the caller gave that we couldn't accept
+    let rejectedContext = '';
+    if (rejected.length > 0) {
+      rejectedContext = `\nCOULD NOT ACCEPT (tell the caller why and ask again for exactly these):\n${rejected.map(item => `- ${item.field}: ${item.reason}`).join('\n')}`;
+    }
+
+    return `You are ${config.persona.name}, ${config.persona.description} for ${config.name}.
 
 BOOKING INFORMATION COLLECTED SO FAR:
 ${collected.length > 0 ? collected.join('\n') : 'Nothing collected yet'}
 
 STILL NEED TO ASK FOR:
 ${missing.length > 0 ? missing.join(', ') : 'All information collected! Ready to confirm.'}
-${weatherContext}
+${customerContext}${weatherContext}${hoursContext}${restaurantInfo.join('\n')}${availabilityContext}${correctionsContext}${rejectedContext}${questionContext}
 
 YOUR TASK:
-1. If ALL information is collected, summarize the booking and ask for confirmation
+1. If ALL information is collected, summarize the booking (with any corrected values) and ask for confirmation
 2. If information is MISSING, ask for the NEXT missing item in order: Name → Guests → Date → Time → Cuisine → Seating
 3. NEVER ask for information that's already collected (marked with ✓ above)
 4. Keep responses SHORT and natural (1-2 sentences)
 5. If user provides multiple pieces of info at once, acknowledge all and move to next missing item
+6. Only offer times listed under AVAILABILITY - never accept a time that is full
+7. Never accept a date or time outside OPENING HOURS or during a SPECIAL CLOSURE; answer questions about our hours from the list above
+8. Never make up menu items, prices or directions that aren't in RESTAURANT INFO, and only offer the cuisines listed there
 
 CONVERSATION HISTORY:`;
   }
 
   /**
    * Build conversation history for context
+   * @param {String} agentName - How the agent's turns are labelled (the venue's persona)
    */
-  buildConversationHistory(clientId) {
+  buildConversationHistory(clientId, agentName = restaurantService.defaultVenue.config.persona.name) {
     const conversation = this.getConversation(clientId);
     
     if (conversation.history.length === 0) {
@@ -169,30 +344,147 @@ CONVERSATION HISTORY:`;
     const recentHistory = conversation.history.slice(-10);
     
     return recentHistory
-      .map(msg => `${msg.role === 'user' ? 'User' : 'RestauBot'}: ${msg.message}`)
+      .map(msg => {
+        if (msg.role === 'system') return `(Note: ${msg.message})`;
+        return `${msg.role === 'user' ? 'User' : agentName}: ${msg.message}`;
+      })
       .join('\n');
   }
 
+  /**
+   * First pass over every turn: what does the caller want?
+   * @param {String} userMessage - What the user just said
+   * @param {Object} context - { lastAgentMessage, bookingReady, manageFlow, awaitingConfirmation, waitlistOffered }
+   * @returns {Object} { intent, confidence } - confidence between 0 and 1
+   */
+  async classifyIntent(userMessage, context = {}) {
+    const {
+      lastAgentMessage = null,
+      bookingReady = false,
+      manageFlow = null,
+      awaitingConfirmation = false,
+      waitlistOffered = false
+    } = context;
+
+    const situation = [];
+    if (bookingReady) situation.push('- We have all the details for a new booking and asked them to confirm it');
+    if (manageFlow) situation.push(`- We are helping them ${manageFlow} an existing booking${awaitingConfirmation ? ' and asked them to confirm' : ''}`);
+    if (waitlistOffered) situation.push('- We offered to put them on the waitlist');
+
+    try {
+      const prompt = `Classify what a restaurant caller wants from their latest message.
+
+Caller said: "${userMessage}"
+Our last message: ${lastAgentMessage ? `"${lastAgentMessage}"` : '(none - start of the call)'}
+${situation.length > 0 ? `Situation:\n${situation.join('\n')}` : 'Situation: taking a new booking'}
+
+Intents:
+- "new_booking": wants to make a new reservation
+- "provide_details": gives details for the booking being discussed (name, guests, date, time, cuisine, seating, phone, requests) or picks one of the times we offered
+- "find_booking": wants to check an existing reservation
+- "modify_booking": wants to move or change an existing reservation
+- "cancel_booking": wants to cancel an existing reservation
+- "join_waitlist": wants to go on the waitlist
+- "ask_menu": asks about food, dishes or dietary options
+- "ask_hours": asks when we are open
+- "ask_location": asks where we are, directions or parking
+- "talk_to_human": wants a person, manager or staff member
+- "small_talk": greetings, thanks or chit-chat
+- "confirm": a yes to the question in our last message
+- "deny": a no to the question in our last message
+
+Return ONLY a JSON object (no markdown, no extra text):
+{"intent": one of the intents above, "confidence": number between 0 and 1}
+
+Use a confidence below 0.5 when the message is garbled, fits several intents equally, or fits none.
+
+Examples:
+"Yes please, book it" (after we asked to confirm) → {"intent": "confirm", "confidence": 0.95}
+"Hmm, maybe" → {"intent": "confirm", "confidence": 0.3}
+"Do you have vegan options?" → {"intent": "ask_menu", "confidence": 0.9}
+"Four people at 8" → {"intent": "provide_details", "confidence": 0.9}
+"Can I speak to someone?" → {"intent": "talk_to_human", "confidence": 0.9}`;
+
+      const parsed = await getProvider().generateJSON({
+        task: 'classify_intent',
+        prompt,
+        input: { userMessage, context }
+      });
+      if (!parsed) return { intent: 'provide_details', confidence: 0 };
+
+      const known = Object.prototype.hasOwnProperty.call(INTENTS, parsed.intent);
+      const confidence = Math.min(1, Math.max(0, Number(parsed.confidence) || 0));
+
+      const classification = known
+        ? { intent: parsed.intent, confidence }
+        : { intent: 'provide_details', confidence: 0 };
+
+      console.log('🧭 Intent:', classification);
+      return classification;
+
+    } catch (error) {
+      // Not confident, so the agent asks the caller what they meant instead of guessing
+      console.error('Intent Classification Error:', error.message);
+      return { intent: 'provide_details', confidence: 0 };
+    }
+  }
+
+  /**
+   * Is the classifier sure enough to act on?
+   */
+  isConfident(classification) {
+    return classification.confidence >= this.intentConfidenceThreshold;
+  }
+
+  /**
+   * Question to ask when we're not sure what the caller meant
+   * @returns {Object} { text, suggestedIntent } - suggestedIntent is null when
+   *   we couldn't even guess and just asked them to rephrase
+   */
+  buildClarifyingQuestion({ intent }) {
+    if (intent === 'confirm' || intent === 'deny') {
+      return { text: 'Sorry, was that a yes or a no?', suggestedIntent: null };
+    }
+
+    if (INTENTS[intent]) {
+      return {
+        text: `Sorry, just to make sure I understood - would you like to ${INTENTS[intent]}?`,
+        suggestedIntent: intent
+      };
+    }
+
+    return { text: "Sorry, I didn't quite catch that. Could you say it another way?", suggestedIntent: null };
+  }
+
   /**
    * Extract booking information from user's natural language input
-   * ONLY extracts NEW information, doesn't overwrite existing data
+   * Picks up new information AND corrections to what we already have
+   * ("actually make it 6 people, not 4")
+   * Values are normalized to the Booking schema; ones that can't be are
+   * returned in `rejected` with the reason
+   * @param {Object} venue - The restaurant being booked (default: the configured one)
+   * @returns {Object} { info, corrections, rejected } - corrections is [{ field, from, to }]
    */
-  async extractBookingInfo(userMessage, existingState = {}) {
+  async extractBookingInfo(userMessage, existingState = {}, venue = restaurantService.defaultVenue) {
+    const { weatherInfo: _weatherInfo, ...existingFields } = existingState;
+
     try {
-      const extractionPrompt = `Extract ONLY NEW booking information from this message: "${userMessage}"
+      const extractionPrompt = `Extract booking information the caller gives in this message: "${userMessage}"
 
-EXISTING INFORMATION (do NOT extract these again):
-${JSON.stringify(existingState, null, 2)}
+EXISTING INFORMATION:
+${JSON.stringify(existingFields, null, 2)}
 
-Extract ONLY information that is NOT already in the existing data above.
+Extract new information, and CORRECTIONS where the caller changes something in the existing data
+("actually", "make it", "not X but Y", "change the time to..."). For a correction, return the NEW value.
+Do NOT repeat existing values the caller didn't mention in this message.
 
 Return ONLY a JSON object (no markdown, no extra text) with these fields (use null if not mentioned):
 {
   "customerName": string or null,
   "numberOfGuests": number or null,
-  "bookingDate": "YYYY-MM-DD" or natural date like "tomorrow", "December 5th" or null,
+  "bookingDate": the date exactly as the caller said it, like "tomorrow", "next Friday", "December 5th", or null,
   "bookingTime": "HH:MM" (24-hour format) or natural time like "8 PM", "evening" or null,
-  "cuisinePreference": "Italian/Chinese/Indian/Mexican/Japanese/Continental/Any" or null,
+  "cuisinePreference": "${[...venue.config.cuisines, 'Any'].join('/')}" or null,
   "specialRequests": string or null,
   "seatingPreference": "indoor/outdoor" or null
 }
@@ -202,9 +494,17 @@ User: "My name is John"
 Existing: {}
 Extract: {"customerName": "John"}
 
-User: "My name is John"  
-Existing: {"customerName": "Sarah"}
-Extract: {} (name already exists, don't change it)
+User: "Yes, that's right"
+Existing: {"customerName": "Sarah", "numberOfGuests": 4}
+Extract: {} (nothing new, nothing corrected)
+
+User: "Actually make it 6 people, not 4"
+Existing: {"customerName": "John", "numberOfGuests": 4}
+Extract: {"numberOfGuests": 6}
+
+User: "Sorry, my name is Jon, not John"
+Existing: {"customerName": "John"}
+Extract: {"customerName": "Jon"}
 
 User: "Table for 4 people"
 Existing: {"customerName": "John"}
@@ -212,7 +512,7 @@ Extract: {"numberOfGuests": 4}
 
 User: "December 5th at 8 PM"
 Existing: {"customerName": "John", "numberOfGuests": 4}
-Extract: {"bookingDate": "2024-12-05", "bookingTime": "20:00"}
+Extract: {"bookingDate": "December 5th", "bookingTime": "20:00"}
 
 User: "I prefer outdoor seating"
 Extract: {"seatingPreference": "outdoor"}
@@ -220,35 +520,118 @@ Extract: {"seatingPreference": "outdoor"}
 NOW EXTRACT FROM: "${userMessage}"
 `;
 
-      const result = await this.model.generateContent(extractionPrompt);
-      const responseText = result.response.text().trim();
-      
-      // Parse JSON from response
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const extracted = JSON.parse(jsonMatch[0]);
-        
-        // Filter out null values and only return NEW information
-        const newInfo = {};
-        for (const [key, value] of Object.entries(extracted)) {
-          // Only add if value exists AND field is not already filled in existingState
-          if (value !== null && value !== undefined && !existingState[key]) {
-            newInfo[key] = value;
+      const extracted = await getProvider().generateJSON({
+        task: 'extract_booking_info',
+        prompt: extractionPrompt,
+        input: { userMessage, existingState, cuisines: venue.config.cuisines }
+      });
+
+      if (extracted) {
+        const { fields, rejected } = normalizeBookingFields(extracted, {
+          timeZone: venue.config.timeZone,
+          cuisines: venue.config.cuisines
+        });
+
+        // New values fill gaps; different values for filled fields are corrections
+        const info = {};
+        const corrections = [];
+        for (const [field, value] of Object.entries(fields)) {
+          const previous = existingState[field];
+
+          if (previous === null || previous === undefined || previous === '') {
+            info[field] = value;
+          } else if (String(previous).toLowerCase() !== String(value).toLowerCase()) {
+            info[field] = value;
+            corrections.push({ field, from: previous, to: value });
           }
         }
-        
-        console.log('🔍 Extracted NEW info:', newInfo);
-        return newInfo;
+
+        console.log('🔍 Extracted info:', info);
+        if (corrections.length > 0) console.log('✏️  Corrections:', corrections);
+        if (rejected.length > 0) console.log('🚫 Rejected:', rejected);
+
+        return { info, corrections, rejected };
       }
 
-      return {};
+      return { info: {}, corrections: [], rejected: [] };
 
     } catch (error) {
       console.error('Extraction Error:', error.message);
-      return {};
+      return { info: {}, corrections: [], rejected: [] };
     }
   }
 
+  /**
+   * Pull out what identifies an existing booking and what should change
+   * (the intent itself comes from classifyIntent)
+   * @param {String} userMessage - What the user just said
+   * @param {Object} manageFlow - Lookup/change collected so far (if any)
+   * @returns {Object} { bookingId, customerName, phoneNumber, bookingDate, changes }
+   */
+  async extractManagementDetails(userMessage, manageFlow = null) {
+    const fallback = { changes: {} };
+
+    try {
+      const prompt = `A restaurant caller said: "${userMessage}"
+
+${manageFlow ? `We are currently helping them ${manageFlow.intent} an existing booking.
+What we know so far: ${JSON.stringify({ criteria: manageFlow.criteria, changes: manageFlow.changes })}` : 'They want to find, change or cancel an existing booking.'}
+
+Extract details. Return ONLY a JSON object (no markdown, no extra text):
+{
+  "bookingId": string or null (e.g. "BK-1733212345-abc123def"),
+  "customerName": string or null (name the EXISTING booking is under),
+  "phoneNumber": string or null,
+  "bookingDate": "YYYY-MM-DD" or natural date or null (date of the EXISTING booking),
+  "changes": {
+    "bookingDate": new date or null,
+    "bookingTime": new time as "HH:MM" (24-hour) or null,
+    "numberOfGuests": number or null,
+    "seatingPreference": "indoor/outdoor" or null,
+    "cuisinePreference": string or null,
+    "specialRequests": string or null
+  }
+}
+
+Examples:
+"I need to move my Friday reservation to 9" → {"bookingDate": "Friday", "changes": {"bookingTime": "21:00"}}
+"Cancel booking BK-1733212345-abc123def" → {"bookingId": "BK-1733212345-abc123def", "changes": {}}
+"It's under Priya, 9876543210" → {"customerName": "Priya", "phoneNumber": "9876543210", "changes": {}}`;
+
+      const extracted = await getProvider().generateJSON({
+        task: 'extract_management_details',
+        prompt,
+        input: { userMessage, manageFlow }
+      });
+      if (!extracted) return fallback;
+
+      // Drop nulls so callers can merge the result straight into their state
+      const changes = {};
+      for (const [key, value] of Object.entries(extracted.changes || {})) {
+        if (value !== null && value !== undefined && value !== '') changes[key] = value;
+      }
+
+      const details = { changes };
+      for (const key of ['bookingId', 'customerName', 'phoneNumber', 'bookingDate']) {
+        if (extracted[key]) details[key] = extracted[key];
+      }
+
+      console.log('🗂️  Management details:', details);
+      return details;
+
+    } catch (error) {
+      console.error('Management Extraction Error:', error.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * "guests from 4 to 6"
+   */
+  describeCorrection({ field, from, to }) {
+    return `${FIELD_LABELS[field] || field} from ${from} to ${to}`;
+  }
+
   /**
    * Determine the next step in the conversation
    */
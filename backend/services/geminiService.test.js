@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const geminiService = require('./geminiService');
+const restaurantService = require('./restaurantService');
+const { setProvider } = require('./llm');
+const LocalProvider = require('./llm/localProvider');
+
+/**
+ * A provider that answers every JSON request with `answer` (or throws it)
+ */
+const scripted = (answer) => ({
+  name: 'scripted',
+  generateJSON: async () => {
+    if (answer instanceof Error) throw answer;
+    return answer;
+  }
+});
+
+test.afterEach(() => setProvider(new LocalProvider()));
+
+test('management details keep only what identifies the booking and what changes', async () => {
+  setProvider(scripted({
+    intent: 'modify_booking',
+    bookingId: null,
+    customerName: 'Priya',
+    phoneNumber: '',
+    bookingDate: 'Friday',
+    changes: { bookingTime: '21:00', numberOfGuests: null, specialRequests: '' }
+  }));
+
+  assert.deepEqual(await geminiService.extractManagementDetails('Move my Friday booking under Priya to 9'), {
+    customerName: 'Priya',
+    bookingDate: 'Friday',
+    changes: { bookingTime: '21:00' }
+  });
+});
+
+test('management details are empty when the model fails', async () => {
+  setProvider(scripted(new Error('quota exceeded')));
+  assert.deepEqual(await geminiService.extractManagementDetails('cancel it'), { changes: {} });
+
+  setProvider(scripted(null));
+  assert.deepEqual(await geminiService.extractManagementDetails('cancel it'), { changes: {} });
+});
+
+test('an intent is only acted on when the classifier is confident', async () => {
+  setProvider(scripted({ intent: 'ask_menu', confidence: 0.9 }));
+  const menu = await geminiService.classifyIntent('Do you have vegan dishes?');
+  assert.deepEqual(menu, { intent: 'ask_menu', confidence: 0.9 });
+  assert.equal(geminiService.isConfident(menu), true);
+
+  setProvider(scripted({ intent: 'confirm', confidence: 0.3 }));
+  assert.deepEqual(geminiService.buildClarifyingQuestion(await geminiService.classifyIntent('hmm maybe')), {
+    text: 'Sorry, was that a yes or a no?',
+    suggestedIntent: null
+  });
+
+  setProvider(scripted({ intent: 'order_pizza', confidence: 0.99 }));
+  assert.deepEqual(await geminiService.classifyIntent('one margherita'), { intent: 'provide_details', confidence: 0 });
+});
+
+test('a failed classification asks the caller to say it again', async () => {
+  setProvider(scripted(new Error('quota exceeded')));
+  const classification = await geminiService.classifyIntent('four people at 8');
+
+  assert.equal(geminiService.isConfident(classification), false);
+  assert.deepEqual(geminiService.buildClarifyingQuestion(classification), {
+    text: "Sorry, I didn't quite catch that. Could you say it another way?",
+    suggestedIntent: null
+  });
+});
+
+test('a different value for a detail we have is a correction', async () => {
+  setProvider(new LocalProvider());
+  const state = { customerName: 'John', numberOfGuests: 4, seatingPreference: 'indoor' };
+
+  assert.deepEqual(await geminiService.extractBookingInfo('Actually make it 6 people, outside, my name is Jon', state), {
+    info: { customerName: 'Jon', numberOfGuests: 6, seatingPreference: 'outdoor' },
+    corrections: [
+      { field: 'customerName', from: 'John', to: 'Jon' },
+      { field: 'numberOfGuests', from: 4, to: 6 },
+      { field: 'seatingPreference', from: 'indoor', to: 'outdoor' }
+    ],
+    rejected: []
+  });
+  assert.equal(geminiService.describeCorrection({ field: 'numberOfGuests', from: 4, to: 6 }), 'guests from 4 to 6');
+});
+
+test('repeating a detail is not a correction, and an invalid one keeps the old value', async () => {
+  setProvider(scripted({ customerName: 'john', numberOfGuests: 45, cuisinePreference: null }));
+
+  const { info, corrections, rejected } = await geminiService.extractBookingInfo('John, 45 people', { customerName: 'John', numberOfGuests: 4 });
+
+  assert.deepEqual(info, {});
+  assert.deepEqual(corrections, []);
+  assert.deepEqual(rejected.map(item => item.field), ['numberOfGuests']);
+});
+
+test('a cuisine is picked up only if the venue serves it', async () => {
+  setProvider(new LocalProvider());
+  const venue = { ...restaurantService.defaultVenue, config: { ...restaurantService.defaultVenue.config, cuisines: ['Japanese'] } };
+
+  assert.deepEqual((await geminiService.extractBookingInfo('Table for 2, Japanese food', {}, venue)).info, { numberOfGuests: 2, cuisinePreference: 'Japanese' });
+  assert.deepEqual((await geminiService.extractBookingInfo('Table for 2, Italian food', {}, venue)).info, { numberOfGuests: 2 });
+});
+
+/**
+ * Ask for a reply on the default venue, collecting the streamed pieces
+ */
+async function streamReply(t, clientId) {
+  t.mock.method(restaurantService.defaultVenue.openingHoursService, 'getUpcomingClosures', async () => []);
+  geminiService.initConversation(clientId);
+  t.after(() => geminiService.clearConversation(clientId));
+
+  const chunks = [];
+  const text = await geminiService.generateResponse(clientId, 'Table for two', { customerName: 'Priya' }, {
+    onChunk: (chunk) => chunks.push(chunk)
+  });
+  return { text, chunks };
+}
+
+test('a streamed reply is passed on piece by piece and kept whole', async (t) => {
+  setProvider({ name: 'scripted', streamText: async function* () { yield 'How many '; yield 'guests, '; yield 'Priya? '; } });
+
+  const { text, chunks } = await streamReply(t, 'stream-1');
+
+  assert.deepEqual(chunks, ['How many ', 'guests, ', 'Priya? ']);
+  assert.equal(text, 'How many guests, Priya?');
+  assert.equal(geminiService.getConversation('stream-1').history.at(-1).message, text);
+});
+
+test('a provider that cannot stream sends its reply as one piece', async (t) => {
+  setProvider({ name: 'scripted', generateText: async () => 'How many guests, Priya?' });
+
+  assert.deepEqual(await streamReply(t, 'stream-2'), { text: 'How many guests, Priya?', chunks: ['How many guests, Priya?'] });
+});
+
+test('a stream that breaks off ends in an apology', async (t) => {
+  setProvider({ name: 'scripted', streamText: async function* () { yield 'How many '; throw new Error('connection reset'); } });
+
+  const { text, chunks } = await streamReply(t, 'stream-3');
+
+  assert.deepEqual(chunks, ['How many ']);
+  assert.equal(text, "I apologize, I'm having trouble processing that. Could you please repeat?");
+});
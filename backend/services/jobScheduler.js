@@ -0,0 +1,125 @@
+const { createJobStore } = require('./jobStores');
+const { systemClock } = require('../utils/clock');
+
+// A job claimed this long ago whose server never reported back is retried
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// Failed jobs are retried this many times, backing off a little more each time
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Job Scheduler
+ * Runs persisted jobs when they fall due. Handlers are registered per job
+ * type; `runDue()` claims whatever is due by the clock and runs it, and
+ * `start()` polls it on an interval. The store (JOB_STORE) and clock can be
+ * swapped so tests run on memory and manual time.
+ */
+class JobScheduler {
+  constructor() {
+    this.handlers = new Map();
+    this.store = null;
+    this.clock = systemClock;
+    this.timer = null;
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = createJobStore();
+    }
+    return this.store;
+  }
+
+  /**
+   * Swap the job store (e.g. the memory store in tests)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Swap the clock (e.g. a manual clock in tests)
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Run `handler(job)` for jobs of this type
+   * A handler that throws is retried; one that returns is done.
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Schedule a job; scheduling the same key again replaces it
+   * @param {Object} job - { type, key, group, runAt, payload }
+   */
+  async schedule(job) {
+    return this.getStore().add(job);
+  }
+
+  /**
+   * Cancel every job in a group that hasn't run yet
+   */
+  async cancelGroup(group) {
+    return this.getStore().cancelGroup(group);
+  }
+
+  /**
+   * Run the jobs that are due now
+   * @returns {Array} [{ job, status: 'done'|'retry'|'failed', error }]
+   */
+  async runDue({ limit = 10 } = {}) {
+    const now = this.clock.now();
+    const store = this.getStore();
+    const jobs = await store.claimDue(now, { limit, staleBefore: new Date(now.getTime() - STALE_CLAIM_MS) });
+    const results = [];
+
+    for (const job of jobs) {
+      const handler = this.handlers.get(job.type);
+      const attempts = job.attempts + 1;
+
+      try {
+        if (!handler) throw new Error(`No handler for ${job.type} jobs`);
+
+        await handler(job);
+        await store.update(job.id, { status: 'done', attempts, lastError: null });
+        results.push({ job, status: 'done' });
+      } catch (error) {
+        const retry = attempts < MAX_ATTEMPTS;
+        console.error(`Job ${job.key} failed (attempt ${attempts}):`, error.message);
+
+        await store.update(job.id, {
+          status: retry ? 'pending' : 'failed',
+          runAt: retry ? new Date(now.getTime() + RETRY_DELAY_MS * attempts) : job.runAt,
+          attempts,
+          lastError: error.message
+        });
+        results.push({ job, status: retry ? 'retry' : 'failed', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Poll for due jobs until stop()
+   */
+  start(intervalMs = 60 * 1000) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runDue().catch(error => console.error('Job scheduler error:', error.message));
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new JobScheduler();
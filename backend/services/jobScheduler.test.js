@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jobScheduler = require('./jobScheduler');
+const reminderService = require('./reminderService');
+const MemoryJobStore = require('./jobStores/memoryStore');
+const { createManualClock } = require('../utils/clock');
+
+const HOUR = 60 * 60 * 1000;
+
+const clock = createManualClock('2026-10-20T12:00:00Z');
+jobScheduler.setClock(clock);
+test.beforeEach(() => {
+  clock.set('2026-10-20T12:00:00Z');
+  jobScheduler.setStore(new MemoryJobStore());
+});
+
+test('jobs run once they fall due, and only once', async () => {
+  const ran = [];
+  jobScheduler.register('test_job', async (job) => { ran.push(job.payload.n); });
+
+  await jobScheduler.schedule({ type: 'test_job', key: 'a', runAt: new Date('2026-10-20T13:00:00Z'), payload: { n: 1 } });
+
+  assert.deepEqual(await jobScheduler.runDue(), []);
+  clock.advance(HOUR);
+  assert.deepEqual((await jobScheduler.runDue()).map(result => result.status), ['done']);
+  assert.deepEqual(await jobScheduler.runDue(), []);
+  assert.deepEqual(ran, [1]);
+});
+
+test('failed jobs are retried with a delay, then given up on', async () => {
+  jobScheduler.register('flaky_job', async () => { throw new Error('gateway down'); });
+  await jobScheduler.schedule({ type: 'flaky_job', key: 'b', runAt: clock.now() });
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const results = await jobScheduler.runDue();
+    statuses.push(...results.map(result => result.status));
+    assert.deepEqual(await jobScheduler.runDue(), [], 'a retry waits for its delay');
+    clock.advance(HOUR);
+  }
+
+  assert.deepEqual(statuses, ['retry', 'retry', 'failed']);
+  const [job] = await jobScheduler.getStore().list({ key: 'b' });
+  assert.equal(job.lastError, 'gateway down');
+});
+
+test('reminders are scheduled 24h and 2h ahead and follow the booking', async () => {
+  const booking = {
+    bookingId: 'BK-1',
+    restaurantId: null,
+    status: 'confirmed',
+    startsAt: new Date('2026-10-23T14:30:00Z'),
+    phoneNumber: '+919800000000'
+  };
+
+  const jobs = await reminderService.scheduleForBooking(booking);
+  assert.deepEqual(jobs.map(job => job.runAt.toISOString()), ['2026-10-22T14:30:00.000Z', '2026-10-23T12:30:00.000Z']);
+
+  // Moved to tomorrow evening: the 24h reminder would be in the past
+  const moved = await reminderService.scheduleForBooking({ ...booking, startsAt: new Date('2026-10-21T08:00:00Z') });
+  assert.deepEqual(moved.map(job => job.key), ['reminder:BK-1:2h']);
+
+  await reminderService.scheduleForBooking({ ...booking, status: 'cancelled' });
+  assert.deepEqual(await jobScheduler.getStore().list({ status: 'pending' }), []);
+});
@@ -0,0 +1,34 @@
+const MemoryJobStore = require('./memoryStore');
+const MongoJobStore = require('./mongoStore');
+
+/**
+ * Scheduled job stores
+ * Every store implements:
+ *   `async add({ type, key, group, runAt, payload })` → job (replaces the job with that key)
+ *   `async claimDue(now, { limit, staleBefore })` → jobs, marked running
+ *   `async update(id, { status, runAt, attempts, lastError })`
+ *   `async cancelGroup(group)` → number cancelled
+ *   `async list({ group, status, type })` → jobs
+ * Select one with JOB_STORE=mongo|memory (default: mongo)
+ */
+const stores = {
+  mongo: MongoJobStore,
+  memory: MemoryJobStore
+};
+
+/**
+ * Create a job store by name
+ */
+const createJobStore = (name = process.env.JOB_STORE || 'mongo') => {
+  const Store = stores[name];
+
+  if (!Store) {
+    throw new Error(`Unknown job store: ${name}. Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store();
+};
+
+module.exports = {
+  createJobStore
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/**
+ * Memory Job Store
+ * Keeps jobs in this process - they are lost on restart.
+ * Useful for development and tests without MongoDB.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+  }
+
+  /**
+   * Schedule a job, replacing any job with the same key
+   * @param {Object} job - { type, key, group, runAt, payload }
+   */
+  async add({ type, key, group = null, runAt, payload = {} }) {
+    const existing = [...this.jobs.values()].find(job => job.key === key);
+    const job = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      type,
+      key,
+      group,
+      runAt: new Date(runAt),
+      payload,
+      status: 'pending',
+      attempts: 0,
+      lockedAt: null,
+      lastError: null
+    };
+
+    this.jobs.set(job.id, job);
+    return structuredClone(job);
+  }
+
+  /**
+   * Claim due jobs (pending, or running but claimed before `staleBefore`)
+   * @returns {Array} The claimed jobs, now "running", earliest first
+   */
+  async claimDue(now, { limit = 10, staleBefore } = {}) {
+    const due = [...this.jobs.values()]
+      .filter(job => job.runAt <= now && (
+        job.status === 'pending' ||
+        (job.status === 'running' && staleBefore && job.lockedAt < staleBefore)
+      ))
+      .sort((a, b) => a.runAt - b.runAt)
+      .slice(0, limit);
+
+    for (const job of due) {
+      job.status = 'running';
+      job.lockedAt = new Date(now);
+    }
+
+    return structuredClone(due);
+  }
+
+  /**
+   * @param {Object} changes - { status, runAt, attempts, lastError }
+   */
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (job) Object.assign(job, changes, { lockedAt: null });
+  }
+
+  /**
+   * Cancel a group's jobs that haven't run yet
+   * @returns {Number} How many were cancelled
+   */
+  async cancelGroup(group) {
+    let cancelled = 0;
+    for (const job of this.jobs.values()) {
+      if (job.group === group && job.status === 'pending') {
+        job.status = 'cancelled';
+        cancelled++;
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Jobs matching { group, status, type }, earliest first
+   */
+  async list(filter = {}) {
+    return structuredClone([...this.jobs.values()]
+      .filter(job => Object.entries(filter).every(([field, value]) => job[field] === value))
+      .sort((a, b) => a.runAt - b.runAt));
+  }
+}
+
+module.exports = MemoryJobStore;
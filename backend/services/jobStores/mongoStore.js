@@ -0,0 +1,88 @@
+const Job = require('../../models/Job');
+
+const toJob = (doc) => doc && {
+  id: String(doc._id),
+  type: doc.type,
+  key: doc.key,
+  group: doc.group,
+  runAt: doc.runAt,
+  payload: doc.payload || {},
+  status: doc.status,
+  attempts: doc.attempts,
+  lockedAt: doc.lockedAt,
+  lastError: doc.lastError
+};
+
+/**
+ * MongoDB Job Store
+ * Jobs survive server restarts; claiming is atomic per job, so several
+ * servers can share the collection.
+ */
+class MongoJobStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  /**
+   * Schedule a job, replacing any job with the same key
+   * @param {Object} job - { type, key, group, runAt, payload }
+   */
+  async add({ type, key, group = null, runAt, payload = {} }) {
+    const doc = await Job.findOneAndUpdate(
+      { key },
+      { type, key, group, runAt, payload, status: 'pending', attempts: 0, lockedAt: null, lastError: null },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    return toJob(doc);
+  }
+
+  /**
+   * Claim due jobs (pending, or running but claimed before `staleBefore`)
+   * @returns {Array} The claimed jobs, now "running", earliest first
+   */
+  async claimDue(now, { limit = 10, staleBefore } = {}) {
+    const claimable = [{ status: 'pending' }];
+    if (staleBefore) claimable.push({ status: 'running', lockedAt: { $lt: staleBefore } });
+
+    const claimed = [];
+    while (claimed.length < limit) {
+      const doc = await Job.findOneAndUpdate(
+        { runAt: { $lte: now }, $or: claimable },
+        { status: 'running', lockedAt: now },
+        { sort: { runAt: 1 }, new: true }
+      ).lean();
+
+      if (!doc) break;
+      claimed.push(toJob(doc));
+    }
+
+    return claimed;
+  }
+
+  /**
+   * @param {Object} changes - { status, runAt, attempts, lastError }
+   */
+  async update(id, changes) {
+    await Job.updateOne({ _id: id }, { ...changes, lockedAt: null });
+  }
+
+  /**
+   * Cancel a group's jobs that haven't run yet
+   * @returns {Number} How many were cancelled
+   */
+  async cancelGroup(group) {
+    const result = await Job.updateMany({ group, status: 'pending' }, { status: 'cancelled' });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Jobs matching { group, status, type }, earliest first
+   */
+  async list(filter = {}) {
+    const docs = await Job.find(filter).sort({ runAt: 1 }).lean();
+    return docs.map(toJob);
+  }
+}
+
+module.exports = MongoJobStore;
@@ -0,0 +1,54 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Google Gemini provider
+ * Sends the prompt as-is; the structured `task`/`input` are ignored
+ */
+class GeminiProvider {
+  constructor({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL || 'gemini-2.0-flash'
+  } = {}) {
+    this.name = 'gemini';
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = this.genAI.getGenerativeModel({ model });
+  }
+
+  /**
+   * @param {Object} request - { task, prompt, input }
+   * @returns {String} Model output, trimmed
+   */
+  async generateText({ prompt }) {
+    const result = await this.model.generateContent(prompt);
+    return result.response.text().trim();
+  }
+
+  /**
+   * @param {Object} request - { task, prompt, input }
+   * @yields {String} Pieces of the model output as they are generated
+   */
+  async *streamText({ prompt }) {
+    const result = await this.model.generateContentStream(prompt);
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  /**
+   * @param {Object} request - { task, prompt, input }
+   * @returns {Object|null} First JSON object in the model output, or null if there is none
+   */
+  async generateJSON({ prompt }) {
+    const responseText = await this.generateText({ prompt });
+
+    // Models sometimes wrap JSON in markdown or add a sentence around it
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    return JSON.parse(jsonMatch[0]);
+  }
+}
+
+module.exports = GeminiProvider;
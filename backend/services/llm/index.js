@@ -0,0 +1,55 @@
+const GeminiProvider = require('./geminiProvider');
+const LocalProvider = require('./localProvider');
+
+/**
+ * LLM providers
+ * Every provider implements:
+ *   `async generateText({ task, prompt, input })` → String
+ *   `async generateJSON({ task, prompt, input })` → Object|null
+ *   `async *streamText({ task, prompt, input })` → text pieces as they are generated
+ * `prompt` is the full natural-language prompt; `task` and `input` carry the
+ * same request in structured form for providers that don't read prompts.
+ * Select one with LLM_PROVIDER=gemini|local (default: gemini)
+ */
+const providers = {
+  gemini: GeminiProvider,
+  local: LocalProvider
+};
+
+/**
+ * Create a provider by name
+ */
+const createProvider = (name = process.env.LLM_PROVIDER || 'gemini') => {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider();
+};
+
+let defaultProvider = null;
+
+/**
+ * Shared provider for the whole app (created on first use)
+ */
+const getProvider = () => {
+  if (!defaultProvider) {
+    defaultProvider = createProvider();
+  }
+  return defaultProvider;
+};
+
+/**
+ * Swap the shared provider (e.g. a scripted fake in tests)
+ */
+const setProvider = (provider) => {
+  defaultProvider = provider;
+};
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,430 @@
+const restaurantConfig = require('../../config/restaurant');
+const openingHoursService = require('../openingHoursService');
+const { NUMBER_WORDS } = require('../../utils/bookingNormalizer');
+const { parseNaturalTime } = require('../../utils/timeParser');
+const { parseNaturalDate } = require('../../utils/dateParser');
+const { formatZonedDate } = require('../../utils/timezone');
+
+/**
+ * Deterministic rule-based provider
+ * Reads the structured `input` of each request instead of the prompt, so
+ * whole booking conversations run offline with no API key - the same
+ * message always gets the same answer. Used by CI and local development.
+ */
+
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*';
+const WEEKDAY = '(monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+
+const CORRECTION_LABELS = {
+  customerName: 'name',
+  numberOfGuests: 'number of guests',
+  bookingDate: 'date',
+  bookingTime: 'time',
+  cuisinePreference: 'cuisine',
+  seatingPreference: 'seating',
+  specialRequests: 'special requests'
+};
+
+// Words that can follow "I'm" / "this is" without being a name
+const NOT_NAMES = new Set([
+  'a', 'an', 'the', 'and', 'for', 'with', 'at', 'on', 'to', 'table', 'booking', 'reservation',
+  'looking', 'calling', 'trying', 'wondering', 'hoping', 'going', 'interested', 'not', 'just',
+  'here', 'fine', 'good', 'ok', 'okay', 'sure', 'yes', 'no', 'hi', 'hello', 'hey', 'thanks'
+]);
+
+// Ordered: the first matching rule wins
+const INTENT_RULES = [
+  ['talk_to_human', /\b(human|real person|someone|somebody|staff|manager|operator|representative)\b/],
+  ['cancel_booking', /\bcancel\b/],
+  ['modify_booking', /\b(change|move|reschedule|modify|update|push back|bring forward)\b.*\b(booking|reservation|table|bk-)/],
+  ['find_booking', /\b(check|find|look up|confirm)\b.*\b(my|existing)\s+(booking|reservation)\b|\bbk-[a-z0-9-]+/],
+  ['join_waitlist', /\b(wait\s?list|waiting list|put me on|add me)\b/],
+  ['ask_menu', /\b(menu|dish|dishes|food|serve|vegan|vegetarian|gluten|allergen|dessert|drinks?)\b/],
+  ['ask_hours', /\b(open|opening|close|closing|hours)\b.*\?|\bwhen (are|do) you (open|close)\b|\bopening hours\b/],
+  ['ask_location', /\b(where|address|located|location|directions|parking|find you)\b/],
+  ['confirm', /^(yes|yeah|yep|yup|sure|ok|okay|correct|confirm|right|perfect|sounds good|go ahead|please do|book it|that's right)\b[^\d]*$/],
+  ['deny', /^(no|nope|nah|not really|don't|do not|never mind|no thanks)\b[^\d]*$/],
+  ['new_booking', /\b(book|reserve|reservation|table for)\b/],
+  ['small_talk', /^(hi|hello|hey|thanks|thank you|good (morning|afternoon|evening)|how are you)\b/]
+];
+
+/**
+ * Parse "4", "four" → 4
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  const lower = String(value).toLowerCase();
+  return NUMBER_WORDS[lower] || (Number.isFinite(Number(lower)) ? Number(lower) : null);
+};
+
+/**
+ * Clock times: "8 PM", "7:30pm", "20:00", "at 8", "noon", "half past seven"
+ * Bare hours are read the same way as parseNaturalTime ("at 8" → 20:00)
+ * Vague times ("in the evening") come back as-is so validation asks for an exact one
+ */
+const findTime = (text) => {
+  let match = text.match(/\b(half past|quarter past|quarter to)\s+([a-z]+|\d{1,2})\b/);
+  if (match) {
+    const parsed = parseNaturalTime(match[0]);
+    if (parsed && parsed.time) return parsed.time;
+  }
+
+  match = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[.,!?])/);
+  if (match) {
+    let hours = Number(match[1]) % 12;
+    if (match[3].startsWith('p')) hours += 12;
+    return `${String(hours).padStart(2, '0')}:${match[2] || '00'}`;
+  }
+
+  match = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (match) return `${match[1].padStart(2, '0')}:${match[2]}`;
+
+  if (/\bnoon\b/.test(text)) return '12:00';
+
+  match = text.match(/\b(?:in the|for)\s+(evening|afternoon|lunch|dinner)\b/);
+  if (match) return match[1];
+
+  match = text.match(/\b(?:at|to|around|about)\s+(\d{1,2})(?:\s*o'?clock)?\b(?!\s*(people|guests|persons|pax|of us|:))/);
+  if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) {
+    // "at 11" stays as said - validation asks whether that's morning or night
+    const parsed = parseNaturalTime(match[1]);
+    return parsed.time || match[1];
+  }
+
+  return null;
+};
+
+/**
+ * Dates: "2026-12-25", "today", "tomorrow", "Friday", "December 5th", "5th of December",
+ * "in three days", "this weekend", "the 14th" - returned as said, parseNaturalDate resolves them
+ */
+const findDate = (text) => {
+  let match = text.match(/\b\d{4}-\d{2}-\d{2}\b/);
+  if (match) return match[0];
+
+  match = text.match(/\b(the )?day after tomorrow\b/);
+  if (match) return 'day after tomorrow';
+
+  match = text.match(new RegExp(`\\bin (\\d+|a|an|a couple of|a few|${Object.keys(NUMBER_WORDS).join('|')}) (days?|weeks?)\\b`));
+  if (match) return match[0];
+
+  match = text.match(/\b((this|next) )?weekend\b|\bnext (week|month)\b/);
+  if (match) return match[0];
+
+  match = text.match(/\b(today|tonight|tomorrow)\b/);
+  if (match) return match[1] === 'tonight' ? 'today' : match[1];
+
+  const monthName = (prefix) => MONTHS.find(month => month.startsWith(prefix.slice(0, 3)));
+
+  match = text.match(new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(st|nd|rd|th)?\\b`));
+  if (match && monthName(match[1])) {
+    const month = monthName(match[1]);
+    return `${month[0].toUpperCase()}${month.slice(1)} ${Number(match[2])}`;
+  }
+
+  match = text.match(new RegExp(`\\b(\\d{1,2})(st|nd|rd|th)?\\s+(of\\s+)?${MONTH}\\b`));
+  if (match && monthName(match[4])) {
+    const month = monthName(match[4]);
+    return `${month[0].toUpperCase()}${month.slice(1)} ${Number(match[1])}`;
+  }
+
+  match = text.match(new RegExp(`\\b((next|this)\\s+)?${WEEKDAY}\\b`));
+  if (match) return match[0];
+
+  match = text.match(/\bthe (\d{1,2})(st|nd|rd|th)\b/);
+  if (match) return match[0];
+
+  return null;
+};
+
+/**
+ * Party size: "4 people", "table for four", "party of 6", "just the two of us"
+ */
+const findGuests = (text) => {
+  const patterns = [
+    new RegExp(`\\b${NUMBER}\\s*(people|persons|guests|pax|adults|of us)\\b`),
+    new RegExp(`\\b(?:table|party|reservation|booking|seats?)\\s+(?:for|of)\\s+${NUMBER}\\b(?!\\s*(:|am|pm|a\\.m|p\\.m|o'?clock))`),
+    new RegExp(`^(?:for\\s+)?${NUMBER}$`)
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return toNumber(match[1]);
+  }
+
+  if (/\b(just me|only me|myself)\b/.test(text)) return 1;
+  if (/\b(couple|two of us|me and my (wife|husband|partner))\b/.test(text)) return 2;
+
+  return null;
+};
+
+/**
+ * Name after "my name is", "I'm", "this is", "under", "call me"
+ */
+const findName = (original) => {
+  const match = original.match(/\b(?:my name is|name's|name is|i am|i'm|this is|call me|under(?: the name)?)\s+([a-z][a-z'-]*(?:\s+[a-z][a-z'-]*)?)/i);
+  if (!match) return null;
+
+  const words = match[1].split(/\s+/).filter(word => !NOT_NAMES.has(word.toLowerCase()));
+  if (words.length === 0 || NOT_NAMES.has(match[1].split(/\s+/)[0].toLowerCase())) return null;
+
+  return words
+    .map(word => `${word[0].toUpperCase()}${word.slice(1)}`)
+    .join(' ');
+};
+
+const findPhoneNumber = (text) => {
+  const match = text.match(/\+?\d[\d\s-]{6,}\d/);
+  return match ? match[0].replace(/[\s-]/g, '') : null;
+};
+
+/**
+ * Booking fields mentioned in a message
+ * Only the venue's own `cuisines` are picked up as a cuisine preference
+ */
+const extractBookingFields = (message, state = {}, cuisines = []) => {
+  const text = message.toLowerCase().trim();
+  const info = {};
+
+  const customerName = findName(message);
+  if (customerName) info.customerName = customerName;
+
+  const bookingTime = findTime(text);
+  if (bookingTime) info.bookingTime = bookingTime;
+
+  const bookingDate = findDate(text);
+  if (bookingDate) info.bookingDate = bookingDate;
+
+  const numberOfGuests = findGuests(text);
+  if (numberOfGuests) info.numberOfGuests = numberOfGuests;
+
+  const cuisine = cuisines.find(name => text.includes(name.toLowerCase()));
+  if (cuisine) {
+    info.cuisinePreference = cuisine;
+  } else if (/\b(no preference|anything|any cuisine|don't mind|dont mind|whatever|surprise me)\b/.test(text)) {
+    info.cuisinePreference = 'Any';
+  }
+
+  if (/\b(outdoors?|outside|patio|terrace|garden)\b/.test(text)) {
+    info.seatingPreference = 'outdoor';
+  } else if (/\b(indoors?|inside)\b/.test(text)) {
+    info.seatingPreference = 'indoor';
+  }
+
+  const special = text.match(/\b(birthday|anniversary|wheelchair|high chair|allerg\w*|celebrat\w*|window seat|quiet table)\b/);
+  if (special) info.specialRequests = special[0];
+
+  const phoneNumber = findPhoneNumber(text);
+  if (phoneNumber) info.phoneNumber = phoneNumber;
+
+  // A bare answer to "may I have your name?"
+  if (!state.customerName && Object.keys(info).length === 0 &&
+      /^[a-z][a-z'-]*(\s+[a-z][a-z'-]*){0,2}[.!]?$/i.test(message.trim()) &&
+      !INTENT_RULES.some(([, pattern]) => pattern.test(text))) {
+    info.customerName = message.trim().replace(/[.!]$/, '')
+      .split(/\s+/)
+      .map(word => `${word[0].toUpperCase()}${word.slice(1)}`)
+      .join(' ');
+  }
+
+  return info;
+};
+
+class LocalProvider {
+  constructor(config = restaurantConfig) {
+    this.name = 'local';
+    this.config = config;
+  }
+
+  /**
+   * @param {Object} request - { task, prompt, input }
+   * @returns {String} Templated reply
+   */
+  async generateText({ task, input = {} }) {
+    if (task === 'generate_response') {
+      return this.generateResponse(input);
+    }
+
+    throw new Error(`Local LLM provider does not support text task: ${task}`);
+  }
+
+  /**
+   * @param {Object} request - { task, prompt, input }
+   * @yields {String} The templated reply word by word, like a model stream
+   */
+  async *streamText(request) {
+    const text = await this.generateText(request);
+
+    for (const word of text.match(/\S+\s*/g) || []) {
+      yield word;
+    }
+  }
+
+  /**
+   * @param {Object} request - { task, prompt, input }
+   * @returns {Object} Same JSON shape the prompt asks Gemini for
+   */
+  async generateJSON({ task, input = {} }) {
+    switch (task) {
+      case 'classify_intent':
+        return this.classifyIntent(input);
+      case 'extract_booking_info':
+        return extractBookingFields(input.userMessage || '', input.existingState || {}, input.cuisines || this.config.cuisines);
+      case 'extract_management_details':
+        return this.extractManagementDetails(input);
+      default:
+        throw new Error(`Local LLM provider does not support JSON task: ${task}`);
+    }
+  }
+
+  /**
+   * Keyword rules in priority order; anything else that carries booking
+   * details (or answers a question we asked) is provide_details
+   */
+  classifyIntent({ userMessage = '', context = {} }) {
+    const text = userMessage.toLowerCase().trim();
+
+    for (const [intent, pattern] of INTENT_RULES) {
+      if (pattern.test(text)) return { intent, confidence: 0.9 };
+    }
+
+    const details = extractBookingFields(userMessage, {}, this.config.cuisines);
+    const askedForName = /\bname\b/i.test(context.lastAgentMessage || '');
+    if (Object.keys(details).length > 1 || (Object.keys(details).length === 1 && (!details.customerName || askedForName))) {
+      return { intent: 'provide_details', confidence: 0.8 };
+    }
+
+    return { intent: 'provide_details', confidence: 0.4 };
+  }
+
+  /**
+   * Which booking the caller means, and what should change
+   * Dates/times after "to", "until" or "instead" are the new values
+   */
+  extractManagementDetails({ userMessage = '' }) {
+    const text = userMessage.toLowerCase();
+    const details = { changes: {} };
+
+    const bookingId = userMessage.match(/\bBK-[A-Za-z0-9-]+/i);
+    if (bookingId) details.bookingId = `BK${bookingId[0].slice(2)}`;
+
+    const customerName = findName(userMessage);
+    if (customerName) details.customerName = customerName;
+
+    // The digits of a booking reference aren't a phone number
+    const phoneNumber = findPhoneNumber(text.replace(/\bbk-[a-z0-9-]+/g, ''));
+    if (phoneNumber) details.phoneNumber = phoneNumber;
+
+    // "I need to move ..." - that "to" doesn't start the new values
+    const [current, requested] = text
+      .replace(/\b(need|needs|want|wants|wanted|like|have|going|trying|able)\s+to\b/g, '$1')
+      .split(/\b(?:to|until|instead)\b(.*)/s);
+
+    const currentDate = findDate(current);
+    if (currentDate) details.bookingDate = currentDate;
+
+    // Party size only ever describes the change ("make it 6 people")
+    const guests = findGuests(text);
+    if (guests) details.changes.numberOfGuests = guests;
+
+    if (requested) {
+      const newDate = findDate(requested);
+      if (newDate) details.changes.bookingDate = newDate;
+
+      const newTime = findTime(`to ${requested}`);
+      if (newTime) details.changes.bookingTime = newTime;
+
+      if (/\b(outdoors?|outside|patio|terrace)\b/.test(requested)) details.changes.seatingPreference = 'outdoor';
+      else if (/\b(indoors?|inside)\b/.test(requested)) details.changes.seatingPreference = 'indoor';
+    }
+
+    return details;
+  }
+
+  /**
+   * Next line of the conversation from the collected state, the
+   * availability check and the caller's intent
+   * `restaurant` is the venue being booked; without it the configured restaurant is used.
+   * A known `customer` is welcomed back once they give their name, and their usual cuisine and seating (prefilled) are pointed out.
+   */
+  generateResponse({ state = {}, availability = null, intent = null, corrections = [], rejected = [], restaurant = null, customer = null }) {
+    const venue = restaurant || {
+      ...this.config,
+      weeklyHours: openingHoursService.describeWeeklyHours()
+    };
+    const parts = [];
+
+    if (corrections.length > 0) {
+      const changes = corrections.map(({ field, from, to }) => `${CORRECTION_LABELS[field] || field} from ${from} to ${to}`);
+      parts.push(`Got it - I've changed the ${changes.join(' and the ')}.`);
+    }
+
+    // Say what we couldn't accept before asking again
+    if (rejected.length > 0) {
+      parts.push(`Sorry, ${rejected.map(item => item.reason).join('; ')}.`);
+    }
+
+    // Questions first, then back to the booking
+    if (intent === 'ask_menu') {
+      parts.push(`We serve ${venue.menuSummary}.`);
+    } else if (intent === 'ask_hours') {
+      parts.push(`Our opening hours are: ${venue.weeklyHours.split('\n').join('; ')}.`);
+    } else if (intent === 'ask_location') {
+      parts.push(venue.address
+        ? `You'll find ${venue.name} at ${venue.address}.`
+        : `Please call ${venue.name}${venue.phoneNumber ? ` on ${venue.phoneNumber}` : ''} for directions.`);
+    } else if (intent === 'small_talk') {
+      parts.push('Happy to help!');
+    }
+
+    if (availability && availability.closed) {
+      parts.push(`Sorry, we're closed on ${availability.date}: ${availability.closedReason}. Which other date would suit you?`);
+      return parts.join(' ');
+    }
+
+    if (availability && availability.openSlots.length === 0) {
+      parts.push(`Sorry, we're fully booked on ${availability.date} for that party size. Would another date work?`);
+      return parts.join(' ');
+    }
+
+    if (availability && availability.requestedTimeAvailable === false) {
+      parts.push(`Sorry, ${availability.requestedTime} isn't available (${availability.requestedTimeReason}). How about ${availability.suggestions.join(', ')}?`);
+      if (availability.waitlistOffered) {
+        parts.push(`Or I can put you on the waitlist for ${availability.requestedTime}.`);
+      }
+      return parts.join(' ');
+    }
+
+    if (!state.customerName) {
+      parts.push('May I have your name for the reservation?');
+    } else if (!state.numberOfGuests) {
+      parts.push(`${customer ? 'Welcome back' : 'Thanks'}, ${state.customerName}! How many guests will be joining?`);
+    } else if (!state.bookingDate) {
+      parts.push('What date would you like to book?');
+    } else if (!state.bookingTime) {
+      const suggestions = availability && availability.suggestions.length > 0
+        ? ` We have ${availability.suggestions.join(', ')} available.`
+        : '';
+      parts.push(`What time would you like?${suggestions}`);
+    } else if (!state.cuisinePreference) {
+      parts.push(`Any cuisine preference? We serve ${venue.cuisines.join(', ')}.`);
+    } else if (!state.seatingPreference) {
+      parts.push('Would you prefer indoor or outdoor seating?');
+    } else {
+      const date = parseNaturalDate(state.bookingDate, new Date(), venue.timeZone);
+      const spokenDate = date
+        ? formatZonedDate(date, undefined, venue.timeZone)
+        : state.bookingDate;
+      const usual = customer && state.seatingPreference === customer.favouriteSeating ? ', as usual' : '';
+      parts.push(`Let me confirm: a table for ${state.numberOfGuests} under ${state.customerName} on ${spokenDate} at ${state.bookingTime}, ${state.seatingPreference} seating${usual}. Shall I book it?`);
+    }
+
+    return parts.join(' ');
+  }
+}
+
+module.exports = LocalProvider;
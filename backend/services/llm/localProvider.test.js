@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalProvider = require('./localProvider');
+const { createProvider } = require('./index');
+
+const provider = new LocalProvider();
+
+const restaurant = {
+  name: 'Spice Garden',
+  address: '12 MG Road',
+  menuSummary: 'Indian and Italian dishes',
+  cuisines: ['Indian', 'Italian'],
+  weeklyHours: 'Monday: closed\nTuesday: 12:00–23:00',
+  timeZone: 'Asia/Kolkata'
+};
+
+const classify = async (userMessage, context = {}) =>
+  (await provider.generateJSON({ task: 'classify_intent', input: { userMessage, context } })).intent;
+
+test('intents come from keyword rules, the first match winning', async () => {
+  assert.equal(await classify('Can I talk to a manager about cancelling?'), 'talk_to_human');
+  assert.equal(await classify('Please cancel my booking'), 'cancel_booking');
+  assert.equal(await classify('I need to move my reservation'), 'modify_booking');
+  assert.equal(await classify('Can you check my booking?'), 'find_booking');
+  assert.equal(await classify('Do you have vegan food?'), 'ask_menu');
+  assert.equal(await classify('Where are you located'), 'ask_location');
+  assert.equal(await classify('Yes please'), 'confirm');
+  assert.equal(await classify('No thanks'), 'deny');
+  assert.equal(await classify('I want to book a table'), 'new_booking');
+  assert.equal(await classify('Hello there'), 'small_talk');
+});
+
+test('anything else is booking details, confidently only when it carries some', async () => {
+  assert.deepEqual(await provider.classifyIntent({ userMessage: 'four people tomorrow' }), { intent: 'provide_details', confidence: 0.8 });
+  assert.deepEqual(await provider.classifyIntent({ userMessage: 'purple elephants' }), { intent: 'provide_details', confidence: 0.4 });
+
+  // A bare name is only details when we asked for one
+  assert.equal(provider.classifyIntent({ userMessage: 'Priya', context: { lastAgentMessage: 'May I have your name?' } }).confidence, 0.8);
+});
+
+test('booking fields are read from the message', async () => {
+  const extract = (userMessage, existingState) =>
+    provider.generateJSON({ task: 'extract_booking_info', input: { userMessage, existingState } });
+
+  assert.deepEqual(await extract("Hi, I'm priya sharma, table for four tomorrow at 8 pm, outdoors please, it's a birthday"), {
+    customerName: 'Priya Sharma',
+    numberOfGuests: 4,
+    bookingDate: 'tomorrow',
+    bookingTime: '20:00',
+    seatingPreference: 'outdoor',
+    specialRequests: 'birthday'
+  });
+  assert.deepEqual(await extract('Italian, and my number is 98765 43210'), { cuisinePreference: 'Italian', phoneNumber: '9876543210' });
+  assert.deepEqual(await extract('the 14th of December'), { bookingDate: 'December 14' });
+  assert.deepEqual(await extract('Arjun'), { customerName: 'Arjun' });
+  assert.deepEqual(await extract('Arjun', { customerName: 'Priya' }), {});
+});
+
+test('only the venue\'s own cuisines are taken as a preference', async () => {
+  const extract = (userMessage, cuisines) =>
+    provider.generateJSON({ task: 'extract_booking_info', input: { userMessage, existingState: {}, cuisines } });
+
+  assert.deepEqual(await extract('Japanese food please', ['Japanese', 'Mexican']), { cuisinePreference: 'Japanese' });
+  assert.deepEqual(await extract('Italian food please', ['Japanese', 'Mexican']), {});
+
+  // Without a venue, the configured restaurant's
+  assert.deepEqual(await extract('Italian food please'), { cuisinePreference: 'Italian' });
+});
+
+test('a change request separates the booking meant from the new values', async () => {
+  const details = (userMessage) =>
+    provider.generateJSON({ task: 'extract_management_details', input: { userMessage } });
+
+  assert.deepEqual(await details('I need to move my Friday reservation to 9 pm'), {
+    bookingDate: 'friday',
+    changes: { bookingTime: '21:00' }
+  });
+  assert.deepEqual(await details('bk-1733212345-abc123def under Priya, change it to 6 people outdoors'), {
+    bookingId: 'BK-1733212345-abc123def',
+    customerName: 'Priya',
+    changes: { numberOfGuests: 6, seatingPreference: 'outdoor' }
+  });
+});
+
+test('replies ask for the next missing detail, then read the booking back', async () => {
+  const reply = (state, extra = {}) =>
+    provider.generateText({ task: 'generate_response', input: { state, restaurant, ...extra } });
+
+  assert.equal(await reply({}), 'May I have your name for the reservation?');
+  assert.equal(await reply({ customerName: 'Priya' }), 'Thanks, Priya! How many guests will be joining?');
+  assert.equal(
+    await reply({ customerName: 'Priya', numberOfGuests: 2, bookingDate: '2026-10-23' }, { intent: 'ask_menu' }),
+    'We serve Indian and Italian dishes. What time would you like?'
+  );
+  assert.equal(
+    await reply({ customerName: 'Priya', numberOfGuests: 2, bookingDate: '2026-10-23', bookingTime: '19:00' }),
+    'Any cuisine preference? We serve Indian, Italian.'
+  );
+  assert.equal(
+    await reply({ customerName: 'Priya', numberOfGuests: 2, bookingDate: '2026-10-23', bookingTime: '19:00', cuisinePreference: 'Indian', seatingPreference: 'indoor' }),
+    'Let me confirm: a table for 2 under Priya on Friday, October 23 at 19:00, indoor seating. Shall I book it?'
+  );
+  assert.equal(
+    await reply({ customerName: 'Priya', numberOfGuests: 2 }, {
+      availability: { date: 'Friday', openSlots: ['19:00'], requestedTime: '20:00', requestedTimeAvailable: false, requestedTimeReason: 'fully booked', suggestions: ['19:00'] }
+    }),
+    "Sorry, 20:00 isn't available (fully booked). How about 19:00?"
+  );
+});
+
+test('streamed replies are the same reply word by word', async () => {
+  const request = { task: 'generate_response', input: { state: { customerName: 'Priya' }, restaurant } };
+  const pieces = [];
+  for await (const piece of provider.streamText(request)) pieces.push(piece);
+
+  assert.ok(pieces.length > 1);
+  assert.equal(pieces.join(''), await provider.generateText(request));
+});
+
+test('unknown tasks and providers are refused', async () => {
+  await assert.rejects(provider.generateJSON({ task: 'write_poem' }), /does not support JSON task: write_poem/);
+  assert.throws(() => createProvider('gpt'), /Unknown LLM provider: gpt/);
+  assert.equal(createProvider('local').name, 'local');
+});
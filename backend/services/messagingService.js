@@ -0,0 +1,141 @@
+const restaurantService = require('./restaurantService');
+const { createSessionStore } = require('./sessionStores');
+const { getTransport } = require('./transports');
+const { normalizeBookingFields } = require('../utils/bookingNormalizer');
+const { createCollectingSocket } = require('../utils/collectingSocket');
+const { createMessage } = require('../../shared/protocol');
+
+const CHANNELS = ['sms', 'whatsapp'];
+
+/**
+ * Messaging Service
+ * Lets guests book by text message (SMS or WhatsApp). Each inbound text is
+ * one turn of a conversation in the same engine as the WebSocket clients;
+ * between texts the conversation lives in the session store, keyed by the
+ * guest's number, so it survives restarts and can span hours.
+ * Replies go out through the outbound message transport (MESSAGE_TRANSPORT).
+ */
+class MessagingService {
+  constructor() {
+    // The WebSocketServer whose conversations we drive (set in server.js)
+    this.engine = null;
+
+    // Texts are slower paced than calls, so their sessions live longer
+    this.sessionStore = null;
+
+    // Turns in progress per conversation, so texts from one number are handled in order
+    this.queues = new Map();
+  }
+
+  attach(engine) {
+    this.engine = engine;
+  }
+
+  getSessionStore() {
+    if (!this.sessionStore) {
+      this.sessionStore = createSessionStore(undefined, Number(process.env.MESSAGING_SESSION_TTL_MINUTES) || 24 * 60);
+    }
+    return this.sessionStore;
+  }
+
+  /**
+   * Session key for a guest texting a venue
+   */
+  sessionKey(channel, phoneNumber, venue) {
+    return `${channel}:${venue.restaurantId || 'default'}:${phoneNumber}`;
+  }
+
+  /**
+   * Handle a text from a guest and send the agent's reply
+   * @param {Object} inbound - { channel: 'sms'|'whatsapp', from, text, restaurantId }
+   * @returns {Object} { to, text, delivery } - delivery is null when sending failed
+   * @throws 400 for a missing number, text or unknown channel; 404/410 for the restaurant
+   */
+  async handleInbound({ channel = 'sms', from, text, restaurantId }) {
+    if (!this.engine) {
+      const error = new Error('Messaging is not available');
+      error.status = 503;
+      error.code = 'MESSAGING_UNAVAILABLE';
+      throw error;
+    }
+
+    const { fields, rejected } = normalizeBookingFields({ phoneNumber: from });
+    if (!fields.phoneNumber || rejected.length > 0 || !CHANNELS.includes(channel) || !String(text || '').trim()) {
+      const error = new Error(`A message needs a valid sender number, some text and a channel (${CHANNELS.join(', ')})`);
+      error.status = 400;
+      error.code = 'INVALID_MESSAGE';
+      throw error;
+    }
+
+    const venue = await restaurantService.getVenue(restaurantId);
+    const key = this.sessionKey(channel, fields.phoneNumber, venue);
+
+    // Wait for this guest's previous text to finish
+    const previous = this.queues.get(key) || Promise.resolve();
+    const turn = previous
+      .catch(() => {})
+      .then(() => this.runTurn({ key, channel, phoneNumber: fields.phoneNumber, venue, text: String(text).trim() }));
+
+    const cleanUp = () => {
+      if (this.queues.get(key) === turn) this.queues.delete(key);
+    };
+    this.queues.set(key, turn);
+    turn.then(cleanUp, cleanUp);
+
+    return turn;
+  }
+
+  /**
+   * One text in, one reply out
+   */
+  async runTurn({ key, channel, phoneNumber, venue, text }) {
+    const line = createCollectingSocket();
+    // Their number is vouched for by the carrier, so it's how we recognise a regular
+    const client = this.engine.createClient(line, { venue, channel, sessionToken: key, knownContact: { phoneNumber } });
+
+    try {
+      const session = await this.getSessionStore().get(key);
+      if (session && this.engine.canRestore(client, session)) {
+        this.engine.restoreSession(client, session);
+      }
+
+      // Their number is the contact number unless they give another one
+      if (!client.conversationState.phoneNumber) {
+        client.conversationState.phoneNumber = phoneNumber;
+      }
+
+      console.log(`💬 ${channel} from ${phoneNumber} for ${venue.config.name}: ${text}`);
+
+      await this.engine.handleMessage(client.id, createMessage('user_message', { message: text }));
+      await this.engine.saveSession(client, this.getSessionStore());
+    } finally {
+      this.engine.removeClient(client);
+    }
+
+    const reply = this.engine.readableTexts(line.take()).join('\n\n');
+    const delivery = await this.sendReply({ channel, phoneNumber, venue, text: reply });
+
+    return { to: phoneNumber, text: reply, delivery };
+  }
+
+  /**
+   * Send the agent's reply to the guest
+   * Delivery problems are logged, never thrown - the conversation is already saved
+   */
+  async sendReply({ channel, phoneNumber, venue, text }) {
+    if (!text) return null;
+
+    try {
+      return await getTransport().send({
+        to: { phoneNumber },
+        body: text,
+        metadata: { type: 'conversation', channel, restaurantId: venue.restaurantId ? String(venue.restaurantId) : null }
+      });
+    } catch (error) {
+      console.error(`${channel} reply to ${phoneNumber} failed:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new MessagingService();
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const messagingService = require('./messagingService');
+const restaurantService = require('./restaurantService');
+const customerService = require('./customerService');
+const weatherService = require('./weatherService');
+const WebSocketServer = require('../websocket');
+const MemoryTransport = require('./transports/memoryTransport');
+const LocalProvider = require('./llm/localProvider');
+const { setTransport } = require('./transports');
+const { setProvider } = require('./llm');
+const { createSessionStore } = require('./sessionStores');
+
+setProvider(new LocalProvider());
+
+const engine = new WebSocketServer(http.createServer());
+messagingService.attach(engine);
+
+const outbox = new MemoryTransport();
+setTransport(outbox);
+
+test.beforeEach((t) => {
+  outbox.clear();
+  messagingService.sessionStore = createSessionStore('memory', 60);
+
+  t.mock.method(engine, 'checkConversationAvailability', async () => null);
+  t.mock.method(restaurantService.defaultVenue.openingHoursService, 'getUpcomingClosures', async () => []);
+  t.mock.method(weatherService, 'getWeatherForDate', async () => { throw new Error('offline'); });
+  t.mock.method(customerService, 'findByContact', async () => null);
+});
+
+const session = (phoneNumber, channel = 'sms') =>
+  messagingService.getSessionStore().get(messagingService.sessionKey(channel, phoneNumber, restaurantService.defaultVenue));
+
+test('a guest\'s texts are one conversation, kept under their number', async () => {
+  await messagingService.handleInbound({ from: '+91 98000 00000', text: "Hi, I'm Priya Sharma and I'd like to book a table for 2" });
+  const reply = await messagingService.handleInbound({ from: '+919800000000', text: 'December 14 at 7:30 pm' });
+
+  assert.equal(reply.to, '+919800000000');
+  assert.ok(reply.text);
+  assert.deepEqual(reply.delivery, { delivered: true, transport: 'memory' });
+
+  const { conversationState, channel } = await session('+919800000000');
+  assert.equal(channel, 'sms');
+  assert.equal(conversationState.customerName, 'Priya Sharma');
+  assert.equal(conversationState.numberOfGuests, 2);
+  assert.equal(conversationState.bookingTime, '19:30');
+  assert.equal(conversationState.phoneNumber, '+919800000000');
+
+  assert.deepEqual(outbox.outbox.map(message => [message.to.phoneNumber, message.metadata.channel]), [
+    ['+919800000000', 'sms'],
+    ['+919800000000', 'sms']
+  ]);
+  assert.equal(outbox.outbox[1].body, reply.text);
+
+  // Nothing is left connected between texts
+  assert.equal(engine.clients.size, 0);
+});
+
+test('another number, or the same number on another channel, starts its own conversation', async () => {
+  await messagingService.handleInbound({ from: '+919800000000', text: "Hi, I'm Priya Sharma and I'd like to book a table for 2" });
+  await messagingService.handleInbound({ from: '+919811111111', text: "I'd like to book a table" });
+  await messagingService.handleInbound({ channel: 'whatsapp', from: '+919800000000', text: "I'd like to book a table" });
+
+  assert.deepEqual((await session('+919811111111')).conversationState, { phoneNumber: '+919811111111' });
+  assert.deepEqual((await session('+919800000000', 'whatsapp')).conversationState, { phoneNumber: '+919800000000' });
+  assert.equal((await session('+919800000000')).conversationState.customerName, 'Priya Sharma');
+});
+
+test('a number the guest gives is kept over the one they text from', async () => {
+  await messagingService.handleInbound({ from: '+919800000000', text: "I'd like to book a table" });
+  const saved = await session('+919800000000');
+  await messagingService.getSessionStore().set(messagingService.sessionKey('sms', '+919800000000', restaurantService.defaultVenue), {
+    ...saved,
+    conversationState: { ...saved.conversationState, phoneNumber: '+919822222222' }
+  });
+
+  await messagingService.handleInbound({ from: '+919800000000', text: 'Table for 2' });
+
+  assert.equal((await session('+919800000000')).conversationState.phoneNumber, '+919822222222');
+});
+
+test('a regular is recognised by the number they text from', async (t) => {
+  const lookups = t.mock.method(customerService, 'findByContact', async () => ({ name: 'Priya Sharma', favouriteSeating: 'outdoor' }));
+
+  const reply = await messagingService.handleInbound({ from: '+919800000000', text: "I'd like to book a table for 2" });
+
+  assert.deepEqual(lookups.mock.calls[0].arguments[0], { phoneNumber: '+919800000000' });
+  assert.equal((await session('+919800000000')).conversationState.seatingPreference, 'outdoor');
+  assert.doesNotMatch(reply.text, /Priya/);
+});
+
+test('a reply that cannot be delivered leaves the conversation saved', async (t) => {
+  t.mock.method(outbox, 'send', async () => { throw new Error('gateway down'); });
+
+  const reply = await messagingService.handleInbound({ from: '+919800000000', text: "I'd like to book a table for 2" });
+
+  assert.equal(reply.delivery, null);
+  assert.equal((await session('+919800000000')).conversationState.numberOfGuests, 2);
+});
+
+test('texts without a valid number, text or channel are refused', async () => {
+  await assert.rejects(messagingService.handleInbound({ from: '12345', text: 'Table for 2' }), { status: 400, code: 'INVALID_MESSAGE' });
+  await assert.rejects(messagingService.handleInbound({ from: '+919800000000', text: '   ' }), { status: 400 });
+  await assert.rejects(messagingService.handleInbound({ channel: 'fax', from: '+919800000000', text: 'Table for 2' }), { status: 400 });
+
+  const detached = new messagingService.constructor();
+  await assert.rejects(detached.handleInbound({ from: '+919800000000', text: 'Table for 2' }), { status: 503, code: 'MESSAGING_UNAVAILABLE' });
+  assert.deepEqual(outbox.outbox, []);
+});
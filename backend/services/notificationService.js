@@ -0,0 +1,105 @@
+const { getTransport } = require('./transports');
+const { renderNotification, describeChanges } = require('./notificationTemplates');
+const { bookingCalendar, calendarMethod, calendarFilename } = require('./bookingCalendar');
+const { bookingUrl } = require('../utils/publicUrl');
+const restaurantConfig = require('../config/restaurant');
+
+// Emails that carry the booking's calendar event, and the iTIP method it's sent with
+const CALENDAR_METHODS = {
+  booking_confirmed: 'REQUEST',
+  booking_updated: 'REQUEST',
+  booking_cancelled: 'CANCEL'
+};
+
+/**
+ * Notification Service
+ * Tells guests about their bookings: confirmations, changes, reminders and cancellations
+ * go to the booking's email and phone number through the outbound message
+ * transport (MESSAGE_TRANSPORT, e.g. smtp,sms in production; file or memory
+ * as a local outbox). Confirmation, change and cancellation emails carry the
+ * booking's calendar event as an .ics attachment.
+ */
+class NotificationService {
+  /**
+   * Send a booking notification on every channel the guest gave us
+   * Delivery problems are logged, never thrown - the booking change already succeeded
+   * @param {String} event - booking_confirmed | booking_updated | booking_reminder | booking_cancelled
+   * @param {Object} booking
+   * @param {Object} options - { config: the venue's settings, previous: the booking before an update,
+   *   links: a reminder's confirm/cancel URLs; the booking's calendar.ics URL is always added }
+   * @returns {Array} Transport results, one per message sent
+   */
+  async notifyGuest(event, booking, { config = restaurantConfig, previous = null, links = null } = {}) {
+    if (!booking.email && !booking.phoneNumber) {
+      return [];
+    }
+
+    // Staff-only edits (status, tables) aren't worth a message
+    if (event === 'booking_updated' && previous && describeChanges(previous, booking, config).length === 0) {
+      return [];
+    }
+
+    let rendered;
+    try {
+      rendered = renderNotification(event, {
+        booking,
+        config,
+        previous,
+        links: { calendar: bookingUrl(booking, 'calendar.ics'), ...links }
+      });
+    } catch (error) {
+      console.error(`Could not render ${event} for ${booking.bookingId}:`, error.message);
+      return [];
+    }
+
+    const metadata = {
+      type: 'notification',
+      event,
+      bookingId: booking.bookingId,
+      restaurantId: config.restaurantId ? String(config.restaurantId) : null
+    };
+
+    const messages = [
+      ...(booking.email ? [{
+        to: { email: booking.email },
+        subject: rendered.email.subject,
+        body: rendered.email.body,
+        ...(CALENDAR_METHODS[event] ? { attachments: [this.calendarAttachment(booking, config, CALENDAR_METHODS[event])] } : {}),
+        metadata: { ...metadata, channel: 'email' }
+      }] : []),
+      ...(booking.phoneNumber ? [{
+        to: { phoneNumber: booking.phoneNumber },
+        body: rendered.sms.body,
+        metadata: { ...metadata, channel: 'sms' }
+      }] : [])
+    ];
+
+    const results = [];
+    for (const message of messages) {
+      try {
+        results.push(await getTransport().send(message));
+      } catch (error) {
+        console.error(`${event} ${message.metadata.channel} for ${booking.bookingId} failed:`, error.message);
+        results.push({ delivered: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * The booking's calendar event as a message attachment
+   * @returns {Object} { filename, contentType, content }
+   */
+  calendarAttachment(booking, config, method) {
+    const sentWith = calendarMethod(booking, config, method);
+
+    return {
+      filename: calendarFilename(booking),
+      contentType: `text/calendar; charset=utf-8; method=${sentWith}`,
+      content: bookingCalendar(booking, config, sentWith)
+    };
+  }
+}
+
+module.exports = new NotificationService();
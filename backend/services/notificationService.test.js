@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const notificationService = require('./notificationService');
+const MemoryTransport = require('./transports/memoryTransport');
+const { setTransport } = require('./transports');
+
+const config = {
+  restaurantId: null,
+  name: 'RestauBot Bistro',
+  address: '12 Road No. 36, Hyderabad',
+  phoneNumber: '+914012345678',
+  email: 'bookings@restaubot.example',
+  timeZone: 'Asia/Kolkata'
+};
+
+const booking = {
+  bookingId: 'BK-1',
+  customerName: 'Priya',
+  numberOfGuests: 4,
+  bookingDate: new Date('2026-10-22T18:30:00Z'), // Oct 23 in Kolkata
+  bookingTime: '20:00',
+  startsAt: new Date('2026-10-23T14:30:00Z'),
+  durationMinutes: 90,
+  calendarSequence: 0,
+  seatingPreference: 'outdoor',
+  cuisinePreference: 'Any',
+  specialRequests: '',
+  phoneNumber: '+919800000000',
+  email: 'priya@example.com',
+  status: 'confirmed'
+};
+
+// Long lines are folded; undo it to match whole values
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+const outbox = new MemoryTransport();
+setTransport(outbox);
+test.beforeEach(() => outbox.clear());
+
+test('a confirmation goes out by email and SMS', async () => {
+  const results = await notificationService.notifyGuest('booking_confirmed', booking, { config });
+
+  assert.equal(results.length, 2);
+  const [email, sms] = outbox.outbox;
+  assert.deepEqual(email.to, { email: 'priya@example.com' });
+  assert.equal(email.subject, 'Your table at RestauBot Bistro is confirmed (BK-1)');
+  assert.match(email.body, /Date: Friday, October 23, 2026/);
+  assert.match(email.body, /Address: 12 Road No. 36, Hyderabad/);
+  assert.deepEqual(sms.to, { phoneNumber: '+919800000000' });
+  assert.equal(sms.body, 'RestauBot Bistro: your table for 4 guests on Fri, Oct 23 at 20:00 is confirmed. Ref BK-1. Changes: +914012345678' +
+    ' Calendar: http://localhost:5000/api/bookings/BK-1/calendar.ics');
+  assert.equal(sms.metadata.event, 'booking_confirmed');
+});
+
+test('an update lists what changed', async () => {
+  const updated = { ...booking, bookingTime: '21:00', numberOfGuests: 5, email: null };
+  await notificationService.notifyGuest('booking_updated', updated, { config, previous: booking });
+
+  assert.equal(outbox.outbox.length, 1);
+  assert.equal(outbox.outbox[0].body, 'RestauBot Bistro: your booking BK-1 is now for 5 guests on Fri, Oct 23 at 21:00.');
+
+  await notificationService.notifyGuest('booking_updated', { ...updated, email: 'priya@example.com' }, { config, previous: booking });
+  assert.match(outbox.outbox[1].body, /What changed:\n- Guests: 4 → 5\n- Time: 20:00 → 21:00\n/);
+});
+
+test('staff-only edits and guests without contact details get nothing', async () => {
+  await notificationService.notifyGuest('booking_updated', { ...booking, status: 'completed' }, { config, previous: booking });
+  await notificationService.notifyGuest('booking_cancelled', { ...booking, phoneNumber: '', email: '' }, { config });
+
+  assert.equal(outbox.outbox.length, 0);
+});
+
+test('emails carry the calendar event, revised on changes and cancelled on cancellation', async () => {
+  await notificationService.notifyGuest('booking_confirmed', booking, { config });
+  await notificationService.notifyGuest('booking_updated', { ...booking, bookingTime: '21:00', startsAt: new Date('2026-10-23T15:30:00Z'), calendarSequence: 1 }, { config, previous: booking });
+  await notificationService.notifyGuest('booking_cancelled', { ...booking, status: 'cancelled', calendarSequence: 2 }, { config });
+
+  const [confirmed, updated, cancelled] = outbox.outbox.filter(message => message.metadata.channel === 'email').map(message => message.attachments[0]);
+  assert.equal(confirmed.filename, 'BK-1.ics');
+  assert.equal(confirmed.contentType, 'text/calendar; charset=utf-8; method=REQUEST');
+  assert.match(confirmed.content, /METHOD:REQUEST\r\n/);
+  assert.match(confirmed.content, /UID:BK-1@restaubot\r\nSEQUENCE:0\r\n/);
+  assert.match(confirmed.content, /DTSTART:20261023T143000Z\r\nDTEND:20261023T160000Z\r\n/);
+  assert.match(confirmed.content, /LOCATION:RestauBot Bistro\\, 12 Road No. 36\\, Hyderabad\r\n/);
+  assert.match(confirmed.content, /\r\nORGANIZER;CN=RestauBot Bistro:mailto:bookings@restaubot\.example\r\n/);
+  assert.match(unfold(confirmed.content), /\r\nATTENDEE;CN=Priya;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:priya@example\.com\r\n/);
+  assert.match(updated.content, /SEQUENCE:1\r\nDTSTAMP:.*\r\nDTSTART:20261023T153000Z/);
+  assert.match(cancelled.content, /METHOD:CANCEL\r\n/);
+  assert.match(cancelled.content, /SEQUENCE:2\r\n/);
+  assert.match(cancelled.content, /STATUS:CANCELLED\r\n/);
+  assert.match(unfold(cancelled.content), /\r\nORGANIZER;.*\r\nATTENDEE;.*mailto:priya@example\.com\r\n/);
+});
+
+test('without the venue\'s email the calendar event is published, not sent as an invite', async () => {
+  await notificationService.notifyGuest('booking_cancelled', { ...booking, status: 'cancelled', calendarSequence: 2 }, { config: { ...config, email: '' } });
+
+  const [cancelled] = outbox.outbox.filter(message => message.metadata.channel === 'email').map(message => message.attachments[0]);
+  assert.equal(cancelled.contentType, 'text/calendar; charset=utf-8; method=PUBLISH');
+  assert.match(cancelled.content, /METHOD:PUBLISH\r\n/);
+  assert.match(cancelled.content, /STATUS:CANCELLED\r\n/);
+  assert.doesNotMatch(cancelled.content, /ORGANIZER|ATTENDEE/);
+});
@@ -0,0 +1,202 @@
+const { formatZonedDate } = require('../utils/timezone');
+
+/**
+ * Guest notification templates
+ * Each template renders { email: { subject, body }, sms: { body } } for a
+ * booking at a venue. SMS bodies stay short enough for one or two texts.
+ */
+
+const SEATING_LABELS = {
+  indoor: 'Indoor',
+  outdoor: 'Outdoor',
+  any: 'No preference'
+};
+
+// Fields a guest cares about when their booking changes, with how to show them
+const CHANGE_FIELDS = {
+  customerName: { label: 'Name' },
+  numberOfGuests: { label: 'Guests' },
+  bookingDate: { label: 'Date', format: (value, config) => longDate(value, config) },
+  bookingTime: { label: 'Time' },
+  seatingPreference: { label: 'Seating', format: (value) => SEATING_LABELS[value] || value },
+  cuisinePreference: { label: 'Cuisine' },
+  specialRequests: { label: 'Special requests', format: (value) => value || 'None' }
+};
+
+const longDate = (date, config) =>
+  formatZonedDate(date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }, config.timeZone);
+
+const shortDate = (date, config) =>
+  formatZonedDate(date, { weekday: 'short', month: 'short', day: 'numeric' }, config.timeZone);
+
+const guests = (count) => `${count} guest${count === 1 ? '' : 's'}`;
+
+const formatValue = (field, value, config) => {
+  const { format } = CHANGE_FIELDS[field];
+  return format ? format(value, config) : String(value);
+};
+
+/**
+ * The booking as a list of "Label: value" lines
+ */
+const detailLines = (booking, config) => [
+  `Booking reference: ${booking.bookingId}`,
+  `Name: ${booking.customerName}`,
+  `Date: ${longDate(booking.bookingDate, config)}`,
+  `Time: ${booking.bookingTime}`,
+  `Guests: ${booking.numberOfGuests}`,
+  `Seating: ${SEATING_LABELS[booking.seatingPreference] || booking.seatingPreference}`,
+  ...(booking.cuisinePreference && booking.cuisinePreference !== 'Any' ? [`Cuisine: ${booking.cuisinePreference}`] : []),
+  ...(booking.specialRequests ? [`Special requests: ${booking.specialRequests}`] : [])
+];
+
+/**
+ * Where to find us, how to reach us, and the sign-off
+ */
+const footerLines = (config) => {
+  const venue = [
+    ...(config.address ? [`Address: ${config.address}`] : []),
+    ...(config.phoneNumber ? [`Questions or changes: call us on ${config.phoneNumber} and quote your booking reference.`] : [])
+  ];
+
+  return [...venue, ...(venue.length > 0 ? [''] : []), 'See you soon,', config.name];
+};
+
+/**
+ * Guest-facing fields that differ between two versions of a booking
+ * @returns {Array} [{ field, label, from, to }] with display values
+ */
+function describeChanges(previous, booking, config) {
+  if (!previous) return [];
+
+  return Object.keys(CHANGE_FIELDS)
+    .filter(field => {
+      const before = previous[field];
+      const after = booking[field];
+      if (before instanceof Date || after instanceof Date) {
+        return new Date(before).getTime() !== new Date(after).getTime();
+      }
+      return (before ?? '') !== (after ?? '');
+    })
+    .map(field => ({
+      field,
+      label: CHANGE_FIELDS[field].label,
+      from: formatValue(field, previous[field], config),
+      to: formatValue(field, booking[field], config)
+    }));
+}
+
+const templates = {
+  booking_confirmed: ({ booking, config, links }) => ({
+    email: {
+      subject: `Your table at ${config.name} is confirmed (${booking.bookingId})`,
+      body: [
+        `Hi ${booking.customerName},`,
+        '',
+        `Your table for ${guests(booking.numberOfGuests)} at ${config.name} is confirmed.`,
+        '',
+        ...detailLines(booking, config),
+        '',
+        `Add it to your calendar: ${links.calendar}`,
+        '',
+        ...footerLines(config)
+      ].join('\n')
+    },
+    sms: {
+      body: `${config.name}: your table for ${guests(booking.numberOfGuests)} on ${shortDate(booking.bookingDate, config)} at ${booking.bookingTime} is confirmed. Ref ${booking.bookingId}.` +
+        (config.phoneNumber ? ` Changes: ${config.phoneNumber}` : '') +
+        ` Calendar: ${links.calendar}`
+    }
+  }),
+
+  booking_updated: ({ booking, config, previous, links }) => {
+    const changes = describeChanges(previous, booking, config);
+
+    return {
+      email: {
+        subject: `Your booking at ${config.name} has changed (${booking.bookingId})`,
+        body: [
+          `Hi ${booking.customerName},`,
+          '',
+          `We've updated your booking at ${config.name}.`,
+          ...(changes.length > 0 ? ['', 'What changed:', ...changes.map(change => `- ${change.label}: ${change.from} → ${change.to}`)] : []),
+          '',
+          'Your booking now:',
+          ...detailLines(booking, config),
+          '',
+          `Updated calendar entry: ${links.calendar}`,
+          '',
+          ...footerLines(config)
+        ].join('\n')
+      },
+      sms: {
+        body: `${config.name}: your booking ${booking.bookingId} is now for ${guests(booking.numberOfGuests)} on ${shortDate(booking.bookingDate, config)} at ${booking.bookingTime}.`
+      }
+    };
+  },
+
+  booking_reminder: ({ booking, config, links }) => ({
+    email: {
+      subject: `Reminder: your table at ${config.name} on ${shortDate(booking.bookingDate, config)} at ${booking.bookingTime}`,
+      body: [
+        `Hi ${booking.customerName},`,
+        '',
+        `Just a reminder that we're expecting you at ${config.name} on ${longDate(booking.bookingDate, config)} at ${booking.bookingTime}.`,
+        '',
+        ...detailLines(booking, config),
+        '',
+        `Still coming? Let us know: ${links.confirm}`,
+        `Can't make it? Cancel here so someone else can have the table: ${links.cancel}`,
+        '',
+        ...footerLines(config)
+      ].join('\n')
+    },
+    sms: {
+      body: `${config.name}: reminder - table for ${guests(booking.numberOfGuests)} on ${shortDate(booking.bookingDate, config)} at ${booking.bookingTime}. Confirm: ${links.confirm} Cancel: ${links.cancel}`
+    }
+  }),
+
+  booking_cancelled: ({ booking, config }) => ({
+    email: {
+      subject: `Your booking at ${config.name} is cancelled (${booking.bookingId})`,
+      body: [
+        `Hi ${booking.customerName},`,
+        '',
+        `Your table for ${guests(booking.numberOfGuests)} on ${longDate(booking.bookingDate, config)} at ${booking.bookingTime} has been cancelled.`,
+        '',
+        `Booking reference: ${booking.bookingId}`,
+        '',
+        "We hope to welcome you another time - get in touch whenever you'd like to book again.",
+        ...(config.phoneNumber ? [`Phone: ${config.phoneNumber}`] : []),
+        '',
+        config.name
+      ].join('\n')
+    },
+    sms: {
+      body: `${config.name}: your booking ${booking.bookingId} for ${shortDate(booking.bookingDate, config)} at ${booking.bookingTime} has been cancelled.`
+    }
+  })
+};
+
+/**
+ * Render a notification
+ * @param {String} event - booking_confirmed | booking_updated | booking_reminder | booking_cancelled
+ * @param {Object} context - { booking, config, previous, links } (previous: the booking before
+ *   an update; links: { calendar } plus a reminder's { confirm, cancel } response URLs)
+ * @returns {Object} { email: { subject, body }, sms: { body } }
+ */
+function renderNotification(event, context) {
+  const template = templates[event];
+
+  if (!template) {
+    throw new Error(`Unknown notification: ${event}. Use one of: ${Object.keys(templates).join(', ')}`);
+  }
+
+  return template(context);
+}
+
+module.exports = {
+  renderNotification,
+  describeChanges,
+  NOTIFICATION_EVENTS: Object.keys(templates)
+};
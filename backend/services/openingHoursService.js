@@ -0,0 +1,212 @@
+const Closure = require('../models/Closure');
+const restaurantConfig = require('../config/restaurant');
+const { toMinutes, formatMinutes } = require('../utils/timeParser');
+const { getZonedParts, getZonedDayRange, addZonedDays, formatZonedDate } = require('../utils/timezone');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Opening Hours Service
+ * Weekly service periods, last-seating cutoffs and the closure calendar
+ * One instance per venue (see restaurantService); the default one serves config/restaurant.js
+ */
+class OpeningHoursService {
+  constructor(config = restaurantConfig) {
+    this.config = config;
+  }
+
+  /**
+   * The same service for another venue's settings
+   */
+  forRestaurant(config) {
+    return new OpeningHoursService(config);
+  }
+
+  /**
+   * Weekday name ("monday") for a date, in restaurant time
+   */
+  getWeekday(date) {
+    return WEEKDAYS[getZonedParts(date, this.config.timeZone).weekday];
+  }
+
+  /**
+   * Service periods for a date's weekday with their last-seating time
+   * @returns {Array} [{ open, close, lastSeating }] as minutes after midnight
+   */
+  getServicePeriods(date) {
+    return this.getWeekdayPeriods(this.getWeekday(date));
+  }
+
+  /**
+   * Service periods for a weekday name ("monday")
+   */
+  getWeekdayPeriods(weekday) {
+    const periods = this.config.openingHours[weekday] || [];
+
+    return periods.map(period => {
+      const open = toMinutes(period.open);
+      const close = toMinutes(period.close);
+      const lastSeating = period.lastSeating
+        ? toMinutes(period.lastSeating)
+        : close - this.config.lastSeatingMinutesBeforeClose;
+
+      return { open, close, lastSeating: Math.max(open, lastSeating) };
+    });
+  }
+
+  /**
+   * Closures recorded for the calendar day containing `date`
+   */
+  async getClosuresForDay(date) {
+    const { start, end } = getZonedDayRange(date, this.config.timeZone);
+
+    return Closure.find({ restaurantId: this.config.restaurantId, date: { $gte: start, $lt: end } }).lean();
+  }
+
+  /**
+   * Everything needed to decide whether a date is bookable
+   * @returns {Object} { closed, reason, periods, blocked }
+   */
+  async getDaySchedule(date) {
+    const periods = this.getServicePeriods(date);
+    const closures = await this.getClosuresForDay(date);
+
+    const fullDay = closures.find(closure => !closure.startTime && !closure.endTime);
+    if (fullDay) {
+      return {
+        closed: true,
+        reason: fullDay.reason || 'We are closed that day',
+        periods: [],
+        blocked: []
+      };
+    }
+
+    if (periods.length === 0) {
+      const weekday = this.getWeekday(date);
+      return {
+        closed: true,
+        reason: `We are closed on ${weekday.charAt(0).toUpperCase() + weekday.slice(1)}s`,
+        periods: [],
+        blocked: []
+      };
+    }
+
+    // Partial closures (private events) block a window of the day
+    const blocked = closures.map(closure => ({
+      from: toMinutes(closure.startTime),
+      to: toMinutes(closure.endTime),
+      reason: closure.reason || 'Private event'
+    }));
+
+    return { closed: false, reason: null, periods, blocked };
+  }
+
+  /**
+   * Check whether a party may be seated at `time` on `date`
+   * @returns {Object} { open, reason }
+   */
+  async checkBookingTime(date, time) {
+    const startMinutes = toMinutes(time);
+    if (startMinutes === null) {
+      return { open: false, reason: `Invalid booking time: "${time}"` };
+    }
+
+    const schedule = await this.getDaySchedule(date);
+    if (schedule.closed) {
+      return { open: false, reason: schedule.reason };
+    }
+
+    return this.checkAgainstSchedule(schedule, startMinutes);
+  }
+
+  /**
+   * Same as checkBookingTime for an already loaded day schedule
+   */
+  checkAgainstSchedule(schedule, startMinutes) {
+    if (schedule.closed) {
+      return { open: false, reason: schedule.reason };
+    }
+
+    const period = schedule.periods.find(p => startMinutes >= p.open && startMinutes <= p.lastSeating);
+    if (!period) {
+      return {
+        open: false,
+        reason: `We seat guests ${schedule.periods
+          .map(p => `${formatMinutes(p.open)}–${formatMinutes(p.lastSeating)}`)
+          .join(' and ')} that day`
+      };
+    }
+
+    const endMinutes = startMinutes + this.config.diningDurationMinutes;
+    const conflict = schedule.blocked.find(b => startMinutes < b.to && b.from < endMinutes);
+    if (conflict) {
+      return {
+        open: false,
+        reason: `${conflict.reason} from ${formatMinutes(conflict.from)} to ${formatMinutes(conflict.to)}`
+      };
+    }
+
+    return { open: true, reason: null };
+  }
+
+  /**
+   * Start times a party can be seated on a date
+   * @returns {Array<Number>} Minutes after midnight
+   */
+  async getBookableSlots(date) {
+    const schedule = await this.getDaySchedule(date);
+    if (schedule.closed) return [];
+
+    const slots = [];
+    for (const period of schedule.periods) {
+      for (let minutes = period.open; minutes <= period.lastSeating; minutes += this.config.slotIntervalMinutes) {
+        if (this.checkAgainstSchedule(schedule, minutes).open) {
+          slots.push(minutes);
+        }
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Closures from today onwards (for the AI prompt and the hours endpoint)
+   */
+  async getUpcomingClosures(days = 30) {
+    const { start } = getZonedDayRange(new Date(), this.config.timeZone);
+    const end = addZonedDays(start, days, this.config.timeZone);
+
+    return Closure.find({ restaurantId: this.config.restaurantId, date: { $gte: start, $lt: end } })
+      .sort({ date: 1, startTime: 1 })
+      .lean();
+  }
+
+  /**
+   * Weekly hours as plain text, one line per weekday
+   * e.g. "Monday: closed", "Tuesday: 12:00–15:00, 18:00–23:00 (last seating 14:00, 22:00)"
+   */
+  describeWeeklyHours() {
+    // Start the week on Monday for readability
+    return [...WEEKDAYS.slice(1), WEEKDAYS[0]].map(weekday => {
+      const label = weekday.charAt(0).toUpperCase() + weekday.slice(1);
+      const periods = this.getWeekdayPeriods(weekday);
+
+      if (periods.length === 0) return `${label}: closed`;
+
+      return `${label}: ${periods.map(p => `${formatMinutes(p.open)}–${formatMinutes(p.close)}`).join(', ')}` +
+        ` (last seating ${periods.map(p => formatMinutes(p.lastSeating)).join(', ')})`;
+    }).join('\n');
+  }
+
+  /**
+   * Upcoming closures as plain text
+   */
+  describeClosures(closures) {
+    return closures.map(closure => {
+      const day = formatZonedDate(closure.date, undefined, this.config.timeZone);
+      const window = closure.startTime ? ` ${closure.startTime}–${closure.endTime}` : ' (all day)';
+      return `${day}${window}: ${closure.reason || closure.type}`;
+    }).join('\n');
+  }
+}
+
+module.exports = new OpeningHoursService();
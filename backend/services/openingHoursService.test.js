@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const openingHoursService = require('./openingHoursService');
+const restaurantConfig = require('../config/restaurant');
+
+const hours = (t, closures = []) => {
+  const service = openingHoursService.forRestaurant({
+    ...restaurantConfig,
+    restaurantId: null,
+    timeZone: 'Asia/Kolkata',
+    diningDurationMinutes: 90,
+    slotIntervalMinutes: 30,
+    lastSeatingMinutesBeforeClose: 60,
+    openingHours: {
+      monday: [],
+      friday: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:30', lastSeating: '22:45' }]
+    }
+  });
+  t.mock.method(service, 'getClosuresForDay', async () => closures);
+  return service;
+};
+
+const friday = new Date('2026-10-23T00:00:00+05:30');
+const monday = new Date('2026-10-19T00:00:00+05:30');
+
+test('guests are seated from opening until last seating', async (t) => {
+  const service = hours(t);
+
+  assert.deepEqual(await service.checkBookingTime(friday, '12:00'), { open: true, reason: null });
+  assert.deepEqual(await service.checkBookingTime(friday, '14:00'), { open: true, reason: null });
+  assert.deepEqual(await service.checkBookingTime(friday, '22:45'), { open: true, reason: null });
+
+  // Last seating defaults to an hour before close, or is set per period
+  assert.deepEqual(await service.checkBookingTime(friday, '14:15'), {
+    open: false,
+    reason: 'We seat guests 12:00–14:00 and 18:00–22:45 that day'
+  });
+  assert.equal((await service.checkBookingTime(friday, '23:00')).open, false);
+  assert.equal((await service.checkBookingTime(friday, '16:00')).open, false);
+  assert.equal((await service.checkBookingTime(friday, 'teatime')).open, false);
+});
+
+test('a weekday without periods is closed', async (t) => {
+  const service = hours(t);
+
+  assert.deepEqual(await service.checkBookingTime(monday, '19:00'), { open: false, reason: 'We are closed on Mondays' });
+  assert.deepEqual(await service.getBookableSlots(monday), []);
+});
+
+test('an all-day closure closes the day', async (t) => {
+  const service = hours(t, [{ reason: 'Diwali' }]);
+
+  assert.deepEqual(await service.checkBookingTime(friday, '19:00'), { open: false, reason: 'Diwali' });
+  assert.deepEqual(await service.getBookableSlots(friday), []);
+});
+
+test('a private event blocks every start whose meal would run into it', async (t) => {
+  const service = hours(t, [{ startTime: '20:00', endTime: '22:00', reason: 'Private party' }]);
+
+  assert.deepEqual(await service.checkBookingTime(friday, '18:30'), { open: true, reason: null });
+  assert.deepEqual(await service.checkBookingTime(friday, '19:00'), {
+    open: false,
+    reason: 'Private party from 20:00 to 22:00'
+  });
+  assert.deepEqual(
+    (await service.getBookableSlots(friday)).filter(minutes => minutes >= 18 * 60),
+    [18 * 60, 18 * 60 + 30, 22 * 60, 22 * 60 + 30]
+  );
+});
+
+test('bookable slots step through each period up to last seating', async (t) => {
+  const service = hours(t);
+
+  assert.deepEqual(
+    (await service.getBookableSlots(friday)).filter(minutes => minutes < 15 * 60),
+    [12 * 60, 12 * 60 + 30, 13 * 60, 13 * 60 + 30, 14 * 60]
+  );
+});
+
+test('the week is described from Monday with last seatings', (t) => {
+  const lines = hours(t).describeWeeklyHours().split('\n');
+
+  assert.equal(lines[0], 'Monday: closed');
+  assert.equal(lines[4], 'Friday: 12:00–15:00, 18:00–23:30 (last seating 14:00, 22:45)');
+  assert.equal(lines.length, 7);
+});
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const jobScheduler = require('./jobScheduler');
+const notificationService = require('./notificationService');
+const { bookingUrl } = require('../utils/publicUrl');
+
+// The booking's venue. Required lazily because restaurantService needs bookingService, which needs us.
+const venueFor = (restaurantId) => require('./restaurantService').getVenue(restaurantId);
+
+// Hours before the booking to remind the guest: REMINDER_OFFSETS_HOURS="24,2"
+const parseOffsets = () => (process.env.REMINDER_OFFSETS_HOURS || '24,2')
+  .split(',')
+  .map(Number)
+  .filter(hours => hours > 0);
+
+/**
+ * Reminder Service
+ * Reminds guests of upcoming bookings ahead of time (24h and 2h by default)
+ * with one-click links to confirm they're coming or cancel. Reminders are
+ * jobs on the job scheduler, grouped per booking so a change reschedules them
+ * and a cancellation drops them.
+ */
+class ReminderService {
+  constructor() {
+    this.offsetsHours = parseOffsets();
+    jobScheduler.register('booking_reminder', job => this.sendReminder(job));
+  }
+
+  group(booking) {
+    return `booking:${booking.bookingId}`;
+  }
+
+  /**
+   * (Re)schedule a booking's reminders; times already past are skipped
+   * Only confirmed bookings with an email or phone number get reminders.
+   * @returns {Array} The scheduled jobs
+   */
+  async scheduleForBooking(booking) {
+    await jobScheduler.cancelGroup(this.group(booking));
+
+    if (booking.status !== 'confirmed' || !booking.startsAt || (!booking.email && !booking.phoneNumber)) {
+      return [];
+    }
+
+    const now = jobScheduler.clock.now();
+    const jobs = [];
+
+    for (const hoursBefore of this.offsetsHours) {
+      const runAt = new Date(new Date(booking.startsAt).getTime() - hoursBefore * 60 * 60 * 1000);
+      if (runAt <= now) continue;
+
+      jobs.push(await jobScheduler.schedule({
+        type: 'booking_reminder',
+        key: `reminder:${booking.bookingId}:${hoursBefore}h`,
+        group: this.group(booking),
+        runAt,
+        payload: {
+          bookingId: booking.bookingId,
+          restaurantId: booking.restaurantId ? String(booking.restaurantId) : null,
+          hoursBefore
+        }
+      }));
+    }
+
+    return jobs;
+  }
+
+  async cancelForBooking(booking) {
+    return jobScheduler.cancelGroup(this.group(booking));
+  }
+
+  /**
+   * Job handler: send one reminder
+   * Bookings that were cancelled or have already started are skipped.
+   * @throws when no channel delivered it, so the scheduler retries
+   */
+  async sendReminder(job) {
+    const { bookingId, restaurantId, hoursBefore } = job.payload;
+    const booking = await Booking.findOne({ bookingId, restaurantId: restaurantId || null }).select('+responseToken');
+
+    if (!booking || booking.status !== 'confirmed' || booking.startsAt <= jobScheduler.clock.now()) {
+      return;
+    }
+
+    // Bookings from before reminders existed have no token yet
+    if (!booking.responseToken) {
+      booking.responseToken = crypto.randomBytes(16).toString('hex');
+      await Booking.updateOne({ _id: booking._id }, { responseToken: booking.responseToken });
+    }
+
+    const { config } = await venueFor(booking.restaurantId);
+    const results = await notificationService.notifyGuest('booking_reminder', booking, {
+      config,
+      links: this.responseLinks(booking)
+    });
+
+    if (results.length > 0 && !results.some(result => result.delivered)) {
+      throw new Error(`Reminder for ${bookingId} could not be delivered`);
+    }
+
+    await Booking.updateOne(
+      { _id: booking._id },
+      { $push: { remindersSent: { hoursBefore, sentAt: jobScheduler.clock.now() } } }
+    );
+
+    console.log(`⏰ Reminded ${booking.customerName} of ${bookingId} (${hoursBefore}h before)`);
+  }
+
+  /**
+   * The confirm and cancel links in a reminder (under PUBLIC_BASE_URL)
+   */
+  responseLinks(booking) {
+    const link = (answer) => bookingUrl(booking, `respond?answer=${answer}&token=${booking.responseToken}`);
+
+    return {
+      confirm: link('confirm'),
+      cancel: link('cancel')
+    };
+  }
+}
+
+module.exports = new ReminderService();
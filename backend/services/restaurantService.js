@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const restaurantConfig = require('../config/restaurant');
+const openingHoursService = require('./openingHoursService');
+const availabilityService = require('./availabilityService');
+const waitlistService = require('./waitlistService');
+const bookingService = require('./bookingService');
+
+/**
+ * Restaurant Service
+ * Resolves which venue a request or call is for and hands out that venue's
+ * services. A venue is { restaurant, restaurantId, config, openingHoursService,
+ * availabilityService, waitlistService, bookingService }, where config is
+ * config/restaurant.js overridden by the Restaurant document.
+ * Requests that don't name a venue use the default one built from config alone.
+ */
+class RestaurantService {
+  constructor() {
+    this.defaultVenue = {
+      restaurant: null,
+      restaurantId: null,
+      config: restaurantConfig,
+      openingHoursService,
+      availabilityService,
+      waitlistService,
+      bookingService
+    };
+
+    waitlistService.attach(bookingService);
+
+    // Venue bundles per restaurant _id, rebuilt when the restaurant changes
+    this.venues = new Map();
+  }
+
+  /**
+   * Mongo filter for a restaurant referenced by _id or slug
+   */
+  idFilter(id) {
+    return mongoose.isValidObjectId(id) ? { _id: id } : { slug: String(id).toLowerCase() };
+  }
+
+  /**
+   * Find a restaurant by _id or slug
+   * @throws 404 when it does not exist
+   */
+  async findRestaurant(id) {
+    const restaurant = await Restaurant.findOne(this.idFilter(id));
+
+    if (!restaurant) {
+      const error = new Error(`Restaurant not found: ${id}`);
+      error.status = 404;
+      error.code = 'RESTAURANT_NOT_FOUND';
+      throw error;
+    }
+
+    return restaurant;
+  }
+
+  /**
+   * Settings for a venue: its document's values over the configured defaults
+   */
+  buildConfig(restaurant) {
+    return {
+      ...restaurantConfig,
+      restaurantId: restaurant._id,
+      name: restaurant.name,
+      address: restaurant.address || '',
+      phoneNumber: restaurant.phoneNumber || '',
+      email: restaurant.email || restaurantConfig.email,
+      city: restaurant.city || restaurantConfig.city,
+      timeZone: restaurant.timeZone || restaurantConfig.timeZone,
+      openingHours: { ...restaurantConfig.openingHours, ...(restaurant.openingHours || {}) },
+      cuisines: restaurant.cuisines && restaurant.cuisines.length > 0 ? [...restaurant.cuisines] : restaurantConfig.cuisines,
+      menuSummary: restaurant.menuSummary || restaurantConfig.menuSummary,
+      persona: {
+        name: (restaurant.persona && restaurant.persona.name) || restaurantConfig.persona.name,
+        description: (restaurant.persona && restaurant.persona.description) || restaurantConfig.persona.description
+      }
+    };
+  }
+
+  /**
+   * Services wired to one venue's settings
+   */
+  buildVenue(restaurant) {
+    const config = this.buildConfig(restaurant);
+    const openingHours = openingHoursService.forRestaurant(config);
+    const availability = availabilityService.forRestaurant(config, { openingHours });
+    const waitlist = waitlistService.forRestaurant(config, { availability, openingHours });
+    const bookings = bookingService.forRestaurant(config, { availability, openingHours, waitlist });
+    waitlist.attach(bookings);
+
+    return {
+      restaurant,
+      restaurantId: restaurant._id,
+      config,
+      openingHoursService: openingHours,
+      availabilityService: availability,
+      waitlistService: waitlist,
+      bookingService: bookings
+    };
+  }
+
+  /**
+   * The venue for a restaurant _id or slug; the default venue when none is given
+   * @throws 404 when the restaurant doesn't exist, 410 when it no longer takes bookings
+   */
+  async getVenue(id) {
+    if (!id) return this.defaultVenue;
+
+    const restaurant = await this.findRestaurant(id);
+
+    if (!restaurant.isActive) {
+      const error = new Error(`${restaurant.name} is not taking bookings`);
+      error.status = 410;
+      error.code = 'RESTAURANT_INACTIVE';
+      throw error;
+    }
+
+    const key = String(restaurant._id);
+    const cached = this.venues.get(key);
+    if (cached && cached.restaurant.updatedAt.getTime() === restaurant.updatedAt.getTime()) {
+      return cached;
+    }
+
+    const venue = this.buildVenue(restaurant);
+    this.venues.set(key, venue);
+    return venue;
+  }
+
+  /**
+   * The default venue plus every active restaurant (for background jobs)
+   */
+  async getAllVenues() {
+    const restaurants = await Restaurant.find({ isActive: true });
+    const venues = await Promise.all(restaurants.map(restaurant => this.getVenue(restaurant._id)));
+    return [this.defaultVenue, ...venues];
+  }
+
+  /**
+   * List restaurants (optionally only active ones)
+   */
+  async listRestaurants({ active } = {}) {
+    const filter = active === undefined ? {} : { isActive: active };
+    return Restaurant.find(filter).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Add a venue to the group
+   */
+  async createRestaurant(data) {
+    const restaurant = new Restaurant(data);
+    await restaurant.save();
+
+    console.log(`🏠 Restaurant created: ${restaurant.name} (${restaurant.slug})`);
+
+    return restaurant;
+  }
+
+  /**
+   * Update a venue; its cached services are rebuilt on next use
+   * @throws 404
+   */
+  async updateRestaurant(id, changes) {
+    const updates = { ...changes };
+    delete updates._id;
+    delete updates.createdAt;
+    delete updates.updatedAt;
+
+    const existing = await this.findRestaurant(id);
+    const restaurant = await Restaurant.findOneAndUpdate(
+      { _id: existing._id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    this.venues.delete(String(restaurant._id));
+
+    console.log(`✏️  Restaurant updated: ${restaurant.name}`);
+
+    return restaurant;
+  }
+
+  /**
+   * Stop taking bookings for a venue (soft delete)
+   * @throws 404
+   */
+  async deactivateRestaurant(id) {
+    return this.updateRestaurant(id, { isActive: false });
+  }
+}
+
+module.exports = new RestaurantService();
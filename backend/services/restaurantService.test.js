@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const restaurantService = require('./restaurantService');
+const Restaurant = require('../models/Restaurant');
+const restaurantConfig = require('../config/restaurant');
+
+const jubileeHills = (fields = {}) => new Restaurant({
+  name: 'Spice Garden Jubilee Hills',
+  slug: 'jubilee-hills',
+  timeZone: 'Asia/Kolkata',
+  openingHours: { monday: [{ open: '17:00', close: '23:00' }] },
+  cuisines: ['Indian'],
+  persona: { name: 'Meera' },
+  email: 'JH@SpiceGarden.example',
+  updatedAt: new Date('2026-10-01T00:00:00Z'),
+  ...fields
+});
+
+test('a venue\'s settings are its own, over the configured defaults', () => {
+  const restaurant = jubileeHills();
+  const config = restaurantService.buildConfig(restaurant);
+
+  assert.equal(config.restaurantId, restaurant._id);
+  assert.equal(config.name, 'Spice Garden Jubilee Hills');
+  assert.equal(config.timeZone, 'Asia/Kolkata');
+  assert.equal(config.email, 'jh@spicegarden.example');
+  assert.deepEqual(config.cuisines, ['Indian']);
+  assert.deepEqual(config.openingHours.monday, [{ open: '17:00', close: '23:00' }]);
+  assert.deepEqual(config.openingHours.friday, restaurantConfig.openingHours.friday);
+  assert.equal(config.persona.name, 'Meera');
+  assert.equal(config.persona.description, restaurantConfig.persona.description);
+  assert.equal(config.diningDurationMinutes, restaurantConfig.diningDurationMinutes);
+});
+
+test('a venue\'s services all work on that venue', () => {
+  const venue = restaurantService.buildVenue(jubileeHills());
+
+  assert.equal(venue.bookingService.config, venue.config);
+  assert.equal(venue.bookingService.availability, venue.availabilityService);
+  assert.equal(venue.bookingService.waitlist, venue.waitlistService);
+  assert.equal(venue.availabilityService.openingHours, venue.openingHoursService);
+  assert.equal(venue.waitlistService.availability, venue.availabilityService);
+  assert.equal(venue.waitlistService.bookings, venue.bookingService);
+  assert.equal(venue.openingHoursService.config, venue.config);
+  assert.notEqual(venue.bookingService, restaurantService.defaultVenue.bookingService);
+  assert.equal(restaurantService.defaultVenue.waitlistService.bookings, restaurantService.defaultVenue.bookingService);
+});
+
+test('venues are looked up by _id or slug and rebuilt when the restaurant changes', async (t) => {
+  let restaurant = jubileeHills();
+  const filters = [];
+  t.mock.method(Restaurant, 'findOne', async (filter) => {
+    filters.push(filter);
+    return restaurant;
+  });
+
+  assert.equal(await restaurantService.getVenue(null), restaurantService.defaultVenue);
+
+  const first = await restaurantService.getVenue('Jubilee-Hills');
+  assert.equal(await restaurantService.getVenue(restaurant._id), first);
+  assert.deepEqual(filters, [{ slug: 'jubilee-hills' }, { _id: restaurant._id }]);
+
+  restaurant = jubileeHills({ _id: restaurant._id, name: 'Spice Garden JH', updatedAt: new Date('2026-10-02T00:00:00Z') });
+  const rebuilt = await restaurantService.getVenue('jubilee-hills');
+  assert.notEqual(rebuilt, first);
+  assert.equal(rebuilt.config.name, 'Spice Garden JH');
+});
+
+test('unknown and closed venues are refused', async (t) => {
+  t.mock.method(Restaurant, 'findOne', async ({ slug }) => (slug === 'closed' ? jubileeHills({ slug, isActive: false }) : null));
+
+  await assert.rejects(restaurantService.getVenue('nowhere'), { status: 404, code: 'RESTAURANT_NOT_FOUND' });
+  await assert.rejects(restaurantService.getVenue('closed'), { status: 410, code: 'RESTAURANT_INACTIVE' });
+});
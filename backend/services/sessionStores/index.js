@@ -0,0 +1,54 @@
+const MemorySessionStore = require('./memoryStore');
+const MongoSessionStore = require('./mongoStore');
+
+/**
+ * Conversation session stores
+ * Every store implements:
+ *   `async get(token)` → session|null (null once expired)
+ *   `async set(token, session)` → Date the session now expires
+ *   `async delete(token)`
+ * Sessions expire SESSION_TTL_MINUTES (default 30) after their last save.
+ * Select one with SESSION_STORE=mongo|memory (default: mongo)
+ */
+const stores = {
+  mongo: MongoSessionStore,
+  memory: MemorySessionStore
+};
+
+/**
+ * Create a session store by name
+ */
+const createSessionStore = (name = process.env.SESSION_STORE || 'mongo', ttlMinutes = Number(process.env.SESSION_TTL_MINUTES) || 30) => {
+  const Store = stores[name];
+
+  if (!Store) {
+    throw new Error(`Unknown session store: ${name}. Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store(ttlMinutes);
+};
+
+let defaultStore = null;
+
+/**
+ * Shared session store for the whole app (created on first use)
+ */
+const getSessionStore = () => {
+  if (!defaultStore) {
+    defaultStore = createSessionStore();
+  }
+  return defaultStore;
+};
+
+/**
+ * Swap the shared session store (e.g. the memory store in tests)
+ */
+const setSessionStore = (store) => {
+  defaultStore = store;
+};
+
+module.exports = {
+  createSessionStore,
+  getSessionStore,
+  setSessionStore
+};
@@ -0,0 +1,49 @@
+/**
+ * Memory Session Store
+ * Keeps sessions in this process - they are lost on restart.
+ * Useful for development and tests without MongoDB.
+ */
+class MemorySessionStore {
+  constructor(ttlMinutes) {
+    this.name = 'memory';
+    this.ttlMinutes = ttlMinutes;
+    this.sessions = new Map();
+  }
+
+  /**
+   * @returns {Object|null} The session, or null when unknown or expired
+   */
+  async get(token) {
+    const stored = this.sessions.get(token);
+    if (!stored) return null;
+
+    if (stored.expiresAt <= new Date()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return structuredClone(stored);
+  }
+
+  /**
+   * Save a session and push its expiry out by the TTL
+   * @param {Object} session - { channel, restaurantId, history, conversationState, draftId, manageFlow, waitlistOffer, pendingClarification }
+   */
+  async set(token, session) {
+    // Drop sessions nobody came back for, so the map doesn't grow forever
+    const now = new Date();
+    for (const [key, stored] of this.sessions) {
+      if (stored.expiresAt <= now) this.sessions.delete(key);
+    }
+
+    const expiresAt = new Date(now.getTime() + this.ttlMinutes * 60 * 1000);
+    this.sessions.set(token, structuredClone({ ...session, token, expiresAt }));
+    return expiresAt;
+  }
+
+  async delete(token) {
+    this.sessions.delete(token);
+  }
+}
+
+module.exports = MemorySessionStore;
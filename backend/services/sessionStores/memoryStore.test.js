@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemorySessionStore = require('./memoryStore');
+
+const SESSION = {
+  restaurantId: null,
+  history: [{ role: 'user', message: 'Table for 4', timestamp: new Date('2026-10-14T10:00:00Z') }],
+  conversationState: { numberOfGuests: 4 },
+  manageFlow: null,
+  waitlistOffer: { preferredTime: '20:00', bookingDate: new Date('2026-10-15T18:30:00Z') },
+  pendingClarification: null
+};
+
+test('a saved session comes back exactly as stored', async () => {
+  const store = new MemorySessionStore(30);
+  await store.set('token-1', SESSION);
+
+  const session = await store.get('token-1');
+  assert.deepEqual(session.conversationState, { numberOfGuests: 4 });
+  assert.deepEqual(session.history, SESSION.history);
+  assert.equal(session.waitlistOffer.bookingDate.toISOString(), '2026-10-15T18:30:00.000Z');
+});
+
+test('changes to a loaded session are not saved until set again', async () => {
+  const store = new MemorySessionStore(30);
+  await store.set('token-1', SESSION);
+
+  const session = await store.get('token-1');
+  session.conversationState.numberOfGuests = 6;
+
+  assert.equal((await store.get('token-1')).conversationState.numberOfGuests, 4);
+});
+
+test('sessions expire after the TTL', async () => {
+  const store = new MemorySessionStore(0);
+  await store.set('token-1', SESSION);
+
+  assert.equal(await store.get('token-1'), null);
+  assert.equal(await store.get('unknown'), null);
+});
+
+test('expired sessions are dropped even if nobody asks for them again', async () => {
+  const store = new MemorySessionStore(0);
+  await store.set('token-1', SESSION);
+  await store.set('token-2', SESSION);
+
+  assert.deepEqual([...store.sessions.keys()], ['token-2']);
+});
@@ -0,0 +1,42 @@
+const Session = require('../../models/Session');
+
+/**
+ * MongoDB Session Store
+ * Sessions survive server restarts; MongoDB's TTL index removes expired ones.
+ */
+class MongoSessionStore {
+  constructor(ttlMinutes) {
+    this.name = 'mongo';
+    this.ttlMinutes = ttlMinutes;
+  }
+
+  /**
+   * @returns {Object|null} The session, or null when unknown or expired
+   */
+  async get(token) {
+    // The TTL monitor runs about once a minute, so check expiry ourselves too
+    return Session.findOne({ token, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  /**
+   * Save a session and push its expiry out by the TTL
+   * @param {Object} session - { channel, restaurantId, history, conversationState, draftId, manageFlow, waitlistOffer, pendingClarification }
+   */
+  async set(token, session) {
+    const expiresAt = new Date(Date.now() + this.ttlMinutes * 60 * 1000);
+
+    await Session.findOneAndUpdate(
+      { token },
+      { ...session, token, expiresAt },
+      { upsert: true, runValidators: true }
+    );
+
+    return expiresAt;
+  }
+
+  async delete(token) {
+    await Session.deleteOne({ token });
+  }
+}
+
+module.exports = MongoSessionStore;
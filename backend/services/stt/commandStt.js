@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const runCommand = require('../../utils/runCommand');
+const { pcmToWav } = require('../../utils/wav');
+
+/**
+ * Command Speech-to-Text engine
+ * Runs a local, offline recognizer such as whisper.cpp on each utterance.
+ * STT_COMMAND gets the audio file path in place of {input} and must print
+ * the transcript on stdout, e.g.
+ *   STT_COMMAND="whisper-cli -m models/ggml-base.en.bin -nt -np -f {input}"
+ * Raw PCM is wrapped in a WAV file first; Opus is passed through as .ogg.
+ */
+class CommandStt {
+  constructor(command = process.env.STT_COMMAND, timeoutMs = Number(process.env.STT_TIMEOUT_MS) || 30000) {
+    this.name = 'command';
+    this.formats = ['pcm16', 'wav', 'opus'];
+    this.command = command;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {Buffer} audio - Recorded audio
+   * @param {Object} format - { format, sampleRate, channels }
+   * @returns {Object} { text }
+   */
+  async transcribe(audio, { format = 'pcm16', sampleRate = 16000, channels = 1 } = {}) {
+    if (!this.command) {
+      throw new Error('STT_COMMAND is not configured');
+    }
+
+    const file = format === 'opus'
+      ? { data: audio, extension: 'ogg' }
+      : { data: format === 'wav' ? audio : pcmToWav(audio, { sampleRate, channels }), extension: 'wav' };
+
+    const inputPath = path.join(os.tmpdir(), `stt-${crypto.randomUUID()}.${file.extension}`);
+    await fs.writeFile(inputPath, file.data);
+
+    try {
+      const output = await runCommand(this.command.replaceAll('{input}', inputPath), { timeoutMs: this.timeoutMs });
+      return { text: output.toString('utf8').replace(/\s+/g, ' ').trim() };
+    } finally {
+      await fs.rm(inputPath, { force: true });
+    }
+  }
+}
+
+module.exports = CommandStt;
@@ -0,0 +1,51 @@
+const StubStt = require('./stubStt');
+const CommandStt = require('./commandStt');
+
+/**
+ * Speech-to-Text engines
+ * Every engine implements `async transcribe(audio, { format, sampleRate, channels })` → { text }
+ * and lists the input formats it accepts in `formats` (pcm16, wav, opus).
+ * Select one with STT_ENGINE=stub|command (default: stub)
+ */
+const engines = {
+  stub: StubStt,
+  command: CommandStt
+};
+
+/**
+ * Create an STT engine by name
+ */
+const createSttEngine = (name = process.env.STT_ENGINE || 'stub') => {
+  const Engine = engines[name];
+
+  if (!Engine) {
+    throw new Error(`Unknown STT engine: ${name}. Use one of: ${Object.keys(engines).join(', ')}`);
+  }
+
+  return new Engine();
+};
+
+let defaultEngine = null;
+
+/**
+ * Shared STT engine for the whole app (created on first use)
+ */
+const getSttEngine = () => {
+  if (!defaultEngine) {
+    defaultEngine = createSttEngine();
+  }
+  return defaultEngine;
+};
+
+/**
+ * Swap the shared STT engine (e.g. a scripted fake in tests)
+ */
+const setSttEngine = (engine) => {
+  defaultEngine = engine;
+};
+
+module.exports = {
+  createSttEngine,
+  getSttEngine,
+  setSttEngine
+};
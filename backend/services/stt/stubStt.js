@@ -0,0 +1,29 @@
+/**
+ * Stub Speech-to-Text engine
+ * For tests and the call simulator: the "audio" is the UTF-8 text of what
+ * the caller said. Real audio doesn't decode as text and comes back empty.
+ */
+class StubStt {
+  constructor() {
+    this.name = 'stub';
+    this.formats = ['pcm16', 'wav', 'opus'];
+  }
+
+  /**
+   * @param {Buffer} audio - Recorded audio
+   * @param {Object} format - { format, sampleRate, channels }
+   * @returns {Object} { text }
+   */
+  async transcribe(audio) {
+    const text = audio.toString('utf8');
+
+    // Binary audio: replacement characters or control bytes
+    if (text.includes('�') || /[\x00-\x08\x0e-\x1f]/.test(text)) {
+      return { text: '' };
+    }
+
+    return { text: text.trim() };
+  }
+}
+
+module.exports = StubStt;
@@ -0,0 +1,167 @@
+const restaurantService = require('./restaurantService');
+const { normalizeBookingFields } = require('../utils/bookingNormalizer');
+const { createCollectingSocket } = require('../utils/collectingSocket');
+const { createMessage } = require('../../shared/protocol');
+
+// Calls we haven't heard from in this long are dropped (missed hangup webhook)
+const CALL_IDLE_MS = 30 * 60 * 1000;
+
+// Silent turns in a row before we give up on the caller
+const MAX_SILENCES = 2;
+
+// After these the caller has what they rang for, so we say goodbye
+const FINAL_MESSAGES = ['booking_confirmed', 'booking_updated', 'booking_cancelled', 'waitlist_joined'];
+
+/**
+ * Telephony Service
+ * Runs phone calls through the same conversation engine as the WebSocket
+ * clients. Each call gets an engine client whose "socket" just collects the
+ * server messages of a turn; the carrier webhook turns them into speech.
+ * A turn is { texts, endsCall, transferTo }.
+ */
+class TelephonyService {
+  constructor() {
+    // The WebSocketServer whose conversations we drive (set in server.js)
+    this.engine = null;
+
+    // Calls in progress by the carrier's call ID
+    this.calls = new Map();
+  }
+
+  attach(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Answer a call: greet the caller for the venue they dialled
+   * @param {Object} call - { callSid, from, restaurantId }
+   * @returns {Object} turn
+   * @throws 404/410 when the restaurant can't take bookings, 503 when no engine is attached
+   */
+  async startCall({ callSid, from, restaurantId }) {
+    if (!this.engine) {
+      const error = new Error('Telephony is not available');
+      error.status = 503;
+      error.code = 'TELEPHONY_UNAVAILABLE';
+      throw error;
+    }
+
+    this.endIdleCalls();
+    if (this.calls.has(callSid)) this.endCall(callSid);
+
+    const venue = await restaurantService.getVenue(restaurantId);
+
+    // Caller ID is the contact number unless they give another one
+    const { fields } = normalizeBookingFields({ phoneNumber: from });
+
+    const line = createCollectingSocket();
+    const client = this.engine.createClient(line, { venue, channel: 'phone', knownContact: fields });
+    const call = { callSid, from, client, line, silences: 0, lastActivity: Date.now() };
+    this.calls.set(callSid, call);
+
+    console.log(`📞 Call ${callSid} from ${from || 'unknown number'} for ${venue.config.name}`);
+
+    await this.engine.handleMessage(client.id, createMessage('greeting', {}));
+
+    return this.finishTurn(call);
+  }
+
+  /**
+   * What the caller said
+   * @returns {Object} turn
+   * @throws 404 for a call we don't know
+   */
+  async handleSpeech(callSid, speech) {
+    const call = this.getCall(callSid);
+    const text = String(speech || '').trim();
+
+    if (!text) return this.handleSilence(call);
+
+    call.silences = 0;
+    await this.engine.handleMessage(call.client.id, createMessage('user_message', { message: text }));
+
+    return this.finishTurn(call);
+  }
+
+  /**
+   * Nothing was heard - ask again, then give up
+   */
+  handleSilence(call) {
+    call.silences += 1;
+    call.lastActivity = Date.now();
+
+    if (call.silences > MAX_SILENCES) {
+      this.endCall(call.callSid);
+      return {
+        texts: ["I'm having trouble hearing you, so I'll let you go. Please call back any time."],
+        endsCall: true,
+        transferTo: null
+      };
+    }
+
+    return { texts: ["Sorry, I didn't catch that. Could you say it again?"], endsCall: false, transferTo: null };
+  }
+
+  /**
+   * The carrier says the call is over
+   */
+  endCall(callSid) {
+    const call = this.calls.get(callSid);
+    if (!call) return;
+
+    this.engine.removeClient(call.client);
+    this.calls.delete(callSid);
+    console.log(`📴 Call ${callSid} ended`);
+  }
+
+  /**
+   * Drop calls whose hangup we never heard about
+   */
+  endIdleCalls(now = Date.now()) {
+    for (const [callSid, call] of this.calls) {
+      if (now - call.lastActivity > CALL_IDLE_MS) this.endCall(callSid);
+    }
+  }
+
+  getCall(callSid) {
+    const call = this.calls.get(callSid);
+
+    if (!call) {
+      const error = new Error(`Call not found: ${callSid}`);
+      error.status = 404;
+      error.code = 'CALL_NOT_FOUND';
+      throw error;
+    }
+
+    return call;
+  }
+
+  /**
+   * Save the conversation and turn the messages the engine sent into a turn
+   */
+  async finishTurn(call) {
+    const messages = call.line.take();
+    call.lastActivity = Date.now();
+
+    await this.engine.saveSession(call.client);
+
+    const texts = this.engine.readableTexts(messages);
+    let endsCall = false;
+    let transferTo = null;
+
+    for (const message of messages) {
+      if (FINAL_MESSAGES.includes(message.type)) endsCall = true;
+      if (message.type === 'human_handoff' && message.restaurantPhone) transferTo = message.restaurantPhone;
+    }
+
+    if (endsCall && !transferTo) {
+      texts.push(`Thank you for calling ${call.client.venue.config.name}. Goodbye!`);
+    }
+
+    if (endsCall || transferTo) this.endCall(call.callSid);
+
+    return { texts, endsCall, transferTo };
+  }
+}
+
+module.exports = new TelephonyService();
@@ -0,0 +1,30 @@
+/**
+ * Console Transport
+ * Prints outbound messages to the server log (default for local development)
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+    this.channels = ['email', 'sms'];
+  }
+
+  /**
+   * @param {Object} message - { to: { phoneNumber, email }, subject, body, metadata }
+   */
+  async send(message) {
+    const recipient = message.to.phoneNumber || message.to.email || 'unknown recipient';
+
+    console.log('\n📨 ===== Outbound message =====');
+    console.log(`   To: ${recipient}`);
+    if (message.subject) console.log(`   Subject: ${message.subject}`);
+    console.log(`   ${message.body.split('\n').join('\n   ')}`);
+    for (const attachment of message.attachments || []) {
+      console.log(`   📎 ${attachment.filename} (${attachment.contentType})`);
+    }
+    console.log('==============================\n');
+
+    return { delivered: true, transport: this.name };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,31 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File Transport
+ * Appends outbound messages to a JSON-lines outbox file instead of sending them
+ */
+class FileTransport {
+  constructor(outboxPath = process.env.OUTBOX_PATH || path.join(__dirname, '..', '..', 'outbox', 'messages.jsonl')) {
+    this.name = 'file';
+    this.channels = ['email', 'sms'];
+    this.outboxPath = outboxPath;
+  }
+
+  /**
+   * @param {Object} message - { to: { phoneNumber, email }, subject, body, metadata }
+   */
+  async send(message) {
+    const record = {
+      ...message,
+      sentAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(path.dirname(this.outboxPath), { recursive: true });
+    await fs.appendFile(this.outboxPath, `${JSON.stringify(record)}\n`);
+
+    return { delivered: true, transport: this.name };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,66 @@
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+const WebhookTransport = require('./webhookTransport');
+const MemoryTransport = require('./memoryTransport');
+const SmtpTransport = require('./smtpTransport');
+const SmsTransport = require('./smsTransport');
+const MultiTransport = require('./multiTransport');
+
+/**
+ * Outbound message transports
+ * Every transport implements `async send({ to, subject, body, metadata })`
+ * and lists the `channels` ('email', 'sms') it can deliver on. Emails may also
+ * carry `attachments: [{ filename, contentType, content }]` (e.g. a booking's .ics).
+ * Select one with MESSAGE_TRANSPORT=console|file|webhook|memory|smtp|sms (default: console),
+ * or several separated by commas (e.g. smtp,sms)
+ */
+const transports = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  webhook: WebhookTransport,
+  memory: MemoryTransport,
+  smtp: SmtpTransport,
+  sms: SmsTransport
+};
+
+/**
+ * Create a transport by name (or comma-separated names)
+ */
+const createTransport = (name = process.env.MESSAGE_TRANSPORT || 'console') => {
+  if (name.includes(',')) {
+    return new MultiTransport(name.split(',').map(part => createTransport(part.trim())));
+  }
+
+  const Transport = transports[name];
+
+  if (!Transport) {
+    throw new Error(`Unknown message transport: ${name}. Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  return new Transport();
+};
+
+let defaultTransport = null;
+
+/**
+ * Shared transport for the whole app (created on first use)
+ */
+const getTransport = () => {
+  if (!defaultTransport) {
+    defaultTransport = createTransport();
+  }
+  return defaultTransport;
+};
+
+/**
+ * Swap the shared transport (e.g. an in-memory fake in tests)
+ */
+const setTransport = (transport) => {
+  defaultTransport = transport;
+};
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport
+};
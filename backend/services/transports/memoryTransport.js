@@ -0,0 +1,29 @@
+/**
+ * Memory Transport
+ * Keeps outbound messages in an in-process outbox (tests and local development)
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.channels = ['email', 'sms'];
+    this.outbox = [];
+  }
+
+  /**
+   * @param {Object} message - { to: { phoneNumber, email }, subject, body, metadata }
+   */
+  async send(message) {
+    this.outbox.push({
+      ...message,
+      sentAt: new Date().toISOString()
+    });
+
+    return { delivered: true, transport: this.name };
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,39 @@
+/**
+ * Multi Transport
+ * Hands each message to every transport that can reach the recipient
+ * (MESSAGE_TRANSPORT=smtp,sms emails guests with an email address and
+ * texts guests with a phone number)
+ */
+class MultiTransport {
+  constructor(transports) {
+    this.name = transports.map(transport => transport.name).join(',');
+    this.channels = [...new Set(transports.flatMap(transport => transport.channels))];
+    this.transports = transports;
+  }
+
+  /**
+   * @param {Object} message - { to: { phoneNumber, email }, subject, body, metadata }
+   * @returns {Object} { delivered, transport, results } - delivered when any transport delivered it
+   */
+  async send(message) {
+    const reachable = this.transports.filter(transport => transport.channels.some(channel =>
+      channel === 'email' ? message.to.email : message.to.phoneNumber
+    ));
+
+    if (reachable.length === 0) {
+      throw new Error(`None of the ${this.name} transports can reach this recipient`);
+    }
+
+    const results = await Promise.all(reachable.map(transport =>
+      transport.send(message).catch(error => ({ delivered: false, transport: transport.name, error: error.message }))
+    ));
+
+    return {
+      delivered: results.some(result => result.delivered),
+      transport: this.name,
+      results
+    };
+  }
+}
+
+module.exports = MultiTransport;
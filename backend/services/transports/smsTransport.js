@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+/**
+ * SMS Transport
+ * Texts outbound messages through a Twilio-compatible gateway: a form POST of
+ * To, From and Body to SMS_API_URL with SMS_ACCOUNT_SID / SMS_AUTH_TOKEN basic auth
+ */
+class SmsTransport {
+  constructor({
+    accountSid = process.env.SMS_ACCOUNT_SID,
+    authToken = process.env.SMS_AUTH_TOKEN,
+    from = process.env.SMS_FROM,
+    url = process.env.SMS_API_URL
+  } = {}) {
+    this.name = 'sms';
+    this.channels = ['sms'];
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.url = url || (accountSid ? `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json` : null);
+  }
+
+  /**
+   * @param {Object} message - { to: { phoneNumber }, subject, body, metadata }
+   */
+  async send(message) {
+    if (!this.url || !this.from) {
+      throw new Error('SMS_ACCOUNT_SID (or SMS_API_URL) and SMS_FROM are not configured');
+    }
+    if (!message.to.phoneNumber) {
+      throw new Error('The SMS transport needs a phone number');
+    }
+
+    // WhatsApp conversations are answered on WhatsApp
+    const whatsapp = message.metadata && message.metadata.channel === 'whatsapp';
+    const address = (number) => whatsapp ? `whatsapp:${number}` : number;
+
+    const response = await axios.post(
+      this.url,
+      new URLSearchParams({ To: address(message.to.phoneNumber), From: address(this.from), Body: message.body }),
+      {
+        auth: this.accountSid ? { username: this.accountSid, password: this.authToken } : undefined,
+        timeout: 10000
+      }
+    );
+
+    return { delivered: true, transport: this.name, id: response.data && response.data.sid };
+  }
+}
+
+module.exports = SmsTransport;
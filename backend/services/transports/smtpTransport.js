@@ -0,0 +1,51 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP Transport
+ * Emails outbound messages (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+ */
+class SmtpTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = Number(process.env.SMTP_PORT) || 587,
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.SMTP_FROM
+  } = {}) {
+    this.name = 'smtp';
+    this.channels = ['email'];
+    this.from = from || user;
+    this.mailer = host
+      ? nodemailer.createTransport({
+        host,
+        port,
+        secure: port === 465,
+        auth: user ? { user, pass } : undefined
+      })
+      : null;
+  }
+
+  /**
+   * @param {Object} message - { to: { email }, subject, body, attachments: [{ filename, contentType, content }], metadata }
+   */
+  async send(message) {
+    if (!this.mailer) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    if (!message.to.email) {
+      throw new Error('The SMTP transport needs an email address');
+    }
+
+    const info = await this.mailer.sendMail({
+      from: this.from,
+      to: message.to.email,
+      subject: message.subject || '',
+      text: message.body,
+      attachments: (message.attachments || []).map(({ filename, contentType, content }) => ({ filename, contentType, content }))
+    });
+
+    return { delivered: true, transport: this.name, id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+/**
+ * Webhook Transport
+ * POSTs outbound messages as JSON to a gateway (SMS/WhatsApp provider, Zapier, etc.)
+ */
+class WebhookTransport {
+  constructor(url = process.env.MESSAGE_WEBHOOK_URL) {
+    this.name = 'webhook';
+    this.channels = ['email', 'sms'];
+    this.url = url;
+  }
+
+  /**
+   * @param {Object} message - { to: { phoneNumber, email }, subject, body, metadata }
+   */
+  async send(message) {
+    if (!this.url) {
+      throw new Error('MESSAGE_WEBHOOK_URL is not configured');
+    }
+
+    await axios.post(this.url, message, { timeout: 10000 });
+
+    return { delivered: true, transport: this.name };
+  }
+}
+
+module.exports = WebhookTransport;
@@ -0,0 +1,43 @@
+const runCommand = require('../../utils/runCommand');
+const { parseWav } = require('../../utils/wav');
+
+/**
+ * Command Text-to-Speech engine
+ * Runs a local, offline synthesizer such as eSpeak NG or Piper. TTS_COMMAND
+ * reads the text on stdin and must write a 16-bit PCM WAV file to stdout, e.g.
+ *   TTS_COMMAND="espeak-ng --stdout"
+ *   TTS_COMMAND="piper --model en_US-lessac-medium.onnx --output_file -"
+ */
+class CommandTts {
+  constructor(command = process.env.TTS_COMMAND, timeoutMs = Number(process.env.TTS_TIMEOUT_MS) || 30000) {
+    this.name = 'command';
+    this.command = command;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * @param {String} text - What to say
+   * @returns {Object} { audio, format: 'pcm16', sampleRate, channels }
+   */
+  async synthesize(text) {
+    if (!this.command) {
+      throw new Error('TTS_COMMAND is not configured');
+    }
+
+    const output = await runCommand(this.command, { input: text, timeoutMs: this.timeoutMs });
+    const wav = parseWav(output);
+
+    if (!wav) {
+      throw new Error('TTS_COMMAND did not write a 16-bit PCM WAV file to stdout');
+    }
+
+    return {
+      audio: wav.pcm,
+      format: 'pcm16',
+      sampleRate: wav.sampleRate,
+      channels: wav.channels
+    };
+  }
+}
+
+module.exports = CommandTts;
@@ -0,0 +1,50 @@
+const StubTts = require('./stubTts');
+const CommandTts = require('./commandTts');
+
+/**
+ * Text-to-Speech engines
+ * Every engine implements `async synthesize(text)` → { audio, format: 'pcm16', sampleRate, channels }
+ * Select one with TTS_ENGINE=stub|command (default: stub)
+ */
+const engines = {
+  stub: StubTts,
+  command: CommandTts
+};
+
+/**
+ * Create a TTS engine by name
+ */
+const createTtsEngine = (name = process.env.TTS_ENGINE || 'stub') => {
+  const Engine = engines[name];
+
+  if (!Engine) {
+    throw new Error(`Unknown TTS engine: ${name}. Use one of: ${Object.keys(engines).join(', ')}`);
+  }
+
+  return new Engine();
+};
+
+let defaultEngine = null;
+
+/**
+ * Shared TTS engine for the whole app (created on first use)
+ */
+const getTtsEngine = () => {
+  if (!defaultEngine) {
+    defaultEngine = createTtsEngine();
+  }
+  return defaultEngine;
+};
+
+/**
+ * Swap the shared TTS engine (e.g. a scripted fake in tests)
+ */
+const setTtsEngine = (engine) => {
+  defaultEngine = engine;
+};
+
+module.exports = {
+  createTtsEngine,
+  getTtsEngine,
+  setTtsEngine
+};
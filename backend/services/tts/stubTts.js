@@ -0,0 +1,29 @@
+/**
+ * Stub Text-to-Speech engine
+ * For tests and the call simulator: silence as long as the text would take
+ * to say (about 300ms a word), so clients can exercise playback without a voice.
+ */
+class StubTts {
+  constructor(sampleRate = 16000) {
+    this.name = 'stub';
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * @param {String} text - What to say
+   * @returns {Object} { audio, format: 'pcm16', sampleRate, channels }
+   */
+  async synthesize(text) {
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    const samples = Math.round(words * 0.3 * this.sampleRate);
+
+    return {
+      audio: Buffer.alloc(samples * 2),
+      format: 'pcm16',
+      sampleRate: this.sampleRate,
+      channels: 1
+    };
+  }
+}
+
+module.exports = StubTts;
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const availabilityService = require('./availabilityService');
+const openingHoursService = require('./openingHoursService');
+const { getTransport } = require('./transports');
+const restaurantConfig = require('../config/restaurant');
+const { toMinutes, formatMinutes } = require('../utils/timeParser');
+const { startOfZonedDay, zonedDateTime, formatZonedDate } = require('../utils/timezone');
+
+/**
+ * Waitlist Service
+ * Keeps parties that could not be seated and offers them tables as
+ * soon as capacity frees up (offer → pending booking → confirmed)
+ */
+class WaitlistService {
+  constructor(config = restaurantConfig, { availability = availabilityService, openingHours = openingHoursService } = {}) {
+    this.config = config;
+    this.availability = availability;
+    this.openingHours = openingHours;
+
+    // The venue's BookingService, which confirms accepted offers (set with attach)
+    this.bookings = null;
+  }
+
+  attach(bookings) {
+    this.bookings = bookings;
+  }
+
+  /**
+   * The same service for another venue's settings, tables and hours
+   */
+  forRestaurant(config, services) {
+    return new WaitlistService(config, services);
+  }
+
+  /**
+   * Find one of this venue's entries by its Mongo _id or public entryId
+   */
+  async findEntry(id) {
+    const filter = mongoose.isValidObjectId(id) ? { _id: id } : { entryId: id };
+    const entry = await WaitlistEntry.findOne({ ...filter, restaurantId: this.config.restaurantId });
+
+    if (!entry) {
+      const error = new Error('Waitlist entry not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Put a party on the waitlist for a day
+   * @param {Object} data - Booking-shaped fields plus preferredTime/flexibilityMinutes
+   * @returns {Object} Saved WaitlistEntry
+   */
+  async addToWaitlist(data) {
+    const bookingDate = startOfZonedDay(data.bookingDate, this.config.timeZone);
+    if (!bookingDate) {
+      const error = new Error(`Invalid booking date: "${data.bookingDate}"`);
+      error.status = 400;
+      throw error;
+    }
+
+    const schedule = await this.openingHours.getDaySchedule(bookingDate);
+    if (schedule.closed) {
+      const error = new Error(schedule.reason);
+      error.status = 400;
+      throw error;
+    }
+
+    const entry = new WaitlistEntry({
+      restaurantId: this.config.restaurantId,
+      customerName: data.customerName,
+      numberOfGuests: data.numberOfGuests,
+      bookingDate,
+      preferredTime: data.preferredTime || data.bookingTime,
+      flexibilityMinutes: data.flexibilityMinutes,
+      cuisinePreference: data.cuisinePreference || 'Any',
+      seatingPreference: data.seatingPreference || 'any',
+      specialRequests: data.specialRequests || '',
+      phoneNumber: data.phoneNumber,
+      email: data.email
+    });
+
+    await entry.save();
+
+    console.log(`⏳ Waitlisted: ${entry.entryId} for ${entry.customerName} (${entry.numberOfGuests} guests)`);
+
+    // Capacity may already be free (e.g. a cancellation raced the request)
+    await this.promoteWaitlist(bookingDate);
+
+    return WaitlistEntry.findById(entry._id);
+  }
+
+  /**
+   * Nearest bookable time to the entry's preferred time that has a free table
+   * @returns {Object|null} { bookingTime, tables, durationMinutes }
+   */
+  async findSlotForEntry(entry) {
+    const preferred = toMinutes(entry.preferredTime);
+    if (preferred === null) return null;
+
+    const candidates = (await this.openingHours.getBookableSlots(entry.bookingDate))
+      .filter(minutes => Math.abs(minutes - preferred) <= entry.flexibilityMinutes)
+      .sort((a, b) => Math.abs(a - preferred) - Math.abs(b - preferred));
+
+    for (const minutes of candidates) {
+      const bookingTime = formatMinutes(minutes);
+      const result = await this.availability.checkAvailability({
+        bookingDate: entry.bookingDate,
+        bookingTime,
+        numberOfGuests: entry.numberOfGuests,
+        seatingPreference: entry.seatingPreference
+      });
+
+      if (result.available) {
+        return { bookingTime, tables: result.tables, durationMinutes: result.durationMinutes };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hold a table for the entry as a pending booking and notify the guest
+   * @throws 409 SLOT_FULL when the slot was booked since findSlotForEntry
+   */
+  async offerTable(entry, slot) {
+    const booking = await this.availability.reserveTables({
+      bookingDate: entry.bookingDate,
+      bookingTime: slot.bookingTime,
+      numberOfGuests: entry.numberOfGuests,
+      seatingPreference: entry.seatingPreference
+    }, ({ tables, durationMinutes }) => new Booking({
+      restaurantId: this.config.restaurantId,
+      customerName: entry.customerName,
+      numberOfGuests: entry.numberOfGuests,
+      bookingDate: entry.bookingDate,
+      bookingTime: slot.bookingTime,
+      startsAt: zonedDateTime(entry.bookingDate, slot.bookingTime, this.config.timeZone),
+      cuisinePreference: entry.cuisinePreference,
+      specialRequests: entry.specialRequests,
+      seatingPreference: entry.seatingPreference,
+      assignedTables: tables,
+      durationMinutes,
+      phoneNumber: entry.phoneNumber,
+      email: entry.email,
+      status: 'pending'
+    }).save());
+
+    entry.status = 'offered';
+    entry.offeredBookingId = booking.bookingId;
+    entry.offerExpiresAt = new Date(Date.now() + this.config.waitlistOfferMinutes * 60 * 1000);
+    await entry.save();
+
+    console.log(`🎟️  Waitlist offer: ${entry.entryId} → ${booking.bookingId} at ${slot.bookingTime}`);
+
+    const niceDate = formatZonedDate(entry.bookingDate, undefined, this.config.timeZone);
+
+    await this.notify(entry, 'A table just opened up!',
+      `Good news, ${entry.customerName}! A table for ${entry.numberOfGuests} on ${niceDate} at ${slot.bookingTime} is now available.\n` +
+      `We're holding it for ${this.config.waitlistOfferMinutes} minutes. Accept with waitlist reference ${entry.entryId}.`
+    );
+
+    return booking;
+  }
+
+  /**
+   * Offer freed capacity on a day to waiting parties, first come first served
+   * @returns {Array} Entries that received an offer
+   */
+  async promoteWaitlist(bookingDate) {
+    const { start, end } = this.availability.getDayRange(bookingDate);
+
+    const waiting = await WaitlistEntry.find({
+      restaurantId: this.config.restaurantId,
+      bookingDate: { $gte: start, $lt: end },
+      status: 'waiting'
+    }).sort({ createdAt: 1 });
+
+    const offered = [];
+    for (const entry of waiting) {
+      const slot = await this.findSlotForEntry(entry);
+      if (!slot) continue;
+
+      try {
+        await this.offerTable(entry, slot);
+        offered.push(entry);
+      } catch (error) {
+        // Someone booked the slot in the meantime; the entry keeps waiting
+        if (error.code !== 'SLOT_FULL') throw error;
+      }
+    }
+
+    return offered;
+  }
+
+  /**
+   * Guest accepts the offered table - the pending booking becomes confirmed
+   * @returns {Object} Confirmed Booking
+   * @throws 409 without an open offer, 410 when the offer expired or its booking is gone
+   */
+  async acceptOffer(id) {
+    const entry = await this.findEntry(id);
+
+    if (entry.status !== 'offered') {
+      const error = new Error(`This waitlist entry has no open offer (status: ${entry.status})`);
+      error.status = 409;
+      throw error;
+    }
+
+    if (entry.offerExpiresAt && entry.offerExpiresAt < new Date()) {
+      await this.releaseOffer(entry, 'expired');
+      const error = new Error('Sorry, this offer has expired');
+      error.status = 410;
+      throw error;
+    }
+
+    // Confirmed like any other booking: confirmation with calendar invite, reminders, customer profile
+    const booking = await this.bookings.confirmBooking(entry.offeredBookingId);
+
+    entry.status = 'accepted';
+    await entry.save();
+
+    console.log(`✅ Waitlist offer accepted: ${entry.entryId} → ${booking.bookingId}`);
+
+    return booking;
+  }
+
+  /**
+   * Guest turns the offer down - release the table to the next party
+   */
+  async declineOffer(id) {
+    const entry = await this.findEntry(id);
+
+    if (entry.status !== 'offered') {
+      const error = new Error(`This waitlist entry has no open offer (status: ${entry.status})`);
+      error.status = 409;
+      throw error;
+    }
+
+    await this.releaseOffer(entry, 'declined');
+    return entry;
+  }
+
+  /**
+   * Cancel the pending booking behind an offer and move on down the list
+   */
+  async releaseOffer(entry, status) {
+    await Booking.findOneAndUpdate(
+      { bookingId: entry.offeredBookingId, status: 'pending' },
+      { status: 'cancelled' }
+    );
+
+    entry.status = status;
+    await entry.save();
+
+    console.log(`↩️  Waitlist offer ${status}: ${entry.entryId}`);
+
+    await this.promoteWaitlist(entry.bookingDate);
+  }
+
+  /**
+   * Release this venue's offers whose acceptance window has passed
+   * @returns {Number} How many offers expired
+   */
+  async expireOffers(now = new Date()) {
+    const expired = await WaitlistEntry.find({
+      restaurantId: this.config.restaurantId,
+      status: 'offered',
+      offerExpiresAt: { $lt: now }
+    });
+
+    for (const entry of expired) {
+      await this.releaseOffer(entry, 'expired');
+      await this.notify(entry, 'Your table offer expired',
+        `Sorry ${entry.customerName}, we couldn't hold the table any longer. You can call us anytime to rebook.`
+      );
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Guest leaves the waitlist
+   */
+  async cancelEntry(id) {
+    const entry = await this.findEntry(id);
+
+    if (entry.status === 'offered') {
+      await this.releaseOffer(entry, 'cancelled');
+      return entry;
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+    return entry;
+  }
+
+  /**
+   * Send a message to the guest through the configured transport
+   * Delivery problems are logged, never thrown - the waitlist state is already saved
+   */
+  async notify(entry, subject, body) {
+    if (!entry.phoneNumber && !entry.email) {
+      console.warn(`⚠️  No contact details for waitlist entry ${entry.entryId}, skipping notification`);
+      return null;
+    }
+
+    try {
+      return await getTransport().send({
+        to: { phoneNumber: entry.phoneNumber, email: entry.email },
+        subject,
+        body,
+        metadata: { type: 'waitlist', entryId: entry.entryId }
+      });
+    } catch (error) {
+      console.error('Waitlist notification failed:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const waitlistService = require('./waitlistService');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const restaurantConfig = require('../config/restaurant');
+
+const config = { ...restaurantConfig, restaurantId: null, timeZone: 'Asia/Kolkata' };
+
+const offered = (fields = {}) => new WaitlistEntry({
+  entryId: 'WL-1',
+  customerName: 'Priya',
+  numberOfGuests: 2,
+  bookingDate: new Date('2026-10-22T18:30:00Z'),
+  status: 'offered',
+  offeredBookingId: 'BK-1',
+  offerExpiresAt: new Date(Date.now() + 10 * 60 * 1000),
+  ...fields
+});
+
+/**
+ * A waitlist whose offers are confirmed by a recording booking service
+ */
+function waitlist(t, entry) {
+  const confirmed = [];
+  const service = waitlistService.forRestaurant(config);
+  service.attach({
+    confirmBooking: async (bookingId) => {
+      confirmed.push(bookingId);
+      return { bookingId, status: 'confirmed' };
+    }
+  });
+
+  t.mock.method(WaitlistEntry, 'findOne', async () => entry);
+  t.mock.method(entry, 'save', async () => entry);
+
+  return { service, confirmed };
+}
+
+test('accepting an offer confirms its booking through the booking service', async (t) => {
+  const entry = offered();
+  const { service, confirmed } = waitlist(t, entry);
+
+  const booking = await service.acceptOffer('WL-1');
+
+  assert.equal(booking.status, 'confirmed');
+  assert.deepEqual(confirmed, ['BK-1']);
+  assert.equal(entry.status, 'accepted');
+});
+
+test('only an open offer can be accepted', async (t) => {
+  const entry = offered({ status: 'waiting' });
+  const { service, confirmed } = waitlist(t, entry);
+
+  await assert.rejects(service.acceptOffer('WL-1'), { status: 409 });
+  assert.deepEqual(confirmed, []);
+});
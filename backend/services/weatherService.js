@@ -1,4 +1,5 @@
 const axios = require('axios');
+const restaurantConfig = require('../config/restaurant');
 
 /**
  * Weather Service using OpenWeatherMap API
@@ -13,10 +14,10 @@ class WeatherService {
   /**
    * Get weather forecast for a specific date and location
    * @param {Date} date - The booking date
-   * @param {String} location - City name (default from env)
+   * @param {String} location - City name (defaults to the configured restaurant's city)
    * @returns {Object} Weather data with recommendation
    */
-  async getWeatherForDate(date, location = process.env.DEFAULT_LOCATION) {
+  async getWeatherForDate(date, location = restaurantConfig.city) {
     try {
       // OpenWeatherMap free tier provides 5-day forecast
       const url = `${this.baseUrl}/forecast`;
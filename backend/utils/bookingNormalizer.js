@@ -0,0 +1,194 @@
+// backend/utils/bookingNormalizer.js
+const Booking = require('../models/Booking');
+const { resolveNaturalDate } = require('./dateParser');
+const { parseNaturalTime } = require('./timeParser');
+const { startOfZonedDay, toZonedISODate, formatZonedDate } = require('./timezone');
+
+/**
+ * Coerce extracted booking fields to the Booking schema
+ * LLM output is untrusted: "four" guests, "Thai" cuisine or an "evening"
+ * time are normalized where we can and rejected with a reason otherwise,
+ * so the agent can ask again for exactly what was wrong.
+ */
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20
+};
+
+// Spoken/regional names → cuisinePreference enum values
+const CUISINE_SYNONYMS = {
+  Italian: ['italian', 'pizza', 'pasta', 'risotto'],
+  Chinese: ['chinese', 'dim sum', 'cantonese', 'szechuan', 'sichuan', 'indo-chinese', 'indo chinese'],
+  Indian: ['indian', 'north indian', 'south indian', 'curry', 'biryani', 'tandoori', 'mughlai'],
+  Mexican: ['mexican', 'tacos', 'tex-mex', 'tex mex', 'burritos'],
+  Japanese: ['japanese', 'sushi', 'ramen', 'teppanyaki'],
+  Continental: ['continental', 'european', 'french', 'western', 'mediterranean'],
+  Any: ['any', 'anything', 'none', 'no preference', 'whatever', "don't mind", 'dont mind', 'surprise me']
+};
+
+// Spoken seating options → seatingPreference enum values
+const SEATING_SYNONYMS = {
+  indoor: ['indoor', 'indoors', 'inside', 'inside seating', 'air conditioned', 'ac'],
+  outdoor: ['outdoor', 'outdoors', 'outside', 'patio', 'terrace', 'garden', 'rooftop', 'balcony'],
+  any: ['any', 'either', 'no preference', "don't mind", 'dont mind', 'whatever']
+};
+
+const lookupSynonym = (synonyms, value) => {
+  const key = String(value).trim().toLowerCase();
+  return Object.keys(synonyms).find(option => synonyms[option].includes(key)) || null;
+};
+
+/**
+ * Guest count from 4, "4", "four" or "4 people"
+ */
+const toGuestCount = (value) => {
+  if (typeof value === 'number') return value;
+
+  const text = String(value).trim().toLowerCase();
+  const match = text.match(/^(\d+|[a-z]+)\b/);
+  if (!match) return null;
+
+  if (NUMBER_WORDS[match[1]]) return NUMBER_WORDS[match[1]];
+  return /^\d+$/.test(match[1]) ? Number(match[1]) : null;
+};
+
+/**
+ * One normalizer per field: (value, venue settings) → { value } or { reason }
+ * Reasons complete the sentence "Sorry, ..." and are shown to the agent and the caller
+ */
+const normalizers = {
+  customerName(value) {
+    const name = String(value).trim().replace(/\s+/g, ' ');
+    if (!name || name.length > 60 || /[\d@#$%^&*_=+<>{}[\]|\\/]/.test(name)) {
+      return { reason: `"${value}" doesn't look like a name` };
+    }
+    return { value: name };
+  },
+
+  numberOfGuests(value) {
+    const guests = toGuestCount(value);
+    const { min, max } = Booking.schema.path('numberOfGuests').options;
+
+    if (guests === null || !Number.isInteger(guests)) {
+      return { reason: `"${value}" isn't a number of guests` };
+    }
+    if (guests < min[0] || guests > max[0]) {
+      return { reason: `we can seat between ${min[0]} and ${max[0]} guests per booking` };
+    }
+    return { value: guests };
+  },
+
+  bookingDate(value, { timeZone }) {
+    const parsed = resolveNaturalDate(value, new Date(), timeZone);
+    if (!parsed) {
+      return { reason: `I couldn't understand the date "${value}"` };
+    }
+    if (parsed.ambiguous) {
+      const days = parsed.candidates.map(date => formatZonedDate(date, undefined, timeZone));
+      return {
+        reason: days.length > 0
+          ? `"${value}" could mean ${days.join(' or ')}`
+          : `"${value}" isn't a specific day`
+      };
+    }
+
+    if (parsed.date < startOfZonedDay(new Date(), timeZone)) {
+      return { reason: `${value} is in the past` };
+    }
+
+    // Store the resolved day so "Friday" can't drift as the conversation goes on
+    return { value: toZonedISODate(parsed.date, timeZone) };
+  },
+
+  bookingTime(value) {
+    const text = String(value).trim();
+    const parsed = parseNaturalTime(text);
+
+    if (!parsed) {
+      return { reason: `I couldn't understand the time "${text}"` };
+    }
+    if (parsed.ambiguous) {
+      return {
+        reason: parsed.candidates
+          ? `"${text}" could mean ${parsed.candidates.join(' or ')}`
+          : `"${text}" isn't an exact time - we need a specific time like 7:30 PM`
+      };
+    }
+    return { value: parsed.time };
+  },
+
+  cuisinePreference(value, { cuisines }) {
+    const cuisine = lookupSynonym(CUISINE_SYNONYMS, value);
+    const offered = cuisines || Booking.schema.path('cuisinePreference').enumValues.filter(option => option !== 'Any');
+
+    if (!cuisine || (cuisine !== 'Any' && !offered.includes(cuisine))) {
+      return { reason: `we don't offer ${value} cuisine - we serve ${offered.join(', ')}` };
+    }
+    return { value: cuisine };
+  },
+
+  seatingPreference(value) {
+    const seating = lookupSynonym(SEATING_SYNONYMS, value);
+    if (!seating) {
+      return { reason: `"${value}" isn't a seating option - we have indoor or outdoor tables` };
+    }
+    return { value: seating };
+  },
+
+  specialRequests(value) {
+    const text = String(value).trim();
+    if (text.length > 500) {
+      return { reason: 'special requests need to be under 500 characters' };
+    }
+    return { value: text };
+  },
+
+  phoneNumber(value) {
+    const phone = String(value).replace(/[\s().-]/g, '');
+    if (!/^\+?\d{7,15}$/.test(phone)) {
+      return { reason: `"${value}" isn't a valid phone number` };
+    }
+    return { value: phone };
+  },
+
+  email(value) {
+    const email = String(value).trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return { reason: `"${value}" isn't a valid email address` };
+    }
+    return { value: email };
+  }
+};
+
+/**
+ * Normalize extracted booking fields
+ * Unknown fields are dropped; null/empty values are ignored
+ * @param {Object} raw - Fields as extracted from the conversation
+ * @param {Object} venue - The venue's { timeZone, cuisines } (defaults to the configured restaurant)
+ * @returns {Object} { fields, rejected } - rejected is [{ field, value, reason }]
+ */
+function normalizeBookingFields(raw = {}, { timeZone, cuisines } = {}) {
+  const fields = {};
+  const rejected = [];
+
+  for (const [field, value] of Object.entries(raw)) {
+    if (!normalizers[field] || value === null || value === undefined || value === '') continue;
+
+    const result = normalizers[field](value, { timeZone, cuisines });
+    if (result.reason) {
+      rejected.push({ field, value, reason: result.reason });
+    } else {
+      fields[field] = result.value;
+    }
+  }
+
+  return { fields, rejected };
+}
+
+module.exports = {
+  normalizeBookingFields,
+  toGuestCount,
+  NUMBER_WORDS
+};
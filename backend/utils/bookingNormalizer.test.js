@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBookingFields, toGuestCount } = require('./bookingNormalizer');
+
+const venue = { timeZone: 'Asia/Kolkata', cuisines: ['Italian', 'Indian'] };
+
+test('extracted values are coerced to the booking schema', () => {
+  assert.deepEqual(normalizeBookingFields({
+    customerName: '  Priya   Sharma ',
+    numberOfGuests: 'four people',
+    bookingDate: '2030-12-25',
+    bookingTime: '7:30 PM',
+    cuisinePreference: 'biryani',
+    seatingPreference: 'Patio',
+    specialRequests: ' window seat ',
+    phoneNumber: '+91 (98765) 43210',
+    email: ' Priya@Example.COM '
+  }, venue), {
+    fields: {
+      customerName: 'Priya Sharma',
+      numberOfGuests: 4,
+      bookingDate: '2030-12-25',
+      bookingTime: '19:30',
+      cuisinePreference: 'Indian',
+      seatingPreference: 'outdoor',
+      specialRequests: 'window seat',
+      phoneNumber: '+919876543210',
+      email: 'priya@example.com'
+    },
+    rejected: []
+  });
+});
+
+test('values that cannot be normalized are rejected with a reason to say', () => {
+  const { fields, rejected } = normalizeBookingFields({
+    customerName: 'R2-D2',
+    numberOfGuests: 40,
+    bookingDate: '2020-01-01',
+    bookingTime: 'evening',
+    cuisinePreference: 'Thai',
+    seatingPreference: 'underwater',
+    phoneNumber: '12345',
+    email: 'priya@'
+  }, venue);
+
+  assert.deepEqual(fields, {});
+  assert.deepEqual(Object.fromEntries(rejected.map(({ field, reason }) => [field, reason])), {
+    customerName: '"R2-D2" doesn\'t look like a name',
+    numberOfGuests: 'we can seat between 1 and 20 guests per booking',
+    bookingDate: '2020-01-01 is in the past',
+    bookingTime: '"evening" isn\'t an exact time - we need a specific time like 7:30 PM',
+    cuisinePreference: "we don't offer Thai cuisine - we serve Italian, Indian",
+    seatingPreference: '"underwater" isn\'t a seating option - we have indoor or outdoor tables',
+    phoneNumber: '"12345" isn\'t a valid phone number',
+    email: '"priya@" isn\'t a valid email address'
+  });
+});
+
+test('a cuisine the venue does not serve is rejected even if we know it', () => {
+  assert.deepEqual(normalizeBookingFields({ cuisinePreference: 'sushi' }, venue).rejected.map(item => item.reason), [
+    "we don't offer sushi cuisine - we serve Italian, Indian"
+  ]);
+  assert.deepEqual(normalizeBookingFields({ cuisinePreference: 'no preference' }, venue).fields, { cuisinePreference: 'Any' });
+});
+
+test('unknown and empty fields are ignored', () => {
+  assert.deepEqual(normalizeBookingFields({ status: 'confirmed', customerName: '', numberOfGuests: null, email: undefined }, venue), {
+    fields: {},
+    rejected: []
+  });
+});
+
+test('guest counts are read from numbers, digits and words', () => {
+  assert.equal(toGuestCount(6), 6);
+  assert.equal(toGuestCount('6 guests'), 6);
+  assert.equal(toGuestCount('Twelve'), 12);
+  assert.equal(toGuestCount('a few'), null);
+});
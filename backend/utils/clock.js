@@ -0,0 +1,34 @@
+// backend/utils/clock.js
+
+/**
+ * Clocks for code that acts at a point in time (the job scheduler)
+ * A clock is anything with `now()` returning a Date, so tests can move time
+ * forward instead of waiting for it.
+ */
+
+const systemClock = {
+  now: () => new Date()
+};
+
+/**
+ * A clock that only moves when told to
+ * @param {Date|String|Number} start
+ */
+function createManualClock(start = Date.now()) {
+  let current = new Date(start).getTime();
+
+  return {
+    now: () => new Date(current),
+    set: (value) => {
+      current = new Date(value).getTime();
+    },
+    advance: (ms) => {
+      current += ms;
+    }
+  };
+}
+
+module.exports = {
+  systemClock,
+  createManualClock
+};
@@ -0,0 +1,27 @@
+// backend/utils/collectingSocket.js
+const WebSocket = require('ws');
+
+/**
+ * A stand-in for a WebSocket that keeps the server messages sent to it
+ * Lets channels without a socket (phone calls, text messages) hold
+ * WebSocketServer conversations and read each turn's replies afterwards.
+ */
+function createCollectingSocket() {
+  return {
+    readyState: WebSocket.OPEN,
+    messages: [],
+
+    send(data) {
+      this.messages.push(JSON.parse(data));
+    },
+
+    // The messages sent since the last call
+    take() {
+      const messages = this.messages;
+      this.messages = [];
+      return messages;
+    }
+  };
+}
+
+module.exports = { createCollectingSocket };
@@ -1,59 +1,241 @@
 // backend/utils/dateParser.js
+const restaurantConfig = require('../config/restaurant');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
 
 /**
- * Smart date parser that ALWAYS picks the nearest FUTURE date
- * Examples (if today is Dec 3, 2025):
- *   "December 5th"     → Dec 5, 2025
- *   "January 10th"     → Jan 10, 2026
- *   "5th December"     → Dec 5, 2025
- *   "tomorrow"         → Dec 4, 2025
- *   "today"            → Dec 3, 2025 (if booking allows same-day)
+ * Smart date parser for what callers actually say
+ * Month/day dates always pick the nearest FUTURE date.
+ * "Today" is the restaurant's today, and dates come back as midnight in the
+ * restaurant's timezone, whatever timezone the server runs in.
+ * Examples (if today is Wednesday, Oct 14, 2026):
+ *   "2026-12-25"              → Dec 25, 2026
+ *   "December 5th"            → Dec 5, 2026
+ *   "5th of January"          → Jan 5, 2027
+ *   "today" / "tonight"       → Oct 14, 2026
+ *   "tomorrow"                → Oct 15, 2026
+ *   "the day after tomorrow"  → Oct 16, 2026
+ *   "in three days"           → Oct 17, 2026
+ *   "a week from today"       → Oct 21, 2026
+ *   "Friday" / "this Friday"  → Oct 16, 2026
+ *   "next Monday"             → Oct 19, 2026
+ *   "the 20th"                → Oct 20, 2026
+ * Some phrases have more than one reading and come back as ambiguous:
+ *   "next Friday"   → Oct 16 or Oct 23?
+ *   "Wednesday"     → today or Oct 21?
+ *   "this weekend"  → Saturday or Sunday?
+ *   "next week"     → which day?
  */
-function parseNaturalDate(input) {
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const COUNT_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fourteen: 14, thirty: 30,
+  'a couple of': 2, 'a couple': 2, couple: 2
+};
+
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// Calendar days are worked out as UTC-midnight Dates (timezone-free arithmetic)
+// and only turned into the restaurant's midnight when returned
+const addDays = (date, days) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days));
+
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.slice(0, 3)));
+
+/**
+ * A real calendar date (rejects Feb 30 etc.)
+ */
+const calendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+};
+
+const describe = (date) => date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Days from `today` until the next `weekday` (0 when it's today)
+ */
+const daysUntil = (today, weekday) => (weekday - today.getUTCDay() + 7) % 7;
+
+/**
+ * Days left until the Sunday that ends the current (Monday-based) week
+ */
+const daysLeftInWeek = (today) => (7 - today.getUTCDay()) % 7;
+
+/**
+ * Parse a natural-language date, keeping ambiguity explicit
+ * @param {String} input - What the caller said
+ * @param {Date} now - Reference clock (defaults to the current time)
+ * @param {String} timeZone - Restaurant timezone (defaults to the configured one)
+ * @returns {Object|null} { date, ambiguous: false } or
+ *   { date: null, ambiguous: true, reason, candidates, question };
+ *   null when the input isn't a date at all
+ */
+function resolveNaturalDate(input, now = new Date(), timeZone = restaurantConfig.timeZone) {
   if (!input) return null;
 
-  const str = String(input).trim();
-  const lower = str.toLowerCase();
+  const local = getZonedParts(now, timeZone);
+  const today = new Date(Date.UTC(local.year, local.month - 1, local.day));
 
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()); // midnight today
+  // Calendar day → midnight in the restaurant's timezone
+  const toInstant = (day) => zonedTimeToUtc({
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    day: day.getUTCDate()
+  }, timeZone);
 
-  // Handle today / tomorrow
-  if (lower === 'today') return today;
-  if (lower === 'tomorrow') {
-    const t = new Date(today);
-    t.setDate(t.getDate() + 1);
-    return t;
+  const resolved = (day) => ({ date: toInstant(day), ambiguous: false });
+
+  const ambiguous = (reason, candidates, question) => ({
+    date: null,
+    ambiguous: true,
+    reason,
+    candidates: candidates.map(toInstant),
+    question: question || `Did you mean ${candidates.map(describe).join(' or ')}?`
+  });
+
+  let text = String(input).trim().toLowerCase()
+    .replace(/[,!?]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // ISO dates ("2026-12-25") - a calendar day in restaurant time
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    const date = calendarDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date ? resolved(date) : null;
   }
 
-  // Remove ordinals: 1st → 1, 23rd → 23, etc.
-  const cleaned = str.replace(/\b(\d+)(st|nd|rd|th)\b/gi, '$1').trim();
+  // Filler around the date itself ("on Friday evening", "for tomorrow night")
+  text = text
+    .replace(/^(on|for|by)\s+/, '')
+    .replace(/^(this )?coming\s+/, 'this ')
+    .replace(/\s+(morning|afternoon|evening|night|lunch|dinner|for lunch|for dinner)$/, '')
+    .trim();
 
-  const currentYear = now.getFullYear();
-  const nextYear = currentYear + 1;
+  if (/^(today|tonight|this evening|this afternoon)$/.test(text)) return resolved(today);
+  if (/^(tomorrow|tmrw|tmr)$/.test(text)) return resolved(addDays(today, 1));
+  if (/^(the )?day after tomorrow$/.test(text)) return resolved(addDays(today, 2));
+  if (text === 'yesterday') return resolved(addDays(today, -1));
 
-  // Try parsing with current year first
-  let date = new Date(`${cleaned} ${currentYear}`);
+  // "in three days", "in a week", "5 days from now", "a week from today"
+  const count = `(\\d+|${Object.keys(COUNT_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+  match = text.match(new RegExp(`^(?:in ${count} (day|week)s?|${count} (day|week)s? from (?:now|today))$`));
+  if (match) {
+    const amount = match[1] || match[3];
+    const unit = match[2] || match[4];
+    const value = /^\d+$/.test(amount) ? Number(amount) : COUNT_WORDS[amount];
+    return resolved(addDays(today, unit === 'week' ? value * 7 : value));
+  }
+  if (/^in (a few|a couple of|some|several) (days|weeks)$/.test(text)) {
+    return ambiguous(text, [], 'Which day exactly would you like?');
+  }
 
-  // If the resulting date is in the past → try next year
-  if (date < today) {
-    date = new Date(`${cleaned} ${nextYear}`);
+  // Weekends
+  match = text.match(/^(this|next)? ?weekend$/);
+  if (match) {
+    const untilSaturday = daysUntil(today, 6);
+    let saturday = today.getUTCDay() === 0 ? addDays(today, -1) : addDays(today, untilSaturday);
+    if (match[1] === 'next') saturday = addDays(saturday, 7);
+
+    const sunday = addDays(saturday, 1);
+    const candidates = [saturday, sunday].filter(date => date >= today);
+    return candidates.length === 1 ? resolved(candidates[0]) : ambiguous(text, candidates, 'Saturday or Sunday?');
+  }
+
+  if (/^next (week|month)$/.test(text)) {
+    return ambiguous(text, [], `Which day ${text} would you like?`);
+  }
+
+  // Weekdays: "friday", "this friday", "next friday"
+  match = text.match(/^(this |next )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)$/);
+  if (match) {
+    const modifier = (match[1] || '').trim();
+    const weekday = WEEKDAYS.indexOf(match[2]);
+    const days = daysUntil(today, weekday);
+    const upcoming = addDays(today, days);
+
+    if (modifier === 'this') return resolved(upcoming);
+
+    if (modifier === 'next') {
+      // Later this week: "next Friday" may mean this week's or next week's
+      if (days > 0 && days <= daysLeftInWeek(today)) {
+        return ambiguous(text, [upcoming, addDays(upcoming, 7)]);
+      }
+      return resolved(days === 0 ? addDays(today, 7) : upcoming);
+    }
+
+    // Plain "Wednesday" on a Wednesday: today or next week?
+    return days === 0 ? ambiguous(text, [today, addDays(today, 7)]) : resolved(upcoming);
+  }
+
+  // "the 14th" - the next time that day of the month comes round
+  match = text.match(new RegExp(`^(?:the )?${DAY}$`));
+  if (match && /^(the |\d+(st|nd|rd|th))/.test(text)) {
+    const day = Number(match[1]);
+    if (day < 1 || day > 31) return null;
+
+    for (let offset = 0; offset < 12; offset++) {
+      const month = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + offset, 1));
+      const date = calendarDate(month.getUTCFullYear(), month.getUTCMonth(), day);
+      if (date && date >= today) return resolved(date);
+    }
+    return null;
+  }
+
+  // "December 5th", "Dec 5 2027", "5th of December", "the 5th of Dec"
+  match = text.match(new RegExp(`^${MONTH} ${DAY}(?: (\\d{4}))?$`)) ||
+    text.match(new RegExp(`^(?:the )?${DAY} (?:of )?${MONTH}(?: (\\d{4}))?$`));
+  if (match) {
+    const monthFirst = isNaN(Number(match[1]));
+    const month = monthIndex(monthFirst ? match[1] : match[2]);
+    const day = Number(monthFirst ? match[2] : match[1]);
+    const year = match[3] ? Number(match[3]) : null;
+    if (month === -1) return null;
+
+    if (year) {
+      const date = calendarDate(year, month, day);
+      return date ? resolved(date) : null;
+    }
+
+    // Nearest future occurrence
+    const thisYear = calendarDate(today.getUTCFullYear(), month, day);
+    if (thisYear && thisYear >= today) return resolved(thisYear);
+
+    const nextYear = calendarDate(today.getUTCFullYear() + 1, month, day);
+    return nextYear ? resolved(nextYear) : null;
   }
 
-  // Final fallback with comma format
-  if (isNaN(date.getTime()) || date < today) {
-    date = new Date(`${cleaned}, ${nextYear}`);
+  // Anything else the JS date parser understands ("12/25/2026") - it reads
+  // these in server time, so take the calendar day from the server's clock
+  const fallback = new Date(String(input).trim());
+  if (!isNaN(fallback.getTime()) && /\d/.test(text)) {
+    return resolved(new Date(Date.UTC(fallback.getFullYear(), fallback.getMonth(), fallback.getDate())));
   }
 
-  // If still invalid
-  if (isNaN(date.getTime())) {
-    console.warn('Date parsing failed for:', str);
+  return null;
+}
+
+/**
+ * Parse a natural-language date
+ * @returns {Date|null} Midnight on the date in restaurant time, or null when it
+ *   can't be read or is ambiguous (use resolveNaturalDate to find out which)
+ */
+function parseNaturalDate(input, now = new Date(), timeZone = restaurantConfig.timeZone) {
+  const result = resolveNaturalDate(input, now, timeZone);
+
+  if (!result || result.ambiguous) {
+    console.warn('Date parsing failed for:', input);
     return null;
   }
 
-  // Normalize to midnight
-  date.setHours(0, 0, 0, 0);
-  return date;
+  return result.date;
 }
 
-module.exports = parseNaturalDate;
\ No newline at end of file
+module.exports = {
+  parseNaturalDate,
+  resolveNaturalDate
+};
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNaturalDate, resolveNaturalDate } = require('./dateParser');
+const { toZonedISODate } = require('./timezone');
+
+const ZONE = 'Asia/Kolkata';
+
+// Wednesday, October 14, 2026, mid-afternoon in the restaurant
+const NOW = new Date('2026-10-14T15:30:00+05:30');
+
+const iso = (date) => toZonedISODate(date, ZONE);
+
+// [input, expected day]
+const resolvedCases = [
+  ['2026-12-25', '2026-12-25'],
+  ['today', '2026-10-14'],
+  ['tonight', '2026-10-14'],
+  ['Tomorrow', '2026-10-15'],
+  ['tomorrow evening', '2026-10-15'],
+  ['the day after tomorrow', '2026-10-16'],
+  ['day after tomorrow', '2026-10-16'],
+  ['yesterday', '2026-10-13'],
+  ['in three days', '2026-10-17'],
+  ['in 3 days', '2026-10-17'],
+  ['in a week', '2026-10-21'],
+  ['in two weeks', '2026-10-28'],
+  ['5 days from now', '2026-10-19'],
+  ['a week from today', '2026-10-21'],
+  ['Friday', '2026-10-16'],
+  ['on Friday', '2026-10-16'],
+  ['this Saturday', '2026-10-17'],
+  ['this coming Sunday', '2026-10-18'],
+  ['this Wednesday', '2026-10-14'],
+  ['next Monday', '2026-10-19'],
+  ['next Wednesday', '2026-10-21'],
+  ['the 14th', '2026-10-14'],
+  ['the 20th', '2026-10-20'],
+  ['the 3rd', '2026-11-03'],
+  ['the 31st', '2026-10-31'],
+  ['December 5th', '2026-12-05'],
+  ['Dec 5', '2026-12-05'],
+  ['5th of December', '2026-12-05'],
+  ['the 5th of Dec', '2026-12-05'],
+  ['January 10th', '2027-01-10'],
+  ['October 1', '2027-10-01'],
+  ['December 5, 2027', '2027-12-05']
+];
+
+// [input, expected candidate days]
+const ambiguousCases = [
+  ['next Friday', ['2026-10-16', '2026-10-23']],
+  ['Wednesday', ['2026-10-14', '2026-10-21']],
+  ['this weekend', ['2026-10-17', '2026-10-18']],
+  ['weekend', ['2026-10-17', '2026-10-18']],
+  ['next weekend', ['2026-10-24', '2026-10-25']],
+  ['next week', []],
+  ['in a few days', []]
+];
+
+const invalidCases = ['', 'blah', '2026-02-30', 'the 32nd', 'February 30'];
+
+for (const [input, expected] of resolvedCases) {
+  test(`"${input}" → ${expected}`, () => {
+    const result = resolveNaturalDate(input, NOW, ZONE);
+    assert.ok(result, 'expected a date');
+    assert.equal(result.ambiguous, false);
+    assert.equal(iso(result.date), expected);
+    assert.equal(iso(parseNaturalDate(input, NOW, ZONE)), expected);
+  });
+}
+
+for (const [input, candidates] of ambiguousCases) {
+  test(`"${input}" is ambiguous`, () => {
+    const result = resolveNaturalDate(input, NOW, ZONE);
+    assert.ok(result, 'expected an ambiguity result');
+    assert.equal(result.ambiguous, true);
+    assert.equal(result.date, null);
+    assert.deepEqual(result.candidates.map(iso), candidates);
+    assert.ok(result.question);
+    assert.equal(parseNaturalDate(input, NOW, ZONE), null);
+  });
+}
+
+for (const input of invalidCases) {
+  test(`"${input}" is not a date`, () => {
+    assert.equal(resolveNaturalDate(input, NOW, ZONE), null);
+  });
+}
+
+test('a Sunday weekend is just today', () => {
+  const sunday = new Date('2026-10-18T12:00:00+05:30');
+  const result = resolveNaturalDate('this weekend', sunday, ZONE);
+  assert.equal(result.ambiguous, false);
+  assert.equal(iso(result.date), '2026-10-18');
+});
+
+test('"next Friday" from a Saturday is the coming Friday', () => {
+  const saturday = new Date('2026-10-17T12:00:00+05:30');
+  const result = resolveNaturalDate('next Friday', saturday, ZONE);
+  assert.equal(result.ambiguous, false);
+  assert.equal(iso(result.date), '2026-10-23');
+});
+
+test('"the 31st" skips months without one', () => {
+  const result = resolveNaturalDate('the 31st', new Date('2026-11-02T12:00:00+05:30'), ZONE);
+  assert.equal(iso(result.date), '2026-12-31');
+});
+
+test('dates are midnight in the restaurant timezone', () => {
+  const result = resolveNaturalDate('tomorrow', NOW, ZONE);
+  assert.equal(result.date.toISOString(), '2026-10-14T18:30:00.000Z');
+});
+
+test('"today" is the restaurant\'s today, not the server\'s', () => {
+  // 20:00 UTC on the 14th is already 01:30 on the 15th in Kolkata
+  const lateUtc = new Date('2026-10-14T20:00:00Z');
+  assert.equal(iso(parseNaturalDate('today', lateUtc, ZONE)), '2026-10-15');
+  assert.equal(iso(parseNaturalDate('Friday', lateUtc, ZONE)), '2026-10-16');
+
+  // ...while in New York it is still the afternoon of the 14th
+  const newYork = parseNaturalDate('today', lateUtc, 'America/New_York');
+  assert.equal(toZonedISODate(newYork, 'America/New_York'), '2026-10-14');
+  assert.equal(newYork.toISOString(), '2026-10-14T04:00:00.000Z');
+});
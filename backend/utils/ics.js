@@ -0,0 +1,120 @@
+/**
+ * iCalendar (RFC 5545) serialization
+ * Times are written in UTC ("...Z"), so no VTIMEZONE blocks are needed and
+ * every calendar app shows the event in its own zone. Lines end in CRLF and
+ * are folded at 75 octets.
+ */
+
+const PRODUCT_ID = '-//RestauBot//Bookings//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * A parameter value (e.g. CN), quoted when it has characters that end a parameter
+ */
+const paramText = (value) => {
+  const text = String(value ?? '').replace(/"/g, "'").replace(/\r?\n/g, ' ');
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+/**
+ * A person as a CAL-ADDRESS with their name: ;CN=Priya:mailto:priya@example.com
+ */
+const calAddress = ({ name, email }, params = []) =>
+  [...(name ? [`CN=${paramText(name)}`] : []), ...params].map(param => `;${param}`).join('') + `:mailto:${email}`;
+
+/**
+ * An instant as a UTC DATE-TIME: 20261023T143000Z
+ */
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line into 75-octet pieces, never splitting a character
+ */
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+
+  return pieces.join('\r\n ');
+}
+
+/**
+ * The lines of one VEVENT
+ * @param {Object} event - { uid, sequence, stamp, start, end, summary, description, location, status, url,
+ *   organizer: { name, email }, attendees: [{ name, email, partstat, rsvp }] }
+ *   (REQUEST and CANCEL need the organizer and at least one attendee)
+ */
+const eventLines = (event) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  `DTSTAMP:${formatUtc(event.stamp || new Date())}`,
+  `DTSTART:${formatUtc(event.start)}`,
+  `DTEND:${formatUtc(event.end)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  ...(event.url ? [`URL:${event.url}`] : []),
+  ...(event.organizer ? [`ORGANIZER${calAddress(event.organizer)}`] : []),
+  ...(event.attendees || []).map(attendee => `ATTENDEE${calAddress(attendee, [
+    'ROLE=REQ-PARTICIPANT',
+    `PARTSTAT=${attendee.partstat || 'NEEDS-ACTION'}`,
+    `RSVP=${attendee.rsvp ? 'TRUE' : 'FALSE'}`
+  ])}`),
+  `STATUS:${event.status || 'CONFIRMED'}`,
+  'END:VEVENT'
+];
+
+/**
+ * A VCALENDAR document
+ * @param {Object} calendar - { method: PUBLISH | REQUEST | CANCEL, name, refreshMinutes, events }
+ *   (name and refreshMinutes are for subscription feeds: what apps call it and how often they re-fetch)
+ * @returns {String} The .ics text
+ */
+function serializeCalendar({ method = 'PUBLISH', name, refreshMinutes, events = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...(refreshMinutes ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`] : []),
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  paramText,
+  formatUtc,
+  foldLine,
+  serializeCalendar
+};
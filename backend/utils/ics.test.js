@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, paramText, formatUtc, foldLine, serializeCalendar } = require('./ics');
+
+test('text values and times are written the iCalendar way', () => {
+  assert.equal(escapeText('Window seat; birthday, cake\nno nuts \\ thanks'), 'Window seat\\; birthday\\, cake\\nno nuts \\\\ thanks');
+  assert.equal(formatUtc('2026-10-23T14:30:00.000Z'), '20261023T143000Z');
+  assert.equal(paramText('Priya'), 'Priya');
+  assert.equal(paramText('Sharma, Priya "PS"'), '"Sharma, Priya \'PS\'"');
+});
+
+test('long lines fold at 75 octets without splitting characters', () => {
+  const line = `DESCRIPTION:${'é'.repeat(60)}`;
+  const pieces = foldLine(line).split('\r\n');
+
+  assert.ok(pieces.length > 1);
+  assert.ok(pieces.every(piece => Buffer.byteLength(piece) <= 75));
+  assert.equal(pieces.map((piece, i) => (i === 0 ? piece : piece.slice(1))).join(''), line);
+});
+
+test('a calendar wraps its events', () => {
+  const ics = serializeCalendar({
+    method: 'CANCEL',
+    events: [{
+      uid: 'BK-1@restaubot',
+      sequence: 2,
+      stamp: '2026-10-20T08:00:00Z',
+      start: '2026-10-23T14:30:00Z',
+      end: '2026-10-23T16:00:00Z',
+      summary: 'Table for 4',
+      status: 'CANCELLED'
+    }]
+  });
+
+  assert.ok(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n'));
+  assert.match(ics, /\r\nMETHOD:CANCEL\r\n/);
+  assert.match(ics, /\r\nUID:BK-1@restaubot\r\nSEQUENCE:2\r\nDTSTAMP:20261020T080000Z\r\nDTSTART:20261023T143000Z\r\nDTEND:20261023T160000Z\r\n/);
+  assert.match(ics, /\r\nSTATUS:CANCELLED\r\n/);
+});
+
+test('an invite names its organizer and attendees', () => {
+  const ics = serializeCalendar({
+    method: 'REQUEST',
+    events: [{
+      uid: 'BK-1@restaubot',
+      start: '2026-10-23T14:30:00Z',
+      end: '2026-10-23T16:00:00Z',
+      summary: 'Table for 4',
+      organizer: { name: 'RestauBot Bistro', email: 'bookings@restaubot.example' },
+      attendees: [
+        { name: 'Sharma, Priya', email: 'priya@example.com', partstat: 'ACCEPTED' },
+        { email: 'arjun@example.com', rsvp: true }
+      ]
+    }]
+  }).replace(/\r\n /g, '');
+
+  assert.match(ics, /\r\nORGANIZER;CN=RestauBot Bistro:mailto:bookings@restaubot\.example\r\n/);
+  assert.match(ics, /\r\nATTENDEE;CN="Sharma, Priya";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:priya@example\.com\r\n/);
+  assert.match(ics, /\r\nATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:arjun@example\.com\r\n/);
+});
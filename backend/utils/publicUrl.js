@@ -0,0 +1,20 @@
+/**
+ * Links guests follow from messages
+ * PUBLIC_BASE_URL is where guests reach the API (default http://localhost:PORT)
+ */
+
+const publicUrl = (path) =>
+  (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '') + path;
+
+/**
+ * A URL under the booking's own REST resource, e.g. bookingUrl(booking, 'calendar.ics')
+ */
+const bookingUrl = (booking, suffix = '') => {
+  const bookings = booking.restaurantId ? `/api/restaurants/${booking.restaurantId}/bookings` : '/api/bookings';
+  return publicUrl(`${bookings}/${booking.bookingId}${suffix ? `/${suffix}` : ''}`);
+};
+
+module.exports = {
+  publicUrl,
+  bookingUrl
+};
@@ -0,0 +1,46 @@
+// backend/utils/runCommand.js
+const { spawn } = require('child_process');
+
+/**
+ * Run a configured shell command (speech engines, converters)
+ * @param {String} command - Command line; run through the shell
+ * @param {Object} options - { input: Buffer|String for stdin, timeoutMs }
+ * @returns {Buffer} Everything the command wrote to stdout
+ * @throws When it exits non-zero or runs past the timeout
+ */
+function runCommand(command, { input = null, timeoutMs = 30000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true });
+    const stdout = [];
+    const stderr = [];
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`Command timed out after ${timeoutMs}ms: ${command}`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        const message = Buffer.concat(stderr).toString().trim();
+        reject(new Error(`Command failed (exit ${code}): ${message || command}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout));
+    });
+
+    // Commands that don't read stdin close it early; that's fine
+    child.stdin.on('error', () => {});
+    child.stdin.end(input === null ? undefined : input);
+  });
+}
+
+module.exports = runCommand;
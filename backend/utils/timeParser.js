@@ -0,0 +1,190 @@
+// backend/utils/timeParser.js
+
+/**
+ * Convert a clock time to minutes after midnight
+ * Examples:
+ *   "20:00"    → 1200
+ *   "8:00 PM"  → 1200
+ *   "8 PM"     → 1200
+ *   "12:30 AM" → 30
+ * @returns {Number|null} null when the time cannot be read
+ */
+function toMinutes(time) {
+  const match = String(time || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?$/i);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3] ? match[3].toUpperCase() : null;
+
+  if (meridiem && (hours < 1 || hours > 12)) return null;
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes after midnight back to "HH:MM" (24-hour)
+ */
+function formatMinutes(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Parts of the day callers use instead of a time - we have to ask which time
+const DAY_PERIODS = {
+  morning: { from: '08:00', to: '12:00', ask: 'in the morning' },
+  brunch: { from: '10:00', to: '14:00', ask: 'for brunch' },
+  lunch: { from: '12:00', to: '15:00', ask: 'for lunch' },
+  lunchtime: { from: '12:00', to: '15:00', ask: 'for lunch' },
+  afternoon: { from: '12:00', to: '17:00', ask: 'in the afternoon' },
+  evening: { from: '17:00', to: '23:00', ask: 'in the evening' },
+  dinner: { from: '18:00', to: '23:00', ask: 'for dinner' },
+  'dinner time': { from: '18:00', to: '23:00', ask: 'for dinner' },
+  dinnertime: { from: '18:00', to: '23:00', ask: 'for dinner' },
+  supper: { from: '18:00', to: '23:00', ask: 'for supper' },
+  tonight: { from: '17:00', to: '23:00', ask: 'tonight' },
+  night: { from: '19:00', to: '23:59', ask: 'at night' },
+  late: { from: '21:00', to: '23:59', ask: 'late in the evening' },
+  early: { from: '12:00', to: '18:00', ask: 'early on' }
+};
+
+const TIME_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, 'twenty five': 25, thirty: 30,
+  'thirty five': 35, forty: 40, 'forty five': 45, fifty: 50, 'fifty five': 55
+};
+
+/**
+ * "7", "seven" → 7
+ */
+function wordToNumber(word) {
+  const text = String(word).trim().replace(/-/g, ' ');
+  if (/^\d+$/.test(text)) return Number(text);
+  return TIME_WORDS[text] !== undefined ? TIME_WORDS[text] : null;
+}
+
+const ambiguous = (reason, question, extra = {}) => ({ time: null, ambiguous: true, reason, question, ...extra });
+
+/**
+ * Parse a spoken or written time into 24-hour "HH:MM"
+ * Examples:
+ *   "20:00", "8 PM", "8pm"        → { time: "20:00" }
+ *   "09:30", "0930"               → { time: "09:30" } (clock times are 24-hour)
+ *   "half past seven"             → { time: "19:30" }
+ *   "quarter to nine in the morning" → { time: "08:45" }
+ *   "seven thirty", "7.30"        → { time: "19:30" }
+ *   "noon" / "midnight"           → { time: "12:00" } / { time: "00:00" }
+ *   "evening", "dinner time"      → { ambiguous: true, question: "What time in the evening ...?", period }
+ *   "11", "eleven"                → { ambiguous: true, candidates: ["11:00", "23:00"] }
+ * A spoken or bare hour from 1 to 10 is read as afternoon/evening - nobody
+ * books a restaurant table for 8 in the morning by saying "at 8". A time
+ * written as a clock ("10:00", "2130") means exactly that.
+ * @returns {Object|null} { time, ambiguous: false } or
+ *   { time: null, ambiguous: true, reason, question, period?, candidates? };
+ *   null when the input isn't a time at all
+ */
+function parseNaturalTime(input) {
+  if (input === null || input === undefined) return null;
+
+  let text = String(input).trim().toLowerCase()
+    .replace(/[?!,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+
+  // Filler around the time itself
+  text = text
+    .replace(/^(at|around|about|approximately|approx|by|say|for|maybe)\s+/, '')
+    .replace(/\s*(ish|sharp|or so)$/, '')
+    .replace(/\s*o'?\s?clock/, '')
+    .trim();
+
+  if (DAY_PERIODS[text]) {
+    const { from, to, ask } = DAY_PERIODS[text];
+    return ambiguous(text, `What time ${ask} would you like? We need an exact time, like ${formatMinutes(toMinutes(from) + 60)}.`, { period: { from, to } });
+  }
+
+  if (/^(noon|midday|12 noon)$/.test(text)) return { time: '12:00', ambiguous: false };
+  if (/^midnight$/.test(text)) return { time: '00:00', ambiguous: false };
+
+  // Meridiem from "pm" or "in the evening"
+  let meridiem = null;
+  const meridiemMatch = text.match(/\s*(a\.?m\.?|p\.?m\.?)$|\s+(in the morning|in the afternoon|in the evening|at night|tonight)$/);
+  if (meridiemMatch) {
+    const marker = meridiemMatch[1] || meridiemMatch[2];
+    meridiem = /^a|morning/.test(marker) ? 'am' : 'pm';
+    text = text.slice(0, meridiemMatch.index).trim();
+  }
+
+  let hours = null;
+  let minutes = 0;
+  let clock = false;
+  let match;
+
+  if ((match = text.match(/^(\d{1,2}):(\d{2})$/))) {
+    // "19:30", "09:30"
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+    clock = true;
+  } else if ((match = text.match(/^(\d{1,2})(?:\.(\d{2}))?$/))) {
+    // "7", "7.30"
+    hours = Number(match[1]);
+    minutes = Number(match[2] || 0);
+  } else if ((match = text.match(/^(\d{2})(\d{2})$/)) && !meridiem) {
+    // "1930", "0930"
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+    clock = true;
+    if (hours > 23) return null;
+  } else if ((match = text.match(/^(half|quarter|[\w-]+(?: [\w-]+)?)(?: minutes?)? (past|after|to|before) ([\w-]+)$/))) {
+    // "half past seven", "quarter to nine", "ten past 8"
+    const base = wordToNumber(match[3]);
+    const offset = match[1] === 'half' ? 30 : match[1] === 'quarter' ? 15 : wordToNumber(match[1]);
+    if (base === null || offset === null || base < 1 || base > 12 || offset >= 60) return null;
+
+    const total = ['to', 'before'].includes(match[2]) ? base * 60 - offset : base * 60 + offset;
+    hours = Math.floor(total / 60);
+    minutes = total % 60;
+    if (hours === 0) hours = 12;
+  } else if ((match = text.match(/^([a-z]+)(?: (oh [a-z]+|[a-z]+(?:[ -][a-z]+)?))?$/))) {
+    // "seven", "seven thirty", "eight forty-five", "nine oh five"
+    hours = wordToNumber(match[1]);
+    if (hours === null || hours < 1 || hours > 12) return null;
+
+    if (match[2]) {
+      const minuteWords = match[2].replace(/^oh /, '');
+      minutes = wordToNumber(minuteWords);
+      if (minutes === null || minutes >= 60) return null;
+    }
+  } else {
+    return null;
+  }
+
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  } else if (!clock && hours === 11) {
+    const morning = formatMinutes(11 * 60 + minutes);
+    const night = formatMinutes(23 * 60 + minutes);
+    return ambiguous(String(input).trim(), `Did you mean ${morning} in the morning or ${night} at night?`, { candidates: [morning, night] });
+  } else if (!clock && hours >= 1 && hours <= 10) {
+    hours += 12;
+  }
+
+  if (hours > 23) return null;
+
+  return { time: formatMinutes(hours * 60 + minutes), ambiguous: false };
+}
+
+module.exports = {
+  toMinutes,
+  formatMinutes,
+  parseNaturalTime
+};
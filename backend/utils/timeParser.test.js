@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNaturalTime, toMinutes, formatMinutes } = require('./timeParser');
+
+// [input, expected "HH:MM"]
+const resolvedCases = [
+  // am/pm
+  ['8 PM', '20:00'],
+  ['8pm', '20:00'],
+  ['7:30 p.m.', '19:30'],
+  ['9 am', '09:00'],
+  ['12 pm', '12:00'],
+  ['12:30 AM', '00:30'],
+  ['11 pm', '23:00'],
+  ['11:30 am', '11:30'],
+  ['quarter to nine in the morning', '08:45'],
+  ['seven in the evening', '19:00'],
+
+  // Clock times are 24-hour
+  ['20:00', '20:00'],
+  ['19:30', '19:30'],
+  ['09:30', '09:30'],
+  ['9:30', '09:30'],
+  ['10:00', '10:00'],
+  ['12:15', '12:15'],
+  ['00:00', '00:00'],
+  ['0930', '09:30'],
+  ['1930', '19:30'],
+  ['at 21:45', '21:45'],
+
+  // Bare or spoken hours are afternoon/evening
+  ['7', '19:00'],
+  ['at 8', '20:00'],
+  ['10', '22:00'],
+  ['12', '12:00'],
+  ['7.30', '19:30'],
+  ['seven', '19:00'],
+  ['seven thirty', '19:30'],
+  ['eight forty-five', '20:45'],
+  ['nine oh five', '21:05'],
+  ['half past seven', '19:30'],
+  ['quarter to nine', '20:45'],
+  ["8 o'clock", '20:00'],
+  ['around 8ish', '20:00'],
+  ['noon', '12:00'],
+  ['midnight', '00:00'],
+
+  // 11 o'clock on a clock is exactly that
+  ['11:00', '11:00'],
+  ['11:30', '11:30'],
+  ['23:00', '23:00'],
+  ['1100', '11:00']
+];
+
+// [input, expected candidates]
+const ambiguousCases = [
+  ['11', ['11:00', '23:00']],
+  ['at 11', ['11:00', '23:00']],
+  ['eleven', ['11:00', '23:00']],
+  ['eleven thirty', ['11:30', '23:30']],
+  ['11.30', ['11:30', '23:30']],
+  ['evening', undefined],
+  ['dinner time', undefined]
+];
+
+const invalidCases = ['', 'soon', '25:00', '19:75', '2400', '13 pm', 'twenty', '19:30 pm'];
+
+for (const [input, expected] of resolvedCases) {
+  test(`"${input}" → ${expected}`, () => {
+    assert.deepEqual(parseNaturalTime(input), { time: expected, ambiguous: false });
+  });
+}
+
+for (const [input, candidates] of ambiguousCases) {
+  test(`"${input}" is ambiguous`, () => {
+    const result = parseNaturalTime(input);
+    assert.equal(result.ambiguous, true);
+    assert.equal(result.time, null);
+    assert.deepEqual(result.candidates, candidates);
+    assert.ok(result.question);
+  });
+}
+
+for (const input of invalidCases) {
+  test(`"${input}" is not a time`, () => {
+    assert.equal(parseNaturalTime(input), null);
+  });
+}
+
+test('a normalized time parses to itself', () => {
+  for (let minutes = 0; minutes < 24 * 60; minutes += 15) {
+    const time = formatMinutes(minutes);
+    assert.equal(parseNaturalTime(time).time, time);
+    assert.equal(toMinutes(time), minutes);
+  }
+});
+
+test('day periods ask for an exact time within them', () => {
+  assert.deepEqual(parseNaturalTime('for dinner').period, { from: '18:00', to: '23:00' });
+  assert.equal(parseNaturalTime('lunch').question, 'What time for lunch would you like? We need an exact time, like 13:00.');
+});
@@ -0,0 +1,155 @@
+// backend/utils/timezone.js
+const restaurantConfig = require('../config/restaurant');
+const { toMinutes } = require('./timeParser');
+
+/**
+ * Calendar days and clock times in the restaurant's timezone
+ * The server may run in UTC while the restaurant is in Asia/Kolkata, so
+ * "today", day boundaries and weekdays must never come from the server clock.
+ * A booking day is stored as the instant of midnight in the restaurant's zone.
+ */
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function getZonedParts(date, timeZone = restaurantConfig.timeZone) {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Milliseconds the zone is ahead of UTC at an instant
+ */
+const offsetAt = (timestamp, timeZone) => {
+  const p = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * The UTC instant of a wall-clock time in a timezone
+ * Out-of-range parts roll over (day 32 → next month), like the Date constructor.
+ * Times skipped by a DST jump resolve to the instant just after it.
+ * @param {Object} wallClock - { year, month (1-12), day, hour, minute }
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = restaurantConfig.timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the naive instant, then correct once for DST
+  let timestamp = asUtc - offsetAt(asUtc, timeZone);
+  const corrected = asUtc - offsetAt(timestamp, timeZone);
+  if (corrected !== timestamp) timestamp = Math.max(timestamp, corrected);
+
+  return new Date(timestamp);
+}
+
+/**
+ * Midnight (restaurant time) of the day containing `value`
+ * "YYYY-MM-DD" strings are calendar days in the restaurant's zone,
+ * not UTC midnight like `new Date("2026-10-16")` would make them.
+ * @returns {Date|null} null when `value` isn't a date
+ */
+function startOfZonedDay(value, timeZone = restaurantConfig.timeZone) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return zonedTimeToUtc({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, timeZone);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+/**
+ * Midnight (restaurant time) `days` calendar days after the day containing `date`
+ */
+function addZonedDays(date, days, timeZone = restaurantConfig.timeZone) {
+  const { year, month, day } = getZonedParts(startOfZonedDay(date, timeZone), timeZone);
+  return zonedTimeToUtc({ year, month, day: day + days }, timeZone);
+}
+
+/**
+ * Start and end instants of the restaurant's calendar day containing `date`
+ */
+function getZonedDayRange(date, timeZone = restaurantConfig.timeZone) {
+  const start = startOfZonedDay(date, timeZone);
+  return { start, end: addZonedDays(start, 1, timeZone) };
+}
+
+/**
+ * The restaurant's calendar day as "YYYY-MM-DD"
+ */
+function toZonedISODate(date, timeZone = restaurantConfig.timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * The instant a booking starts: its day plus its clock time, in restaurant time
+ * @param {Date|String} date - The booking day
+ * @param {String} time - "19:30" or "7:30 PM"
+ * @returns {Date|null} null when the date or time can't be read
+ */
+function zonedDateTime(date, time, timeZone = restaurantConfig.timeZone) {
+  const minutes = toMinutes(time);
+  const start = startOfZonedDay(date, timeZone);
+  if (minutes === null || !start) return null;
+
+  const { year, month, day } = getZonedParts(start, timeZone);
+  return zonedTimeToUtc({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+}
+
+/**
+ * A date as the restaurant would say it ("Friday, October 16")
+ */
+function formatZonedDate(date, options = { weekday: 'long', month: 'long', day: 'numeric' }, timeZone = restaurantConfig.timeZone) {
+  return new Date(date).toLocaleDateString('en-US', { ...options, timeZone });
+}
+
+module.exports = {
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  addZonedDays,
+  getZonedDayRange,
+  toZonedISODate,
+  zonedDateTime,
+  formatZonedDate
+};
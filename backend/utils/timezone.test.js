@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  startOfZonedDay,
+  addZonedDays,
+  getZonedDayRange,
+  toZonedISODate,
+  zonedDateTime,
+  formatZonedDate
+} = require('./timezone');
+
+const KOLKATA = 'Asia/Kolkata';
+const NEW_YORK = 'America/New_York';
+
+test('ISO days are calendar days in the restaurant timezone', () => {
+  assert.equal(startOfZonedDay('2026-10-16', KOLKATA).toISOString(), '2026-10-15T18:30:00.000Z');
+  assert.equal(startOfZonedDay('2026-10-16', NEW_YORK).toISOString(), '2026-10-16T04:00:00.000Z');
+});
+
+test('instants fall on the restaurant\'s day', () => {
+  const instant = new Date('2026-10-14T20:00:00Z');
+  assert.equal(toZonedISODate(instant, KOLKATA), '2026-10-15');
+  assert.equal(toZonedISODate(instant, NEW_YORK), '2026-10-14');
+  assert.equal(startOfZonedDay(instant, KOLKATA).toISOString(), '2026-10-14T18:30:00.000Z');
+});
+
+test('day ranges follow daylight saving changes', () => {
+  const { start, end } = getZonedDayRange('2026-03-08', NEW_YORK);
+  assert.equal(start.toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(addZonedDays('2026-10-31', 1, KOLKATA).toISOString(), '2026-10-31T18:30:00.000Z');
+});
+
+test('booking start is the day plus the time in restaurant time', () => {
+  assert.equal(zonedDateTime('2026-10-16', '19:30', KOLKATA).toISOString(), '2026-10-16T14:00:00.000Z');
+  assert.equal(zonedDateTime(startOfZonedDay('2026-10-16', NEW_YORK), '19:30', NEW_YORK).toISOString(), '2026-10-16T23:30:00.000Z');
+  assert.equal(zonedDateTime('2026-10-16', 'evening', KOLKATA), null);
+});
+
+test('dates are described in the restaurant timezone', () => {
+  assert.equal(formatZonedDate(startOfZonedDay('2026-10-16', KOLKATA), undefined, KOLKATA), 'Friday, October 16');
+});
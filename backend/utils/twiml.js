@@ -0,0 +1,101 @@
+// backend/utils/twiml.js
+
+/**
+ * TwiML (Twilio Markup Language) helpers
+ * Phone carriers that speak TwiML call our webhooks and follow the verbs we answer
+ * with: <Say> text, <Gather> the caller's speech, <Dial> a number, <Hangup>.
+ */
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * One verb; attributes that are null or undefined are left out
+ */
+function verb(name, attributes = {}, content = '') {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  return content ? `<${name}${attrs}>${content}</${name}>` : `<${name}${attrs}/>`;
+}
+
+const say = (text, attributes) => verb('Say', attributes, escapeXml(text));
+
+/**
+ * Listen for the caller's speech and POST it to `action` as SpeechResult
+ * @param {Object} attributes - { action, language, ... }
+ * @param {Array<String>} prompts - Verbs played while listening (usually <Say>)
+ */
+const gather = (attributes, prompts = []) => verb('Gather', {
+  input: 'speech',
+  method: 'POST',
+  speechTimeout: 'auto',
+  ...attributes
+}, prompts.join(''));
+
+const dial = (number) => verb('Dial', {}, escapeXml(number));
+
+const redirect = (url) => verb('Redirect', { method: 'POST' }, escapeXml(url));
+
+const hangup = () => verb('Hangup');
+
+/**
+ * A complete TwiML document
+ * @param {Array<String>} verbs
+ */
+const twimlResponse = (verbs) => `<?xml version="1.0" encoding="UTF-8"?><Response>${verbs.join('')}</Response>`;
+
+/**
+ * Read a TwiML document back into verbs (for the call simulator and tests)
+ * Handles the flat documents built above, not arbitrary XML.
+ * @returns {Array<Object>} [{ verb, attributes, text, children }]
+ */
+function parseTwiml(xml) {
+  const body = String(xml).match(/<Response>([\s\S]*)<\/Response>/);
+  if (!body) return [];
+
+  const verbs = [];
+  const pattern = /<(\w+)((?:\s+\w+="[^"]*")*)\s*(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+
+  while ((match = pattern.exec(body[1])) !== null) {
+    const [, name, rawAttributes, content = ''] = match;
+    const attributes = {};
+    for (const [, key, value] of rawAttributes.matchAll(/(\w+)="([^"]*)"/g)) {
+      attributes[key] = unescapeXml(value);
+    }
+
+    const children = /</.test(content) ? parseTwiml(`<Response>${content}</Response>`) : [];
+    verbs.push({
+      verb: name,
+      attributes,
+      text: children.length > 0 ? '' : unescapeXml(content),
+      children
+    });
+  }
+
+  return verbs;
+}
+
+module.exports = {
+  say,
+  gather,
+  dial,
+  redirect,
+  hangup,
+  twimlResponse,
+  parseTwiml
+};
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { say, gather, hangup, twimlResponse, parseTwiml } = require('./twiml');
+
+test('builds a gather with the prompt inside it', () => {
+  const xml = twimlResponse([
+    gather({ action: '/api/telephony/gather', language: 'en-US' }, [say('Table for how many?')])
+  ]);
+
+  assert.equal(
+    xml,
+    '<?xml version="1.0" encoding="UTF-8"?><Response>' +
+    '<Gather input="speech" method="POST" speechTimeout="auto" action="/api/telephony/gather" language="en-US">' +
+    '<Say>Table for how many?</Say></Gather></Response>'
+  );
+});
+
+test('text is escaped and read back unchanged', () => {
+  const text = 'Fish & chips for "Ravi" <4 guests>';
+  const verbs = parseTwiml(twimlResponse([say(text, { voice: 'alice' }), hangup()]));
+
+  assert.deepEqual(verbs, [
+    { verb: 'Say', attributes: { voice: 'alice' }, text, children: [] },
+    { verb: 'Hangup', attributes: {}, text: '', children: [] }
+  ]);
+});
+
+test('nested verbs are parsed as children', () => {
+  const [gatherVerb] = parseTwiml(twimlResponse([gather({ action: '/gather' }, [say('Hello'), say('Name?')])]));
+
+  assert.equal(gatherVerb.verb, 'Gather');
+  assert.equal(gatherVerb.attributes.action, '/gather');
+  assert.deepEqual(gatherVerb.children.map(child => child.text), ['Hello', 'Name?']);
+});
@@ -0,0 +1,86 @@
+// backend/utils/wav.js
+
+/**
+ * WAV container helpers for 16-bit PCM audio
+ * Speech engines exchange audio as WAV files; clients stream raw PCM.
+ */
+
+const HEADER_BYTES = 44;
+
+/**
+ * Wrap raw 16-bit little-endian PCM in a WAV header
+ * @param {Buffer} pcm - Samples
+ * @param {Object} format - { sampleRate, channels }
+ * @returns {Buffer}
+ */
+function pcmToWav(pcm, { sampleRate = 16000, channels = 1 } = {}) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  const blockAlign = channels * 2;
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Read a 16-bit PCM WAV file
+ * Walks the chunks, so extra chunks (LIST, fact...) before the data are skipped
+ * @returns {Object|null} { pcm, sampleRate, channels }, or null when it isn't 16-bit PCM WAV
+ */
+function parseWav(buffer) {
+  if (buffer.length < HEADER_BYTES ||
+      buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+      buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!format || format.audioFormat !== 1 || format.bitsPerSample !== 16) return null;
+
+      // Streaming encoders write 0 or 0xFFFFFFFF when they don't know the length
+      const end = size === 0 || size === 0xFFFFFFFF ? buffer.length : Math.min(body + size, buffer.length);
+      return {
+        pcm: buffer.subarray(body, end),
+        sampleRate: format.sampleRate,
+        channels: format.channels
+      };
+    }
+
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2);
+  }
+
+  return null;
+}
+
+module.exports = {
+  pcmToWav,
+  parseWav
+};
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pcmToWav, parseWav } = require('./wav');
+
+const PCM = Buffer.from([0x00, 0x00, 0xff, 0x7f, 0x01, 0x80, 0x10, 0x00]);
+
+test('PCM round-trips through a WAV file', () => {
+  const wav = pcmToWav(PCM, { sampleRate: 8000, channels: 1 });
+
+  assert.equal(wav.length, 44 + PCM.length);
+  assert.deepEqual(parseWav(wav), { pcm: PCM, sampleRate: 8000, channels: 1 });
+});
+
+test('chunks before the audio data are skipped', () => {
+  const wav = pcmToWav(PCM, { sampleRate: 22050 });
+  const list = Buffer.concat([Buffer.from('LIST', 'ascii'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc\0', 'ascii')]);
+  const withList = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+
+  assert.deepEqual(parseWav(withList), { pcm: PCM, sampleRate: 22050, channels: 1 });
+});
+
+test('an unknown data length means "until the end"', () => {
+  const wav = pcmToWav(PCM);
+  wav.writeUInt32LE(0xFFFFFFFF, 40);
+
+  assert.deepEqual(parseWav(wav).pcm, PCM);
+});
+
+test('anything but 16-bit PCM WAV is refused', () => {
+  assert.equal(parseWav(Buffer.from('not a wav file at all, just some text here....')), null);
+
+  const eightBit = pcmToWav(PCM);
+  eightBit.writeUInt16LE(8, 34);
+  assert.equal(parseWav(eightBit), null);
+});
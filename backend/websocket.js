@@ -1,10 +1,44 @@
 // backend/websocket.js
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const geminiService = require('./services/geminiService');
 const weatherService = require('./services/weatherService');
-const Booking = require('./models/Booking');
-const parseNaturalDate = require('./utils/dateParser'); // ← NEW
+const restaurantService = require('./services/restaurantService');
+const customerService = require('./services/customerService');
+const { getSessionStore } = require('./services/sessionStores');
+const { getSttEngine } = require('./services/stt');
+const { getTtsEngine } = require('./services/tts');
+const { toMinutes } = require('./utils/timeParser');
+const { parseNaturalDate } = require('./utils/dateParser');
+const { formatZonedDate } = require('./utils/timezone');
+const {
+  ERROR_CODES,
+  createMessage,
+  validateClientMessage,
+  validateServerMessage
+} = require('../shared/protocol');
+
+// Messages whose text is spoken when the client has audio replies on.
+// Streamed replies are spoken once at response_end, not again in response/booking_ready.
+const SPOKEN_MESSAGES = [
+  'greeting',
+  'response',
+  'response_end',
+  'booking_ready',
+  'slot_unavailable',
+  'waitlist_joined',
+  'booking_confirmed',
+  'booking_updated',
+  'booking_cancelled',
+  'human_handoff'
+];
+
+// Largest utterance we'll buffer (about 2.5 minutes of 16 kHz mono PCM)
+const MAX_AUDIO_BYTES = Number(process.env.MAX_AUDIO_UPLOAD_BYTES) || 5 * 1024 * 1024;
+
+// Size of the binary frames audio replies are sent in
+const AUDIO_FRAME_BYTES = 32 * 1024;
 
 /**
  * WebSocket Server for Real-time Voice AI Booking
@@ -17,6 +51,8 @@ class WebSocketServer {
     });
     
     this.clients = new Map();
+    // Same clients by socket, for spoken replies
+    this.clientsBySocket = new WeakMap();
     this.setupWebSocket();
   }
 
@@ -24,38 +60,63 @@ class WebSocketServer {
     this.wss.on('connection', (ws, req) => {
       const clientId = uuidv4();
       const clientIp = req.socket.remoteAddress;
+
+      // Which venue the caller is booking: ws://host/ws?restaurant=<id or slug>
+      const restaurantId = new URL(req.url, 'http://localhost').searchParams.get('restaurant');
       
-      console.log(`WebSocket client connected: ${clientId} from ${clientIp}`);
+      console.log(`WebSocket client connected: ${clientId} from ${clientIp}${restaurantId ? ` for ${restaurantId}` : ''}`);
       
-      this.clients.set(clientId, {
-        ws,
-        id: clientId,
-        connectedAt: new Date(),
-        conversationState: {}
-      });
+      const client = this.createClient(ws, { id: clientId });
 
-      geminiService.initConversation(clientId);
-
-      this.sendMessage(ws, {
-        type: 'connected',
-        clientId,
-        message: 'Connected to voice booking server'
-      });
+      // Messages wait until we know the venue
+      const venueReady = restaurantService.getVenue(restaurantId)
+        .then(venue => {
+          client.venue = venue;
+          this.sendMessage(ws, {
+            type: 'connected',
+            clientId,
+            sessionToken: client.sessionToken,
+            restaurant: { id: venue.restaurantId, name: venue.config.name },
+            message: 'Connected to voice booking server'
+          });
+        })
+        .catch(error => {
+          console.warn(`Rejected WebSocket client ${clientId}:`, error.message);
+          this.sendError(ws, this.errorCode(error, ERROR_CODES.INTERNAL_ERROR), error.status ? error.message : 'Could not load the restaurant');
+          ws.close(1008, 'Unknown restaurant');
+        });
 
-      ws.on('message', async (data) => {
+      ws.on('message', async (data, isBinary) => {
         try {
-          const message = JSON.parse(data.toString());
+          await venueReady;
+          if (!client.venue) return;
+
+          // Binary frames are the caller's audio between audio_start and audio_end
+          if (isBinary) {
+            this.handleAudioFrame(client, data);
+            return;
+          }
+
+          let message;
+          try {
+            message = JSON.parse(data.toString());
+          } catch (error) {
+            this.sendError(ws, ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+            return;
+          }
+
           await this.handleMessage(clientId, message);
+          await this.saveSession(client);
         } catch (error) {
           console.error('Message handling error:', error);
-          this.sendError(ws, 'Failed to process message');
+          this.sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to process message');
         }
       });
 
+      // The session stays in the store until it expires, so the caller can resume
       ws.on('close', () => {
         console.log(`Client disconnected: ${clientId}`);
-        geminiService.clearConversation(clientId);
-        this.clients.delete(clientId);
+        this.removeClient(client);
       });
 
       ws.on('error', (error) => {
@@ -74,12 +135,67 @@ class WebSocketServer {
     console.log('WebSocket server initialized on /ws');
   }
 
+  /**
+   * Start a conversation on a socket
+   * Other channels (telephony) pass any object with `readyState` and `send(json)`
+   * in place of a WebSocket, and set `venue` themselves.
+   */
+  createClient(ws, fields = {}) {
+    const client = {
+      ws,
+      id: uuidv4(),
+      connectedAt: new Date(),
+      // web | phone | sms | whatsapp - sessions only resume on the channel that saved them
+      channel: 'web',
+      // The server's copy is the only one we trust; clients just display it
+      conversationState: {},
+      // Set while a complete booking is waiting for the caller's yes
+      draftId: null,
+      venue: null,
+      // Hand this back in a `resume` message to continue after reconnecting
+      sessionToken: crypto.randomBytes(24).toString('hex'),
+      // Utterance being uploaded: { format, sampleRate, channels, chunks, bytes }
+      audioInput: null,
+      audioReplies: false,
+      // Spoken replies go out one after another
+      speech: Promise.resolve(),
+      // Contact details the channel vouches for (a phone call's caller ID, a text's sender)
+      knownContact: null,
+      // The caller's customer profile once we recognise their known contact details
+      customer: null,
+      customerContact: null,
+      ...fields
+    };
+
+    this.clients.set(client.id, client);
+    this.clientsBySocket.set(ws, client);
+    geminiService.initConversation(client.id);
+
+    return client;
+  }
+
+  /**
+   * Forget a conversation (its saved session stays until it expires)
+   */
+  removeClient(client) {
+    geminiService.clearConversation(client.id);
+    this.clients.delete(client.id);
+  }
+
   async handleMessage(clientId, message) {
     const client = this.clients.get(clientId);
     if (!client) return;
 
     const { ws } = client;
 
+    // Only well-formed messages of the current protocol get past here
+    const validation = validateClientMessage(message);
+    if (!validation.valid) {
+      console.warn(`Rejected message from ${clientId}:`, validation.message, validation.details);
+      this.sendError(ws, validation.code, validation.message, validation.details);
+      return;
+    }
+
     console.log(`Message from ${clientId}:`, message.type);
 
     try {
@@ -88,27 +204,57 @@ class WebSocketServer {
           await this.handleGreeting(client, message);
           break;
 
+        case 'resume':
+          await this.handleResume(client, message);
+          break;
+
         case 'user_message':
           await this.handleUserMessage(client, message);
           break;
 
         case 'finalize_booking':
-          await this.handleFinalizeBooking(client, message);
+          await this.handleConfirmDraft(client, message);
+          break;
+
+        case 'join_waitlist':
+          await this.handleJoinWaitlist(client, message);
+          break;
+
+        case 'audio_config':
+          client.audioReplies = message.replies;
+          break;
+
+        case 'audio_start':
+          this.handleAudioStart(client, message);
+          break;
+
+        case 'audio_end':
+          await this.handleAudioEnd(client);
           break;
 
         default:
-          this.sendError(ws, `Unknown message type: ${message.type}`);
+          this.sendError(ws, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type: ${message.type}`);
       }
     } catch (error) {
       console.error(`Error handling ${message.type}:`, error);
-      this.sendError(ws, error.message);
+      this.sendError(ws, this.errorCode(error, ERROR_CODES.INTERNAL_ERROR), error.message);
     }
   }
 
   async handleGreeting(client, message) {
     const { ws, id: clientId } = client;
     
-    let greeting = "Hello! Welcome to our restaurant booking service. I'm RestauBot, here to help you reserve a table.";
+    const { name, persona } = client.venue.config;
+
+    // Channels that know who's calling start from their contact details
+    const state = { ...(client.knownContact || {}) };
+    client.customer = null;
+    client.customerContact = null;
+    const customer = await this.recognizeCustomer(client, state);
+
+    let greeting = customer
+      ? `Hello, welcome back to ${name}! It's ${persona.name} here, ready to reserve your table.`
+      : `Hello! Welcome to ${name}. I'm ${persona.name}, here to help you reserve a table.`;
     
     if (message.weatherInfo) {
       const { temperature, description } = message.weatherInfo;
@@ -121,94 +267,826 @@ class WebSocketServer {
       }
     }
     
-    greeting += " May I have your name to start the reservation?";
+    greeting += ' May I have your name to start the reservation?';
+
+    client.conversationState = state;
+    client.draftId = null;
+    client.waitlistOffer = null;
+    client.manageFlow = null;
+    client.pendingClarification = null;
 
     geminiService.addToHistory(clientId, 'assistant', greeting);
 
     this.sendMessage(ws, {
       type: 'greeting',
       text: greeting,
-      conversationState: {}
+      conversationState: state
     });
   }
 
+  /**
+   * Recognise a returning guest by the contact details their channel vouches for
+   * A number or email said in the conversation could be anyone's, so it never
+   * counts. Only their usual cuisine and seating are filled in (where the state
+   * has nothing yet); their name and contact details are never read back to them.
+   * @returns {Object|null} Their customer profile
+   */
+  async recognizeCustomer(client, state) {
+    const known = client.knownContact || {};
+    const contact = [known.phoneNumber, known.email].filter(Boolean).join(' ');
+    if (!contact || contact === client.customerContact) return client.customer;
+
+    client.customerContact = contact;
+    try {
+      client.customer = await customerService.findByContact(known);
+    } catch (error) {
+      console.warn('Could not look up customer:', error.message);
+    }
+
+    if (client.customer) {
+      Object.assign(state, customerService.prefillFields(client.customer, state, client.venue.config));
+      console.log(`👋 Recognised returning guest ${client.customer._id}`);
+    }
+
+    return client.customer;
+  }
+
+  /**
+   * Continue a conversation from before a reconnect
+   * The client sends the sessionToken it was given; on success this socket
+   * takes over that session's token, history and state. Otherwise the
+   * client keeps this connection's fresh token and starts over.
+   */
+  async handleResume(client, message = {}) {
+    const { ws, id: clientId } = client;
+    const token = message.sessionToken;
+    const session = token ? await getSessionStore().get(token) : null;
+
+    if (!session || !this.canRestore(client, session)) {
+      this.sendMessage(ws, {
+        type: 'resume_failed',
+        sessionToken: client.sessionToken,
+        message: 'That conversation has expired. Starting a new one.'
+      });
+      return;
+    }
+
+    client.sessionToken = token;
+    this.restoreSession(client, session);
+
+    console.log(`Session resumed by ${clientId}`);
+
+    this.sendMessage(ws, {
+      type: 'resumed',
+      sessionToken: token,
+      conversationState: client.conversationState,
+      draftId: client.draftId,
+      history: geminiService.getConversation(clientId).history.filter(entry => entry.role !== 'system'),
+      waitlistAvailable: !!client.waitlistOffer
+    });
+  }
+
+  /**
+   * Whether a saved session belongs to this client's venue and channel
+   */
+  canRestore(client, session) {
+    return String(session.restaurantId || '') === String(client.venue.restaurantId || '') &&
+      (session.channel || 'web') === client.channel;
+  }
+
+  /**
+   * Pick up a saved conversation on this client
+   */
+  restoreSession(client, session) {
+    client.conversationState = session.conversationState || {};
+    client.draftId = session.draftId || null;
+    client.manageFlow = session.manageFlow || null;
+    client.waitlistOffer = session.waitlistOffer || null;
+    client.pendingClarification = session.pendingClarification || null;
+    geminiService.restoreConversation(client.id, session.history);
+  }
+
+  /**
+   * Save the conversation so it can be resumed (failures are only logged)
+   */
+  async saveSession(client, store = getSessionStore()) {
+    if (!client.venue) return;
+
+    try {
+      await store.set(client.sessionToken, {
+        channel: client.channel,
+        restaurantId: client.venue.restaurantId ? String(client.venue.restaurantId) : null,
+        history: geminiService.getConversation(client.id).history,
+        conversationState: client.conversationState,
+        draftId: client.draftId || null,
+        manageFlow: client.manageFlow || null,
+        waitlistOffer: client.waitlistOffer || null,
+        pendingClarification: client.pendingClarification || null
+      });
+    } catch (error) {
+      console.warn(`Could not save session for ${client.id}:`, error.message);
+    }
+  }
+
+  /**
+   * The caller started speaking
+   */
+  handleAudioStart(client, message) {
+    const stt = getSttEngine();
+
+    if (!stt.formats.includes(message.format)) {
+      this.sendError(client.ws, ERROR_CODES.UNSUPPORTED_AUDIO_FORMAT, `The ${stt.name} speech recognizer accepts ${stt.formats.join(', ')}`);
+      return;
+    }
+
+    client.audioInput = {
+      format: message.format,
+      sampleRate: message.sampleRate || 16000,
+      channels: message.channels || 1,
+      chunks: [],
+      bytes: 0
+    };
+  }
+
+  /**
+   * Buffer a frame of the caller's audio
+   */
+  handleAudioFrame(client, data) {
+    const input = client.audioInput;
+
+    if (!input) {
+      this.sendError(client.ws, ERROR_CODES.AUDIO_NOT_STARTED, 'Send audio_start before audio frames');
+      return;
+    }
+
+    if (input.bytes + data.length > MAX_AUDIO_BYTES) {
+      client.audioInput = null;
+      this.sendError(client.ws, ERROR_CODES.AUDIO_TOO_LARGE, `Audio is limited to ${MAX_AUDIO_BYTES} bytes per utterance`);
+      return;
+    }
+
+    input.chunks.push(data);
+    input.bytes += data.length;
+  }
+
+  /**
+   * The caller stopped speaking - transcribe and carry on as if they'd typed it
+   */
+  async handleAudioEnd(client) {
+    const input = client.audioInput;
+
+    if (!input) {
+      this.sendError(client.ws, ERROR_CODES.AUDIO_NOT_STARTED, 'Send audio_start before audio_end');
+      return;
+    }
+    client.audioInput = null;
+
+    let text;
+    try {
+      ({ text } = await getSttEngine().transcribe(Buffer.concat(input.chunks), input));
+    } catch (error) {
+      console.error('Transcription error:', error.message);
+      this.sendError(client.ws, ERROR_CODES.TRANSCRIPTION_FAILED, 'Sorry, I could not process that audio');
+      return;
+    }
+
+    if (!text) {
+      this.sendAgentReply(client, "Sorry, I didn't catch that. Could you say it again?", 'clarify');
+      return;
+    }
+
+    console.log(`🎙️ Heard from ${client.id}: ${text}`);
+    this.sendMessage(client.ws, { type: 'transcript', text });
+
+    await this.handleUserMessage(client, { message: text });
+  }
+
+  /**
+   * Synthesize a reply and send it as audio_reply_start, binary PCM frames, audio_reply_end
+   * Replies are queued so they are heard in the order they were sent
+   */
+  speak(client, text) {
+    client.speech = client.speech
+      .then(async () => {
+        const { audio, format, sampleRate, channels } = await getTtsEngine().synthesize(text);
+        const replyId = uuidv4();
+
+        this.sendMessage(client.ws, {
+          type: 'audio_reply_start',
+          replyId,
+          format,
+          sampleRate,
+          channels,
+          bytes: audio.length,
+          text
+        });
+
+        for (let offset = 0; offset < audio.length; offset += AUDIO_FRAME_BYTES) {
+          if (client.ws.readyState !== WebSocket.OPEN) return;
+          client.ws.send(audio.subarray(offset, offset + AUDIO_FRAME_BYTES), { binary: true });
+        }
+
+        this.sendMessage(client.ws, { type: 'audio_reply_end', replyId });
+      })
+      .catch(error => {
+        console.error(`Speech synthesis error for ${client.id}:`, error.message);
+      });
+
+    return client.speech;
+  }
+
+  /**
+   * A turn from the caller
+   * Only the text is used: any conversationState the client sends is ignored
+   */
   async handleUserMessage(client, message) {
     const { ws, id: clientId } = client;
-    const { message: userMessage, conversationState, weatherInfo } = message;
+    const { message: userMessage } = message;
+    const state = client.conversationState;
 
-    console.log('Current state:', conversationState);
+    console.log('Current state:', state);
     console.log('User message:', userMessage);
 
     this.sendMessage(ws, { type: 'processing' });
 
+    // Caller is giving the phone number we asked for to join the waitlist
+    if (client.waitlistOffer?.awaitingContact && this.extractPhoneNumber(userMessage)) {
+      geminiService.addToHistory(clientId, 'user', userMessage);
+      await this.handleJoinWaitlist(client, { phoneNumber: this.extractPhoneNumber(userMessage) });
+      return;
+    }
+
     try {
-      const extractedInfo = await geminiService.extractBookingInfo(
-        userMessage, 
-        conversationState || {}
-      );
-      
-      console.log('Newly extracted info:', extractedInfo);
+      let classification = await geminiService.classifyIntent(userMessage, this.buildIntentContext(client, state));
+      let routedMessage = userMessage;
+
+      // Answer to "did you mean ...?" - act on the intent we suggested
+      const pending = client.pendingClarification;
+      client.pendingClarification = null;
+      if (pending && geminiService.isConfident(classification)) {
+        if (classification.intent === 'confirm') {
+          classification = { intent: pending.intent, confidence: 1 };
+          routedMessage = pending.userMessage;
+        } else if (classification.intent === 'deny') {
+          geminiService.addToHistory(clientId, 'user', userMessage);
+          this.sendAgentReply(client, 'No problem - what can I help you with?', 'clarify');
+          return;
+        }
+      }
+
+      if (!geminiService.isConfident(classification)) {
+        const { text, suggestedIntent } = geminiService.buildClarifyingQuestion(classification);
+        if (suggestedIntent) {
+          client.pendingClarification = { intent: suggestedIntent, userMessage };
+        }
+        geminiService.addToHistory(clientId, 'user', userMessage);
+        this.sendAgentReply(client, text, 'clarify');
+        return;
+      }
+
+      await this.routeIntent(client, routedMessage, state, classification.intent);
+    } catch (error) {
+      console.error('AI processing error:', error);
+      this.sendError(ws, this.errorCode(error, ERROR_CODES.INTERNAL_ERROR), 'Failed to process your message: ' + error.message);
+    }
+  }
+
+  /**
+   * What the classifier needs to know about where we are in the call
+   */
+  buildIntentContext(client, state) {
+    const history = geminiService.getConversation(client.id).history;
+    const lastAgentMessage = [...history].reverse().find(msg => msg.role === 'assistant');
+
+    return {
+      lastAgentMessage: lastAgentMessage ? lastAgentMessage.message : null,
+      bookingReady: geminiService.isBookingComplete(state),
+      manageFlow: client.manageFlow ? client.manageFlow.intent : null,
+      awaitingConfirmation: !!client.manageFlow?.awaitingConfirmation,
+      waitlistOffered: !!client.waitlistOffer
+    };
+  }
 
-      const updatedState = {
-        ...conversationState,
-        ...extractedInfo
+  /**
+   * Send the turn to whatever handles the caller's intent
+   */
+  async routeIntent(client, userMessage, state, intent) {
+    const { id: clientId } = client;
+
+    switch (intent) {
+      case 'find_booking':
+      case 'modify_booking':
+      case 'cancel_booking': {
+        const details = await geminiService.extractManagementDetails(userMessage, client.manageFlow);
+        await this.handleManageBooking(client, userMessage, intent, details);
+        return;
+      }
+
+      case 'new_booking':
+        client.manageFlow = null;
+        await this.continueNewBooking(client, userMessage, state);
+        return;
+
+      case 'provide_details':
+        if (client.manageFlow) {
+          const details = await geminiService.extractManagementDetails(userMessage, client.manageFlow);
+          await this.handleManageBooking(client, userMessage, intent, details);
+          return;
+        }
+        await this.continueNewBooking(client, userMessage, state);
+        return;
+
+      case 'confirm':
+        if (client.manageFlow) {
+          await this.handleManageBooking(client, userMessage, intent, { changes: {} });
+          return;
+        }
+        if (client.waitlistOffer) {
+          geminiService.addToHistory(clientId, 'user', userMessage);
+          await this.handleJoinWaitlist(client, { phoneNumber: this.extractPhoneNumber(userMessage) });
+          return;
+        }
+        if (client.draftId) {
+          geminiService.addToHistory(clientId, 'user', userMessage);
+          await this.finalizeBooking(client);
+          return;
+        }
+        await this.continueNewBooking(client, userMessage, state);
+        return;
+
+      case 'deny':
+        if (client.manageFlow) {
+          await this.handleManageBooking(client, userMessage, intent, { changes: {} });
+          return;
+        }
+        // Turning down the waitlist - the agent offers the other times again
+        client.waitlistOffer = null;
+        await this.continueNewBooking(client, userMessage, state);
+        return;
+
+      case 'join_waitlist':
+        if (client.waitlistOffer) {
+          geminiService.addToHistory(clientId, 'user', userMessage);
+          await this.handleJoinWaitlist(client, { phoneNumber: this.extractPhoneNumber(userMessage) });
+          return;
+        }
+        await this.continueNewBooking(client, userMessage, state);
+        return;
+
+      case 'talk_to_human':
+        this.handleHumanHandoff(client, userMessage);
+        return;
+
+      default:
+        // Menu, hours, location and small talk - answered by the agent,
+        // which then steers back to the booking
+        await this.continueNewBooking(client, userMessage, state, intent);
+    }
+  }
+
+  /**
+   * Collect booking details from the turn, check them against hours and
+   * availability, and let the agent ask for what's still missing
+   */
+  async continueNewBooking(client, userMessage, conversationState, intent = null) {
+    const { ws, id: clientId } = client;
+
+    const { info: extractedInfo, corrections, rejected } = await geminiService.extractBookingInfo(
+      userMessage, 
+      conversationState || {},
+      client.venue
+    );
+    
+    console.log('Newly extracted info:', extractedInfo);
+
+    const updatedState = {
+      ...conversationState,
+      ...extractedInfo
+    };
+
+    const correctedFields = corrections.map(correction => correction.field);
+
+    // The forecast we fetched was for the old date
+    if (correctedFields.includes('bookingDate')) {
+      delete updatedState.weatherInfo;
+    }
+
+    // A waitlist offer made for the old date, time or party no longer applies
+    if (['bookingDate', 'bookingTime', 'numberOfGuests', 'seatingPreference'].some(field => correctedFields.includes(field))) {
+      client.waitlistOffer = null;
+    }
+
+    // A regular calling or texting in: fill in their usual cuisine and seating
+    await this.recognizeCustomer(client, updatedState);
+
+    console.log('Updated state:', updatedState);
+
+    if (updatedState.bookingDate && !updatedState.weatherInfo) {
+      try {
+        const weather = await weatherService.getWeatherForDate(
+          this.parseDate(client, updatedState.bookingDate) || new Date(),
+          client.venue.config.city
+        );
+        updatedState.weatherInfo = weather;
+      } catch (error) {
+        console.warn('Could not fetch weather:', error.message);
+      }
+    }
+
+    const availability = await this.checkConversationAvailability(client, updatedState);
+
+    // Closed that day - forget the date so the agent asks for another one
+    if (availability && availability.closed) {
+      delete updatedState.bookingDate;
+      delete updatedState.bookingTime;
+    }
+
+    // Requested time is full or outside hours - forget it so the agent asks again
+    if (availability && availability.requestedTimeAvailable === false) {
+      if (availability.requestedTimeReason === 'fully booked') {
+        client.waitlistOffer = this.buildWaitlistDraft(updatedState, this.parseDate(client, updatedState.bookingDate));
+        availability.waitlistOffered = true;
+      }
+      delete updatedState.bookingTime;
+    }
+
+    // Stream the reply so the client can start speaking before it's complete
+    const responseId = uuidv4();
+    let chunkIndex = 0;
+    const aiResponse = await geminiService.generateResponse(
+      clientId,
+      userMessage, 
+      updatedState,
+      {
+        venue: client.venue,
+        availability,
+        intent,
+        corrections,
+        rejected,
+        customer: client.customer,
+        onChunk: (delta) => this.sendMessage(ws, { type: 'response_chunk', responseId, index: chunkIndex++, delta })
+      }
+    );
+
+    this.sendMessage(ws, { type: 'response_end', responseId, text: aiResponse });
+
+    console.log('AI Response:', aiResponse);
+
+    const nextStep = geminiService.determineNextStep(updatedState);
+    const isComplete = geminiService.isBookingComplete(updatedState);
+
+    console.log('Next step:', nextStep, '| Complete:', isComplete);
+
+    client.conversationState = updatedState;
+    // A new draft every time, so a confirmation always refers to what the caller last heard
+    client.draftId = isComplete ? `DR-${uuidv4()}` : null;
+
+    if (isComplete) {
+      this.sendMessage(ws, {
+        type: 'booking_ready',
+        text: aiResponse,
+        responseId,
+        conversationState: updatedState,
+        draftId: client.draftId,
+        corrections,
+        message: 'All information collected! Please confirm your booking.'
+      });
+    } else {
+      this.sendMessage(ws, {
+        type: 'response',
+        text: aiResponse,
+        responseId,
+        conversationState: updatedState,
+        corrections,
+        nextStep: nextStep
+      });
+    }
+  }
+
+  /**
+   * Caller asked for a person - tell the client to hand the call over
+   */
+  handleHumanHandoff(client, userMessage) {
+    const { phoneNumber } = client.venue.config;
+
+    let text = "Of course - I'll pass you over to a member of our team.";
+    if (phoneNumber) {
+      text += ` If we get cut off, you can reach us directly on ${phoneNumber}.`;
+    }
+
+    console.log(`🙋 Human handoff requested by ${client.id}`);
+
+    geminiService.addToHistory(client.id, 'user', userMessage);
+    geminiService.addToHistory(client.id, 'assistant', text);
+
+    this.sendMessage(client.ws, {
+      type: 'human_handoff',
+      text,
+      conversationState: client.conversationState,
+      restaurantPhone: phoneNumber || null
+    });
+  }
+
+  /**
+   * Check the requested date against opening hours and, once we know the
+   * party size, look up open slots
+   * @returns {Object|null} { date, closed, closedReason, openSlots, requestedTime, requestedTimeAvailable, requestedTimeReason, suggestions }
+   */
+  async checkConversationAvailability(client, state) {
+    if (!state.bookingDate) return null;
+
+    const bookingDate = this.parseDate(client, state.bookingDate);
+    if (!bookingDate) return null;
+
+    const { openingHoursService, availabilityService } = client.venue;
+
+    try {
+      const schedule = await openingHoursService.getDaySchedule(bookingDate);
+      if (schedule.closed) {
+        return {
+          date: state.bookingDate,
+          closed: true,
+          closedReason: schedule.reason,
+          openSlots: [],
+          requestedTime: state.bookingTime || null,
+          requestedTimeAvailable: null,
+          suggestions: []
+        };
+      }
+
+      if (!state.numberOfGuests) return null;
+
+      const request = {
+        bookingDate,
+        numberOfGuests: Number(state.numberOfGuests),
+        seatingPreference: (state.seatingPreference || 'any').toLowerCase()
       };
 
-      console.log('Updated state:', updatedState);
+      const openSlots = await availabilityService.getOpenSlots(request);
 
-      if (updatedState.bookingDate && !updatedState.weatherInfo) {
-        try {
-          const weather = await weatherService.getWeatherForDate(
-            parseNaturalDate(updatedState.bookingDate) || new Date()
-          );
-          updatedState.weatherInfo = weather;
-        } catch (error) {
-          console.warn('Could not fetch weather:', error.message);
+      const availability = {
+        date: state.bookingDate,
+        closed: false,
+        closedReason: null,
+        openSlots,
+        requestedTime: state.bookingTime || null,
+        requestedTimeAvailable: null,
+        requestedTimeReason: null,
+        suggestions: availabilityService.nearestSlots(openSlots, state.bookingTime)
+      };
+
+      const requestedMinutes = toMinutes(state.bookingTime);
+      if (requestedMinutes !== null) {
+        const hours = openingHoursService.checkAgainstSchedule(schedule, requestedMinutes);
+
+        if (!hours.open) {
+          availability.requestedTimeAvailable = false;
+          availability.requestedTimeReason = hours.reason;
+        } else {
+          const { available } = await availabilityService.checkAvailability({
+            ...request,
+            bookingTime: state.bookingTime
+          });
+          availability.requestedTimeAvailable = available;
+          availability.requestedTimeReason = available ? null : 'fully booked';
         }
       }
 
-      const aiResponse = await geminiService.generateResponse(
-        clientId,
-        userMessage, 
-        updatedState
-      );
+      return availability;
+    } catch (error) {
+      console.warn('Could not check availability:', error.message);
+      return null;
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // MANAGE EXISTING BOOKINGS — find / modify / cancel by voice
+  // ════════════════════════════════════════════════════════════
+
+  /**
+   * Walk the caller through finding, changing or cancelling a booking:
+   * identify it (booking ID, name + phone, or name + date) → read it back or
+   * confirm the change → apply it through the same service as the REST API
+   */
+  async handleManageBooking(client, userMessage, intent, details) {
+    const { id: clientId } = client;
+    const intentMap = { find_booking: 'find', modify_booking: 'modify', cancel_booking: 'cancel' };
+
+    geminiService.addToHistory(clientId, 'user', userMessage);
+
+    if (!client.manageFlow) {
+      client.manageFlow = {
+        intent: intentMap[intent] || 'find',
+        criteria: {},
+        changes: {},
+        bookingId: null,
+        awaitingConfirmation: false
+      };
+    }
+
+    const flow = client.manageFlow;
+    if (intentMap[intent]) flow.intent = intentMap[intent];
+
+    for (const key of ['bookingId', 'customerName', 'phoneNumber', 'bookingDate']) {
+      if (details[key]) flow.criteria[key] = details[key];
+    }
+    const hasNewChanges = Object.keys(details.changes || {}).length > 0;
+    Object.assign(flow.changes, details.changes);
+
+    // Answer to "shall I go ahead?"
+    if (flow.awaitingConfirmation && !hasNewChanges) {
+      if (intent === 'confirm') {
+        await this.applyManagedChange(client);
+        return;
+      }
+      if (intent === 'deny') {
+        client.manageFlow = null;
+        this.sendAgentReply(client, "No problem, I've left your booking exactly as it was. Is there anything else I can help with?", 'done');
+        return;
+      }
+    }
+    flow.awaitingConfirmation = false;
+
+    // Identify the booking
+    if (!flow.bookingId) {
+      const { bookingId, customerName, phoneNumber, bookingDate } = flow.criteria;
+      const identified = bookingId || (customerName && (phoneNumber || bookingDate));
+
+      if (!identified) {
+        this.sendAgentReply(client, 'Sure, I can help with that. Could you give me your booking ID, or the name and phone number (or date) the booking is under?', 'identify_booking');
+        return;
+      }
+
+      const parsedDate = bookingDate ? this.parseDate(client, bookingDate) : null;
+      const matches = await client.venue.bookingService.findUpcomingBookings({
+        bookingId,
+        customerName,
+        phoneNumber,
+        bookingDate: parsedDate
+      });
 
-      console.log('AI Response:', aiResponse);
+      if (matches.length === 0) {
+        flow.criteria = {};
+        this.sendAgentReply(client, "I couldn't find an upcoming booking with those details. Could you double-check the booking ID, or the name and phone number it's under?", 'identify_booking');
+        return;
+      }
+
+      if (matches.length > 1) {
+        const list = matches.map(booking => this.describeBooking(client, booking)).join('; ');
+        this.sendAgentReply(client, `I found ${matches.length} bookings: ${list}. Which one do you mean? The date or booking ID is enough.`, 'identify_booking');
+        return;
+      }
 
-      const nextStep = geminiService.determineNextStep(updatedState);
-      const isComplete = geminiService.isBookingComplete(updatedState);
+      flow.bookingId = matches[0].bookingId;
+    }
 
-      console.log('Next step:', nextStep, '| Complete:', isComplete);
+    const booking = await client.venue.bookingService.findBooking(flow.bookingId);
 
-      client.conversationState = updatedState;
+    if (flow.intent === 'find') {
+      client.manageFlow = null;
+      this.sendAgentReply(client, `Here's your booking: ${this.describeBooking(client, booking)}. Would you like to change or cancel it?`, 'done');
+      return;
+    }
 
-      if (isComplete) {
-        this.sendMessage(ws, {
-          type: 'booking_ready',
-          text: aiResponse,
-          conversationState: updatedState,
-          message: 'All information collected! Please confirm your booking.'
-        });
-      } else {
-        this.sendMessage(ws, {
-          type: 'response',
-          text: aiResponse,
-          conversationState: updatedState,
-          nextStep: nextStep
-        });
+    if (flow.intent === 'cancel') {
+      flow.awaitingConfirmation = true;
+      this.sendAgentReply(client, `Just to confirm, you'd like to cancel ${this.describeBooking(client, booking)}?`, 'confirm_cancel');
+      return;
+    }
+
+    // Modify - we need to know what to change
+    if (Object.keys(flow.changes).length === 0) {
+      this.sendAgentReply(client, `I found ${this.describeBooking(client, booking)}. What would you like to change - the date, time, number of guests or seating?`, 'ask_changes');
+      return;
+    }
+
+    flow.awaitingConfirmation = true;
+    this.sendAgentReply(client, `I'll update ${this.describeBooking(client, booking)} to ${this.describeChanges(flow.changes)}. Shall I go ahead?`, 'confirm_changes');
+  }
+
+  /**
+   * Apply a confirmed change or cancellation and tell the client
+   */
+  async applyManagedChange(client) {
+    const flow = client.manageFlow;
+
+    if (flow.intent === 'cancel') {
+      const booking = await client.venue.bookingService.cancelBooking(flow.bookingId);
+      client.manageFlow = null;
+
+      const text = `Done - your booking ${booking.bookingId} has been cancelled. We hope to see you another time!`;
+      geminiService.addToHistory(client.id, 'assistant', text);
+      this.sendMessage(client.ws, {
+        type: 'booking_cancelled',
+        text,
+        booking: booking.toObject()
+      });
+      return;
+    }
+
+    const updates = { ...flow.changes };
+    if (updates.bookingDate) {
+      const parsedDate = this.parseDate(client, updates.bookingDate);
+      if (!parsedDate) {
+        delete flow.changes.bookingDate;
+        flow.awaitingConfirmation = false;
+        this.sendAgentReply(client, `I couldn't understand the date "${updates.bookingDate}". Which day would you like instead?`, 'ask_changes');
+        return;
       }
+      updates.bookingDate = parsedDate;
+    }
+    if (updates.numberOfGuests) updates.numberOfGuests = Number(updates.numberOfGuests);
+    if (updates.seatingPreference) updates.seatingPreference = updates.seatingPreference.toLowerCase();
+
+    try {
+      const booking = await client.venue.bookingService.updateBooking(flow.bookingId, updates);
+      client.manageFlow = null;
+
+      const text = `All set! Your booking is now ${this.describeBooking(client, booking)}.`;
+      geminiService.addToHistory(client.id, 'assistant', text);
+      this.sendMessage(client.ws, {
+        type: 'booking_updated',
+        text,
+        booking: booking.toObject()
+      });
     } catch (error) {
-      console.error('AI processing error:', error);
-      this.sendError(ws, 'Failed to process your message: ' + error.message);
+      if (!['SLOT_FULL', 'OUTSIDE_HOURS', 'INVALID_DATE', 'INVALID_TIME', 'AMBIGUOUS_TIME'].includes(error.code)) throw error;
+
+      // Keep the booking identified, ask for a different time
+      delete flow.changes.bookingTime;
+      flow.awaitingConfirmation = false;
+      this.sendAgentReply(client, `${error.message} Your booking is unchanged - what time would work instead?`, 'ask_changes');
+    }
+  }
+
+  /**
+   * Send a scripted agent reply (no LLM) and record it in the history
+   */
+  sendAgentReply(client, text, nextStep) {
+    geminiService.addToHistory(client.id, 'assistant', text);
+    this.sendMessage(client.ws, {
+      type: 'response',
+      text,
+      conversationState: client.conversationState,
+      nextStep
+    });
+  }
+
+  /**
+   * A date the caller said, resolved in the venue's timezone
+   */
+  parseDate(client, value) {
+    return parseNaturalDate(value, new Date(), client.venue.config.timeZone);
+  }
+
+  /**
+   * One-line spoken summary of a booking
+   */
+  describeBooking(client, booking) {
+    const niceDate = formatZonedDate(booking.bookingDate, undefined, client.venue.config.timeZone);
+    return `${booking.customerName}'s table for ${booking.numberOfGuests} on ${niceDate} at ${booking.bookingTime} (ID ${booking.bookingId})`;
+  }
+
+  /**
+   * Spoken summary of requested changes
+   */
+  describeChanges(changes) {
+    const labels = {
+      bookingDate: 'date',
+      bookingTime: 'time',
+      numberOfGuests: 'guests',
+      seatingPreference: 'seating',
+      cuisinePreference: 'cuisine',
+      specialRequests: 'special requests'
+    };
+
+    return Object.entries(changes)
+      .map(([key, value]) => `${labels[key] || key} ${value}`)
+      .join(', ');
+  }
+
+  /**
+   * The client's "Confirm booking" button
+   * It only names the draft it showed the caller; the details are the server's
+   */
+  async handleConfirmDraft(client, message = {}) {
+    if (!client.draftId || message.draftId !== client.draftId) {
+      this.sendError(client.ws, ERROR_CODES.DRAFT_MISMATCH, 'This booking has changed since it was shown. Please check the latest details and confirm again.');
+      return;
     }
+
+    await this.finalizeBooking(client);
   }
 
   // ════════════════════════════════════════════════════════════
   // FINALIZE BOOKING — FULLY FIXED VERSION
   // ════════════════════════════════════════════════════════════
-  handleFinalizeBooking = async (client, message) => {
+  finalizeBooking = async (client) => {
     const { ws } = client;
-    const { bookingData } = message;
+    const bookingData = client.conversationState;
+
+    // One attempt per draft; a full slot or missing detail leads to a new one
+    client.draftId = null;
 
     console.log('Finalizing booking:', bookingData);
 
@@ -216,43 +1094,73 @@ class WebSocketServer {
       const rawDate = bookingData.bookingDate || bookingData.date;
 
       // ← CRITICAL: Parse natural language date properly
-      const parsedDate = parseNaturalDate(rawDate);
+      const parsedDate = this.parseDate(client, rawDate);
 
       if (!parsedDate) {
-        throw new Error(`I couldn't understand the date: "${rawDate}". Please try saying "December 5", "tomorrow", etc.`);
+        const error = new Error(`I couldn't understand the date: "${rawDate}". Please try saying "December 5", "tomorrow", etc.`);
+        error.code = ERROR_CODES.INVALID_DATE;
+        throw error;
       }
 
-      let weatherInfo = bookingData.weatherInfo;
-      if (!weatherInfo) {
-        try {
-          weatherInfo = await weatherService.getWeatherForDate(parsedDate);
-        } catch (err) {
-          console.warn('Weather fetch failed:', err.message);
-        }
+      // Times are normalized to "HH:MM" as they're collected - no guessing one here
+      const { bookingTime } = bookingData;
+      if (toMinutes(bookingTime) === null) {
+        const { bookingTime: _unclearTime, ...remainingState } = client.conversationState;
+        client.conversationState = remainingState;
+        this.sendAgentReply(client, 'What time would you like the table?', 'ask_time');
+        return;
       }
 
-      const booking = new Booking({
-        customerName: (bookingData.customerName || '').trim(),
-        numberOfGuests: Number(bookingData.numberOfGuests) || 1,
-        bookingDate: parsedDate, // ← Now 100% valid Date object
-        bookingTime: bookingData.bookingTime || bookingData.time || '19:00',
-        cuisinePreference: bookingData.cuisinePreference || 'Any',
-        specialRequests: bookingData.specialRequests || '',
-        seatingPreference: (bookingData.seatingPreference || 'any').toLowerCase(),
-        weatherInfo: weatherInfo || null,
-        status: 'confirmed'
-      });
+      const numberOfGuests = Number(bookingData.numberOfGuests) || 1;
+      const seatingPreference = (bookingData.seatingPreference || 'any').toLowerCase();
 
-      await booking.save();
+      let booking;
+      try {
+        booking = await client.venue.bookingService.createBooking({
+          customerName: (bookingData.customerName || '').trim(),
+          numberOfGuests,
+          bookingDate: parsedDate, // ← Now 100% valid Date object
+          bookingTime,
+          cuisinePreference: bookingData.cuisinePreference,
+          specialRequests: bookingData.specialRequests,
+          seatingPreference,
+          phoneNumber: bookingData.phoneNumber,
+          email: bookingData.email,
+          weatherInfo: bookingData.weatherInfo
+        });
+      } catch (error) {
+        // Closed at that time - ask for another one
+        if (error.code === 'OUTSIDE_HOURS') {
+          this.sendSlotUnavailable(client, `Sorry, we can't seat you at ${bookingTime}: ${error.message}.`, []);
+          return;
+        }
+
+        if (error.code !== 'SLOT_FULL') throw error;
+
+        // Full - offer alternatives and the waitlist
+        client.waitlistOffer = this.buildWaitlistDraft(
+          { ...bookingData, numberOfGuests, bookingTime, seatingPreference },
+          parsedDate
+        );
+
+        this.sendSlotUnavailable(
+          client,
+          `${error.message} If you'd rather keep ${bookingTime}, I can put you on the waitlist and let you know as soon as a table opens up.`,
+          error.alternatives,
+          { waitlistAvailable: true }
+        );
+        return;
+      }
 
       console.log(`Booking saved! ID: ${booking._id}`);
 
-      const niceDate = parsedDate.toLocaleDateString('en-US', {
+      // The restaurant's calendar day, not the server's
+      const niceDate = formatZonedDate(parsedDate, {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
         day: 'numeric'
-      });
+      }, client.venue.config.timeZone);
 
       const confirmationMessage = `Your table is confirmed!
 
@@ -274,27 +1182,179 @@ We can't wait to welcome you!`;
 
       // Reset conversation
       client.conversationState = {};
+      client.draftId = null;
+      client.waitlistOffer = null;
       geminiService.clearConversation(client.id);
 
     } catch (error) {
       console.error('Booking creation error:', error);
-      this.sendError(ws, error.message || 'Failed to save booking. Please try again.');
+      this.sendError(ws, this.errorCode(error, ERROR_CODES.BOOKING_FAILED), error.message || 'Failed to save booking. Please try again.');
+    }
+  }
+
+  /**
+   * Tell the client the requested time can't be booked and drop it
+   * from the conversation so the agent asks for a new one
+   */
+  sendSlotUnavailable(client, text, alternatives, { waitlistAvailable = false } = {}) {
+    const { bookingTime: _unavailableTime, ...remainingState } = client.conversationState;
+    client.conversationState = remainingState;
+    geminiService.addToHistory(client.id, 'assistant', text);
+
+    this.sendMessage(client.ws, {
+      type: 'slot_unavailable',
+      text,
+      alternatives,
+      waitlistAvailable,
+      conversationState: remainingState
+    });
+  }
+
+  /**
+   * Waitlist entry fields from the conversation, kept until the caller answers
+   */
+  buildWaitlistDraft(state, bookingDate) {
+    return {
+      customerName: state.customerName,
+      numberOfGuests: Number(state.numberOfGuests),
+      bookingDate,
+      preferredTime: state.bookingTime,
+      cuisinePreference: state.cuisinePreference,
+      seatingPreference: (state.seatingPreference || 'any').toLowerCase(),
+      specialRequests: state.specialRequests,
+      phoneNumber: state.phoneNumber,
+      email: state.email,
+      awaitingContact: false
+    };
+  }
+
+  /**
+   * Pull a phone number out of free text
+   */
+  extractPhoneNumber(text) {
+    const match = String(text || '').match(/\+?\d[\d\s-]{6,}\d/);
+    return match ? match[0].replace(/[\s-]/g, '') : null;
+  }
+
+  /**
+   * Add the caller to the waitlist using the draft from the full slot
+   * Asks for a phone number first so we can reach them when a table opens up
+   */
+  async handleJoinWaitlist(client, message = {}) {
+    const { ws, id: clientId } = client;
+    const offer = client.waitlistOffer;
+
+    if (!offer) {
+      this.sendError(ws, ERROR_CODES.NO_WAITLIST_OFFER, 'There is no waitlist offer to accept right now.');
+      return;
+    }
+
+    if (message.phoneNumber) offer.phoneNumber = message.phoneNumber;
+    if (message.email) offer.email = message.email;
+
+    if (!offer.phoneNumber && !offer.email) {
+      offer.awaitingContact = true;
+      const text = "Sure! What's the best phone number to reach you when a table opens up?";
+      geminiService.addToHistory(clientId, 'assistant', text);
+      this.sendMessage(ws, {
+        type: 'response',
+        text,
+        conversationState: client.conversationState,
+        nextStep: 'ask_phone'
+      });
+      return;
+    }
+
+    try {
+      const { awaitingContact: _awaitingContact, ...entryData } = offer;
+      const entry = await client.venue.waitlistService.addToWaitlist(entryData);
+      client.waitlistOffer = null;
+
+      const text = entry.status === 'offered'
+        ? `Good news - a table just opened up! We've sent the details to ${offer.phoneNumber || offer.email}. Your waitlist reference is ${entry.entryId}.`
+        : `You're on the waitlist for ${offer.numberOfGuests} at ${offer.preferredTime}. We'll contact ${offer.phoneNumber || offer.email} as soon as a table opens up. Your reference is ${entry.entryId}.`;
+
+      geminiService.addToHistory(clientId, 'assistant', text);
+
+      this.sendMessage(ws, {
+        type: 'waitlist_joined',
+        text,
+        entry: entry.toObject()
+      });
+
+      client.conversationState = {};
+      client.draftId = null;
+    } catch (error) {
+      console.error('Waitlist join error:', error);
+      this.sendError(ws, this.errorCode(error, ERROR_CODES.WAITLIST_FAILED), error.message || 'Failed to join the waitlist. Please try again.');
     }
   }
 
+  /**
+   * Send a protocol message; `data` is { type, ...fields }
+   * A message that doesn't match the schema is a server bug - it's logged and still sent
+   */
   sendMessage(ws, data) {
+    const { type, ...fields } = data;
+    const message = createMessage(type, fields);
+
+    const validation = validateServerMessage(message);
+    if (!validation.valid) {
+      console.warn(`Outgoing ${type} message does not match the protocol:`, validation.details);
+    }
+
     if (ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(data));
+      ws.send(JSON.stringify(message));
+    }
+
+    // Say it too
+    const client = this.clientsBySocket.get(ws);
+    if (client && client.audioReplies && this.isSpoken(message)) {
+      this.speak(client, fields.text);
     }
   }
 
-  sendError(ws, message) {
+  /**
+   * Whether a server message's text is meant to be heard
+   * A streamed reply is said once at its response_end, not again in the response that follows
+   */
+  isSpoken(message) {
+    const alreadySpoken = message.type !== 'response_end' && !!message.responseId;
+    return SPOKEN_MESSAGES.includes(message.type) && !!message.text && !alreadySpoken;
+  }
+
+  /**
+   * What a text-only channel (phone, SMS) should pass on from a batch of
+   * server messages: the texts that would be spoken, and error messages
+   */
+  readableTexts(messages) {
+    return messages
+      .filter(message => this.isSpoken(message) || message.type === 'error')
+      .map(message => message.type === 'error' ? message.message : message.text);
+  }
+
+  /**
+   * Send an error with one of the protocol's ERROR_CODES
+   * @param {Array} details - Per-field problems (for INVALID_MESSAGE)
+   */
+  sendError(ws, code, message, details) {
     this.sendMessage(ws, {
       type: 'error',
-      message: typeof message === 'string' ? message : message.message || 'Something went wrong'
+      code,
+      message: message || 'Something went wrong',
+      ...(details && details.length > 0 ? { details } : {})
     });
   }
 
+  /**
+   * Protocol error code for a thrown error: its own code when the protocol
+   * knows it (INVALID_TIME, RESTAURANT_NOT_FOUND...), otherwise the fallback
+   */
+  errorCode(error, fallback) {
+    if (error.name === 'ValidationError') return ERROR_CODES.VALIDATION_ERROR;
+    return Object.values(ERROR_CODES).includes(error.code) ? error.code : fallback;
+  }
+
   broadcast(data) {
     this.clients.forEach(client => {
       this.sendMessage(client.ws, data);
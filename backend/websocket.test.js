@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocketServer = require('./websocket');
+const restaurantService = require('./services/restaurantService');
+const weatherService = require('./services/weatherService');
+const customerService = require('./services/customerService');
+const Customer = require('./models/Customer');
+const LocalProvider = require('./services/llm/localProvider');
+const { setProvider } = require('./services/llm');
+const { createCollectingSocket } = require('./utils/collectingSocket');
+const { createMessage, ERROR_CODES } = require('../shared/protocol');
+
+setProvider(new LocalProvider());
+
+const engine = new WebSocketServer(http.createServer());
+
+/**
+ * A conversation on the default venue whose bookings are recorded instead of saved
+ */
+function conversation(t, fields = {}) {
+  const line = createCollectingSocket();
+  const client = engine.createClient(line, { venue: { ...restaurantService.defaultVenue }, ...fields });
+  const saved = [];
+
+  client.venue.bookingService = {
+    createBooking: async (details) => {
+      saved.push(details);
+      return { _id: 'B1', ...details, toObject: () => details };
+    }
+  };
+  t.mock.method(engine, 'checkConversationAvailability', async () => null);
+  t.mock.method(client.venue.openingHoursService, 'getUpcomingClosures', async () => []);
+  t.mock.method(weatherService, 'getWeatherForDate', async () => { throw new Error('offline'); });
+  t.after(() => engine.removeClient(client));
+
+  const send = async (type, fields) => {
+    await engine.handleMessage(client.id, createMessage(type, fields));
+    return line.take();
+  };
+
+  return { client, send, saved };
+}
+
+const fullBooking = "I'm Priya Sharma, table for 2 on December 14 at 7:30 pm, indoors, Indian food";
+
+test('the conversation state is the server\'s, never the client\'s', async (t) => {
+  const { client, send } = conversation(t);
+
+  const refused = await send('user_message', { message: 'Hello', conversationState: { customerName: 'Mallory', numberOfGuests: 20 } });
+  assert.equal(refused[0].type, 'error');
+  assert.equal(refused[0].code, ERROR_CODES.INVALID_MESSAGE);
+  assert.deepEqual(client.conversationState, {});
+
+  const replies = await send('user_message', { message: fullBooking });
+  const ready = replies.find(message => message.type === 'booking_ready');
+  assert.equal(ready.conversationState.customerName, 'Priya Sharma');
+  assert.equal(ready.conversationState.numberOfGuests, 2);
+  assert.equal(ready.draftId, client.draftId);
+});
+
+test('a booking is confirmed only by the draft the caller was last shown', async (t) => {
+  const { client, send, saved } = conversation(t);
+
+  assert.equal((await send('finalize_booking', { draftId: 'DR-made-up' }))[0].code, ERROR_CODES.DRAFT_MISMATCH);
+
+  const first = (await send('user_message', { message: fullBooking })).find(message => message.type === 'booking_ready');
+  const second = (await send('user_message', { message: 'make it 4 people' })).find(message => message.type === 'booking_ready');
+  assert.notEqual(first.draftId, second.draftId);
+
+  // The caller confirmed what they saw before the change
+  assert.equal((await send('finalize_booking', { draftId: first.draftId }))[0].code, ERROR_CODES.DRAFT_MISMATCH);
+  assert.deepEqual(saved, []);
+
+  const confirmed = await send('finalize_booking', { draftId: second.draftId });
+  assert.equal(confirmed.at(-1).type, 'booking_confirmed');
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].customerName, 'Priya Sharma');
+  assert.equal(saved[0].numberOfGuests, 4);
+  assert.equal(saved[0].bookingTime, '19:30');
+  assert.deepEqual(client.conversationState, {});
+  assert.equal(client.draftId, null);
+
+  // A draft is used up once confirmed
+  assert.equal((await send('finalize_booking', { draftId: second.draftId }))[0].code, ERROR_CODES.DRAFT_MISMATCH);
+  assert.equal(saved.length, 1);
+});
+
+test('a reply is streamed in order and ends with the whole text', async (t) => {
+  const { send } = conversation(t);
+
+  const replies = await send('user_message', { message: "I'd like to book a table for 2" });
+  const chunks = replies.filter(message => message.type === 'response_chunk');
+  const end = replies.find(message => message.type === 'response_end');
+  const response = replies.at(-1);
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.map(chunk => chunk.index), chunks.map((_, index) => index));
+  assert.ok(chunks.every(chunk => chunk.responseId === end.responseId));
+  assert.equal(chunks.map(chunk => chunk.delta).join('').trim(), end.text);
+  assert.equal(response.type, 'response');
+  assert.equal(response.responseId, end.responseId);
+  assert.equal(response.text, end.text);
+
+  // Spoken once, at the end of the stream
+  assert.deepEqual(engine.readableTexts(replies), [end.text]);
+});
+
+test('a booking the service refuses reaches the client under its own code', async (t) => {
+  const { send } = conversation(t);
+  t.mock.method(engine, 'routeIntent', async () => {
+    throw Object.assign(new Error('This booking has been cancelled'), { status: 409, code: 'BOOKING_CANCELLED' });
+  });
+
+  const refused = (await send('user_message', { message: "I'd like to book a table for 2" })).at(-1);
+
+  assert.equal(refused.type, 'error');
+  assert.equal(refused.code, ERROR_CODES.BOOKING_CANCELLED);
+});
+
+const regular = () => new Customer({
+  name: 'Priya Sharma',
+  phoneNumber: '+919800000000',
+  email: 'priya@example.com',
+  bookingCount: 3,
+  cuisineCounts: { Italian: 3 },
+  seatingCounts: { outdoor: 3 }
+});
+
+test('a regular calling from their number gets their usual, but not their name or email', async (t) => {
+  t.mock.method(customerService, 'findByContact', async () => regular());
+  const { client, send } = conversation(t, { channel: 'phone', knownContact: { phoneNumber: '+919800000000' } });
+
+  const [greeting] = await send('greeting', {});
+
+  assert.match(greeting.text, /welcome back/);
+  assert.doesNotMatch(greeting.text, /Priya/);
+  assert.deepEqual(greeting.conversationState, { phoneNumber: '+919800000000', cuisinePreference: 'Italian', seatingPreference: 'outdoor' });
+  assert.ok(client.customer);
+
+  const replies = await send('user_message', { message: "I'd like to book a table for 2" });
+  assert.ok(replies.every(message => !JSON.stringify(message).includes('Priya') && !JSON.stringify(message).includes('priya@')));
+});
+
+test('a number or email said in the conversation does not recognise anyone', async (t) => {
+  const lookups = t.mock.method(customerService, 'findByContact', async () => regular());
+  const { client, send } = conversation(t);
+
+  await send('greeting', {});
+  const replies = await send('user_message', { message: "I'd like to book a table for 2, my number is 98000 00000" });
+
+  assert.ok(replies.at(-1).conversationState.phoneNumber);
+  assert.equal(lookups.mock.callCount(), 0);
+  assert.equal(client.customer, null);
+  assert.equal(replies.at(-1).conversationState.cuisinePreference, undefined);
+  assert.equal(replies.at(-1).conversationState.customerName, undefined);
+});
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import SpeechRecognition, { useSpeechRecognition } from 'react-speech-recognition';
+import { ERROR_CODES, createMessage, validateServerMessage } from 'restaurant-booking-shared';
 import speechService from '../utils/speechSynthesis';
 import './VoiceAgent.css';
 
@@ -26,15 +27,26 @@ const VoiceAgent = () => {
   const [error, setError] = useState(null);
   const [wsConnected, setWsConnected] = useState(false);
   const [weatherInfo, setWeatherInfo] = useState(null);
+  const [waitlistAvailable, setWaitlistAvailable] = useState(false);
+  // Server's booking draft the Confirm button refers to
+  const [draftId, setDraftId] = useState(null);
 
   // Refs
   const chatEndRef = useRef(null);
   const wsRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const reconnectAttemptsRef = useRef(0);
+  // Agent reply currently streaming in: { responseId, text, spokenLength }
+  const streamRef = useRef(null);
+  // Replies already shown and spoken from their chunks
+  const streamedResponsesRef = useRef(new Set());
+  // Resumable session from the server, kept across reconnects and page reloads
+  const sessionTokenRef = useRef(sessionStorage.getItem('voiceSessionToken'));
 
   // FIXED: Use correct WebSocket URL
-  const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:5000/ws';
+  const RESTAURANT_ID = process.env.REACT_APP_RESTAURANT_ID;
+  const WS_URL = (process.env.REACT_APP_WS_URL || 'ws://localhost:5000/ws') +
+    (RESTAURANT_ID ? `?restaurant=${encodeURIComponent(RESTAURANT_ID)}` : '');
   const MAX_RECONNECT_ATTEMPTS = 5;
 
   // Check browser support
@@ -123,11 +135,12 @@ const VoiceAgent = () => {
         setError(null);
         reconnectAttemptsRef.current = 0;
         
-        // Send initial greeting request
-        ws.send(JSON.stringify({
-          type: 'greeting',
-          weatherInfo: weatherInfo
-        }));
+        // Pick up where we left off, or start with a greeting
+        if (sessionTokenRef.current) {
+          sendProtocolMessage(ws, 'resume', { sessionToken: sessionTokenRef.current });
+        } else {
+          sendProtocolMessage(ws, 'greeting', { weatherInfo });
+        }
       };
 
       ws.onmessage = (event) => {
@@ -144,9 +157,12 @@ const VoiceAgent = () => {
         setError('Connection error. Retrying...');
       };
 
-      ws.onclose = () => {
+      ws.onclose = (event) => {
         console.log('🔌 WebSocket disconnected');
         setWsConnected(false);
+
+        // Server refused the connection (unknown or closed restaurant) - retrying won't help
+        if (event.code === 1008) return;
         
         // Attempt reconnection
         if (reconnectAttemptsRef.current < MAX_RECONNECT_ATTEMPTS) {
@@ -184,21 +200,74 @@ const VoiceAgent = () => {
     }
   };
 
+  /**
+   * Send a message in the shared WebSocket protocol
+   */
+  const sendProtocolMessage = (ws, type, fields = {}) => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(createMessage(type, fields)));
+    }
+  };
+
   /**
    * Handle incoming WebSocket messages
    */
   const handleWebSocketMessage = (message) => {
     console.log('📨 Received message:', message);
 
+    const validation = validateServerMessage(message);
+    if (!validation.valid) {
+      console.error('Ignoring message outside the protocol:', validation.message, validation.details, message);
+      setError(validation.code === ERROR_CODES.UNSUPPORTED_VERSION
+        ? 'The booking server has been updated. Please refresh the page.'
+        : 'Something went wrong on our side. Please try again.');
+      setIsProcessing(false);
+      return;
+    }
+
     switch (message.type) {
       case 'connected':
         // Initial connection confirmation
         console.log('🔗 Connection confirmed:', message.message);
+        if (!sessionTokenRef.current) {
+          saveSessionToken(message.sessionToken);
+        }
+        break;
+
+      case 'resumed':
+        // Same conversation as before the reconnect
+        saveSessionToken(message.sessionToken);
+        setConversationState(message.conversationState || {});
+        setDraftId(message.draftId || null);
+        setConversationHistory((message.history || []).map(entry => ({
+          sender: entry.role === 'user' ? 'user' : 'agent',
+          message: entry.message,
+          timestamp: new Date(entry.timestamp).toLocaleTimeString()
+        })));
+        setWaitlistAvailable(!!message.waitlistAvailable);
+        setIsProcessing(false);
+        break;
+
+      case 'resume_failed':
+        // Session expired - start over on this connection's session
+        console.log('🔁 Could not resume:', message.message);
+        saveSessionToken(message.sessionToken);
+        setConversationState({});
+        setConversationHistory([]);
+        sendProtocolMessage(wsRef.current, 'greeting', { weatherInfo });
+        break;
+
+      case 'response_chunk':
+        handleResponseChunk(message);
+        break;
+
+      case 'response_end':
+        finishStreamedResponse(message);
         break;
 
       case 'greeting':
       case 'response':
-        if (message.text) {
+        if (message.text && !wasStreamed(message.responseId)) {
           addToHistory('agent', message.text);
           speakText(message.text);
         }
@@ -207,11 +276,27 @@ const VoiceAgent = () => {
           setConversationState(message.conversationState);
         }
         
+        setDraftId(null);
         setIsProcessing(false);
         break;
 
       case 'booking_ready':
         // All information collected, ready for confirmation
+        if (message.text && !wasStreamed(message.responseId)) {
+          addToHistory('agent', message.text);
+          speakText(message.text);
+        }
+        
+        if (message.conversationState) {
+          setConversationState(message.conversationState);
+        }
+        
+        setDraftId(message.draftId);
+        setIsProcessing(false);
+        break;
+
+      case 'slot_unavailable':
+        // Requested time is full - agent suggests alternatives and asks again
         if (message.text) {
           addToHistory('agent', message.text);
           speakText(message.text);
@@ -221,6 +306,39 @@ const VoiceAgent = () => {
           setConversationState(message.conversationState);
         }
         
+        setWaitlistAvailable(!!message.waitlistAvailable);
+        setIsProcessing(false);
+        break;
+
+      case 'waitlist_joined':
+        if (message.text) {
+          addToHistory('agent', message.text);
+          speakText(message.text);
+        }
+        
+        setConversationState({});
+        setWaitlistAvailable(false);
+        setIsProcessing(false);
+        break;
+
+      case 'booking_updated':
+      case 'booking_cancelled':
+        // Existing booking was changed or cancelled by voice
+        if (message.text) {
+          addToHistory('agent', message.text);
+          speakText(message.text);
+        }
+        
+        setIsProcessing(false);
+        break;
+
+      case 'human_handoff':
+        // Caller asked for a person - staff take over from here
+        if (message.text) {
+          addToHistory('agent', message.text);
+          speakText(message.text);
+        }
+        
         setIsProcessing(false);
         break;
 
@@ -253,6 +371,88 @@ const VoiceAgent = () => {
     }
   };
 
+  /**
+   * Show and speak a streamed reply as it arrives
+   * Whole sentences are spoken straight away; the rest waits for more text
+   */
+  const handleResponseChunk = ({ responseId, delta }) => {
+    let stream = streamRef.current;
+    if (!stream || stream.responseId !== responseId) {
+      speechService.cancel();
+      stream = { responseId, text: '', spokenLength: 0 };
+      streamRef.current = stream;
+      addToHistory('agent', '', responseId);
+    }
+
+    stream.text += delta;
+    updateStreamedMessage(responseId, stream.text.trim());
+
+    // Speak up to the end of the last complete sentence
+    const unspoken = stream.text.slice(stream.spokenLength);
+    let sentenceEnd = 0;
+    for (const match of unspoken.matchAll(/[.!?]+\s+/g)) {
+      sentenceEnd = match.index + match[0].length;
+    }
+    if (sentenceEnd > 0) {
+      speakQueued(unspoken.slice(0, sentenceEnd));
+      stream.spokenLength += sentenceEnd;
+    }
+  };
+
+  /**
+   * The streamed reply is complete - show the final text and say the rest
+   */
+  const finishStreamedResponse = ({ responseId, text }) => {
+    const stream = streamRef.current && streamRef.current.responseId === responseId
+      ? streamRef.current
+      : null;
+
+    if (!stream) {
+      addToHistory('agent', text, responseId);
+      speakText(text);
+    } else if (text === stream.text.trim()) {
+      updateStreamedMessage(responseId, text);
+      speakQueued(stream.text.slice(stream.spokenLength));
+    } else {
+      // The server replaced the reply (e.g. an error mid-stream) - say the final one
+      updateStreamedMessage(responseId, text);
+      speakText(text);
+    }
+
+    streamRef.current = null;
+    streamedResponsesRef.current.add(responseId);
+  };
+
+  /**
+   * Whether a reply was already shown and spoken from its chunks
+   */
+  const wasStreamed = (responseId) => {
+    if (!responseId || !streamedResponsesRef.current.has(responseId)) return false;
+    streamedResponsesRef.current.delete(responseId);
+    return true;
+  };
+
+  /**
+   * Replace the text of a streamed reply in the chat
+   */
+  const updateStreamedMessage = (responseId, message) => {
+    setConversationHistory(prev => prev.map(entry => (
+      entry.responseId === responseId ? { ...entry, message } : entry
+    )));
+  };
+
+  /**
+   * Remember the session token for the next reconnect
+   */
+  const saveSessionToken = (token) => {
+    sessionTokenRef.current = token || null;
+    if (token) {
+      sessionStorage.setItem('voiceSessionToken', token);
+    } else {
+      sessionStorage.removeItem('voiceSessionToken');
+    }
+  };
+
   /**
    * Check if booking information is complete
    */
@@ -266,14 +466,6 @@ const VoiceAgent = () => {
     );
   };
 
-  /**
-   * Check if message is a confirmation
-   */
-  const isConfirmationMessage = (message) => {
-    const confirmPatterns = /^(yes|yeah|yep|yup|sure|ok|okay|confirm|correct|right|that's right|sounds good|perfect|book it|go ahead|proceed)/i;
-    return confirmPatterns.test(message.trim());
-  };
-
   /**
    * Send message via WebSocket
    */
@@ -291,57 +483,56 @@ const VoiceAgent = () => {
     setIsProcessing(true);
     setError(null);
 
-    console.log('🔍 Checking message:', userMessage);
     console.log('📊 Current state:', conversationState);
-    console.log('✅ Booking complete?', isBookingInfoComplete());
-    console.log('✔️ Is confirmation?', isConfirmationMessage(userMessage));
 
-    // Check if this is a confirmation and all info is collected
-    if (isConfirmationMessage(userMessage) && isBookingInfoComplete()) {
-      console.log('🎉 Finalizing booking...');
-      finalizeBooking(conversationState);
-    } else {
-      // Send via WebSocket for normal conversation
-      wsRef.current.send(JSON.stringify({
-        type: 'user_message',
-        message: userMessage,
-        conversationState: conversationState,
-        weatherInfo: weatherInfo
-      }));
-    }
+    // The server classifies the message (confirm, new details, questions...)
+    // and finalizes the booking itself when the caller says yes
+    sendProtocolMessage(wsRef.current, 'user_message', { message: userMessage });
   };
 
   /**
    * Finalize booking
+   * The server books the details it collected; we only say which draft was confirmed
    */
-  const finalizeBooking = (bookingData) => {
+  const finalizeBooking = () => {
     if (!wsConnected || !wsRef.current) {
       setError('Cannot complete booking - not connected');
       return;
     }
 
-    console.log('💾 Sending finalize_booking request:', bookingData);
+    console.log('💾 Sending finalize_booking request:', draftId);
     setIsProcessing(true);
+    setDraftId(null);
 
     // Send booking finalization request
-    wsRef.current.send(JSON.stringify({
-      type: 'finalize_booking',
-      bookingData: {
-        ...bookingData,
-        weatherInfo: weatherInfo
-      }
-    }));
+    sendProtocolMessage(wsRef.current, 'finalize_booking', { draftId });
+  };
+
+  /**
+   * Join the waitlist for the time that was full
+   */
+  const joinWaitlist = () => {
+    if (!wsConnected || !wsRef.current) {
+      setError('Cannot join waitlist - not connected');
+      return;
+    }
+
+    setIsProcessing(true);
+    setWaitlistAvailable(false);
+
+    sendProtocolMessage(wsRef.current, 'join_waitlist');
   };
 
   /**
    * Add message to history
    */
-  const addToHistory = (sender, message) => {
+  const addToHistory = (sender, message, responseId = null) => {
     setConversationHistory(prev => [
       ...prev,
       {
         sender,
         message,
+        responseId,
         timestamp: new Date().toLocaleTimeString()
       }
     ]);
@@ -362,6 +553,23 @@ const VoiceAgent = () => {
     );
   };
 
+  /**
+   * Speak text after what's already being said (streamed replies)
+   */
+  const speakQueued = (text) => {
+    if (!text || text.trim() === '') return;
+
+    setIsSpeaking(true);
+    speechService.enqueue(
+      text,
+      () => setIsSpeaking(speechService.isSpeaking()),
+      (error) => {
+        console.error('TTS Error:', error);
+        setIsSpeaking(false);
+      }
+    );
+  };
+
   /**
    * Start listening
    */
@@ -409,16 +617,15 @@ const VoiceAgent = () => {
     setConversationHistory([]);
     setBookingComplete(false);
     setCompletedBooking(null);
+    setWaitlistAvailable(false);
+    setDraftId(null);
     setError(null);
     resetTranscript();
     speechService.cancel();
     
     // Request new greeting
     if (wsConnected && wsRef.current) {
-      wsRef.current.send(JSON.stringify({
-        type: 'greeting',
-        weatherInfo: weatherInfo
-      }));
+      sendProtocolMessage(wsRef.current, 'greeting', { weatherInfo });
     }
   };
 
@@ -543,9 +750,9 @@ const VoiceAgent = () => {
           </button>
 
           {/* Show Confirm Booking button when all info is collected */}
-          {isBookingInfoComplete() && !bookingComplete && (
+          {draftId && !bookingComplete && (
             <button 
-              onClick={() => finalizeBooking(conversationState)}
+              onClick={finalizeBooking}
               className="btn btn-confirm"
               disabled={isProcessing}
             >
@@ -553,6 +760,16 @@ const VoiceAgent = () => {
             </button>
           )}
 
+          {waitlistAvailable && !bookingComplete && (
+            <button 
+              onClick={joinWaitlist}
+              className="btn btn-secondary"
+              disabled={isProcessing}
+            >
+              ⏳ Join Waitlist
+            </button>
+          )}
+
           <button 
             onClick={resetConversation}
             className="btn btn-secondary"
@@ -108,11 +108,13 @@ export const bookingAPI = {
   /**
    * Chat with AI agent (conversational booking)
    */
-  chatBooking: async (message, conversationState = {}) => {
+  chatBooking: async (message, conversationState = {}, sessionId) => {
     try {
+      // sessionId is the one the first reply returned; leave it out to start a new chat
       const response = await api.post('/bookings/chat', {
         message,
         conversationState,
+        sessionId,
       });
       return response.data;
     } catch (error) {
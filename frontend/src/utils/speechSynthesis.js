@@ -51,6 +51,17 @@ class SpeechSynthesisService {
     // Cancel any ongoing speech
     this.cancel();
 
+    this.enqueue(text, onEnd, onError);
+  }
+
+  /**
+   * Speak text after whatever is already being spoken
+   * Used for streamed replies, one sentence at a time
+   * @param {string} text - Text to speak
+   * @param {Function} onEnd - Callback when this text has been spoken
+   * @param {Function} onError - Callback on error
+   */
+  enqueue(text, onEnd = null, onError = null) {
     if (!text || text.trim() === '') {
       console.warn('No text to speak');
       return;
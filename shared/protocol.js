@@ -0,0 +1,346 @@
+/**
+ * WebSocket message protocol
+ * Shared by backend/websocket.js and frontend VoiceAgent.jsx so both sides
+ * agree on every message. Each message is a JSON object
+ * { v: PROTOCOL_VERSION, type, ...fields } whose fields are listed below;
+ * unknown fields are rejected.
+ *
+ * Plain CommonJS with no dependencies so Node and the React build can both load it.
+ */
+
+// Bump when a change would break clients built against the previous version
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+/**
+ * Error codes sent in `error` messages
+ */
+const ERROR_CODES = {
+  // Protocol
+  INVALID_JSON: 'INVALID_JSON',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+
+  // Venue
+  RESTAURANT_NOT_FOUND: 'RESTAURANT_NOT_FOUND',
+  RESTAURANT_INACTIVE: 'RESTAURANT_INACTIVE',
+
+  // Booking
+  DRAFT_MISMATCH: 'DRAFT_MISMATCH',
+  INVALID_DATE: 'INVALID_DATE',
+  INVALID_TIME: 'INVALID_TIME',
+  AMBIGUOUS_TIME: 'AMBIGUOUS_TIME',
+  OUTSIDE_HOURS: 'OUTSIDE_HOURS',
+  SLOT_FULL: 'SLOT_FULL',
+  BOOKING_CANCELLED: 'BOOKING_CANCELLED',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  BOOKING_FAILED: 'BOOKING_FAILED',
+
+  // Waitlist
+  NO_WAITLIST_OFFER: 'NO_WAITLIST_OFFER',
+  WAITLIST_FAILED: 'WAITLIST_FAILED',
+
+  // Audio
+  AUDIO_NOT_STARTED: 'AUDIO_NOT_STARTED',
+  AUDIO_TOO_LARGE: 'AUDIO_TOO_LARGE',
+  UNSUPPORTED_AUDIO_FORMAT: 'UNSUPPORTED_AUDIO_FORMAT',
+  TRANSCRIPTION_FAILED: 'TRANSCRIPTION_FAILED',
+
+  // Anything else that went wrong on the server
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Field rules: { type, required, nullable, minLength, maxLength, min, max, enum }
+ * type is 'string' | 'number' | 'boolean' | 'object' | 'array'
+ */
+
+// Audio clients can send; replies are always pcm16
+const AUDIO_FORMATS = ['pcm16', 'wav', 'opus'];
+const text = { type: 'string', required: true };
+const conversationState = { type: 'object' };
+
+/**
+ * Client → server
+ */
+const clientMessages = {
+  // Start (or restart) a conversation
+  greeting: {
+    weatherInfo: { type: 'object', nullable: true }
+  },
+
+  // Continue a conversation after reconnecting
+  resume: {
+    sessionToken: { type: 'string', required: true, minLength: 1, maxLength: 128 }
+  },
+
+  // What the caller said
+  user_message: {
+    message: { type: 'string', required: true, minLength: 1, maxLength: 1000 }
+  },
+
+  // Caller pressed "Confirm" on the draft from booking_ready
+  finalize_booking: {
+    draftId: { type: 'string', required: true, minLength: 1, maxLength: 64 }
+  },
+
+  // Caller accepted the waitlist offer from slot_unavailable
+  join_waitlist: {
+    phoneNumber: { type: 'string', maxLength: 20 },
+    email: { type: 'string', maxLength: 254 }
+  },
+
+  // Turn spoken replies (audio_reply_start, binary frames, audio_reply_end) on or off
+  audio_config: {
+    replies: { type: 'boolean', required: true }
+  },
+
+  // The caller started speaking; binary frames with the audio follow.
+  // pcm16 is raw 16-bit little-endian samples at sampleRate (default 16000)
+  audio_start: {
+    format: { type: 'string', required: true, enum: AUDIO_FORMATS },
+    sampleRate: { type: 'number', min: 8000, max: 48000 },
+    channels: { type: 'number', min: 1, max: 2 }
+  },
+
+  // The caller stopped speaking; the audio since audio_start is transcribed
+  // and handled like a user_message
+  audio_end: {}
+};
+
+/**
+ * Server → client
+ */
+const serverMessages = {
+  connected: {
+    clientId: { type: 'string', required: true },
+    sessionToken: { type: 'string', required: true },
+    restaurant: { type: 'object', required: true },
+    message: { type: 'string' }
+  },
+
+  resumed: {
+    sessionToken: { type: 'string', required: true },
+    conversationState: { ...conversationState, required: true },
+    draftId: { type: 'string', nullable: true },
+    history: { type: 'array', required: true },
+    waitlistAvailable: { type: 'boolean' }
+  },
+
+  resume_failed: {
+    sessionToken: { type: 'string', required: true },
+    message: text
+  },
+
+  greeting: {
+    text,
+    conversationState
+  },
+
+  // The server is working on the caller's message
+  processing: {},
+
+  // A piece of an agent reply that is still being generated, in order
+  response_chunk: {
+    responseId: { type: 'string', required: true },
+    index: { type: 'number', required: true },
+    delta: { type: 'string', required: true }
+  },
+
+  // The streamed reply is complete; text is the whole reply
+  response_end: {
+    responseId: { type: 'string', required: true },
+    text
+  },
+
+  // responseId is set when the text was already streamed in response_chunk messages
+  response: {
+    text,
+    responseId: { type: 'string' },
+    conversationState,
+    corrections: { type: 'array' },
+    nextStep: { type: 'string' }
+  },
+
+  // All details collected; confirm by voice or with finalize_booking
+  booking_ready: {
+    text,
+    responseId: { type: 'string' },
+    conversationState,
+    corrections: { type: 'array' },
+    draftId: { type: 'string', required: true },
+    message: { type: 'string' }
+  },
+
+  slot_unavailable: {
+    text,
+    alternatives: { type: 'array', required: true },
+    waitlistAvailable: { type: 'boolean' },
+    conversationState
+  },
+
+  waitlist_joined: {
+    text,
+    entry: { type: 'object', required: true }
+  },
+
+  booking_confirmed: {
+    text,
+    booking: { type: 'object', required: true }
+  },
+
+  booking_updated: {
+    text,
+    booking: { type: 'object', required: true }
+  },
+
+  booking_cancelled: {
+    text,
+    booking: { type: 'object', required: true }
+  },
+
+  human_handoff: {
+    text,
+    conversationState,
+    restaurantPhone: { type: 'string', nullable: true }
+  },
+
+  // What we heard in the caller's audio
+  transcript: {
+    text
+  },
+
+  // A spoken reply follows as binary frames of 16-bit little-endian PCM
+  audio_reply_start: {
+    replyId: { type: 'string', required: true },
+    format: { type: 'string', required: true, enum: ['pcm16'] },
+    sampleRate: { type: 'number', required: true },
+    channels: { type: 'number', required: true },
+    bytes: { type: 'number', required: true },
+    // The reply being spoken
+    text
+  },
+
+  audio_reply_end: {
+    replyId: { type: 'string', required: true }
+  },
+
+  error: {
+    code: { type: 'string', required: true, enum: Object.values(ERROR_CODES) },
+    message: text,
+    // Per-field problems for INVALID_MESSAGE
+    details: { type: 'array' }
+  }
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+/**
+ * Problems with one field, as readable strings
+ */
+const checkField = (name, value, rule) => {
+  if (value === undefined) {
+    return rule.required ? [`${name} is required`] : [];
+  }
+
+  if (value === null) {
+    return rule.nullable ? [] : [`${name} may not be null`];
+  }
+
+  if (typeOf(value) !== rule.type) {
+    return [`${name} must be a ${rule.type}`];
+  }
+
+  const problems = [];
+  if (rule.type === 'string' || rule.type === 'array') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      problems.push(`${name} must have at least ${rule.minLength} character(s)`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      problems.push(`${name} must have at most ${rule.maxLength} characters`);
+    }
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    problems.push(`${name} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.type === 'number') {
+    if (!Number.isFinite(value)) {
+      problems.push(`${name} must be a finite number`);
+    } else {
+      if (rule.min !== undefined && value < rule.min) problems.push(`${name} must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) problems.push(`${name} must be at most ${rule.max}`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Validate a message against the schemas for one direction
+ * @param {Object} message - Parsed JSON
+ * @param {Object} schemas - clientMessages or serverMessages
+ * @returns {Object} { valid: true } or { valid: false, code, message, details }
+ */
+const validate = (message, schemas) => {
+  if (typeOf(message) !== 'object') {
+    return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, message: 'Message must be a JSON object', details: [] };
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(message.v)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.UNSUPPORTED_VERSION,
+      message: `Unsupported protocol version ${JSON.stringify(message.v)}. Supported: ${SUPPORTED_VERSIONS.join(', ')}`,
+      details: []
+    };
+  }
+
+  const schema = Object.prototype.hasOwnProperty.call(schemas, message.type) ? schemas[message.type] : null;
+  if (!schema) {
+    return { valid: false, code: ERROR_CODES.UNKNOWN_TYPE, message: `Unknown message type: ${message.type}`, details: [] };
+  }
+
+  const { v: _version, type: _type, ...fields } = message;
+  const details = [
+    ...Object.keys(fields).filter(name => !schema[name]).map(name => `${name} is not allowed in ${message.type}`),
+    ...Object.entries(schema).flatMap(([name, rule]) => checkField(name, fields[name], rule))
+  ];
+
+  if (details.length > 0) {
+    return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, message: `Invalid ${message.type} message`, details };
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Validate a message sent by the client
+ */
+const validateClientMessage = (message) => validate(message, clientMessages);
+
+/**
+ * Validate a message sent by the server
+ */
+const validateServerMessage = (message) => validate(message, serverMessages);
+
+/**
+ * Build a message with the current protocol version
+ */
+const createMessage = (type, fields = {}) => ({ v: PROTOCOL_VERSION, type, ...fields });
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  ERROR_CODES,
+  AUDIO_FORMATS,
+  clientMessages,
+  serverMessages,
+  validateClientMessage,
+  validateServerMessage,
+  createMessage
+};
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  createMessage,
+  validateClientMessage,
+  validateServerMessage
+} = require('./protocol');
+
+test('messages carry the protocol version', () => {
+  assert.deepEqual(createMessage('user_message', { message: 'Table for 4' }), {
+    v: PROTOCOL_VERSION,
+    type: 'user_message',
+    message: 'Table for 4'
+  });
+});
+
+test('well-formed client messages pass', () => {
+  assert.deepEqual(validateClientMessage(createMessage('user_message', { message: 'Table for 4' })), { valid: true });
+  assert.deepEqual(validateClientMessage(createMessage('join_waitlist')), { valid: true });
+  assert.deepEqual(validateClientMessage(createMessage('greeting', { weatherInfo: null })), { valid: true });
+});
+
+test('messages without a supported version are rejected', () => {
+  assert.equal(validateClientMessage({ type: 'user_message', message: 'hi' }).code, ERROR_CODES.UNSUPPORTED_VERSION);
+  assert.equal(validateClientMessage({ v: 99, type: 'user_message', message: 'hi' }).code, ERROR_CODES.UNSUPPORTED_VERSION);
+});
+
+test('unknown types are rejected', () => {
+  assert.equal(validateClientMessage(createMessage('drop_tables')).code, ERROR_CODES.UNKNOWN_TYPE);
+  assert.equal(validateClientMessage(createMessage('toString')).code, ERROR_CODES.UNKNOWN_TYPE);
+  // Server messages can't be sent by the client
+  assert.equal(validateClientMessage(createMessage('booking_confirmed', { text: 'hi', booking: {} })).code, ERROR_CODES.UNKNOWN_TYPE);
+});
+
+test('missing, mistyped and extra fields are listed', () => {
+  const result = validateClientMessage(createMessage('finalize_booking', {
+    bookingData: { numberOfGuests: 40 }
+  }));
+
+  assert.equal(result.code, ERROR_CODES.INVALID_MESSAGE);
+  assert.deepEqual(result.details, [
+    'bookingData is not allowed in finalize_booking',
+    'draftId is required'
+  ]);
+
+  assert.deepEqual(validateClientMessage(createMessage('user_message', { message: 42 })).details, ['message must be a string']);
+  assert.deepEqual(validateClientMessage(createMessage('user_message', { message: '' })).details, ['message must have at least 1 character(s)']);
+});
+
+test('server errors must use a known code', () => {
+  assert.deepEqual(validateServerMessage(createMessage('error', { code: ERROR_CODES.DRAFT_MISMATCH, message: 'Changed' })), { valid: true });
+  assert.equal(validateServerMessage(createMessage('error', { code: 'OOPS', message: 'Changed' })).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('the booking service\'s refusals are codes of their own', () => {
+  for (const code of ['INVALID_DATE', 'AMBIGUOUS_TIME', 'OUTSIDE_HOURS', 'SLOT_FULL', 'BOOKING_CANCELLED']) {
+    assert.equal(ERROR_CODES[code], code);
+    assert.deepEqual(validateServerMessage(createMessage('error', { code, message: 'No' })), { valid: true });
+  }
+});
+
+test('non-objects are rejected', () => {
+  assert.equal(validateClientMessage('hello').code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateClientMessage([]).code, ERROR_CODES.INVALID_MESSAGE);
+  assert.equal(validateClientMessage(null).code, ERROR_CODES.INVALID_MESSAGE);
+});
+
+test('audio_start checks the format and sample rate', () => {
+  assert.deepEqual(validateClientMessage(createMessage('audio_start', { format: 'pcm16', sampleRate: 16000 })), { valid: true });
+  assert.deepEqual(validateClientMessage(createMessage('audio_start', { format: 'mp3' })).details, ['format must be one of: pcm16, wav, opus']);
+  assert.deepEqual(validateClientMessage(createMessage('audio_start', { format: 'pcm16', sampleRate: 100 })).details, ['sampleRate must be at least 8000']);
+});